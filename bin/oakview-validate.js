@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * oakview-validate - Run the provider conformance suite from the command line
+ *
+ * Usage:
+ *   npx oakview-validate <provider-module> [options]
+ *
+ * The module may export a provider class (instantiated with --options), a
+ * factory function (called with --options, may be async) or a provider
+ * instance. The default export is used unless --export names another one.
+ *
+ * Options:
+ *   --export <name>       Named export to use
+ *   --options <json>      Constructor/factory argument, as JSON
+ *   --symbol <symbol>     Symbol to test (default: TEST)
+ *   --interval <interval> Interval to test (default: 1D)
+ *   --realtime            Also observe subscribe(), subscribeTicks() and disconnect()
+ *   --timeout <ms>        How long to wait for a live update (default: 5000)
+ *   --json                Print the report as JSON instead of text
+ *   --report <file>       Also write the JSON report to a file
+ *   --strict              Treat warnings as failures
+ *   -h, --help            Show this help
+ *
+ * Exit codes: 0 conformant, 1 checks failed, 2 usage or load error
+ *
+ * @example
+ * npx oakview-validate ./src/my-provider.js --symbol AAPL --interval 5 --realtime --report conformance.json
+ */
+
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { runConformanceSuite, formatConformanceReport } from '../src/data-providers/conformance.js';
+
+const USAGE = `Usage: oakview-validate <provider-module> [options]
+
+Options:
+  --export <name>       Named export to use (default: default export)
+  --options <json>      Constructor/factory argument, as JSON
+  --symbol <symbol>     Symbol to test (default: TEST)
+  --interval <interval> Interval to test (default: 1D)
+  --realtime            Also observe subscribe(), subscribeTicks() and disconnect()
+  --timeout <ms>        How long to wait for a live update (default: 5000)
+  --json                Print the report as JSON instead of text
+  --report <file>       Also write the JSON report to a file
+  --strict              Treat warnings as failures
+  -h, --help            Show this help`;
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        export: { type: 'string' },
+        options: { type: 'string' },
+        symbol: { type: 'string', default: 'TEST' },
+        interval: { type: 'string', default: '1D' },
+        realtime: { type: 'boolean', default: false },
+        timeout: { type: 'string', default: '5000' },
+        json: { type: 'boolean', default: false },
+        report: { type: 'string' },
+        strict: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    return usageError(error.message);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    return usageError('Expected exactly one provider module');
+  }
+
+  let providerOptions;
+  try {
+    providerOptions = values.options ? JSON.parse(values.options) : undefined;
+  } catch (error) {
+    return usageError(`--options is not valid JSON: ${error.message}`);
+  }
+
+  const timeout = Number(values.timeout);
+  if (!(timeout > 0)) {
+    return usageError('--timeout must be a positive number of milliseconds');
+  }
+
+  let provider;
+  try {
+    provider = await loadProvider(positionals[0], values.export, providerOptions);
+  } catch (error) {
+    console.error(`❌ Could not load provider: ${error.message}`);
+    return 2;
+  }
+
+  const report = await runConformanceSuite(provider, {
+    testSymbol: values.symbol,
+    testInterval: values.interval,
+    testRealtime: values.realtime,
+    realtimeTimeout: timeout
+  });
+
+  if (values.strict && report.summary.warnings > 0) {
+    report.passed = false;
+  }
+
+  if (values.report) {
+    await writeFile(values.report, JSON.stringify(report, null, 2) + '\n');
+  }
+
+  console.log(values.json ? JSON.stringify(report, null, 2) : formatConformanceReport(report));
+  return report.passed ? 0 : 1;
+}
+
+/**
+ * Import a module and turn its export into a provider instance
+ */
+async function loadProvider(modulePath, exportName, options) {
+  const module = await import(pathToFileURL(resolve(modulePath)).href);
+  const name = exportName || 'default';
+  const exported = module[name];
+
+  if (exported === undefined) {
+    throw new Error(`${modulePath} has no "${name}" export`);
+  }
+
+  if (typeof exported === 'function') {
+    // Classes are constructed, plain functions are factories
+    const isClass = /^class[\s{]/.test(Function.prototype.toString.call(exported));
+    return isClass ? new exported(options) : await exported(options);
+  }
+
+  return exported;
+}
+
+function usageError(message) {
+  console.error(`❌ ${message}\n\n${USAGE}`);
+  return 2;
+}
+
+// Exit explicitly: providers may leave sockets or timers open
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error('❌ Conformance run failed:', error);
+    process.exit(2);
+  }
+);
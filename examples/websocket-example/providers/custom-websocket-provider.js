@@ -65,6 +65,7 @@ class CustomWebSocketProvider extends OakViewDataProvider {
     }
 
     this.connecting = true;
+    this.emitStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
 
     return new Promise((resolve, reject) => {
       try {
@@ -84,6 +85,7 @@ class CustomWebSocketProvider extends OakViewDataProvider {
           this.connected = true;
           this.connecting = false;
           this.reconnectAttempts = 0;
+          this.emitStatus('live');
 
           // Send authentication if needed
           if (this.apiKey) {
@@ -99,6 +101,7 @@ class CustomWebSocketProvider extends OakViewDataProvider {
           console.error('WebSocket error:', error);
           this.connected = false;
           this.connecting = false;
+          this.emitStatus('error', 'WebSocket error');
           reject(error);
         };
 
@@ -110,6 +113,7 @@ class CustomWebSocketProvider extends OakViewDataProvider {
 
           // Attempt reconnection if unexpected close
           if (!event.wasClean) {
+            this.emitStatus('reconnecting', event.reason || `Connection closed (${event.code})`);
             this.attemptReconnect();
           }
         };
@@ -444,6 +448,7 @@ class CustomWebSocketProvider extends OakViewDataProvider {
   attemptReconnect() {
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       console.error('Max reconnection attempts reached');
+      this.emitStatus('error', 'Max reconnection attempts reached');
       return;
     }
 
@@ -0,0 +1,386 @@
+/**
+ * Arrow Data Provider for OakView
+ *
+ * Serves historical bars from Apache Arrow IPC data - Feather v2 files or
+ * streams - loaded from a URL or a local File (e.g. from <input type="file">).
+ * Bars are returned as BarColumns, so large files are resampled without
+ * creating an object per source bar.
+ *
+ * Features:
+ * - Configurable column names for time, open, high, low, close, volume
+ * - Time units from the column type (timestamp, date) or configured:
+ *   's', 'ms', 'us', 'ns', 'day' or 'auto' (guessed from the magnitude)
+ * - Several symbols in one table, partitioned by a symbol column, or one
+ *   file per symbol/interval through a URL template ('/bars/{symbol}/{interval}.arrow')
+ * - Each file is read once and shared by all panes; from/to are served from memory
+ *
+ * Feather's default LZ4 compression is read; ZSTD-compressed files must be
+ * saved again, e.g. df.to_feather(path, compression='lz4').
+ *
+ * @example
+ * import { ArrowDataProvider } from 'oakview';
+ *
+ * const provider = new ArrowDataProvider({
+ *   source: '/data/bars.arrow',
+ *   columns: { time: 'ts', open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v', symbol: 'ticker' },
+ *   timeUnit: 'ms',
+ *   baseInterval: '1'
+ * });
+ *
+ * // Later, a file the user picked
+ * provider.setSource(input.files[0]);
+ *
+ * chart.setDataProvider(provider);
+ */
+
+import OakViewDataProvider from './base.js';
+import DataProviderError, { NetworkError, SymbolNotFoundError } from './errors.js';
+import ArrowReader from '../utils/ArrowReader.js';
+import BarColumns from '../utils/BarColumns.js';
+
+const TIME_UNITS = ['auto', 's', 'ms', 'us', 'ns', 'day'];
+const UNIT_SECONDS = { s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9, day: 86400 };
+const DEFAULT_COLUMNS = { time: 'time', open: 'open', high: 'high', low: 'low', close: 'close', volume: 'volume', symbol: null };
+
+// Partition key of tables without a symbol column
+const ALL_SYMBOLS = '';
+
+class ArrowDataProvider extends OakViewDataProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string|File|Blob|ArrayBuffer|ArrayBufferView|Function|null} [options.source=null] - Arrow data:
+   *   a URL (may contain {symbol} and {interval}), a File or Blob, bytes, or (symbol, interval) => any of these
+   * @param {Object<string, string|null>} [options.columns] - Column names of time, open, high, low, close,
+   *   volume and symbol (null = no such column)
+   * @param {string|null} [options.timeUnit=null] - Unit of the time column: 's', 'ms', 'us', 'ns', 'day'
+   *   or 'auto'; null takes it from the column type and guesses plain numbers like 'auto'
+   * @param {string|null} [options.baseInterval=null] - Interval of the bars (reported by getBaseInterval())
+   * @param {Array<string>|null} [options.intervals=null] - Intervals offered in the interval menu
+   * @param {Array<string>|null} [options.symbols=null] - Symbols for search when they cannot be read
+   *   from the data (per-symbol files)
+   * @param {Object|Function} [options.headers] - Request headers, or () => headers
+   * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch)
+   * @throws {Error} If the time unit is unknown
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      source: null,
+      timeUnit: null,
+      baseInterval: null,
+      intervals: null,
+      symbols: null,
+      headers: {},
+      fetch: null,
+      ...options
+    };
+    this._normalizeOptions();
+
+    this._tables = new Map(); // source key -> Promise<Map<symbol, BarColumns>>
+  }
+
+  /**
+   * Read the source unless it depends on the symbol or interval
+   */
+  async initialize(config) {
+    if (config && Object.keys(config).length > 0) {
+      Object.assign(this.options, config);
+      this._normalizeOptions();
+    }
+    if (this.options.source !== null && !this._isPartitionedSource()) {
+      await this._loadPartitions(null, null);
+    }
+  }
+
+  /**
+   * Replace the Arrow data, e.g. with a file the user picked
+   *
+   * Tables read so far are dropped; load the symbol again to show the new data.
+   *
+   * @param {string|File|Blob|ArrayBuffer|ArrayBufferView|Function} source - As options.source
+   */
+  setSource(source) {
+    this.options.source = source;
+    this._tables.clear();
+  }
+
+  /**
+   * Bars of a symbol between from and to (inclusive), as BarColumns
+   *
+   * The whole file is read on the first request and kept; the signal only
+   * stops a superseded request from waiting for it.
+   *
+   * @throws {SymbolNotFoundError} If the table has a symbol column without the symbol
+   */
+  async fetchHistorical(symbol, interval, from = null, to = null, options = {}) {
+    const { baseInterval } = this.options;
+    // A single-interval table has no bars for other intervals - the chart resamples it
+    if (baseInterval && interval !== baseInterval && !this._isPartitionedSource('{interval}')) {
+      return BarColumns.create(0);
+    }
+
+    const partitions = await this._loadPartitions(symbol, interval);
+    options.signal?.throwIfAborted?.();
+
+    const columns = partitions.get(partitions.has(ALL_SYMBOLS) ? ALL_SYMBOLS : symbol);
+    if (!columns) {
+      throw new SymbolNotFoundError(symbol, { message: `ArrowDataProvider: no bars for ${symbol}` });
+    }
+    return ArrowDataProvider.sliceColumns(columns, from, to);
+  }
+
+  /**
+   * Symbols of the table's symbol column (or options.symbols)
+   */
+  async searchSymbols(query) {
+    const q = (query || '').trim().toUpperCase();
+    const symbols = await this._listSymbols();
+
+    return symbols
+      .filter(symbol => !q || symbol.toUpperCase().includes(q))
+      .map(symbol => ({ symbol, name: symbol }));
+  }
+
+  getAvailableIntervals(symbol) {
+    return this.options.intervals;
+  }
+
+  getBaseInterval(symbol) {
+    return this.options.baseInterval;
+  }
+
+  getCapabilities() {
+    return {
+      ...OakViewDataProvider.defaultCapabilities(this),
+      search: Boolean(this.options.columns.symbol || this.options.symbols),
+      rangedHistory: true,
+      intervals: this.options.intervals
+    };
+  }
+
+  /**
+   * Turn an Arrow table into BarColumns per symbol
+   *
+   * Times are converted to Unix seconds; rows without a valid time or close
+   * are dropped, and rows are sorted by time with the last of equal times kept.
+   *
+   * @param {Object} table - Result of ArrowReader.read()
+   * @param {Object} [options]
+   * @param {Object<string, string|null>} [options.columns] - Column names (as the constructor option)
+   * @param {string|null} [options.timeUnit=null] - Unit of the time column (as the constructor option)
+   * @returns {Map<string, Object>} Symbol -> BarColumns ('' without a symbol column)
+   * @throws {Error} If a price or time column is missing or not numeric
+   */
+  static toPartitions(table, options = {}) {
+    const names = { ...DEFAULT_COLUMNS, ...options.columns };
+    const fields = new Map(table.fields.map(field => [field.name, field]));
+
+    const numeric = (role, required) => {
+      const name = names[role];
+      const values = name ? table.columns[name] : undefined;
+      if (values instanceof Float64Array) return values;
+      if (!required && (!name || !fields.has(name))) return null;
+      throw new Error(fields.has(name)
+        ? `ArrowDataProvider: ${role} column "${name}" is not numeric`
+        : `ArrowDataProvider: no ${role} column "${name}" (columns: ${table.fields.map(field => field.name).join(', ')})`);
+    };
+
+    const time = numeric('time', true);
+    const prices = ['open', 'high', 'low', 'close'].map(role => numeric(role, true));
+    const volume = numeric('volume', false);
+
+    const timeType = fields.get(names.time).type;
+    const unit = options.timeUnit ?? (timeType.unit && timeType.kind !== 'duration' ? timeType.unit : 'auto');
+    const toSeconds = ArrowDataProvider._timeConverter(unit);
+
+    let symbols = null;
+    if (names.symbol) {
+      symbols = table.columns[names.symbol];
+      if (!symbols) {
+        throw new Error(`ArrowDataProvider: no symbol column "${names.symbol}"`);
+      }
+    }
+
+    // Row indices per symbol
+    const rowsBySymbol = new Map(symbols ? [] : [[ALL_SYMBOLS, []]]);
+    for (let i = 0; i < table.length; i++) {
+      if (!Number.isFinite(time[i]) || !Number.isFinite(prices[3][i])) continue;
+      const key = symbols ? symbols[i] : ALL_SYMBOLS;
+      if (key === null || key === undefined) continue;
+      if (!rowsBySymbol.has(key)) rowsBySymbol.set(key, []);
+      rowsBySymbol.get(key).push(i);
+    }
+
+    const partitions = new Map();
+    for (const [key, rows] of rowsBySymbol) {
+      const seconds = rows.map(i => toSeconds(time[i]));
+      const order = rows.map((_, j) => j);
+      // Files are usually written in time order - only sort when they are not
+      if (seconds.some((value, j) => j > 0 && value < seconds[j - 1])) {
+        order.sort((a, b) => seconds[a] - seconds[b] || a - b);
+      }
+      // Last of equal times wins
+      const kept = order.filter((j, k) => k === order.length - 1 || seconds[order[k + 1]] !== seconds[j]);
+
+      const columns = BarColumns.create(kept.length);
+      kept.forEach((j, k) => {
+        const row = rows[j];
+        columns.time[k] = seconds[j];
+        columns.open[k] = prices[0][row];
+        columns.high[k] = prices[1][row];
+        columns.low[k] = prices[2][row];
+        columns.close[k] = prices[3][row];
+        columns.volume[k] = volume ? volume[row] : NaN;
+      });
+      partitions.set(String(key), columns);
+    }
+    return partitions;
+  }
+
+  /**
+   * Copy the bars with from <= time <= to
+   * @param {Object} columns - BarColumns sorted by time
+   * @param {number|null} from - Start (Unix seconds), null = oldest
+   * @param {number|null} to - End (Unix seconds), null = newest
+   * @returns {Object} New BarColumns
+   */
+  static sliceColumns(columns, from = null, to = null) {
+    const { time } = columns;
+    const lowerBound = (value, strict) => {
+      let low = 0;
+      let high = columns.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (strict ? time[mid] <= value : time[mid] < value) low = mid + 1;
+        else high = mid;
+      }
+      return low;
+    };
+
+    const start = from === null ? 0 : lowerBound(from, false);
+    const end = to === null ? columns.length : lowerBound(to, true);
+    const slice = { length: Math.max(end - start, 0) };
+    // Copies, so posting the bars to a worker never clones the whole table
+    for (const field of BarColumns.FIELDS) {
+      slice[field] = columns[field].slice(start, Math.max(end, start));
+    }
+    return slice;
+  }
+
+  /**
+   * Fill in default columns and coerce option types
+   * @throws {Error} If the time unit is unknown
+   * @private
+   */
+  _normalizeOptions() {
+    const { timeUnit, baseInterval } = this.options;
+    if (timeUnit != null && !TIME_UNITS.includes(timeUnit)) {
+      throw new Error(`ArrowDataProvider: unknown time unit '${timeUnit}' (expected ${TIME_UNITS.join(', ')})`);
+    }
+    this.options.columns = { ...DEFAULT_COLUMNS, ...this.options.columns };
+    // JSON data-source options may give a number ('"baseInterval":1')
+    if (baseInterval != null) this.options.baseInterval = String(baseInterval);
+  }
+
+  /**
+   * Convert times of a unit to Unix seconds
+   * @private
+   */
+  static _timeConverter(unit) {
+    if (unit !== 'auto') {
+      const factor = UNIT_SECONDS[unit];
+      return (value) => value * factor;
+    }
+    return (value) => {
+      const magnitude = Math.abs(value);
+      // A 2024 date is ~1.7e9 s, ~1.7e12 ms, ~1.7e15 µs, ~1.7e18 ns
+      const guessed = magnitude >= 1e17 ? 'ns' : magnitude >= 1e14 ? 'us' : magnitude >= 1e11 ? 'ms' : 's';
+      return value * UNIT_SECONDS[guessed];
+    };
+  }
+
+  /**
+   * Whether the source depends on the symbol (or the given placeholder)
+   * @private
+   */
+  _isPartitionedSource(placeholder = null) {
+    const { source } = this.options;
+    if (typeof source === 'function') return true;
+    if (typeof source !== 'string') return false;
+    return placeholder ? source.includes(placeholder) : /\{(symbol|interval)\}/.test(source);
+  }
+
+  /**
+   * Read (once) the table serving a symbol and interval
+   * @private
+   */
+  _loadPartitions(symbol, interval) {
+    let source = this.options.source;
+    if (typeof source === 'function') {
+      source = source(symbol, interval);
+    } else if (typeof source === 'string') {
+      source = source
+        .replace(/\{symbol\}/g, encodeURIComponent(symbol ?? ''))
+        .replace(/\{interval\}/g, encodeURIComponent(interval ?? ''));
+    }
+    if (source === null || source === undefined) {
+      return Promise.reject(new Error('ArrowDataProvider: no source set'));
+    }
+
+    if (!this._tables.has(source)) {
+      const loading = this._readSource(source, symbol)
+        .then(bytes => ArrowDataProvider.toPartitions(ArrowReader.read(bytes), this.options));
+      // A failed read is tried again next time
+      loading.catch(() => this._tables.delete(source));
+      this._tables.set(source, loading);
+    }
+    return this._tables.get(source);
+  }
+
+  /**
+   * Symbols that can be searched
+   * @private
+   */
+  async _listSymbols() {
+    if (this.options.symbols) return this.options.symbols;
+    if (!this.options.columns.symbol || this.options.source === null || this._isPartitionedSource()) return [];
+
+    const partitions = await this._loadPartitions(null, null);
+    return Array.from(partitions.keys()).sort();
+  }
+
+  /**
+   * Bytes of a URL, File/Blob or buffer
+   *
+   * Failed downloads are thrown as DataProviderErrors (see RestDataProvider).
+   * @private
+   */
+  async _readSource(source, symbol) {
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) return source;
+    if (typeof Blob !== 'undefined' && source instanceof Blob) return source.arrayBuffer();
+
+    const url = String(source);
+    const fetchImpl = this.options.fetch || globalThis.fetch;
+    const headers = typeof this.options.headers === 'function' ? await this.options.headers() : this.options.headers;
+
+    let response;
+    try {
+      response = await fetchImpl(url, { headers });
+    } catch (error) {
+      throw new NetworkError(`ArrowDataProvider: GET ${url} failed: ${error.message}`, { cause: error });
+    }
+
+    if (!response.ok) {
+      const message = `ArrowDataProvider: GET ${url} failed with ${response.status} ${response.statusText || ''}`.trim();
+      // Per-symbol files: a missing file is a missing symbol
+      if (response.status === 404 && symbol && this._isPartitionedSource('{symbol}')) {
+        throw new SymbolNotFoundError(symbol, { status: 404 });
+      }
+      throw DataProviderError.classify(Object.assign(new Error(message), { status: response.status }));
+    }
+    return response.arrayBuffer();
+  }
+}
+
+export default ArrowDataProvider;
@@ -10,12 +10,21 @@
  *
  * OPTIONAL METHODS (implement for enhanced functionality):
  * - subscribe(symbol, interval, callback): Real-time updates
+ * - subscribeTicks(symbol, callback): Individual trades (enables tick intervals)
  * - searchSymbols(query): Symbol search
  * - getAvailableIntervals(symbol): List available timeframes
  * - getBaseInterval(symbol): Get native timeframe
  * - hasData(symbol, interval): Check if data exists
+ * - getSymbolInfo(symbol): Price precision, tick size, currency, exchange, timezone
+ * - getCorporateActions(symbol, from, to): Splits and dividends (adjusted prices)
+ * - getCapabilities(): Declare supported features to the chart UI
  * - disconnect(): Cleanup resources
  *
+ * CONNECTION STATUS (built in, call emitStatus() from your provider):
+ * - emitStatus(status, message): Report connecting/live/delayed/stale/reconnecting/error
+ * - onStatusChange(listener): Used by OakView to show the status badge
+ * - getStatus(symbol): Last reported status
+ *
  * @interface
  * @example
  * class MyProvider extends OakViewDataProvider {
@@ -34,6 +43,19 @@
  * }
  */
 class OakViewDataProvider {
+  /**
+   * Connection statuses understood by OakView
+   * @type {Readonly<Object<string, string>>}
+   */
+  static STATUS = Object.freeze({
+    CONNECTING: 'connecting',
+    LIVE: 'live',
+    DELAYED: 'delayed',
+    STALE: 'stale',
+    RECONNECTING: 'reconnecting',
+    ERROR: 'error'
+  });
+
   /**
    * Initialize the data provider with configuration
    * 
@@ -61,11 +83,20 @@ class OakViewDataProvider {
    * - Unix timestamps in SECONDS (not milliseconds) for intraday data
    * - BusinessDay objects { year, month, day } for daily+ data
    * 
+   * When the user scrolls near the left edge, OakView requests the previous
+   * page with `to` set to the oldest loaded bar time. Honor from/to to enable
+   * infinite scroll-back; providers that ignore them just stop paging.
+   * 
    * @param {string} symbol - The symbol to fetch (e.g., 'AAPL', 'SPX')
    * @param {string} interval - Timeframe (e.g., '1m', '5m', '1h', '1D', '1W')
    * @param {number} [from] - Start Unix timestamp in seconds (optional)
    * @param {number} [to] - End Unix timestamp in seconds (optional)
-   * @returns {Promise<Array<OHLCVData>>} Array of OHLCV bars (sorted ascending)
+   * @param {Object} [options] - Request options (optional)
+   * @param {AbortSignal} [options.signal] - Aborted when the chart no longer needs
+   *   the result (user switched symbol/interval). Pass it to fetch() to cancel the
+   *   HTTP request; ignoring it is safe, stale results are never painted.
+   * @returns {Promise<Array<OHLCVData>|Object>} Array of OHLCV bars (sorted ascending), or
+   *   BarColumns - one Float64Array per field - for large histories
    * @throws {Error} If symbol not found or data unavailable
    * @example
    * // Fetch last year of daily data
@@ -80,8 +111,14 @@ class OakViewDataProvider {
    * const from = Math.floor(new Date('2024-01-01').getTime() / 1000);
    * const to = Math.floor(new Date('2024-12-31').getTime() / 1000);
    * const yearData = await provider.fetchHistorical('AAPL', '1D', from, to);
+   * 
+   * // Cancellable request
+   * async fetchHistorical(symbol, interval, from, to, { signal } = {}) {
+   *   const response = await fetch(this.buildUrl(symbol, interval, from, to), { signal });
+   *   return this.parseBars(await response.json());
+   * }
    */
-  async fetchHistorical(symbol, interval, from = null, to = null) {
+  async fetchHistorical(symbol, interval, from = null, to = null, options = {}) {
     throw new Error('fetchHistorical() must be implemented by subclass');
   }
 
@@ -128,6 +165,37 @@ class OakViewDataProvider {
     return () => {}; // Return no-op unsubscribe function
   }
 
+  /**
+   * Subscribe to individual trades
+   * 
+   * OPTIONAL: Implement to enable tick intervals (1T, 10T, 100T, 1000T)
+   * 
+   * OakView builds tick-count bars from the trades client-side with
+   * TickAggregator, which can also build time, volume and dollar-value bars.
+   * Call the callback once per trade, in the order trades happened.
+   * 
+   * @param {string} symbol - The symbol to subscribe to
+   * @param {Function} callback - Called with each trade: (tick: TickData) => void
+   * @returns {Function} Unsubscribe function
+   * @example
+   * subscribeTicks(symbol, callback) {
+   *   const ws = new WebSocket(`wss://api.example.com/trades/${symbol}`);
+   *   ws.onmessage = (event) => {
+   *     const trade = JSON.parse(event.data);
+   *     callback({
+   *       time: trade.timestamp / 1000, // Unix seconds with millisecond precision
+   *       price: trade.price,
+   *       size: trade.quantity
+   *     });
+   *   };
+   *   return () => ws.close();
+   * }
+   */
+  subscribeTicks(symbol, callback) {
+    console.warn(`${this.constructor.name} does not support tick subscriptions`);
+    return () => {}; // Return no-op unsubscribe function
+  }
+
   /**
    * Unsubscribe from real-time updates
    * 
@@ -248,6 +316,232 @@ class OakViewDataProvider {
     return true;
   }
 
+  /**
+   * Get metadata for a symbol
+   * 
+   * OPTIONAL: Implement so prices are formatted correctly
+   * 
+   * OakView applies the precision and minimum price movement to the price
+   * series (and therefore the price scale), the legend values, and shows the
+   * exchange and currency in the legend. Without it prices use 2 decimals.
+   * May return a Promise.
+   * 
+   * @param {string} symbol - The symbol to describe
+   * @returns {SymbolInfo|null|Promise<SymbolInfo|null>} Metadata, or null if unknown
+   * @example
+   * async getSymbolInfo(symbol) {
+   *   const info = await this.api.getInstrument(symbol);
+   *   return {
+   *     symbol,
+   *     description: info.name,      // 'Euro / US Dollar'
+   *     exchange: info.venue,        // 'FXCM'
+   *     currency: info.quoteCurrency, // 'USD'
+   *     timezone: 'America/New_York',
+   *     precision: 5,                // Decimals shown
+   *     minMove: 0.00001             // Tick size
+   *   };
+   * }
+   */
+  getSymbolInfo(symbol) {
+    return null;
+  }
+
+  /**
+   * Get the splits and dividends of a symbol
+   * 
+   * OPTIONAL: Implement to have OakView back-adjust history
+   * 
+   * Bars before a split are divided by its ratio; with dividend adjustment
+   * enabled, bars before an ex-date are scaled by (1 - amount / previous close).
+   * Each action is also shown as a marker below its bar, and the legend gets
+   * an adjusted/raw toggle. May return a Promise.
+   * 
+   * @param {string} symbol - The symbol
+   * @param {number|null} from - Start Unix timestamp in seconds (null = from the beginning)
+   * @param {number|null} to - End Unix timestamp in seconds (null = up to now)
+   * @returns {Array<CorporateAction>|Promise<Array<CorporateAction>>} Actions in the range
+   * @example
+   * async getCorporateActions(symbol, from, to) {
+   *   const events = await this.api.getEvents(symbol, from, to);
+   *   return events.map(e => e.kind === 'split'
+   *     ? { time: e.exDate, type: 'split', ratio: e.to / e.from }   // 4:1 -> 4
+   *     : { time: e.exDate, type: 'dividend', amount: e.cash });
+   * }
+   */
+  getCorporateActions(symbol, from, to) {
+    return [];
+  }
+
+  /**
+   * Normalize symbol metadata from any provider
+   * 
+   * Fills in precision from minMove (and vice versa) and maps `name` to
+   * `description`, so callers can rely on every field being present.
+   * 
+   * @param {Object|null} info - Metadata returned by getSymbolInfo()/searchSymbols()
+   * @param {string} [symbol] - Symbol the metadata was requested for
+   * @returns {SymbolInfo|null} Normalized metadata (unknown fields are null)
+   */
+  static normalizeSymbolInfo(info, symbol = null) {
+    if (!info || typeof info !== 'object') return null;
+
+    let precision = Number.isInteger(info.precision) && info.precision >= 0 ? info.precision : null;
+    let minMove = typeof info.minMove === 'number' && info.minMove > 0 ? info.minMove : null;
+
+    if (precision === null && minMove !== null) {
+      // 0.25 -> 2, 1e-7 -> 7
+      const [mantissa, exponent] = String(minMove).split('e-');
+      precision = (mantissa.split('.')[1] || '').length + (exponent ? Number(exponent) : 0);
+    }
+    if (minMove === null && precision !== null) {
+      minMove = Number((10 ** -precision).toFixed(precision));
+    }
+
+    return {
+      ...info,
+      symbol: info.symbol || symbol,
+      description: info.description || info.name || null,
+      exchange: info.exchange || null,
+      currency: info.currency || null,
+      timezone: info.timezone || null,
+      precision,
+      minMove
+    };
+  }
+
+  /**
+   * Declare which features this provider supports
+   * 
+   * OPTIONAL: Override to tell the chart UI exactly what you can do
+   * 
+   * The chart uses the descriptor to enable/disable the symbol search button,
+   * interval items, scroll-back paging and live updates. Any field you omit is
+   * derived from the methods your subclass actually overrides, so the default
+   * is never wrong about what is implemented.
+   * 
+   * @returns {ProviderCapabilities} Capability descriptor
+   * @example
+   * getCapabilities() {
+   *   return {
+   *     realtime: true,
+   *     search: true,
+   *     rangedHistory: true,
+   *     maxBarsPerRequest: 5000,
+   *     intervals: ['1', '5', '15', '60', '1D'],
+   *     ticks: false
+   *   };
+   * }
+   */
+  getCapabilities() {
+    return OakViewDataProvider.defaultCapabilities(this);
+  }
+
+  /**
+   * Derive capabilities from the methods a provider overrides
+   * 
+   * Works for subclasses and for plain objects implementing the interface.
+   * 
+   * @param {Object} provider - Provider instance
+   * @returns {ProviderCapabilities} Derived capability descriptor
+   */
+  static defaultCapabilities(provider) {
+    const implemented = (name) => typeof provider?.[name] === 'function' &&
+      provider[name] !== OakViewDataProvider.prototype[name];
+
+    return {
+      realtime: implemented('subscribe'),
+      search: implemented('searchSymbols'),
+      rangedHistory: true, // Scroll-back stops by itself if from/to are ignored
+      maxBarsPerRequest: null,
+      intervals: null,
+      ticks: implemented('subscribeTicks'),
+      corporateActions: implemented('getCorporateActions')
+    };
+  }
+
+  /**
+   * Resolve the complete capability descriptor of any provider
+   * 
+   * Merges what the provider declares through getCapabilities() over the
+   * derived defaults. Use this instead of calling getCapabilities() directly:
+   * it tolerates providers that do not extend this class or that throw.
+   * 
+   * @param {Object} provider - Provider instance
+   * @returns {ProviderCapabilities} Complete capability descriptor
+   */
+  static resolveCapabilities(provider) {
+    const defaults = OakViewDataProvider.defaultCapabilities(provider);
+    if (!provider || typeof provider.getCapabilities !== 'function') {
+      return defaults;
+    }
+
+    try {
+      return { ...defaults, ...(provider.getCapabilities() || {}) };
+    } catch (error) {
+      console.error('getCapabilities() threw, using derived capabilities:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Report a connection status change
+   * 
+   * Call this from your provider whenever the connection state changes.
+   * OakView shows the status as a badge on every pane and fires a
+   * 'connection-status' event. Repeating the current status is ignored.
+   * 
+   * @param {string} status - One of OakViewDataProvider.STATUS
+   * @param {string} [message] - Human readable detail (e.g. 'Retry 2/5 in 4s')
+   * @example
+   * this.ws.onopen = () => this.emitStatus('live');
+   * this.ws.onclose = () => this.emitStatus('reconnecting', 'Connection lost');
+   */
+  emitStatus(status, message = null) {
+    if (!Object.values(OakViewDataProvider.STATUS).includes(status)) {
+      console.warn(`Unknown connection status: ${status}`);
+      return;
+    }
+    if (status === this._connectionStatus) return;
+
+    const event = { status, previous: this._connectionStatus ?? null, message, timestamp: Date.now() };
+    this._connectionStatus = status;
+
+    this._statusListeners?.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Connection status listener threw:', error);
+      }
+    });
+  }
+
+  /**
+   * Listen for connection status changes
+   * 
+   * Called by OakView; the listener receives { status, previous, message, timestamp }.
+   * An event may also carry appliesTo(symbol) when it only concerns some symbols.
+   * 
+   * @param {Function} listener - Called with each status change
+   * @returns {Function} Function that removes the listener
+   */
+  onStatusChange(listener) {
+    if (!this._statusListeners) {
+      this._statusListeners = new Set();
+    }
+    this._statusListeners.add(listener);
+    return () => this._statusListeners.delete(listener);
+  }
+
+  /**
+   * Get the last reported connection status
+   * 
+   * @param {string} [symbol] - Symbol of interest (for providers routing by symbol)
+   * @returns {string|null} Current status, or null if none was reported
+   */
+  getStatus(symbol) {
+    return this._connectionStatus ?? null;
+  }
+
   /**
    * Disconnect and cleanup resources
    * 
@@ -286,4 +580,21 @@ class OakViewDataProvider {
  * @property {string} [type] - Asset type: 'stock', 'etf', 'future', etc. (optional)
  */
 
+/**
+ * @typedef {Object} TickData
+ * @property {number} time - Unix timestamp in seconds (sub-second precision as decimal)
+ * @property {number} price - Trade price
+ * @property {number} [size] - Trade size (volume)
+ */
+
+/**
+ * @typedef {Object} ProviderCapabilities
+ * @property {boolean} realtime - subscribe() delivers live updates
+ * @property {boolean} search - searchSymbols() returns results
+ * @property {boolean} rangedHistory - fetchHistorical() honors from/to (enables scroll-back)
+ * @property {number|null} maxBarsPerRequest - Largest page fetchHistorical() returns (null = unlimited)
+ * @property {Array<string>|null} intervals - Chart intervals the provider serves (null = all)
+ * @property {boolean} ticks - subscribeTicks() delivers individual trades
+ */
+
 export default OakViewDataProvider;
@@ -0,0 +1,511 @@
+/**
+ * Caching Data Provider for OakView
+ *
+ * Decorator that wraps any OakViewDataProvider and persists fetched bars in
+ * IndexedDB. Cached time ranges are served locally and only the missing
+ * ranges are requested from the wrapped provider.
+ *
+ * Features:
+ * - Range-aware cache keyed by symbol, interval and time range
+ * - TTL expiry and a total bar limit (oldest entries evicted first)
+ * - Latest data (requests without a range) refreshed after a short TTL
+ * - Per-symbol invalidation
+ * - Falls back to an in-memory store when IndexedDB is unavailable
+ *
+ * @example
+ * import { CachingDataProvider } from 'oakview';
+ *
+ * const provider = new CachingDataProvider(new MyApiProvider(), {
+ *   ttl: 60 * 60 * 1000, // 1 hour
+ *   maxBars: 200000
+ * });
+ * chart.setDataProvider(provider);
+ *
+ * // Drop everything cached for a symbol after a data correction
+ * await provider.invalidate('AAPL');
+ */
+
+import OakViewDataProvider from './base.js';
+import BarColumns from '../utils/BarColumns.js';
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_LATEST_TTL = 60 * 1000; // 1 minute - the newest bar is still forming
+const DEFAULT_MAX_BARS = 500000;
+const STORE_NAME = 'segments';
+const META_STORE_NAME = 'meta'; // { id, symbol, interval, storedAt, count } per segment, without bars
+
+/**
+ * Convert a bar time (Unix seconds or BusinessDay) to Unix seconds
+ * @private
+ */
+function timeToSeconds(time) {
+  if (typeof time === 'number') return time;
+  if (time && typeof time === 'object') {
+    return Date.UTC(time.year, time.month - 1, time.day) / 1000;
+  }
+  return NaN;
+}
+
+/**
+ * Promisify an IndexedDB request
+ * @private
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Metadata of a segment, enough to evict and invalidate it without its bars
+ * @private
+ */
+function segmentMeta(segment) {
+  const { id, symbol, interval, storedAt } = segment;
+  return { id, symbol, interval, storedAt, count: segment.bars.length };
+}
+
+/**
+ * Segment store backed by IndexedDB
+ * @private
+ */
+class IndexedDBSegmentStore {
+  constructor(dbName) {
+    this.dbName = dbName;
+    this._db = null;
+  }
+
+  async _open() {
+    if (this._db) return this._db;
+
+    const request = indexedDB.open(this.dbName, 2);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Version 1 had no metadata store - start the cache over
+      if (db.objectStoreNames.contains(STORE_NAME)) {
+        db.deleteObjectStore(STORE_NAME);
+      }
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('series', 'series');
+      store.createIndex('symbol', 'symbol');
+      db.createObjectStore(META_STORE_NAME, { keyPath: 'id' });
+    };
+    this._db = await promisifyRequest(request);
+    return this._db;
+  }
+
+  async _transaction(mode, work) {
+    const db = await this._open();
+    const tx = db.transaction([STORE_NAME, META_STORE_NAME], mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await work(tx.objectStore(STORE_NAME), tx.objectStore(META_STORE_NAME));
+    await done;
+    return result;
+  }
+
+  getSeries(series) {
+    return this._transaction('readonly', store => promisifyRequest(store.index('series').getAll(series)));
+  }
+
+  getMeta() {
+    return this._transaction('readonly', (store, meta) => promisifyRequest(meta.getAll()));
+  }
+
+  put(segment) {
+    return this._transaction('readwrite', (store, meta) => {
+      meta.put(segmentMeta(segment));
+      return promisifyRequest(store.put(segment));
+    });
+  }
+
+  delete(ids) {
+    return this._transaction('readwrite', (store, meta) => {
+      ids.forEach(id => {
+        store.delete(id);
+        meta.delete(id);
+      });
+    });
+  }
+
+  clear() {
+    return this._transaction('readwrite', (store, meta) => {
+      meta.clear();
+      return promisifyRequest(store.clear());
+    });
+  }
+
+  close() {
+    if (this._db) {
+      this._db.close();
+      this._db = null;
+    }
+  }
+}
+
+/**
+ * Segment store kept in memory (used when IndexedDB is unavailable)
+ * @private
+ */
+class MemorySegmentStore {
+  constructor() {
+    this._segments = new Map();
+  }
+
+  async getSeries(series) {
+    return Array.from(this._segments.values()).filter(s => s.series === series);
+  }
+
+  async getMeta() {
+    return Array.from(this._segments.values(), segmentMeta);
+  }
+
+  async put(segment) {
+    this._segments.set(segment.id, segment);
+  }
+
+  async delete(ids) {
+    ids.forEach(id => this._segments.delete(id));
+  }
+
+  async clear() {
+    this._segments.clear();
+  }
+
+  close() {}
+}
+
+class CachingDataProvider extends OakViewDataProvider {
+  /**
+   * @param {OakViewDataProvider} provider - Provider to wrap
+   * @param {Object} [options]
+   * @param {string} [options.dbName='oakview-cache'] - IndexedDB database name
+   * @param {number} [options.ttl=86400000] - Time-to-live of cached bars in milliseconds
+   * @param {number} [options.latestTtl=60000] - Time-to-live of the latest data (requests without
+   *   from/to) in milliseconds
+   * @param {number} [options.maxBars=500000] - Maximum number of bars kept across all symbols
+   * @param {boolean} [options.persistent=true] - Use IndexedDB (false = in-memory only)
+   */
+  constructor(provider, options = {}) {
+    super();
+    if (!provider) {
+      throw new Error('CachingDataProvider requires a provider to wrap');
+    }
+
+    this.provider = provider;
+    this.ttl = options.ttl ?? DEFAULT_TTL;
+    this.latestTtl = options.latestTtl ?? DEFAULT_LATEST_TTL;
+    this.maxBars = options.maxBars ?? DEFAULT_MAX_BARS;
+
+    const persistent = options.persistent !== false && typeof indexedDB !== 'undefined';
+    this._store = persistent
+      ? new IndexedDBSegmentStore(options.dbName || 'oakview-cache')
+      : new MemorySegmentStore();
+
+    // Segment metadata for eviction: id -> { id, symbol, interval, storedAt, count }
+    this._index = null;
+    this._sequence = 0;
+  }
+
+  async initialize(config) {
+    return this.provider.initialize(config);
+  }
+
+  /**
+   * Fetch bars, serving cached ranges and requesting only the missing ones
+   *
+   * Requests without from/to ask for the provider's latest data; the last
+   * such response is cached as a whole and reused for latestTtl.
+   */
+  async fetchHistorical(symbol, interval, from = null, to = null, options = {}) {
+    const series = `${symbol}|${interval}`;
+    const segments = await this._getFreshSegments(series);
+
+    if (from === null && to === null) {
+      const now = Date.now();
+      const latest = segments
+        .filter(s => s.latest && now - s.storedAt <= this.latestTtl)
+        .sort((a, b) => b.storedAt - a.storedAt)[0];
+      if (latest) {
+        return latest.bars;
+      }
+
+      // Segments are merged bar by bar - cache columns as bars
+      const bars = BarColumns.asBars(await this.provider.fetchHistorical(symbol, interval, null, null, options));
+      // The new response replaces older latest data
+      await this._removeSegments(segments.filter(s => s.latest).map(s => s.id));
+      await this._storeSegment(symbol, interval, bars, null, null, true);
+      return bars;
+    }
+
+    const rangeFrom = from ?? -Infinity;
+    const rangeTo = to ?? Infinity;
+    const missing = this._findMissingRanges(segments, rangeFrom, rangeTo);
+
+    for (const gap of missing) {
+      const bars = BarColumns.asBars(await this.provider.fetchHistorical(
+        symbol,
+        interval,
+        Number.isFinite(gap.from) ? gap.from : null,
+        Number.isFinite(gap.to) ? gap.to : null,
+        options
+      ));
+      segments.push(await this._storeSegment(symbol, interval, bars, gap.from, gap.to, false));
+    }
+
+    if (missing.length > 0) {
+      console.log(`📦 Cache: fetched ${missing.length} missing range(s) for ${symbol} @ ${interval}`);
+    }
+
+    return this._collectBars(segments, rangeFrom, rangeTo);
+  }
+
+  /**
+   * Remove cached bars for a symbol
+   *
+   * @param {string} symbol - Symbol to invalidate
+   * @param {string} [interval] - Only invalidate this interval (default: all intervals)
+   * @returns {Promise<void>}
+   */
+  async invalidate(symbol, interval = null) {
+    const all = await this._store.getMeta();
+    const ids = all
+      .filter(s => s.symbol === symbol && (interval === null || s.interval === interval))
+      .map(s => s.id);
+
+    await this._removeSegments(ids);
+  }
+
+  /**
+   * Remove every cached bar
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._store.clear();
+    this._index = new Map();
+  }
+
+  /**
+   * Load non-expired segments of a series, dropping expired ones
+   * @private
+   */
+  async _getFreshSegments(series) {
+    const now = Date.now();
+    const segments = await this._store.getSeries(series);
+    const expired = segments.filter(s => now - s.storedAt > this.ttl);
+
+    if (expired.length > 0) {
+      await this._removeSegments(expired.map(s => s.id));
+    }
+
+    return segments.filter(s => now - s.storedAt <= this.ttl);
+  }
+
+  /**
+   * Persist a fetched range and enforce the size limit
+   * @private
+   */
+  async _storeSegment(symbol, interval, bars, from, to, latest) {
+    const times = bars.map(bar => timeToSeconds(bar.time));
+    const first = times.length > 0 ? times[0] : null;
+    const last = times.length > 0 ? times[times.length - 1] : null;
+
+    // Coverage is the requested range, so empty ranges (weekends, halts) are cached too.
+    // An open end only covers the bars served - the provider's default window, not all history.
+    let coverFrom = Number.isFinite(from) ? from : first;
+    let coverTo = Number.isFinite(to) ? to : last;
+    // Nothing served for an open end: cover nothing
+    coverFrom ??= coverTo ?? 0;
+    coverTo ??= coverFrom;
+    if (!latest) {
+      // A response cut at the provider's page size only covers the bars it holds
+      const { maxBarsPerRequest } = OakViewDataProvider.resolveCapabilities(this.provider);
+      if (maxBarsPerRequest && bars.length >= maxBarsPerRequest) {
+        coverFrom = Math.max(coverFrom, first);
+        coverTo = Math.min(coverTo, last);
+      }
+      // Bars after now do not exist yet
+      coverTo = Math.min(coverTo, Date.now() / 1000);
+    }
+
+    const segment = {
+      id: `${symbol}|${interval}|${Date.now()}|${this._sequence++}`,
+      series: `${symbol}|${interval}`,
+      symbol,
+      interval,
+      from: coverFrom,
+      to: coverTo,
+      latest,
+      storedAt: Date.now(),
+      bars
+    };
+
+    try {
+      await this._store.put(segment);
+      const index = await this._getIndex();
+      index.set(segment.id, segmentMeta(segment));
+      await this._evict();
+    } catch (error) {
+      // A failing cache must never break data loading
+      console.warn('⚠️ Cache write failed:', error);
+    }
+
+    return segment;
+  }
+
+  /**
+   * Compute the parts of [from, to] not covered by any segment
+   * @private
+   */
+  _findMissingRanges(segments, from, to) {
+    const covered = segments
+      .filter(s => s.to >= from && s.from <= to)
+      .map(s => ({ from: s.from, to: s.to }))
+      .sort((a, b) => a.from - b.from);
+
+    const missing = [];
+    let cursor = from;
+
+    for (const range of covered) {
+      if (range.from > cursor) {
+        missing.push({ from: cursor, to: range.from });
+      }
+      cursor = Math.max(cursor, range.to);
+      if (cursor >= to) break;
+    }
+
+    if (cursor < to) {
+      missing.push({ from: cursor, to });
+    }
+
+    return missing;
+  }
+
+  /**
+   * Merge bars of all segments within [from, to], newest segment wins
+   * @private
+   */
+  _collectBars(segments, from, to) {
+    const byTime = new Map();
+    const ordered = [...segments].sort((a, b) => a.storedAt - b.storedAt);
+
+    for (const segment of ordered) {
+      for (const bar of segment.bars) {
+        const time = timeToSeconds(bar.time);
+        if (time >= from && time <= to) {
+          byTime.set(time, bar);
+        }
+      }
+    }
+
+    return Array.from(byTime.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([, bar]) => bar);
+  }
+
+  /**
+   * Lazily build the eviction index from the segment metadata (bars are not loaded)
+   * @private
+   */
+  async _getIndex() {
+    if (!this._index) {
+      const all = await this._store.getMeta();
+      this._index = new Map(all.map(meta => [meta.id, meta]));
+    }
+    return this._index;
+  }
+
+  /**
+   * Evict oldest segments until the total bar count fits maxBars
+   * @private
+   */
+  async _evict() {
+    const index = await this._getIndex();
+    let total = 0;
+    index.forEach(entry => { total += entry.count; });
+    if (total <= this.maxBars) return;
+
+    const evicted = [];
+    const oldestFirst = Array.from(index.values()).sort((a, b) => a.storedAt - b.storedAt);
+    for (const entry of oldestFirst) {
+      if (total <= this.maxBars) break;
+      total -= entry.count;
+      evicted.push(entry.id);
+    }
+
+    await this._removeSegments(evicted);
+  }
+
+  /**
+   * @private
+   */
+  async _removeSegments(ids) {
+    if (ids.length === 0) return;
+    await this._store.delete(ids);
+    if (this._index) {
+      ids.forEach(id => this._index.delete(id));
+    }
+  }
+
+  // Everything else is delegated to the wrapped provider
+
+  subscribe(symbol, interval, callback) {
+    return this.provider.subscribe(symbol, interval, callback);
+  }
+
+  subscribeTicks(symbol, callback) {
+    return this.provider.subscribeTicks?.(symbol, callback) ?? (() => {});
+  }
+
+  unsubscribe(subscriptionId) {
+    return this.provider.unsubscribe?.(subscriptionId);
+  }
+
+  async searchSymbols(query) {
+    return this.provider.searchSymbols(query);
+  }
+
+  getAvailableIntervals(symbol) {
+    return this.provider.getAvailableIntervals?.(symbol) ?? null;
+  }
+
+  getBaseInterval(symbol) {
+    return this.provider.getBaseInterval?.(symbol) ?? null;
+  }
+
+  hasData(symbol, interval) {
+    return this.provider.hasData?.(symbol, interval) ?? true;
+  }
+
+  getSymbolInfo(symbol) {
+    return this.provider.getSymbolInfo?.(symbol) ?? null;
+  }
+
+  getCorporateActions(symbol, from, to) {
+    return this.provider.getCorporateActions?.(symbol, from, to) ?? [];
+  }
+
+  getCapabilities() {
+    // The wrapper adds no features - report those of the wrapped provider
+    return OakViewDataProvider.resolveCapabilities(this.provider);
+  }
+
+  onStatusChange(listener) {
+    return this.provider.onStatusChange?.(listener) ?? (() => {});
+  }
+
+  getStatus(symbol) {
+    return this.provider.getStatus?.(symbol) ?? null;
+  }
+
+  disconnect() {
+    this._store.close();
+    this.provider.disconnect?.();
+  }
+}
+
+export default CachingDataProvider;
@@ -0,0 +1,318 @@
+/**
+ * Composite Data Provider for OakView
+ *
+ * Routes requests to one of several child providers by symbol, so a single
+ * <oak-view> can show symbols served by different backends (e.g. equities
+ * from a REST API and crypto from a WebSocket feed).
+ *
+ * Features:
+ * - Routing by symbol prefix, regular expression or predicate function
+ * - Optional prefix stripping (child sees 'BTCUSDT' for 'CRYPTO:BTCUSDT')
+ * - Symbol search fanned out to every child and merged
+ * - A failing child is reported and skipped, the others keep working
+ *
+ * @example
+ * import { CompositeDataProvider } from 'oakview';
+ *
+ * const provider = new CompositeDataProvider({
+ *   routes: [
+ *     { name: 'crypto', prefix: 'CRYPTO:', provider: cryptoProvider, stripPrefix: true },
+ *     { name: 'fx', pattern: /^[A-Z]{6}$/, provider: fxProvider }
+ *   ],
+ *   fallback: equitiesProvider,
+ *   onError: (error, { route, method }) => console.warn(route, method, error)
+ * });
+ *
+ * await provider.initialize();
+ * chart.setDataProvider(provider);
+ */
+
+import OakViewDataProvider from './base.js';
+
+class CompositeDataProvider extends OakViewDataProvider {
+  /**
+   * @param {Object} config
+   * @param {Array<CompositeRoute>} config.routes - Routing rules, first match wins
+   * @param {OakViewDataProvider} [config.fallback] - Provider for symbols no route matches
+   * @param {Function} [config.onError] - Called with (error, { route, method }) when a child fails
+   */
+  constructor(config = {}) {
+    super();
+    const { routes = [], fallback = null, onError = null } = config;
+
+    this.routes = routes.map((route, index) => {
+      if (!route.provider) {
+        throw new Error(`CompositeDataProvider route ${index} has no provider`);
+      }
+      if (!route.prefix && !route.pattern && typeof route.match !== 'function') {
+        throw new Error(`CompositeDataProvider route ${index} needs a prefix, pattern or match function`);
+      }
+      return { name: route.name || route.prefix || `route-${index}`, ...route };
+    });
+
+    this.fallback = fallback ? { name: 'fallback', provider: fallback } : null;
+    this.onError = onError;
+  }
+
+  /**
+   * Initialize every child provider
+   *
+   * Children are initialized in parallel. A child that fails is reported and
+   * left out; this only rejects when no child could be initialized.
+   */
+  async initialize(config) {
+    const entries = this._uniqueEntries();
+    const results = await Promise.allSettled(entries.map(entry => entry.provider.initialize(config)));
+
+    let failed = 0;
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        failed++;
+        this._reportError(result.reason, entries[i], 'initialize');
+      }
+    });
+
+    if (entries.length > 0 && failed === entries.length) {
+      throw new Error('CompositeDataProvider: every child provider failed to initialize');
+    }
+  }
+
+  async fetchHistorical(symbol, interval, from = null, to = null, options = {}) {
+    const { entry, childSymbol } = this._route(symbol, 'fetchHistorical');
+    return entry.provider.fetchHistorical(childSymbol, interval, from, to, options);
+  }
+
+  subscribe(symbol, interval, callback) {
+    const { entry, childSymbol } = this._route(symbol, 'subscribe');
+    if (!OakViewDataProvider.resolveCapabilities(entry.provider).realtime) {
+      return () => {};
+    }
+    return entry.provider.subscribe(childSymbol, interval, callback);
+  }
+
+  subscribeTicks(symbol, callback) {
+    const { entry, childSymbol } = this._route(symbol, 'subscribeTicks');
+    if (!OakViewDataProvider.resolveCapabilities(entry.provider).ticks) {
+      return () => {};
+    }
+    return entry.provider.subscribeTicks(childSymbol, callback);
+  }
+
+  /**
+   * Search all children and merge the results
+   *
+   * Children without search support are skipped. A child that throws is
+   * reported through onError and contributes no results.
+   */
+  async searchSymbols(query) {
+    const entries = this._uniqueEntries()
+      .filter(entry => OakViewDataProvider.resolveCapabilities(entry.provider).search);
+
+    const results = await Promise.allSettled(entries.map(entry => entry.provider.searchSymbols(query)));
+
+    const merged = [];
+    const seen = new Set();
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        this._reportError(result.reason, entries[i], 'searchSymbols');
+        return;
+      }
+
+      for (const info of result.value || []) {
+        const symbol = this._toCompositeSymbol(info.symbol, entries[i]);
+        if (seen.has(symbol)) continue;
+        seen.add(symbol);
+        merged.push({ ...info, symbol });
+      }
+    });
+
+    return merged;
+  }
+
+  getAvailableIntervals(symbol) {
+    const { entry, childSymbol } = this._route(symbol, 'getAvailableIntervals');
+    return entry.provider.getAvailableIntervals?.(childSymbol) ?? null;
+  }
+
+  getBaseInterval(symbol) {
+    const { entry, childSymbol } = this._route(symbol, 'getBaseInterval');
+    return entry.provider.getBaseInterval?.(childSymbol) ?? null;
+  }
+
+  hasData(symbol, interval) {
+    const route = this.resolveRoute(symbol);
+    if (!route) return false;
+    return route.entry.provider.hasData?.(route.childSymbol, interval) ?? true;
+  }
+
+  /**
+   * Metadata from the child serving the symbol, under the chart's symbol name
+   */
+  async getSymbolInfo(symbol) {
+    const { entry, childSymbol } = this._route(symbol, 'getSymbolInfo');
+    const info = await entry.provider.getSymbolInfo?.(childSymbol);
+    return info ? { ...info, symbol } : null;
+  }
+
+  /**
+   * Splits and dividends from the child serving the symbol
+   */
+  async getCorporateActions(symbol, from, to) {
+    const { entry, childSymbol } = this._route(symbol, 'getCorporateActions');
+    return (await entry.provider.getCorporateActions?.(childSymbol, from, to)) ?? [];
+  }
+
+  /**
+   * Combined capabilities: a feature is available if any child offers it
+   */
+  getCapabilities() {
+    const all = this._uniqueEntries().map(entry => OakViewDataProvider.resolveCapabilities(entry.provider));
+    const limits = all.map(c => c.maxBarsPerRequest).filter(n => n);
+    const intervals = all.some(c => !c.intervals)
+      ? null
+      : Array.from(new Set(all.flatMap(c => c.intervals)));
+
+    return {
+      realtime: all.some(c => c.realtime),
+      search: all.some(c => c.search),
+      rangedHistory: all.some(c => c.rangedHistory),
+      maxBarsPerRequest: limits.length > 0 ? Math.min(...limits) : null,
+      intervals,
+      ticks: all.some(c => c.ticks),
+      corporateActions: all.some(c => c.corporateActions)
+    };
+  }
+
+  /**
+   * Forward status changes of every child
+   *
+   * Events carry the route name and appliesTo(symbol), so a pane only reacts
+   * to the child that serves its symbol.
+   */
+  onStatusChange(listener) {
+    const unsubscribers = this._uniqueEntries()
+      .filter(entry => typeof entry.provider.onStatusChange === 'function')
+      .map(entry => entry.provider.onStatusChange(event => {
+        listener({
+          ...event,
+          route: entry.name,
+          appliesTo: (symbol) => this.resolveRoute(symbol)?.entry.provider === entry.provider
+        });
+      }));
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  getStatus(symbol) {
+    const route = symbol ? this.resolveRoute(symbol) : null;
+    return route?.entry.provider.getStatus?.(route.childSymbol) ?? null;
+  }
+
+  disconnect() {
+    for (const entry of this._uniqueEntries()) {
+      try {
+        entry.provider.disconnect?.();
+      } catch (error) {
+        this._reportError(error, entry, 'disconnect');
+      }
+    }
+  }
+
+  /**
+   * Find the child provider responsible for a symbol
+   *
+   * @param {string} symbol - Symbol as shown in the chart
+   * @returns {{entry: Object, childSymbol: string}|null} Matching route and the
+   *   symbol to pass to the child, or null if nothing (not even the fallback) matches
+   */
+  resolveRoute(symbol) {
+    for (const route of this.routes) {
+      if (this._matches(route, symbol)) {
+        const childSymbol = route.prefix && route.stripPrefix
+          ? symbol.slice(route.prefix.length)
+          : symbol;
+        return { entry: route, childSymbol };
+      }
+    }
+
+    return this.fallback ? { entry: this.fallback, childSymbol: symbol } : null;
+  }
+
+  /**
+   * @private
+   */
+  _route(symbol, method) {
+    const route = this.resolveRoute(symbol);
+    if (!route) {
+      throw new Error(`CompositeDataProvider: no provider routes symbol "${symbol}" (${method})`);
+    }
+    return route;
+  }
+
+  /**
+   * @private
+   */
+  _matches(route, symbol) {
+    if (route.prefix) return symbol.startsWith(route.prefix);
+    if (route.pattern) {
+      route.pattern.lastIndex = 0; // Global/sticky patterns keep state between calls
+      return route.pattern.test(symbol);
+    }
+    return Boolean(route.match(symbol));
+  }
+
+  /**
+   * Map a child's symbol back to the symbol used by the chart
+   * @private
+   */
+  _toCompositeSymbol(symbol, entry) {
+    if (entry.prefix && entry.stripPrefix && !symbol.startsWith(entry.prefix)) {
+      return entry.prefix + symbol;
+    }
+    return symbol;
+  }
+
+  /**
+   * One entry per distinct child provider (routes may share a provider)
+   * @private
+   */
+  _uniqueEntries() {
+    const entries = [];
+    const providers = new Set();
+
+    for (const entry of [...this.routes, ...(this.fallback ? [this.fallback] : [])]) {
+      if (providers.has(entry.provider)) continue;
+      providers.add(entry.provider);
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  _reportError(error, entry, method) {
+    console.warn(`⚠️ CompositeDataProvider: ${entry.name}.${method}() failed:`, error);
+
+    if (this.onError) {
+      try {
+        this.onError(error, { route: entry.name, provider: entry.provider, method });
+      } catch (handlerError) {
+        console.error('CompositeDataProvider onError handler threw:', handlerError);
+      }
+    }
+  }
+}
+
+/**
+ * @typedef {Object} CompositeRoute
+ * @property {OakViewDataProvider} provider - Child provider serving matching symbols
+ * @property {string} [name] - Name used when reporting failures
+ * @property {string} [prefix] - Match symbols starting with this prefix
+ * @property {boolean} [stripPrefix=false] - Remove the prefix before calling the child
+ * @property {RegExp} [pattern] - Match symbols against a regular expression
+ * @property {Function} [match] - Predicate (symbol) => boolean
+ */
+
+export default CompositeDataProvider;
@@ -0,0 +1,537 @@
+/**
+ * OakView Data Provider Conformance Suite
+ *
+ * Goes beyond validateProvider(): every returned bar is checked, range
+ * requests are verified against the unranged history, and live streams are
+ * observed to make sure they stop after unsubscribe() and disconnect().
+ *
+ * The result is a machine-readable report, suitable for CI (see the
+ * oakview-validate command in bin/).
+ *
+ * @example
+ * import { runConformanceSuite, formatConformanceReport } from 'oakview/conformance';
+ *
+ * const report = await runConformanceSuite(new MyProvider(), {
+ *   testSymbol: 'AAPL',
+ *   testInterval: '5',
+ *   testRealtime: true
+ * });
+ *
+ * console.log(formatConformanceReport(report));
+ * if (!report.passed) process.exit(1);
+ */
+
+import OakViewDataProvider from './base.js';
+import BarResampler from '../utils/BarResampler.js';
+import BarColumns from '../utils/BarColumns.js';
+import TickAggregator from '../utils/TickAggregator.js';
+import { validateProvider } from './validator.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Run the conformance suite against a provider
+ *
+ * The provider is initialized once, then checked in this order: interface,
+ * history, ranges, cancellation, live bars, trades, disconnect.
+ *
+ * @param {Object} provider - Provider instance
+ * @param {Object} [options]
+ * @param {string} [options.testSymbol='TEST'] - Symbol to request
+ * @param {string} [options.testInterval='1D'] - Interval to request
+ * @param {boolean} [options.testRealtime=false] - Observe subscribe()/subscribeTicks() streams
+ * @param {number} [options.realtimeTimeout=5000] - Milliseconds to wait for a live update
+ * @param {number} [options.quietPeriod=1000] - Milliseconds without callbacks expected after unsubscribe/disconnect
+ * @param {boolean} [options.debug=false] - Log each check as it completes
+ * @returns {Promise<ConformanceReport>} Report
+ */
+export async function runConformanceSuite(provider, options = {}) {
+  const {
+    testSymbol = 'TEST',
+    testInterval = '1D',
+    testRealtime = false,
+    realtimeTimeout = 5000,
+    quietPeriod = 1000,
+    debug = false
+  } = options;
+
+  const startedAt = Date.now();
+  const checks = [];
+  const log = debug ? console.log : () => {};
+
+  const record = (id, title, status, message = null, details = null) => {
+    checks.push({ id, title, status, message, details });
+    const icon = { pass: '✓', fail: '✗', warn: '⚠', skip: '–' }[status];
+    log(`  ${icon} ${title}${message ? `: ${message}` : ''}`);
+  };
+
+  log('🔍 OakView Data Provider Conformance Suite');
+  log('==========================================\n');
+
+  // Interface - delegated to validateProvider(), which also initializes the provider
+  const validation = await validateProvider(provider, { testSymbol, testInterval });
+  for (const error of validation.errors) {
+    record(`interface.${error.method}`, `Interface: ${error.method}`, 'fail', error.message);
+  }
+  for (const warning of validation.warnings) {
+    record(`interface.${warning.method}`, `Interface: ${warning.method}`, 'warn', warning.message);
+  }
+  if (validation.errors.length === 0) {
+    record('interface', 'Interface', 'pass');
+  }
+
+  if (!provider || typeof provider.fetchHistorical !== 'function') {
+    return buildReport(provider, options, checks, startedAt);
+  }
+
+  const capabilities = OakViewDataProvider.resolveCapabilities(provider);
+  const intervalMs = parseInterval(testInterval);
+
+  // History
+  let bars = null;
+  try {
+    // BarColumns are checked as the bars they hold
+    bars = BarColumns.asBars(await provider.fetchHistorical(testSymbol, testInterval));
+  } catch (error) {
+    record('history.fetch', 'History can be fetched', 'fail', error.message);
+  }
+
+  if (Array.isArray(bars)) {
+    if (bars.length === 0) {
+      record('history.fetch', 'History can be fetched', 'warn', `No bars for ${testSymbol} @ ${testInterval} - most checks are skipped`);
+    } else {
+      record('history.fetch', 'History can be fetched', 'pass', `${bars.length} bars`);
+      checkBars(bars, intervalMs, record);
+    }
+  } else if (bars !== null) {
+    record('history.fetch', 'History can be fetched', 'fail', `Expected an array or BarColumns, got ${typeof bars}`);
+  }
+
+  // Ranges
+  const numericBars = Array.isArray(bars) ? bars.filter(bar => typeof bar.time === 'number') : [];
+  if (!capabilities.rangedHistory) {
+    record('range', 'from/to ranges', 'skip', 'Provider declares rangedHistory: false');
+  } else if (numericBars.length < 3) {
+    record('range', 'from/to ranges', 'skip', 'Needs at least 3 bars with numeric times');
+  } else {
+    await checkRanges(provider, testSymbol, testInterval, numericBars, intervalMs, record);
+  }
+
+  // Cancellation
+  await checkAbort(provider, testSymbol, testInterval, record);
+
+  // Live streams
+  const streamOptions = { timeout: realtimeTimeout, quietPeriod };
+  if (!testRealtime) {
+    record('realtime', 'Live bars', 'skip', 'Enable testRealtime to observe subscribe()');
+    record('ticks', 'Live trades', 'skip', 'Enable testRealtime to observe subscribeTicks()');
+  } else {
+    if (capabilities.realtime) {
+      await checkStream('realtime', 'Live bars', (callback) => provider.subscribe(testSymbol, testInterval, callback),
+        isValidBar, streamOptions, record);
+    } else {
+      record('realtime', 'Live bars', 'skip', 'subscribe() not supported');
+    }
+
+    if (capabilities.ticks) {
+      await checkStream('ticks', 'Live trades', (callback) => provider.subscribeTicks(testSymbol, callback),
+        isValidTick, streamOptions, record);
+    } else {
+      record('ticks', 'Live trades', 'skip', 'subscribeTicks() not supported');
+    }
+  }
+
+  // Disconnect - last, the provider is unusable afterwards
+  await checkDisconnect(provider, testSymbol, testInterval, capabilities, testRealtime, quietPeriod, record);
+
+  const report = buildReport(provider, options, checks, startedAt);
+  log(`\n${report.passed ? '✅ Conformance PASSED' : '❌ Conformance FAILED'} ` +
+    `(${report.summary.passed} passed, ${report.summary.failed} failed, ` +
+    `${report.summary.warnings} warnings, ${report.summary.skipped} skipped)\n`);
+  return report;
+}
+
+/**
+ * Render a report as plain text
+ *
+ * @param {ConformanceReport} report - Report from runConformanceSuite()
+ * @returns {string} One line per check plus a summary
+ */
+export function formatConformanceReport(report) {
+  const icons = { pass: 'PASS', fail: 'FAIL', warn: 'WARN', skip: 'SKIP' };
+  const lines = [
+    `OakView provider conformance: ${report.provider} (${report.symbol} @ ${report.interval})`,
+    ''
+  ];
+
+  for (const check of report.checks) {
+    lines.push(`  [${icons[check.status]}] ${check.title}${check.message ? ` - ${check.message}` : ''}`);
+  }
+
+  const { summary } = report;
+  lines.push('');
+  lines.push(`${report.passed ? 'PASSED' : 'FAILED'}: ${summary.passed} passed, ${summary.failed} failed, ` +
+    `${summary.warnings} warnings, ${summary.skipped} skipped (${report.durationMs}ms)`);
+  return lines.join('\n');
+}
+
+/**
+ * Whole-response checks on the unranged history
+ * @private
+ */
+function checkBars(bars, intervalMs, record) {
+  const invalid = [];
+  const inconsistent = [];
+  const milliseconds = [];
+
+  bars.forEach((bar, index) => {
+    if (!isValidBar(bar)) {
+      invalid.push(index);
+      return;
+    }
+    if (typeof bar.time === 'number' && Math.floor(bar.time) > 10000000000) {
+      milliseconds.push(index);
+    }
+    if (bar.high < Math.max(bar.open, bar.close) || bar.low > Math.min(bar.open, bar.close) ||
+        (bar.volume !== undefined && bar.volume < 0)) {
+      inconsistent.push(index);
+    }
+  });
+
+  record('history.fields', 'Bars have a time and numeric OHLC', invalid.length ? 'fail' : 'pass',
+    invalid.length ? `${invalid.length} invalid bars, first at index ${invalid[0]}` : null,
+    invalid.length ? { indexes: invalid.slice(0, 20) } : null);
+
+  record('history.seconds', 'Times are Unix seconds', milliseconds.length ? 'fail' : 'pass',
+    milliseconds.length ? `${milliseconds.length} times look like milliseconds, first at index ${milliseconds[0]}` : null);
+
+  record('history.ohlc', 'High/low contain open and close, volume is not negative', inconsistent.length ? 'fail' : 'pass',
+    inconsistent.length ? `${inconsistent.length} inconsistent bars, first at index ${inconsistent[0]}` : null,
+    inconsistent.length ? { indexes: inconsistent.slice(0, 20) } : null);
+
+  const keys = bars.map(bar => timeKey(bar.time));
+  let unordered = -1;
+  let duplicates = 0;
+  for (let i = 1; i < keys.length; i++) {
+    if (keys[i] === keys[i - 1]) duplicates++;
+    else if (keys[i] < keys[i - 1] && unordered === -1) unordered = i;
+  }
+
+  record('history.ascending', 'Bars are in ascending time order', unordered === -1 ? 'pass' : 'fail',
+    unordered === -1 ? null : `Bar ${unordered} is older than bar ${unordered - 1}`);
+
+  const uniqueCount = new Set(keys).size;
+  record('history.duplicates', 'No duplicate times', uniqueCount === keys.length ? 'pass' : 'fail',
+    uniqueCount === keys.length ? null : `${keys.length - uniqueCount} duplicate times${duplicates ? ` (${duplicates} adjacent)` : ''}`);
+
+  checkAlignment(bars, intervalMs, record);
+}
+
+/**
+ * Bars should start on interval boundaries
+ *
+ * A single constant offset (e.g. hourly bars starting at :30) is reported as
+ * a warning, as are daily and longer bars, whose boundaries depend on the
+ * exchange timezone.
+ * @private
+ */
+function checkAlignment(bars, intervalMs, record) {
+  const title = 'Times are on interval boundaries';
+  if (!intervalMs) {
+    record('history.alignment', title, 'skip', 'Interval is not time-based');
+    return;
+  }
+
+  const numeric = bars.filter(bar => typeof bar.time === 'number');
+  if (numeric.length === 0) {
+    record('history.alignment', title, 'skip', 'No numeric times');
+    return;
+  }
+
+  const offsets = new Set(numeric.map(bar => ((Math.round(bar.time * 1000) % intervalMs) + intervalMs) % intervalMs));
+  if (offsets.size === 1 && offsets.has(0)) {
+    record('history.alignment', title, 'pass');
+  } else if (intervalMs >= DAY_MS) {
+    record('history.alignment', title, 'warn', 'Bars do not start at 00:00 UTC (fine if they follow the exchange timezone)');
+  } else if (offsets.size === 1) {
+    const [offset] = offsets;
+    record('history.alignment', title, 'warn', `All bars are offset by ${offset / 1000}s from the interval boundary`);
+  } else {
+    record('history.alignment', title, 'fail', `Bars start at ${offsets.size} different offsets within the interval`);
+  }
+}
+
+/**
+ * from/to semantics: inclusive, complete, and honored for older windows
+ * @private
+ */
+async function checkRanges(provider, symbol, interval, bars, intervalMs, record) {
+  const from = bars[Math.floor(bars.length / 4)].time;
+  const to = bars[Math.floor(bars.length * 3 / 4)].time;
+
+  let ranged;
+  try {
+    ranged = BarColumns.asBars(await provider.fetchHistorical(symbol, interval, from, to));
+  } catch (error) {
+    record('range.fetch', 'Ranged history can be fetched', 'fail', error.message);
+    return;
+  }
+  if (!Array.isArray(ranged)) {
+    record('range.fetch', 'Ranged history can be fetched', 'fail', `Expected an array or BarColumns, got ${typeof ranged}`);
+    return;
+  }
+
+  const outside = ranged.filter(bar => typeof bar.time === 'number' && (bar.time < from || bar.time > to));
+  record('range.bounds', 'Ranged bars lie within from..to', outside.length ? 'fail' : 'pass',
+    outside.length ? `${outside.length} of ${ranged.length} bars outside [${from}, ${to}] - declare rangedHistory: false if from/to are ignored` : null);
+
+  const returned = new Set(ranged.map(bar => bar.time));
+  const missing = bars.filter(bar => bar.time >= from && bar.time <= to && !returned.has(bar.time));
+  record('range.inclusive', 'Range is inclusive and complete', missing.length ? 'warn' : 'pass',
+    missing.length ? `${missing.length} bars of the unranged history between from and to are missing` +
+      (returned.has(from) && returned.has(to) ? '' : ' (from and to are inclusive)') : null);
+
+  // A window entirely before the loaded history - scroll-back relies on this
+  const span = (intervalMs || DAY_MS) / 1000 * 50;
+  const olderTo = bars[0].time - 1;
+  try {
+    const older = BarColumns.asBars(await provider.fetchHistorical(symbol, interval, olderTo - span, olderTo));
+    const tooNew = Array.isArray(older) ? older.filter(bar => typeof bar.time === 'number' && bar.time > olderTo) : [];
+    record('range.older', 'Older windows return only older bars', tooNew.length ? 'fail' : 'pass',
+      tooNew.length ? `${tooNew.length} bars newer than the requested window` : null);
+  } catch (error) {
+    record('range.older', 'Older windows return only older bars', 'fail', error.message);
+  }
+}
+
+/**
+ * @private
+ */
+async function checkAbort(provider, symbol, interval, record) {
+  const title = 'Aborted requests reject with AbortError';
+  const controller = new AbortController();
+  controller.abort();
+
+  try {
+    await provider.fetchHistorical(symbol, interval, null, null, { signal: controller.signal });
+    record('history.abort', title, 'warn', 'options.signal is ignored - superseded loads keep downloading');
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      record('history.abort', title, 'pass');
+    } else {
+      record('history.abort', title, 'warn', `Rejected with ${error?.name || 'an error'} instead of AbortError`);
+    }
+  }
+}
+
+/**
+ * Observe a stream: updates arrive, are valid, and stop after unsubscribe
+ * @private
+ */
+async function checkStream(id, title, start, validate, { timeout, quietPeriod }, record) {
+  let received = 0;
+  let invalid = 0;
+  let afterUnsubscribe = 0;
+  let unsubscribed = false;
+
+  let unsubscribe;
+  try {
+    unsubscribe = start((update) => {
+      if (unsubscribed) {
+        afterUnsubscribe++;
+        return;
+      }
+      received++;
+      if (!validate(update)) invalid++;
+    });
+  } catch (error) {
+    record(`${id}.subscribe`, `${title}: subscribe`, 'fail', error.message);
+    return;
+  }
+
+  if (typeof unsubscribe !== 'function') {
+    record(`${id}.subscribe`, `${title}: subscribe`, 'fail', 'Must return an unsubscribe function');
+    return;
+  }
+  record(`${id}.subscribe`, `${title}: subscribe`, 'pass');
+
+  await waitFor(() => received > 0, timeout);
+
+  if (received === 0) {
+    record(`${id}.updates`, `${title}: updates arrive`, 'warn', `No update within ${timeout}ms (market closed?)`);
+  } else {
+    record(`${id}.updates`, `${title}: updates are valid`, invalid ? 'fail' : 'pass',
+      invalid ? `${invalid} of ${received} updates are malformed` : `${received} updates`);
+  }
+
+  try {
+    unsubscribed = true;
+    unsubscribe();
+  } catch (error) {
+    record(`${id}.unsubscribe`, `${title}: unsubscribe`, 'fail', error.message);
+    return;
+  }
+
+  await delay(quietPeriod);
+  if (received === 0) {
+    record(`${id}.unsubscribe`, `${title}: callbacks stop after unsubscribe`, afterUnsubscribe ? 'fail' : 'skip',
+      afterUnsubscribe ? `${afterUnsubscribe} callbacks after unsubscribe` : 'Inconclusive without updates');
+  } else {
+    record(`${id}.unsubscribe`, `${title}: callbacks stop after unsubscribe`, afterUnsubscribe ? 'fail' : 'pass',
+      afterUnsubscribe ? `${afterUnsubscribe} callbacks after unsubscribe` : null);
+  }
+}
+
+/**
+ * disconnect() must not throw and must silence open subscriptions
+ * @private
+ */
+async function checkDisconnect(provider, symbol, interval, capabilities, testRealtime, quietPeriod, record) {
+  const title = 'disconnect() is clean';
+  if (typeof provider.disconnect !== 'function') {
+    record('disconnect', title, 'skip', 'disconnect() not implemented');
+    return;
+  }
+
+  // Leave a subscription open on purpose - disconnect() has to end it
+  let disconnected = false;
+  let afterDisconnect = 0;
+  if (testRealtime && capabilities.realtime) {
+    try {
+      provider.subscribe(symbol, interval, () => {
+        if (disconnected) afterDisconnect++;
+      });
+    } catch (error) {
+      // Reported by the live bars checks
+    }
+  }
+
+  try {
+    await provider.disconnect();
+    disconnected = true;
+  } catch (error) {
+    record('disconnect', title, 'fail', `disconnect() threw: ${error.message}`);
+    return;
+  }
+
+  if (testRealtime && capabilities.realtime) {
+    await delay(quietPeriod);
+    record('disconnect', title, afterDisconnect ? 'fail' : 'pass',
+      afterDisconnect ? `${afterDisconnect} subscription callbacks after disconnect()` : null);
+  } else {
+    record('disconnect', title, 'pass');
+  }
+}
+
+/**
+ * @private
+ */
+function buildReport(provider, options, checks, startedAt) {
+  const count = (status) => checks.filter(check => check.status === status).length;
+  const summary = {
+    total: checks.length,
+    passed: count('pass'),
+    failed: count('fail'),
+    warnings: count('warn'),
+    skipped: count('skip')
+  };
+
+  return {
+    provider: provider?.constructor?.name || typeof provider,
+    symbol: options.testSymbol || 'TEST',
+    interval: options.testInterval || '1D',
+    passed: summary.failed === 0,
+    summary,
+    checks,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt
+  };
+}
+
+/**
+ * @private
+ */
+function isValidBar(bar) {
+  if (!bar || typeof bar !== 'object') return false;
+
+  const validTime = (typeof bar.time === 'number' && Number.isFinite(bar.time)) ||
+    (bar.time && typeof bar.time === 'object' && bar.time.year && bar.time.month && bar.time.day);
+
+  return Boolean(validTime) &&
+    ['open', 'high', 'low', 'close'].every(field => typeof bar[field] === 'number' && Number.isFinite(bar[field])) &&
+    (bar.volume === undefined || typeof bar.volume === 'number');
+}
+
+/**
+ * @private
+ */
+function isValidTick(tick) {
+  return Boolean(tick) && typeof tick.time === 'number' && Number.isFinite(tick.time) &&
+    typeof tick.price === 'number' && Number.isFinite(tick.price);
+}
+
+/**
+ * Comparable key for numeric and BusinessDay times
+ * @private
+ */
+function timeKey(time) {
+  if (typeof time === 'number') return time;
+  if (time && typeof time === 'object') return Date.UTC(time.year, time.month - 1, time.day) / 1000;
+  return NaN;
+}
+
+/**
+ * Interval duration in ms, or null for tick and unknown intervals
+ * @private
+ */
+function parseInterval(interval) {
+  if (TickAggregator.isTickInterval(interval)) return null;
+  try {
+    return new BarResampler(interval, interval).parseIntervalToMs(interval);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @private
+ */
+async function waitFor(condition, timeout) {
+  const deadline = Date.now() + timeout;
+  while (!condition() && Date.now() < deadline) {
+    await delay(20);
+  }
+}
+
+/**
+ * @typedef {Object} ConformanceCheck
+ * @property {string} id - Stable identifier (e.g. 'history.ascending')
+ * @property {string} title - Human-readable description
+ * @property {'pass'|'fail'|'warn'|'skip'} status - Outcome
+ * @property {string|null} message - Explanation for anything but a plain pass
+ * @property {Object|null} details - Extra data (e.g. offending bar indexes)
+ */
+
+/**
+ * @typedef {Object} ConformanceReport
+ * @property {string} provider - Provider class name
+ * @property {string} symbol - Tested symbol
+ * @property {string} interval - Tested interval
+ * @property {boolean} passed - True when no check failed
+ * @property {{total: number, passed: number, failed: number, warnings: number, skipped: number}} summary
+ * @property {Array<ConformanceCheck>} checks - Checks in the order they ran
+ * @property {string} startedAt - ISO timestamp
+ * @property {number} durationMs - Run time
+ */
+
+export default {
+  runConformanceSuite,
+  formatConformanceReport
+};
@@ -0,0 +1,147 @@
+/**
+ * Data Provider Errors for OakView
+ *
+ * Typed errors a provider can throw from fetchHistorical() so the chart knows
+ * how to recover: a pane that failed to load shows the message and offers a
+ * Retry that fits the cause.
+ *
+ * - SymbolNotFoundError ('not-found'): retrying cannot help, no Retry button
+ * - RateLimitError ('rate-limited'): Retry unlocks after retryAfter
+ * - NetworkError ('network'): Retry right away
+ *
+ * Errors that are not DataProviderErrors are classified by classify():
+ * HTTP status 404/429/5xx on error.status, or fetch's network TypeError.
+ *
+ * @example
+ * import { RateLimitError, SymbolNotFoundError } from 'oakview';
+ *
+ * async fetchHistorical(symbol, interval, from, to, { signal } = {}) {
+ *   const response = await fetch(this.url(symbol, interval, from, to), { signal });
+ *   if (response.status === 404) throw new SymbolNotFoundError(symbol);
+ *   if (response.status === 429) {
+ *     throw new RateLimitError('Too many requests', { retryAfter: Number(response.headers.get('Retry-After')) * 1000 });
+ *   }
+ *   return this.parse(await response.json());
+ * }
+ */
+
+class DataProviderError extends Error {
+  /**
+   * Error types understood by OakView
+   * @type {Readonly<Object<string, string>>}
+   */
+  static TYPES = Object.freeze({
+    NOT_FOUND: 'not-found',
+    RATE_LIMITED: 'rate-limited',
+    NETWORK: 'network',
+    UNKNOWN: 'unknown'
+  });
+
+  /**
+   * @param {string} message - Human readable message (shown in the pane)
+   * @param {Object} [options]
+   * @param {string} [options.type='unknown'] - One of DataProviderError.TYPES
+   * @param {number|null} [options.status=null] - HTTP status, if any
+   * @param {number|null} [options.retryAfter=null] - Milliseconds before retrying makes sense
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause !== undefined ? { cause: options.cause } : undefined);
+    this.name = 'DataProviderError';
+    this.type = options.type || DataProviderError.TYPES.UNKNOWN;
+    this.status = options.status ?? null;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  /**
+   * Whether retrying the same request may succeed
+   * @returns {boolean}
+   */
+  get retryable() {
+    return this.type !== DataProviderError.TYPES.NOT_FOUND;
+  }
+
+  /**
+   * Get the DataProviderError for any error a provider threw
+   *
+   * DataProviderErrors are returned as they are; other errors are wrapped,
+   * typed from their HTTP status (error.status or error.response.status) or
+   * as a network error when fetch() itself failed.
+   *
+   * @param {*} error - Thrown value
+   * @returns {DataProviderError}
+   */
+  static classify(error) {
+    if (error instanceof DataProviderError) return error;
+
+    const message = error?.message || String(error);
+    const status = error?.status ?? error?.response?.status ?? null;
+    const options = { status, cause: error };
+
+    if (status === 404) return new SymbolNotFoundError(null, { ...options, message });
+    if (status === 429) return new RateLimitError(message, options);
+    if ((status !== null && status >= 500) || (error instanceof TypeError && /fetch|network|load failed/i.test(message))) {
+      return new NetworkError(message, options);
+    }
+    return new DataProviderError(message, options);
+  }
+
+  /**
+   * Parse an HTTP Retry-After header (seconds or a date)
+   * @param {string|null} value - Header value
+   * @returns {number|null} Milliseconds, null if absent or invalid
+   */
+  static parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+/**
+ * The symbol (or symbol/interval) does not exist
+ */
+class SymbolNotFoundError extends DataProviderError {
+  /**
+   * @param {string|null} symbol - Symbol that was not found
+   * @param {Object} [options] - As DataProviderError; options.message overrides the default message
+   */
+  constructor(symbol, options = {}) {
+    super(options.message || `Symbol not found: ${symbol}`, { ...options, type: DataProviderError.TYPES.NOT_FOUND });
+    this.name = 'SymbolNotFoundError';
+    this.symbol = symbol;
+  }
+}
+
+/**
+ * The backend rejected the request because of too many requests
+ */
+class RateLimitError extends DataProviderError {
+  /**
+   * @param {string} [message='Rate limit exceeded']
+   * @param {Object} [options] - As DataProviderError (retryAfter in milliseconds)
+   */
+  constructor(message = 'Rate limit exceeded', options = {}) {
+    super(message, { ...options, type: DataProviderError.TYPES.RATE_LIMITED });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * The backend could not be reached or failed temporarily
+ */
+class NetworkError extends DataProviderError {
+  /**
+   * @param {string} [message='Network error']
+   * @param {Object} [options] - As DataProviderError
+   */
+  constructor(message = 'Network error', options = {}) {
+    super(message, { ...options, type: DataProviderError.TYPES.NETWORK });
+    this.name = 'NetworkError';
+  }
+}
+
+export { SymbolNotFoundError, RateLimitError, NetworkError };
+export default DataProviderError;
@@ -1,10 +1,27 @@
 /**
  * OakView Data Providers
  *
- * Export only the base data provider interface.
- * Concrete implementations (like CSV) should be in examples or user code.
+ * Exports the base data provider interface and generic provider decorators.
+ * Backend-specific implementations (like CSV) should be in examples or user code.
  */
 
 export { default as OakViewDataProvider } from './base.js';
+export { default as CachingDataProvider } from './caching.js';
+export { default as CompositeDataProvider } from './composite.js';
+
+// Typed errors telling the chart how to recover from a failed load
+export { default as DataProviderError, SymbolNotFoundError, RateLimitError, NetworkError } from './errors.js';
+
+// Declarative provider for JSON HTTP APIs
+export { default as RestDataProvider } from './rest.js';
+
+// Live bars and trades over a WebSocket (heartbeats, reconnects, re-subscription)
+export { default as WebSocketDataProvider } from './websocket.js';
+
+// Generated market data for demos and tests
+export { default as SimulatedDataProvider } from './simulated.js';
+
+// Historical bars from Apache Arrow IPC / Feather files
+export { default as ArrowDataProvider } from './arrow.js';
 
 
@@ -0,0 +1,165 @@
+/**
+ * Provider Registry for OakView
+ *
+ * Maps names to provider factories, so a page can pick its data provider in
+ * HTML with the data-source attribute instead of wiring it in JavaScript:
+ *
+ *   <oak-view data-source="simulated:seed=42&historyBars=1000"></oak-view>
+ *
+ * A data source is "name" or "name:options". Options are either JSON
+ * ('rest:{"history":{"url":"/bars/{symbol}"}}') or key=value pairs separated
+ * by & or , ('simulated:seed=42,historyBars=1000'); true/false/null are
+ * converted and a key without a value is true. Other values stay text - symbols
+ * and keys like '0700' must survive - so providers convert their numeric options.
+ *
+ * @example
+ * import { OakView, RestDataProvider } from 'oakview';
+ *
+ * OakView.registerProvider('my-api', (options) => new RestDataProvider({
+ *   baseUrl: options.baseUrl || 'https://api.example.com',
+ *   history: { url: '/bars/{symbol}?tf={interval}', bars: '$.data' }
+ * }));
+ *
+ * // <oak-view data-source="my-api:baseUrl=https://staging.example.com"></oak-view>
+ */
+
+/**
+ * Convert an option value from text
+ * @private
+ */
+function parseValue(text) {
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  return text;
+}
+
+class ProviderRegistry {
+  constructor() {
+    this._factories = new Map(); // name -> factory
+  }
+
+  /**
+   * Split a data-source value into provider name and options
+   *
+   * @param {string} source - 'name' or 'name:options'
+   * @returns {{name: string, options: Object}} Name and parsed options
+   * @throws {SyntaxError} If the name is empty or JSON options are malformed
+   */
+  static parse(source) {
+    const text = String(source ?? '').trim();
+    const colon = text.indexOf(':');
+    const name = (colon === -1 ? text : text.slice(0, colon)).trim();
+    const optionsText = colon === -1 ? '' : text.slice(colon + 1).trim();
+
+    if (!name) {
+      throw new SyntaxError(`Data source "${source}" has no provider name`);
+    }
+    if (!optionsText) return { name, options: {} };
+
+    if (optionsText.startsWith('{')) {
+      try {
+        return { name, options: JSON.parse(optionsText) };
+      } catch (error) {
+        throw new SyntaxError(`Data source "${name}" has invalid JSON options: ${error.message}`);
+      }
+    }
+
+    const options = {};
+    for (const pair of optionsText.split(/[&,]/)) {
+      if (!pair.trim()) continue;
+      const equals = pair.indexOf('=');
+      const key = decodeURIComponent((equals === -1 ? pair : pair.slice(0, equals)).trim());
+      options[key] = equals === -1 ? true : parseValue(decodeURIComponent(pair.slice(equals + 1).trim()));
+    }
+    return { name, options };
+  }
+
+  /**
+   * Register a provider factory, replacing any factory of the same name
+   *
+   * @param {string} name - Name used in data-source (no ':')
+   * @param {Function} factory - (options, { name, source }) => provider or Promise<provider>
+   * @throws {TypeError} If the name or factory is invalid
+   */
+  register(name, factory) {
+    if (typeof name !== 'string' || !name.trim() || name.includes(':')) {
+      throw new TypeError(`Invalid provider name: ${name}`);
+    }
+    if (typeof factory !== 'function') {
+      throw new TypeError(`Provider factory for "${name}" must be a function`);
+    }
+    this._factories.set(name.trim(), factory);
+  }
+
+  /**
+   * Remove a registered factory
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether a factory was removed
+   */
+  unregister(name) {
+    return this._factories.delete(name);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether a factory is registered under the name
+   */
+  has(name) {
+    return this._factories.has(name);
+  }
+
+  /**
+   * @returns {Array<string>} Registered provider names
+   */
+  names() {
+    return Array.from(this._factories.keys());
+  }
+
+  /**
+   * Create and initialize the provider a data source names
+   *
+   * The options are passed to the factory and to the provider's initialize().
+   *
+   * @param {string} source - 'name' or 'name:options'
+   * @returns {Promise<OakViewDataProvider>} Initialized provider
+   * @throws {Error} If no factory is registered under the name, or creating or initializing fails
+   */
+  async create(source) {
+    const { name, options } = ProviderRegistry.parse(source);
+    const factory = this._factories.get(name);
+    if (!factory) {
+      const known = this.names();
+      throw new Error(`No data provider registered as "${name}"${known.length ? ` (registered: ${known.join(', ')})` : ''}`);
+    }
+
+    const provider = await factory(options, { name, source });
+    if (!provider || typeof provider.fetchHistorical !== 'function') {
+      throw new Error(`Provider factory "${name}" did not return a data provider`);
+    }
+    await provider.initialize?.(options);
+    return provider;
+  }
+}
+
+/**
+ * Registry used by <oak-view> (OakView.registerProvider)
+ * @type {ProviderRegistry}
+ */
+export const providerRegistry = new ProviderRegistry();
+
+// Built-in providers are loaded on first use, so pages without data-source don't ship them
+
+// Generated data, so a page works without any backend
+providerRegistry.register('simulated', async (options) => {
+  const { default: SimulatedDataProvider } = await import('./simulated.js');
+  return new SimulatedDataProvider(options);
+});
+
+// Arrow/Feather files ('arrow:source=/data/bars.arrow&baseInterval=1')
+providerRegistry.register('arrow', async (options) => {
+  const { default: ArrowDataProvider } = await import('./arrow.js');
+  return new ArrowDataProvider(options);
+});
+
+export default ProviderRegistry;
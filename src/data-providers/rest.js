@@ -0,0 +1,504 @@
+/**
+ * REST Data Provider for OakView
+ *
+ * Declarative provider for JSON HTTP APIs: instead of subclassing
+ * OakViewDataProvider for every endpoint, describe the URLs and where the
+ * fields live in the response, and the provider turns the responses into
+ * compliant bars.
+ *
+ * Features:
+ * - URL templates with {symbol}, {interval}, {from}, {to}, {limit} and {query}
+ *   (query parameters left empty are dropped)
+ * - JSONPath-style field mappings ('$.data.bars', 'ohlc[0]') or functions,
+ *   for arrays of objects, arrays of arrays and column arrays ({ t: [], o: [] })
+ * - Time-unit hints (s, ms, us, ns, iso) or auto-detection; bar times are
+ *   always returned in Unix seconds, ascending and without duplicates
+ * - Pagination by cursor/next URL or by stepping the time range
+ * - Symbol search and available intervals from their own endpoints
+ *
+ * @example
+ * import { RestDataProvider } from 'oakview';
+ *
+ * const provider = new RestDataProvider({
+ *   baseUrl: 'https://api.example.com/v1',
+ *   headers: { Authorization: `Bearer ${token}` },
+ *   history: {
+ *     url: '/bars/{symbol}?resolution={interval}&start={from}&end={to}&limit={limit}',
+ *     bars: '$.data',
+ *     fields: { time: 'ts', open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v' },
+ *     timeUnit: 'ms',
+ *     paramTimeUnit: 'ms',
+ *     intervalMap: { '1': '1min', '60': '1hour', '1D': '1day' },
+ *     pagination: { limit: 1000, next: '$.next_page_url' }
+ *   },
+ *   search: {
+ *     url: '/symbols?q={query}',
+ *     results: '$.results',
+ *     fields: { symbol: 'ticker', name: 'description', exchange: 'mic' }
+ *   }
+ * });
+ *
+ * await provider.initialize();
+ * chart.setDataProvider(provider);
+ */
+
+import OakViewDataProvider from './base.js';
+import DataProviderError, { NetworkError, RateLimitError, SymbolNotFoundError } from './errors.js';
+
+const TIME_UNITS = ['auto', 's', 'ms', 'us', 'ns', 'iso'];
+const BAR_FIELDS = ['time', 'open', 'high', 'low', 'close', 'volume'];
+const DEFAULT_BAR_FIELDS = { time: 'time', open: 'open', high: 'high', low: 'low', close: 'close', volume: 'volume' };
+const DEFAULT_SEARCH_FIELDS = { symbol: 'symbol', name: 'name', exchange: 'exchange', type: 'type' };
+const DEFAULT_MAX_PAGES = 10;
+const ROW_GETTERS = Object.fromEntries(BAR_FIELDS.map(field => [field, (row) => row[field]]));
+
+/**
+ * Compile a JSONPath-style path into property steps
+ *
+ * Supports '$', dotted names, [index] and ['quoted name']:
+ * '$.data.bars' → ['data', 'bars'], 'ohlc[0]' → ['ohlc', 0].
+ * @private
+ */
+function compilePath(path) {
+  const steps = [];
+  const pattern = /\.?([^.[\]]+)|\[(\d+)\]|\[(['"])(.*?)\3\]/g;
+  const body = path.startsWith('$') ? path.slice(1) : path;
+  let match;
+  while ((match = pattern.exec(body)) !== null) {
+    if (match[1] !== undefined) steps.push(match[1]);
+    else if (match[2] !== undefined) steps.push(Number(match[2]));
+    else steps.push(match[4]);
+  }
+  return steps;
+}
+
+/**
+ * Build a getter for a field mapping (path string, function, or array index)
+ * @private
+ */
+function compileGetter(mapping) {
+  if (typeof mapping === 'function') return mapping;
+  if (typeof mapping === 'number') return (item) => item?.[mapping];
+  if (typeof mapping !== 'string' || mapping === '') return () => undefined;
+
+  const steps = compilePath(mapping);
+  return (item) => steps.reduce((value, step) => (value == null ? undefined : value[step]), item);
+}
+
+class RestDataProvider extends OakViewDataProvider {
+  /**
+   * @param {Object} config
+   * @param {RestHistoryConfig} config.history - Historical bars endpoint
+   * @param {RestSearchConfig} [config.search] - Symbol search endpoint
+   * @param {RestIntervalsConfig|Array<string>} [config.intervals] - Available intervals (endpoint or list)
+   * @param {string} [config.baseUrl=''] - Prefix of relative URL templates
+   * @param {Object|Function} [config.headers] - Request headers, or () => headers (e.g. fresh tokens)
+   * @param {Function} [config.fetch] - fetch implementation (defaults to the global fetch)
+   * @param {string|null} [config.baseInterval=null] - Interval reported by getBaseInterval()
+   * @throws {Error} If history.url is missing or a time unit is unknown
+   */
+  constructor(config = {}) {
+    super();
+    const { history, search = null, intervals = null } = config;
+
+    if (!history?.url) {
+      throw new Error('RestDataProvider needs history.url');
+    }
+    for (const unit of [history.timeUnit, history.paramTimeUnit]) {
+      if (unit !== undefined && !TIME_UNITS.includes(unit)) {
+        throw new Error(`RestDataProvider: unknown time unit '${unit}' (expected ${TIME_UNITS.join(', ')})`);
+      }
+    }
+
+    this.config = {
+      baseUrl: '',
+      headers: {},
+      fetch: null,
+      baseInterval: null,
+      ...config
+    };
+
+    const fields = { ...DEFAULT_BAR_FIELDS, ...history.fields };
+    this._history = {
+      timeUnit: 'auto',
+      paramTimeUnit: 's',
+      intervalMap: null,
+      ...history,
+      barsGetter: history.bars ? compileGetter(history.bars) : (data) => data,
+      getters: Object.fromEntries(BAR_FIELDS.map(field => [field, compileGetter(fields[field])])),
+      pagination: history.pagination ? {
+        maxPages: DEFAULT_MAX_PAGES,
+        direction: 'backward',
+        ...history.pagination,
+        nextGetter: history.pagination.next ? compileGetter(history.pagination.next) : null
+      } : null
+    };
+
+    this._search = search ? {
+      ...search,
+      resultsGetter: search.results ? compileGetter(search.results) : (data) => data,
+      getters: Object.fromEntries(Object.entries({ ...DEFAULT_SEARCH_FIELDS, ...search.fields })
+        .map(([field, mapping]) => [field, compileGetter(mapping)]))
+    } : null;
+
+    this._intervals = Array.isArray(intervals) ? null : intervals;
+    this._staticIntervals = Array.isArray(intervals) ? intervals.slice() : null;
+    this._intervalCache = new Map(); // symbol ('' = all symbols) -> intervals
+  }
+
+  /**
+   * Convert a time value to Unix seconds
+   *
+   * Numbers are taken in the given unit; with 'auto' the unit is guessed from
+   * the magnitude (a 2024 date is ~1.7e9 s, ~1.7e12 ms, ~1.7e15 µs, ~1.7e18 ns).
+   * Strings are parsed as ISO dates ('2024-01-16' is 00:00 UTC) or as numbers.
+   * Sub-second precision is kept as a decimal.
+   *
+   * @param {number|string} value - Time from an API response
+   * @param {string} [unit='auto'] - One of 'auto', 's', 'ms', 'us', 'ns', 'iso'
+   * @returns {number} Unix seconds, NaN if the value is not a time
+   */
+  static toSeconds(value, unit = 'auto') {
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      if (unit === 'iso' || !/^-?\d+(\.\d+)?$/.test(trimmed)) {
+        return Date.parse(trimmed) / 1000;
+      }
+      value = Number(trimmed);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return NaN;
+
+    if (unit === 'auto' || unit === 'iso') {
+      const magnitude = Math.abs(value);
+      unit = magnitude >= 1e17 ? 'ns' : magnitude >= 1e14 ? 'us' : magnitude >= 1e11 ? 'ms' : 's';
+    }
+    switch (unit) {
+      case 'ms': return value / 1e3;
+      case 'us': return value / 1e6;
+      case 'ns': return value / 1e9;
+      default: return value;
+    }
+  }
+
+  /**
+   * Load the intervals list when it does not depend on the symbol
+   */
+  async initialize(config) {
+    if (config && Object.keys(config).length > 0) {
+      Object.assign(this.config, config);
+    }
+    if (this._intervals?.url && !this._intervals.url.includes('{symbol}')) {
+      await this.loadIntervals();
+    }
+  }
+
+  /**
+   * Fetch bars, following the pagination rules until the range is covered
+   *
+   * Without pagination one request is made. With a `next` path the next-page
+   * URL (or cursor) is followed; otherwise full pages are continued by moving
+   * `to` before the oldest bar (backward) or `from` after the newest (forward).
+   */
+  async fetchHistorical(symbol, interval, from = null, to = null, options = {}) {
+    const history = this._history;
+    const pagination = history.pagination;
+    const limit = pagination?.limit ?? history.limit ?? null;
+    const signal = options.signal;
+
+    if (this._intervals?.url?.includes('{symbol}') && !this._intervalCache.has(symbol)) {
+      await this.loadIntervals(symbol).catch(error => {
+        console.warn(`RestDataProvider: could not load intervals for ${symbol}:`, error);
+      });
+    }
+
+    const params = {
+      symbol,
+      interval: history.intervalMap?.[interval] ?? interval,
+      limit
+    };
+    let url = this._buildUrl(history.url, { ...params, from: this._formatTime(from), to: this._formatTime(to) });
+
+    const bars = new Map(); // time -> bar, later pages never override earlier ones
+    for (let page = 0; url; page++) {
+      const data = await this._request(url, signal, symbol);
+      const pageBars = this.parseBars(data);
+      pageBars.forEach(bar => { if (!bars.has(bar.time)) bars.set(bar.time, bar); });
+
+      url = null;
+      if (!pagination || page + 1 >= pagination.maxPages || pageBars.length === 0) break;
+
+      if (pagination.nextGetter) {
+        const next = pagination.nextGetter(data);
+        if (next == null || next === '') break;
+        url = pagination.cursorParam
+          ? this._withParam(this._buildUrl(history.url, { ...params, from: this._formatTime(from), to: this._formatTime(to) }), pagination.cursorParam, next)
+          : this._resolveUrl(String(next));
+      } else if (limit && pageBars.length >= limit && from !== null) {
+        const oldest = pageBars[0].time;
+        const newest = pageBars[pageBars.length - 1].time;
+        if (pagination.direction === 'forward') {
+          if (to !== null && newest >= to) break;
+          url = this._buildUrl(history.url, { ...params, from: this._formatTime(newest + 1), to: this._formatTime(to) });
+        } else {
+          if (oldest <= from) break;
+          url = this._buildUrl(history.url, { ...params, from: this._formatTime(from), to: this._formatTime(oldest - 1) });
+        }
+      }
+    }
+
+    return Array.from(bars.values())
+      .filter(bar => (from === null || bar.time >= from) && (to === null || bar.time <= to))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Turn a history response into bars
+   *
+   * Drops entries without a valid time or price, converts times to Unix
+   * seconds and prices to numbers, sorts ascending and removes duplicate
+   * times (the last one wins). Exposed so subclasses and tests can reuse it.
+   *
+   * @param {*} data - Parsed JSON response
+   * @returns {Array<OHLCVData>} Compliant bars
+   */
+  parseBars(data) {
+    const { timeUnit } = this._history;
+    const items = this._history.barsGetter(data);
+    // Column arrays are zipped into rows that already use the bar field names
+    const columnar = !Array.isArray(items);
+    const rows = columnar ? this._zipColumns(items) : items;
+    const getters = columnar ? ROW_GETTERS : this._history.getters;
+
+    const bars = new Map();
+    for (const item of rows) {
+      const time = RestDataProvider.toSeconds(getters.time(item), timeUnit);
+      const open = Number(getters.open(item));
+      const high = Number(getters.high(item));
+      const low = Number(getters.low(item));
+      const close = Number(getters.close(item));
+      if (!Number.isFinite(time) || ![open, high, low, close].every(Number.isFinite)) continue;
+
+      const bar = { time, open, high, low, close };
+      const volume = getters.volume(item);
+      if (volume != null && volume !== '' && Number.isFinite(Number(volume))) {
+        bar.volume = Number(volume);
+      }
+      bars.set(time, bar);
+    }
+    return Array.from(bars.values()).sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Search the search endpoint (empty without one)
+   */
+  async searchSymbols(query) {
+    if (!this._search || !query) return [];
+
+    const data = await this._request(this._buildUrl(this._search.url, { query }));
+    const results = this._search.resultsGetter(data);
+    if (!Array.isArray(results)) return [];
+
+    return results
+      .map(item => Object.fromEntries(Object.entries(this._search.getters)
+        .map(([field, get]) => [field, get(item) ?? null])))
+      .filter(result => result.symbol);
+  }
+
+  /**
+   * Intervals from the configured list, the intervals endpoint (once loaded)
+   * or the keys of history.intervalMap; null means all intervals
+   */
+  getAvailableIntervals(symbol) {
+    if (this._staticIntervals) return this._staticIntervals;
+    if (this._intervals) {
+      return this._intervalCache.get(symbol) ?? this._intervalCache.get('') ?? null;
+    }
+    return this._history.intervalMap ? Object.keys(this._history.intervalMap) : null;
+  }
+
+  getBaseInterval(symbol) {
+    return this.config.baseInterval;
+  }
+
+  /**
+   * Request the intervals endpoint and remember the result
+   *
+   * Called by initialize() for symbol-independent URLs and before the first
+   * fetchHistorical() of a symbol otherwise.
+   *
+   * @param {string} [symbol] - Symbol for URLs containing {symbol}
+   * @returns {Promise<Array<string>|null>} Intervals, null if the response has none
+   */
+  async loadIntervals(symbol = '') {
+    if (!this._intervals?.url) return this.getAvailableIntervals(symbol);
+
+    const data = await this._request(this._buildUrl(this._intervals.url, { symbol }));
+    const list = this._intervals.path ? compileGetter(this._intervals.path)(data) : data;
+    const intervals = Array.isArray(list)
+      ? list.map(String).map(interval => this._fromApiInterval(interval))
+      : null;
+
+    const key = this._intervals.url.includes('{symbol}') ? symbol : '';
+    if (intervals) this._intervalCache.set(key, intervals);
+    return intervals;
+  }
+
+  getCapabilities() {
+    return {
+      ...OakViewDataProvider.defaultCapabilities(this),
+      search: Boolean(this._search),
+      rangedHistory: true,
+      // Paginated requests return the whole range
+      maxBarsPerRequest: this._history.pagination ? null : (this._history.limit ?? null),
+      intervals: this._staticIntervals ?? (this._history.intervalMap ? Object.keys(this._history.intervalMap) : null)
+    };
+  }
+
+  /**
+   * Map an API interval back to the chart's name through history.intervalMap
+   * @private
+   */
+  _fromApiInterval(interval) {
+    const map = this._history.intervalMap;
+    if (!map) return interval;
+    return Object.keys(map).find(key => map[key] === interval) ?? interval;
+  }
+
+  /**
+   * Format a Unix seconds bound for a URL in paramTimeUnit ('' for null)
+   * @private
+   */
+  _formatTime(seconds) {
+    if (seconds === null || seconds === undefined) return '';
+    switch (this._history.paramTimeUnit) {
+      case 'ms': return Math.round(seconds * 1e3);
+      case 'us': return Math.round(seconds * 1e6);
+      case 'ns': return BigInt(Math.round(seconds * 1e3)) * 1000000n;
+      case 'iso': return new Date(seconds * 1000).toISOString();
+      default: return Math.floor(seconds);
+    }
+  }
+
+  /**
+   * Fill a URL template and drop query parameters left empty
+   * @private
+   */
+  _buildUrl(template, values) {
+    const filled = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      return value === null || value === undefined ? '' : encodeURIComponent(String(value));
+    });
+
+    const [path, query = null] = filled.split('?');
+    const kept = query?.split('&').filter(pair => pair && !pair.endsWith('=')) ?? [];
+    return this._resolveUrl(kept.length > 0 ? `${path}?${kept.join('&')}` : path);
+  }
+
+  /**
+   * Set a query parameter (used for cursor pagination)
+   * @private
+   */
+  _withParam(url, name, value) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}${encodeURIComponent(name)}=${encodeURIComponent(String(value))}`;
+  }
+
+  /**
+   * Prefix relative URLs with baseUrl
+   * @private
+   */
+  _resolveUrl(url) {
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(url) || !this.config.baseUrl) return url;
+    return `${this.config.baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Convert column arrays ({ t: [...], o: [...] }) into row objects
+   * @private
+   */
+  _zipColumns(columns) {
+    if (!columns || typeof columns !== 'object') return [];
+
+    const { getters } = this._history;
+    const times = getters.time(columns);
+    if (!Array.isArray(times)) return [];
+
+    const values = Object.fromEntries(BAR_FIELDS.map(field => [field, getters[field](columns)]));
+    return times.map((time, i) => ({
+      time,
+      open: values.open?.[i],
+      high: values.high?.[i],
+      low: values.low?.[i],
+      close: values.close?.[i],
+      volume: values.volume?.[i]
+    }));
+  }
+
+  /**
+   * GET a URL and parse the JSON body
+   *
+   * Failures are thrown as DataProviderErrors: 404 as SymbolNotFoundError,
+   * 429 as RateLimitError (with Retry-After), 5xx and unreachable hosts as
+   * NetworkError.
+   * @private
+   */
+  async _request(url, signal, symbol = null) {
+    const fetchImpl = this.config.fetch || globalThis.fetch;
+    const headers = typeof this.config.headers === 'function' ? await this.config.headers() : this.config.headers;
+
+    let response;
+    try {
+      response = await fetchImpl(url, { headers: { Accept: 'application/json', ...headers }, signal });
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error;
+      throw new NetworkError(`RestDataProvider: GET ${url} failed: ${error.message}`, { cause: error });
+    }
+
+    if (!response.ok) {
+      const message = `RestDataProvider: GET ${url} failed with ${response.status} ${response.statusText || ''}`.trim();
+      const options = { status: response.status };
+      if (response.status === 404 && symbol) throw new SymbolNotFoundError(symbol, options);
+      if (response.status === 429) {
+        throw new RateLimitError(message, { ...options, retryAfter: DataProviderError.parseRetryAfter(response.headers?.get?.('Retry-After')) });
+      }
+      throw DataProviderError.classify(Object.assign(new Error(message), options));
+    }
+    return response.json();
+  }
+}
+
+/**
+ * @typedef {Object} RestHistoryConfig
+ * @property {string} url - URL template ({symbol}, {interval}, {from}, {to}, {limit})
+ * @property {string|Function} [bars] - Path to the bar array (or column object) in the response
+ * @property {Object<string, string|number|Function>} [fields] - Paths of time, open, high, low, close, volume in a bar
+ * @property {string} [timeUnit='auto'] - Unit of response times: 'auto', 's', 'ms', 'us', 'ns', 'iso'
+ * @property {string} [paramTimeUnit='s'] - Unit of {from} and {to} in the URL
+ * @property {Object<string, string>} [intervalMap] - Chart interval -> API interval ('60' -> '1h')
+ * @property {number} [limit] - Value of {limit} without pagination
+ * @property {RestPagination} [pagination] - How to request further pages
+ */
+
+/**
+ * @typedef {Object} RestPagination
+ * @property {number} [limit] - Page size, sent as {limit}; a full page means more may follow
+ * @property {string|Function} [next] - Path to the next page's URL, or to a cursor with cursorParam
+ * @property {string} [cursorParam] - Query parameter the cursor is sent in
+ * @property {'backward'|'forward'} [direction='backward'] - Whether a page holds the newest or oldest bars of the range
+ * @property {number} [maxPages=10] - Most requests per fetchHistorical()
+ */
+
+/**
+ * @typedef {Object} RestSearchConfig
+ * @property {string} url - URL template with {query}
+ * @property {string|Function} [results] - Path to the result array
+ * @property {Object<string, string|Function>} [fields] - Paths of symbol, name, exchange, type (and any extra field)
+ */
+
+/**
+ * @typedef {Object} RestIntervalsConfig
+ * @property {string} url - URL template, with {symbol} for per-symbol lists
+ * @property {string|Function} [path] - Path to the interval array
+ */
+
+export default RestDataProvider;
@@ -0,0 +1,556 @@
+/**
+ * Simulated Data Provider for OakView
+ *
+ * Generates OHLCV history and live trades with geometric Brownian motion, so
+ * demos and tests can run without any backend.
+ *
+ * Features:
+ * - Deterministic: the same seed and clock always produce the same bars
+ * - History for any time interval, pageable with from/to (scroll-back)
+ * - Live bars (subscribe) and trades (subscribeTicks) continuing from the last price
+ * - Per-symbol price, volatility, drift, volume, precision and trading session
+ * - Symbol search and getSymbolInfo() over the configured symbol list
+ *
+ * History is generated backwards from the current price: every interval ends
+ * at the same price, and each bar only depends on the seed, symbol, interval
+ * and bar time, so scroll-back pages always line up.
+ *
+ * Sessions are given in UTC. Outside its session a symbol has no intraday
+ * bars and produces no trades; on non-session days it has no daily bars.
+ *
+ * @example
+ * import { SimulatedDataProvider } from 'oakview';
+ *
+ * const provider = new SimulatedDataProvider({
+ *   seed: 42,
+ *   symbols: [
+ *     { symbol: 'DEMO', name: 'Demo Corp', price: 150, volatility: 0.35,
+ *       session: SimulatedDataProvider.SESSIONS.US_EQUITIES },
+ *     'TEST'
+ *   ]
+ * });
+ *
+ * await provider.initialize();
+ * chart.setDataProvider(provider);
+ */
+
+import OakViewDataProvider from './base.js';
+import BarResampler from '../utils/BarResampler.js';
+import TickAggregator from '../utils/TickAggregator.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NUMBER_OPTIONS = ['seed', 'volatility', 'drift', 'historyBars', 'maxHistoryBars', 'tickInterval'];
+const YEAR_MS = 365 * DAY_MS;
+
+const DEFAULT_SYMBOLS = [
+  { symbol: 'SIM', name: 'Simulated Equity', type: 'stock', price: 100, volatility: 0.3 },
+  { symbol: 'SIMX', name: 'Simulated Index', type: 'index', price: 4500, volatility: 0.18, volume: 50000000 },
+  { symbol: 'SIMCOIN', name: 'Simulated Coin', type: 'crypto', price: 30000, volatility: 0.8, volume: 20000 },
+  { symbol: 'SIMFX', name: 'Simulated FX Pair', type: 'forex', price: 1.1, volatility: 0.08, precision: 5 }
+];
+
+class SimulatedDataProvider extends OakViewDataProvider {
+  /**
+   * Trading sessions (UTC, daylight saving time is ignored)
+   * @type {Readonly<Object<string, SimulatedSession|null>>}
+   */
+  static SESSIONS = Object.freeze({
+    ALWAYS: null,
+    US_EQUITIES: Object.freeze({ open: '14:30', close: '21:00', days: [1, 2, 3, 4, 5] }),
+    WEEKDAYS: Object.freeze({ open: '00:00', close: '24:00', days: [1, 2, 3, 4, 5] })
+  });
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.seed=1] - Random seed
+   * @param {Array<SimulatedSymbol|string>} [options.symbols] - Symbols to simulate
+   * @param {number} [options.volatility=0.25] - Default annualized volatility
+   * @param {number} [options.drift=0.05] - Default annualized drift
+   * @param {SimulatedSession|null} [options.session=null] - Default session (null = always open)
+   * @param {Array<string>} [options.intervals] - Intervals reported by getAvailableIntervals()
+   * @param {string|null} [options.baseInterval='1D'] - Interval reported by getBaseInterval()
+   * @param {number} [options.historyBars=500] - Bars returned when no range is requested
+   * @param {number} [options.maxHistoryBars=50000] - History depth per symbol and interval
+   * @param {number} [options.tickInterval=1000] - Milliseconds between live trades
+   * @param {Function} [options.now=Date.now] - Clock in milliseconds
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      seed: 1,
+      symbols: DEFAULT_SYMBOLS,
+      volatility: 0.25,
+      drift: 0.05,
+      session: null,
+      intervals: ['1', '5', '15', '30', '60', '240', '1D', '1W'],
+      baseInterval: '1D',
+      historyBars: 500,
+      maxHistoryBars: 50000,
+      tickInterval: 1000,
+      now: Date.now,
+      ...options
+    };
+    this._normalizeOptions();
+
+    this.symbols = new Map();
+    this._series = new Map(); // 'symbol|interval' -> generated history
+    this._feeds = new Map(); // symbol -> live trade feed
+    this._anchor = null; // Time (ms) at which all histories end
+    this._setSymbols(this.options.symbols);
+  }
+
+  /**
+   * Apply configuration and start the clock
+   *
+   * @param {Object} [config] - Same options as the constructor
+   */
+  async initialize(config = {}) {
+    if (config && Object.keys(config).length > 0) {
+      this.disconnect();
+      Object.assign(this.options, config);
+      this._normalizeOptions();
+      this._series.clear();
+      this._setSymbols(this.options.symbols);
+    }
+
+    this._anchor = this.options.now();
+    this.emitStatus(OakViewDataProvider.STATUS.LIVE);
+  }
+
+  /**
+   * Generate historical bars
+   *
+   * Without from/to the latest historyBars bars are returned. Ranges beyond
+   * maxHistoryBars return an empty array.
+   */
+  async fetchHistorical(symbol, interval, from = null, to = null, options = {}) {
+    if (options.signal?.aborted) {
+      throw new DOMException('Request aborted', 'AbortError');
+    }
+
+    const info = this._getSymbol(symbol);
+    const series = this._getSeries(info, interval);
+    const end = to ?? Infinity;
+
+    if (from === null) {
+      // Latest historyBars bars up to `to`
+      this._extend(series, { until: end });
+      const first = series.bars.findIndex(bar => bar.time <= end);
+      if (first === -1) return [];
+
+      this._extend(series, { count: first + this.options.historyBars });
+      return series.bars
+        .slice(first, first + this.options.historyBars)
+        .reverse()
+        .map(bar => this._round(bar, info));
+    }
+
+    this._extend(series, { until: from });
+
+    const bars = [];
+    for (const bar of series.bars) {
+      if (bar.time < from) break;
+      if (bar.time <= end) bars.push(this._round(bar, info));
+    }
+    return bars.reverse();
+  }
+
+  /**
+   * Stream live bars built from the simulated trades
+   */
+  subscribe(symbol, interval, callback) {
+    const info = this._getSymbol(symbol);
+    const aggregator = new TickAggregator({ type: 'time', interval });
+
+    // Continue the bar that history ends with
+    const series = this._getSeries(info, interval);
+    this._extend(series, { count: 1 });
+    const last = series.bars[0];
+    const bucket = Math.floor(this.options.now() / aggregator.intervalMs) * aggregator.intervalMs / 1000;
+    if (last && last.time === bucket) {
+      aggregator.currentBar = { ...last };
+    }
+
+    return this._listen(info, (tick) => {
+      aggregator.addTick(tick);
+      callback(this._round(aggregator.getCurrentBar(), info));
+    });
+  }
+
+  /**
+   * Stream the simulated trades
+   */
+  subscribeTicks(symbol, callback) {
+    return this._listen(this._getSymbol(symbol), callback);
+  }
+
+  async searchSymbols(query) {
+    const q = (query || '').trim().toUpperCase();
+
+    return Array.from(this.symbols.values())
+      .filter(info => !q || info.symbol.includes(q) || info.name.toUpperCase().includes(q))
+      .map(info => this.getSymbolInfo(info.symbol));
+  }
+
+  /**
+   * Metadata of a simulated symbol (sessions are defined in UTC)
+   */
+  getSymbolInfo(symbol) {
+    const info = this.symbols.get(symbol);
+    if (!info) return null;
+
+    return {
+      symbol: info.symbol,
+      name: info.name,
+      description: info.name,
+      exchange: info.exchange,
+      type: info.type,
+      currency: info.currency,
+      timezone: 'UTC',
+      precision: info.precision,
+      minMove: Number((10 ** -info.precision).toFixed(info.precision)),
+      session: info.session
+        ? { open: formatMinutes(info.session.open), close: formatMinutes(info.session.close) }
+        : null
+    };
+  }
+
+  getAvailableIntervals(symbol) {
+    return this.symbols.get(symbol)?.intervals || this.options.intervals;
+  }
+
+  getBaseInterval(symbol) {
+    return this.options.baseInterval;
+  }
+
+  hasData(symbol, interval) {
+    if (!this.symbols.has(symbol)) return false;
+    try {
+      this._intervalMs(interval);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Stop all live feeds
+   */
+  disconnect() {
+    for (const feed of this._feeds.values()) {
+      clearInterval(feed.timer);
+    }
+    this._feeds.clear();
+  }
+
+  /**
+   * Convert numeric options given as text (data-source 'simulated:seed=7')
+   * @private
+   */
+  _normalizeOptions() {
+    for (const key of NUMBER_OPTIONS) {
+      if (typeof this.options[key] === 'string') this.options[key] = Number(this.options[key]);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setSymbols(symbols) {
+    this.symbols.clear();
+    for (const entry of symbols) {
+      const info = {
+        name: null,
+        exchange: 'SIM',
+        type: 'stock',
+        currency: 'USD',
+        price: 100,
+        volatility: this.options.volatility,
+        drift: this.options.drift,
+        volume: 1000000,
+        precision: 2,
+        session: this.options.session,
+        ...(typeof entry === 'string' ? { symbol: entry } : entry)
+      };
+      info.name = info.name || info.symbol;
+      info.session = info.session ? parseSession(info.session) : null;
+      info.hash = hashString(`${this.options.seed}:${info.symbol}`);
+      this.symbols.set(info.symbol, info);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getSymbol(symbol) {
+    const info = this.symbols.get(symbol);
+    if (!info) {
+      throw new Error(`SimulatedDataProvider: unknown symbol "${symbol}"`);
+    }
+    return info;
+  }
+
+  /**
+   * @private
+   */
+  _getSeries(info, interval) {
+    const key = `${info.symbol}|${interval}`;
+    let series = this._series.get(key);
+    if (!series) {
+      const intervalMs = this._intervalMs(interval);
+      if (this._anchor === null) {
+        this._anchor = this.options.now();
+      }
+
+      series = {
+        info,
+        intervalMs,
+        hash: hashString(`${info.hash}:${interval}`),
+        bars: [], // Newest first
+        nextTime: this._slotAtOrBefore(Math.floor(this._anchor / intervalMs) * intervalMs, intervalMs, info.session),
+        nextClose: info.price,
+        exhausted: false
+      };
+      this._series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Generate older bars until count bars exist or a time is reached
+   * @private
+   */
+  _extend(series, { count = 0, until = Infinity }) {
+    const { info, intervalMs } = series;
+    const years = intervalMs / YEAR_MS;
+    const sigma = info.volatility * Math.sqrt(years);
+    const mu = (info.drift - info.volatility * info.volatility / 2) * years;
+
+    while (!series.exhausted) {
+      const oldest = series.bars[series.bars.length - 1];
+      if (oldest && oldest.time <= until && series.bars.length >= count) break;
+
+      if (series.bars.length >= this.options.maxHistoryBars || series.nextTime === null) {
+        series.exhausted = true;
+        break;
+      }
+
+      const time = series.nextTime / 1000;
+      const random = createRandom(mixSeed(series.hash, time));
+      const close = series.nextClose;
+      const open = close / Math.exp(mu + sigma * normal(random));
+      const high = Math.max(open, close) * Math.exp(Math.abs(normal(random)) * sigma / 2);
+      const low = Math.min(open, close) * Math.exp(-Math.abs(normal(random)) * sigma / 2);
+      const volume = Math.max(1, Math.round(info.volume * (intervalMs / DAY_MS) * Math.exp(normal(random) / 2 - 0.125)));
+
+      series.bars.push({ time, open, high, low, close, volume });
+      series.nextClose = open;
+      series.nextTime = this._slotAtOrBefore(series.nextTime - intervalMs, intervalMs, info.session);
+    }
+  }
+
+  /**
+   * Latest bar start at or before a time that falls in the session
+   * @private
+   */
+  _slotAtOrBefore(time, intervalMs, session) {
+    if (!session) return time;
+
+    // Bounded so a session without trading days cannot loop forever
+    for (let i = 0; i < 100000; i++) {
+      if (isInSession(time, intervalMs, session)) return time;
+      time -= intervalMs;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _intervalMs(interval) {
+    if (TickAggregator.isTickInterval(interval)) {
+      throw new Error(`SimulatedDataProvider: tick interval ${interval} has no history; use subscribeTicks()`);
+    }
+    if (/^\d+[MY]$/.test(String(interval).trim())) {
+      throw new Error(`SimulatedDataProvider: interval ${interval} is not supported`);
+    }
+    return new BarResampler(interval, interval).parseIntervalToMs(interval);
+  }
+
+  /**
+   * Add a trade listener, starting the symbol's feed if needed
+   * @private
+   */
+  _listen(info, listener) {
+    let feed = this._feeds.get(info.symbol);
+    if (!feed) {
+      feed = { price: info.price, count: 0, listeners: new Set(), timer: null };
+      feed.timer = setInterval(() => this._emitTick(info, feed), this.options.tickInterval);
+      this._feeds.set(info.symbol, feed);
+    }
+    feed.listeners.add(listener);
+
+    return () => {
+      feed.listeners.delete(listener);
+      if (feed.listeners.size === 0) {
+        clearInterval(feed.timer);
+        this._feeds.delete(info.symbol);
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _emitTick(info, feed) {
+    const now = this.options.now();
+    if (info.session && !isInSession(now, 1, info.session)) return;
+
+    const years = this.options.tickInterval / YEAR_MS;
+    const random = createRandom(mixSeed(info.hash, feed.count++));
+    feed.price *= Math.exp((info.drift - info.volatility * info.volatility / 2) * years +
+      info.volatility * Math.sqrt(years) * normal(random));
+
+    const tick = {
+      time: now / 1000,
+      price: roundTo(feed.price, info.precision),
+      size: Math.max(1, Math.round(info.volume * (this.options.tickInterval / DAY_MS) * Math.exp(normal(random))))
+    };
+
+    for (const listener of feed.listeners) {
+      try {
+        listener(tick);
+      } catch (error) {
+        console.error('SimulatedDataProvider listener threw:', error);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _round(bar, info) {
+    return {
+      time: bar.time,
+      open: roundTo(bar.open, info.precision),
+      high: roundTo(bar.high, info.precision),
+      low: roundTo(bar.low, info.precision),
+      close: roundTo(bar.close, info.precision),
+      volume: bar.volume
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function parseSession(session) {
+  const toMinutes = (hhmm) => {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return h * 60 + (m || 0);
+  };
+  return {
+    open: toMinutes(session.open ?? '00:00'),
+    close: toMinutes(session.close ?? '24:00'),
+    days: new Set(session.days ?? [0, 1, 2, 3, 4, 5, 6])
+  };
+}
+
+/**
+ * Minutes after midnight as 'HH:MM'
+ * @private
+ */
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Whether a bar starting at a time is traded (daily bars: session day, weekly: always)
+ * @private
+ */
+function isInSession(time, intervalMs, session) {
+  if (intervalMs >= 7 * DAY_MS) return true;
+
+  const date = new Date(time);
+  if (!session.days.has(date.getUTCDay())) return false;
+  if (intervalMs >= DAY_MS) return true;
+
+  const minute = date.getUTCHours() * 60 + date.getUTCMinutes();
+  return minute >= session.open && minute < session.close;
+}
+
+/**
+ * FNV-1a string hash
+ * @private
+ */
+function hashString(str) {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * @private
+ */
+function mixSeed(hash, value) {
+  return (hash ^ Math.imul(Math.floor(value) | 0, 0x9E3779B1)) >>> 0;
+}
+
+/**
+ * Mulberry32 generator returning floats in [0, 1)
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @private
+ */
+function normal(random) {
+  const u = 1 - random(); // (0, 1] - avoids log(0)
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * @private
+ */
+function roundTo(value, precision) {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * @typedef {Object} SimulatedSymbol
+ * @property {string} symbol - Ticker
+ * @property {string} [name] - Display name (default: the ticker)
+ * @property {string} [exchange='SIM'] - Exchange shown in search
+ * @property {string} [type='stock'] - Asset type
+ * @property {string} [currency='USD'] - Quote currency
+ * @property {number} [price=100] - Current price; history leads up to it
+ * @property {number} [volatility] - Annualized volatility (e.g. 0.3 = 30%)
+ * @property {number} [drift] - Annualized drift
+ * @property {number} [volume=1000000] - Average volume per day
+ * @property {number} [precision=2] - Decimals of generated prices
+ * @property {SimulatedSession|null} [session] - Trading session (null = always open)
+ * @property {Array<string>} [intervals] - Intervals reported for this symbol
+ */
+
+/**
+ * @typedef {Object} SimulatedSession
+ * @property {string} [open='00:00'] - Session open, 'HH:MM' UTC
+ * @property {string} [close='24:00'] - Session close, 'HH:MM' UTC
+ * @property {Array<number>} [days] - Trading days, 0 = Sunday (default: every day)
+ */
+
+export default SimulatedDataProvider;
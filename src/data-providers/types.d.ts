@@ -44,6 +44,20 @@ export interface OHLCVBar {
   volume?: number;
 }
 
+/**
+ * Individual trade delivered by subscribeTicks()
+ */
+export interface TickData {
+  /** Unix timestamp in SECONDS, sub-second precision as decimal (e.g., 1704067200.125) */
+  time: number;
+
+  /** Trade price */
+  price: number;
+
+  /** Trade size (optional) */
+  size?: number;
+}
+
 /**
  * Business Day format for daily or higher timeframes
  * Used when you want OakView to handle timezone conversions
@@ -101,6 +115,136 @@ export interface SymbolInfo {
    * - OPTIONAL
    */
   type?: 'stock' | 'etf' | 'index' | 'future' | 'forex' | 'crypto' | 'bond' | string;
+
+  /**
+   * Longer description (falls back to `name`)
+   * - Shown in search results and as the legend symbol tooltip
+   * - OPTIONAL
+   */
+  description?: string;
+
+  /**
+   * Quote currency
+   * - E.g., "USD", "EUR", "USDT"
+   * - Shown in the legend and in search results
+   * - OPTIONAL
+   */
+  currency?: string;
+
+  /**
+   * Exchange timezone (IANA name)
+   * - E.g., "America/New_York", "UTC"
+   * - Time axis and crosshair labels use it unless <oak-view timezone> overrides it
+   * - OPTIONAL
+   */
+  timezone?: string;
+
+  /**
+   * Decimals shown for prices
+   * - E.g., 2 for stocks, 5 for EURUSD, 8 for small crypto
+   * - Applied to the price scale, the legend and the last price label
+   * - Derived from `minMove` when omitted; default 2
+   * - OPTIONAL
+   */
+  precision?: number;
+
+  /**
+   * Minimum price movement (tick size)
+   * - E.g., 0.01, 0.00001, 0.25 for ES futures
+   * - Derived from `precision` when omitted
+   * - OPTIONAL
+   */
+  minMove?: number;
+
+  /**
+   * Regular trading session, in `timezone`
+   * - Aligns client-side resampled bars: intraday buckets start at the open,
+   *   daily bars hold one session and weekly bars start on `weekStart`
+   * - OPTIONAL
+   */
+  session?: TradingSession;
+}
+
+/**
+ * Trading session of a symbol
+ * 
+ * @example
+ * // NYSE, with pre- and post-market
+ * { open: '09:30', close: '16:00', extended: { open: '04:00', close: '20:00' } }
+ * // CME equity futures - Sunday 17:00 opens Monday's session
+ * { open: '17:00', close: '16:00' }
+ */
+export interface TradingSession {
+  /** IANA timezone of open/close (default: the symbol's timezone, else 'UTC') */
+  timezone?: string;
+  /** Session open, 'HH:MM' (default '00:00') */
+  open?: string;
+  /** Session close, 'HH:MM' (default '24:00'); before `open` for sessions crossing midnight */
+  close?: string;
+  /** First day of weekly bars, 0 = Sunday (default 1, Monday) */
+  weekStart?: number;
+  /**
+   * Extended hours, 'HH:MM' in the same timezone: pre-market from `open` to the
+   * session open, post-market from the session close to `close`
+   * @example { open: '04:00', close: '20:00' } // US equities
+   */
+  extended?: { open?: string; close?: string };
+}
+
+/**
+ * Provider Capabilities
+ * 
+ * Returned by getCapabilities() to tell the chart UI what the provider supports.
+ * Omitted fields are derived from the methods the provider implements.
+ * 
+ * How OakView uses each field:
+ * - `realtime`: live updates are only requested when true
+ * - `search`: the symbol search button is disabled when false
+ * - `rangedHistory`: scroll-back paging is only attempted when true
+ * - `maxBarsPerRequest`: caps the scroll-back page size
+ * - `intervals`: interval items shown when getAvailableIntervals() returns null
+ * - `ticks`: tick intervals (1T, 10T, ...) are hidden when false
+ * - `corporateActions`: history is back-adjusted and the adjusted/raw legend toggle shown when true
+ */
+export interface ProviderCapabilities {
+  /** subscribe() delivers live updates */
+  realtime: boolean;
+  
+  /** searchSymbols() returns results */
+  search: boolean;
+  
+  /** fetchHistorical() honors from/to (enables scroll-back) */
+  rangedHistory: boolean;
+  
+  /** Largest number of bars one fetchHistorical() call returns (null = unlimited) */
+  maxBarsPerRequest: number | null;
+  
+  /** Chart intervals served by the provider (null = all standard intervals) */
+  intervals: string[] | null;
+  
+  /** subscribeTicks() delivers individual trades */
+  ticks: boolean;
+
+  /** getCorporateActions() returns splits and dividends */
+  corporateActions: boolean;
+}
+
+/**
+ * Split or dividend, returned by getCorporateActions()
+ * 
+ * @example
+ * { time: '2020-08-31', type: 'split', ratio: 4 }         // 4-for-1
+ * { time: 1604620800, type: 'dividend', amount: 0.205 }  // ex-date, cash per share
+ */
+export interface CorporateAction {
+  /** Effective date (ex-date for dividends): Unix seconds or 'YYYY-MM-DD' (00:00 UTC) */
+  time: number | string;
+  type: 'split' | 'dividend';
+  /** Split: new shares per old share (4 for 4:1, 0.1 for a 1:10 reverse split) */
+  ratio?: number;
+  /** Dividend: cash amount per share, in the symbol's currency */
+  amount?: number;
+  description?: string;
 }
 
 /**
@@ -114,6 +258,14 @@ export interface DataProviderConfig {
   [key: string]: any;
 }
 
+/**
+ * Options passed as the last argument of fetchHistorical()
+ */
+export interface FetchHistoricalOptions {
+  /** Aborted when OakView no longer needs the result */
+  signal?: AbortSignal;
+}
+
 /**
  * Subscription Callback
  * 
@@ -122,6 +274,13 @@ export interface DataProviderConfig {
  */
 export type SubscriptionCallback = (bar: OHLCVBar) => void;
 
+/**
+ * Tick Callback
+ * 
+ * Called by your subscribeTicks() method once per trade.
+ */
+export type TickCallback = (tick: TickData) => void;
+
 /**
  * Unsubscribe Function
  * 
@@ -141,10 +300,14 @@ export type UnsubscribeFunction = () => void;
  * 
  * OPTIONAL METHODS (improve UX if implemented):
  * - subscribe(symbol, interval, callback): Real-time updates
+ * - subscribeTicks(symbol, callback): Individual trades (enables tick intervals)
  * - searchSymbols(query): Symbol search
  * - getAvailableIntervals(symbol): List available timeframes
  * - getBaseInterval(symbol): Native data resolution
  * - hasData(symbol, interval): Check data availability
+ * - getSymbolInfo(symbol): Price precision, currency, exchange, timezone
+ * - getCorporateActions(symbol, from, to): Splits and dividends for adjusted prices
+ * - getCapabilities(): Declare supported features
  * - disconnect(): Cleanup resources
  * 
  * CALL SEQUENCE:
@@ -206,12 +369,27 @@ export interface OakViewDataProvider {
    * - Chart first loads
    * - User changes symbol
    * - User changes interval
-   * - User pans left (may request more historical data)
+   * - User pans left (requests the page before the oldest loaded bar)
+   * 
+   * Scroll-back paging:
+   * - OakView passes `to` = time of the oldest loaded bar and `from` = `to`
+   *   minus ~500 bars of the requested interval
+   * - Return bars with from <= time <= to; bars not older than `to` are dropped
+   * - An empty page widens the window (weekends, holidays) up to 5 times
+   * - A page with no bar older than `to` ends scroll-back for that symbol,
+   *   so providers that ignore from/to simply stop paging
    * 
    * Caching behavior:
-   * - OakView does NOT cache results
-   * - You should implement caching in your provider if needed
-   * - Same symbol/interval may be called multiple times
+   * - OakView does NOT cache results (wrap in CachingDataProvider if needed)
+   * - Identical requests in flight at the same time (e.g. several panes on
+   *   the same symbol) are merged into one call
+   * - Same symbol/interval may still be called multiple times
+   * 
+   * Cancellation:
+   * - `options.signal` is aborted when the result is no longer needed
+   *   (user switched symbol/interval, pane removed)
+   * - Pass it to fetch() to cancel the HTTP request; ignoring it is safe,
+   *   results of superseded requests are never painted
    * 
    * CRITICAL REQUIREMENTS:
    * - Return array sorted in ASCENDING order (oldest first)
@@ -227,7 +405,9 @@ export interface OakViewDataProvider {
    *   Note: May also receive numeric format: "1", "5", "60" (minutes)
    * @param from - Start Unix timestamp in SECONDS (optional)
    * @param to - End Unix timestamp in SECONDS (optional)
-   * @returns Array of OHLCV bars sorted ascending by time
+   * @param options - Request options; `signal` aborts superseded requests (optional)
+   * @returns Array of OHLCV bars sorted ascending by time, or BarColumns for large
+   *   histories (resampled without creating an object per bar)
    * @throws Error if symbol not found or API error
    * 
    * @example
@@ -235,10 +415,12 @@ export interface OakViewDataProvider {
    *   symbol: string,
    *   interval: string,
    *   from?: number,
-   *   to?: number
+   *   to?: number,
+   *   options?: FetchHistoricalOptions
    * ): Promise<OHLCVBar[]> {
    *   const response = await fetch(
-   *     `${this.apiUrl}/bars?symbol=${symbol}&interval=${interval}`
+   *     `${this.apiUrl}/bars?symbol=${symbol}&interval=${interval}`,
+   *     { signal: options?.signal }
    *   );
    *   const data = await response.json();
    *   
@@ -258,8 +440,9 @@ export interface OakViewDataProvider {
     symbol: string,
     interval: string,
     from?: number,
-    to?: number
-  ): Promise<OHLCVBar[]>;
+    to?: number,
+    options?: FetchHistoricalOptions
+  ): Promise<OHLCVBar[] | BarColumnsData>;
 
   /**
    * Subscribe to real-time data updates
@@ -318,6 +501,35 @@ export interface OakViewDataProvider {
     callback: SubscriptionCallback
   ): UnsubscribeFunction;
 
+  /**
+   * Subscribe to individual trades
+   * 
+   * OPTIONAL: Implement to enable the tick intervals (1T, 10T, 100T, 1000T)
+   * 
+   * OakView aggregates the trades into tick-count bars client-side.
+   * History for a tick interval is requested through fetchHistorical() only
+   * if getAvailableIntervals() lists it; otherwise the chart starts empty
+   * and fills as trades arrive.
+   * 
+   * @param symbol - Symbol to subscribe to
+   * @param callback - Call once per trade, in trade order
+   * @returns Cleanup function
+   * 
+   * @example
+   * subscribeTicks(symbol: string, callback: TickCallback): UnsubscribeFunction {
+   *   const ws = new WebSocket(`wss://api.example.com/trades/${symbol}`);
+   *   ws.onmessage = (event) => {
+   *     const trade = JSON.parse(event.data);
+   *     callback({ time: trade.ts / 1000, price: trade.price, size: trade.qty });
+   *   };
+   *   return () => ws.close();
+   * }
+   */
+  subscribeTicks?(
+    symbol: string,
+    callback: TickCallback
+  ): UnsubscribeFunction;
+
   /**
    * Unsubscribe from real-time updates
    * 
@@ -477,6 +689,95 @@ export interface OakViewDataProvider {
    */
   hasData?(symbol: string, interval: string): boolean;
 
+  /**
+   * Get metadata for a symbol
+   * 
+   * OPTIONAL: Implement so prices are formatted correctly
+   * 
+   * Called when:
+   * - The chart's symbol changes
+   * - setDataProvider() is called
+   * 
+   * How OakView uses it:
+   * - `precision`/`minMove` → series priceFormat (price scale, last price label) and legend values
+   * - `exchange`/`currency` → legend titles
+   * - `description` → legend symbol tooltip
+   * 
+   * Without it prices use 2 decimals and no exchange is shown.
+   * 
+   * @param symbol - Symbol to describe
+   * @returns Metadata (or a Promise of it), null if unknown
+   * 
+   * @example
+   * getSymbolInfo(symbol: string): SymbolInfo {
+   *   return { symbol, name: 'Euro / US Dollar', exchange: 'FX', currency: 'USD', precision: 5 };
+   * }
+   */
+  getSymbolInfo?(symbol: string): SymbolInfo | null | Promise<SymbolInfo | null>;
+
+  /**
+   * Get splits and dividends
+   * 
+   * OPTIONAL: Implement to show split- (and optionally dividend-) adjusted history
+   * 
+   * Called with the time range of every history page OakView loads (`to` is null
+   * for the newest page). Bars before a split are divided by its ratio; in
+   * 'dividends' mode bars before an ex-date are scaled by (1 - amount / previous close).
+   * Each action is also shown as a marker below its bar.
+   * 
+   * @param symbol - Symbol
+   * @param from - Start Unix timestamp in seconds (null = from the beginning)
+   * @param to - End Unix timestamp in seconds (null = up to now)
+   * @returns Actions in the range (or a Promise of them)
+   */
+  getCorporateActions?(symbol: string, from: number | null, to: number | null): CorporateAction[] | Promise<CorporateAction[]>;
+
+  /**
+   * Declare supported features
+   * 
+   * OPTIONAL: Implement to control which chart features are enabled
+   * 
+   * Called when:
+   * - setDataProvider() is called
+   * - User changes symbol (to refresh interval availability)
+   * 
+   * Return format:
+   * - Partial descriptor; omitted fields are derived from implemented methods
+   * - validateProvider() reports declared features whose methods are missing
+   * 
+   * @returns Capability descriptor
+   * 
+   * @example
+   * getCapabilities(): Partial<ProviderCapabilities> {
+   *   return {
+   *     realtime: true,
+   *     search: true,
+   *     maxBarsPerRequest: 5000,
+   *     intervals: ['1', '5', '15', '60', '1D']
+   *   };
+   * }
+   */
+  getCapabilities?(): Partial<ProviderCapabilities>;
+
+  /**
+   * Listen for connection status changes
+   * 
+   * OPTIONAL: Inherited from the base class. Providers report changes with
+   * this.emitStatus(OakViewDataProvider.STATUS.LIVE) and the chart shows a
+   * status badge per pane.
+   * 
+   * @param listener - Called with every status change
+   * @returns Function removing the listener
+   */
+  onStatusChange?(listener: (event: ConnectionStatusEvent) => void): UnsubscribeFunction;
+
+  /**
+   * Current connection status, or null if the provider never reported one
+   * 
+   * @param symbol - Symbol shown by the chart (used by routing providers)
+   */
+  getStatus?(symbol?: string): ConnectionStatus | null;
+
   /**
    * Cleanup and disconnect
    * 
@@ -504,6 +805,770 @@ export interface OakViewDataProvider {
   disconnect?(): void;
 }
 
+/**
+ * Connection state reported by a provider
+ */
+export type ConnectionStatus = 'connecting' | 'live' | 'delayed' | 'stale' | 'reconnecting' | 'error';
+
+/**
+ * Event passed to onStatusChange() listeners
+ */
+export interface ConnectionStatusEvent {
+  status: ConnectionStatus;
+  previous: ConnectionStatus | null;
+  /** Optional detail, e.g. the close reason */
+  message: string | null;
+  /** Time of the change (ms since epoch) */
+  timestamp: number;
+  /** CompositeDataProvider only: name of the child route that reported it */
+  route?: string;
+  /** CompositeDataProvider only: whether the event concerns a chart symbol */
+  appliesTo?(symbol: string): boolean;
+}
+
+/**
+ * Options for CachingDataProvider
+ */
+export interface CachingDataProviderOptions {
+  /** IndexedDB database name (default: 'oakview-cache') */
+  dbName?: string;
+
+  /** Time-to-live of cached bars in milliseconds (default: 24 hours) */
+  ttl?: number;
+
+  /** Maximum number of bars kept across all symbols; oldest entries are evicted first (default: 500000) */
+  maxBars?: number;
+
+  /** Persist to IndexedDB; false keeps the cache in memory only (default: true) */
+  persistent?: boolean;
+}
+
+/**
+ * Decorator that caches fetchHistorical() results of any provider in IndexedDB
+ *
+ * Cached time ranges are served locally; only missing ranges are requested
+ * from the wrapped provider. All other methods are delegated.
+ *
+ * @example
+ * const provider = new CachingDataProvider(new MyApiProvider(), { ttl: 3600000 });
+ * await provider.invalidate('AAPL');
+ */
+export declare class CachingDataProvider implements OakViewDataProvider {
+  constructor(provider: OakViewDataProvider, options?: CachingDataProviderOptions);
+
+  /** The wrapped provider */
+  readonly provider: OakViewDataProvider;
+
+  initialize(config?: DataProviderConfig): Promise<void>;
+  fetchHistorical(symbol: string, interval: string, from?: number | null, to?: number | null, options?: FetchHistoricalOptions): Promise<OHLCVBar[]>;
+
+  /** Remove cached bars for a symbol (all intervals unless one is given) */
+  invalidate(symbol: string, interval?: string | null): Promise<void>;
+
+  /** Remove every cached bar */
+  clear(): Promise<void>;
+
+  subscribe(symbol: string, interval: string, callback: SubscriptionCallback): UnsubscribeFunction;
+  subscribeTicks(symbol: string, callback: TickCallback): UnsubscribeFunction;
+  searchSymbols(query: string): Promise<SymbolInfo[]>;
+  getAvailableIntervals(symbol: string): string[] | null;
+  getBaseInterval(symbol: string): string | null;
+  hasData(symbol: string, interval: string): boolean;
+  getSymbolInfo(symbol: string): SymbolInfo | null | Promise<SymbolInfo | null>;
+  getCorporateActions(symbol: string, from: number | null, to: number | null): CorporateAction[] | Promise<CorporateAction[]>;
+  getCapabilities(): ProviderCapabilities;
+  onStatusChange(listener: (event: ConnectionStatusEvent) => void): UnsubscribeFunction;
+  getStatus(symbol?: string): ConnectionStatus | null;
+  disconnect(): void;
+}
+
+/**
+ * Routing rule of a CompositeDataProvider
+ *
+ * Exactly one of prefix, pattern or match decides which symbols the rule covers.
+ */
+export interface CompositeRoute {
+  /** Child provider serving matching symbols */
+  provider: OakViewDataProvider;
+
+  /** Name used when reporting failures (default: prefix or 'route-N') */
+  name?: string;
+
+  /** Match symbols starting with this prefix, e.g. 'CRYPTO:' */
+  prefix?: string;
+
+  /** Remove the prefix before calling the child, re-add it to search results (default: false) */
+  stripPrefix?: boolean;
+
+  /** Match symbols against a regular expression */
+  pattern?: RegExp;
+
+  /** Match symbols with a predicate */
+  match?: (symbol: string) => boolean;
+}
+
+/**
+ * Configuration of a CompositeDataProvider
+ */
+export interface CompositeDataProviderConfig {
+  /** Routing rules, first match wins */
+  routes: CompositeRoute[];
+
+  /** Provider for symbols no route matches */
+  fallback?: OakViewDataProvider;
+
+  /** Called when a child provider fails; the other children keep working */
+  onError?: (error: unknown, context: { route: string; provider: OakViewDataProvider; method: string }) => void;
+}
+
+/**
+ * Provider that routes every call to a child provider chosen by symbol
+ *
+ * Search is fanned out to all children and merged. Capabilities are the
+ * union of the children's capabilities.
+ *
+ * @example
+ * const provider = new CompositeDataProvider({
+ *   routes: [{ prefix: 'CRYPTO:', provider: cryptoProvider, stripPrefix: true }],
+ *   fallback: equitiesProvider
+ * });
+ */
+export declare class CompositeDataProvider implements OakViewDataProvider {
+  constructor(config: CompositeDataProviderConfig);
+
+  readonly routes: CompositeRoute[];
+
+  /** Find the route for a symbol and the symbol passed to its child */
+  resolveRoute(symbol: string): { entry: CompositeRoute; childSymbol: string } | null;
+
+  initialize(config?: DataProviderConfig): Promise<void>;
+  fetchHistorical(symbol: string, interval: string, from?: number | null, to?: number | null, options?: FetchHistoricalOptions): Promise<OHLCVBar[]>;
+  subscribe(symbol: string, interval: string, callback: SubscriptionCallback): UnsubscribeFunction;
+  subscribeTicks(symbol: string, callback: TickCallback): UnsubscribeFunction;
+  searchSymbols(query: string): Promise<SymbolInfo[]>;
+  getAvailableIntervals(symbol: string): string[] | null;
+  getBaseInterval(symbol: string): string | null;
+  hasData(symbol: string, interval: string): boolean;
+  getSymbolInfo(symbol: string): SymbolInfo | null | Promise<SymbolInfo | null>;
+  getCorporateActions(symbol: string, from: number | null, to: number | null): CorporateAction[] | Promise<CorporateAction[]>;
+  getCapabilities(): ProviderCapabilities;
+  onStatusChange(listener: (event: ConnectionStatusEvent) => void): UnsubscribeFunction;
+  getStatus(symbol?: string): ConnectionStatus | null;
+  disconnect(): void;
+}
+
+/**
+ * Trading session of a simulated symbol (times in UTC)
+ */
+export interface SimulatedSession {
+  /** Session open, 'HH:MM' (default: '00:00') */
+  open?: string;
+
+  /** Session close, 'HH:MM' (default: '24:00') */
+  close?: string;
+
+  /** Trading days, 0 = Sunday (default: every day) */
+  days?: number[];
+}
+
+/**
+ * Symbol generated by SimulatedDataProvider
+ */
+export interface SimulatedSymbol {
+  symbol: string;
+  name?: string;
+  exchange?: string;
+  type?: SymbolInfo['type'];
+  /** Quote currency (default: 'USD') */
+  currency?: string;
+
+  /** Current price; history leads up to it (default: 100) */
+  price?: number;
+
+  /** Annualized volatility, e.g. 0.3 = 30% */
+  volatility?: number;
+
+  /** Annualized drift */
+  drift?: number;
+
+  /** Average volume per day (default: 1000000) */
+  volume?: number;
+
+  /** Decimals of generated prices (default: 2) */
+  precision?: number;
+
+  /** Trading session; null = always open */
+  session?: SimulatedSession | null;
+
+  /** Intervals reported for this symbol */
+  intervals?: string[];
+}
+
+/**
+ * Options for SimulatedDataProvider
+ */
+export interface SimulatedDataProviderOptions {
+  /** Random seed (default: 1) */
+  seed?: number;
+
+  /** Symbols to simulate; strings use default settings */
+  symbols?: Array<SimulatedSymbol | string>;
+
+  /** Default annualized volatility (default: 0.25) */
+  volatility?: number;
+
+  /** Default annualized drift (default: 0.05) */
+  drift?: number;
+
+  /** Default session (default: null = always open) */
+  session?: SimulatedSession | null;
+
+  /** Intervals reported by getAvailableIntervals() */
+  intervals?: string[];
+
+  /** Interval reported by getBaseInterval() (default: '1D') */
+  baseInterval?: string | null;
+
+  /** Bars returned when no range is requested (default: 500) */
+  historyBars?: number;
+
+  /** History depth per symbol and interval (default: 50000) */
+  maxHistoryBars?: number;
+
+  /** Milliseconds between live trades (default: 1000) */
+  tickInterval?: number;
+
+  /** Clock in milliseconds (default: Date.now) */
+  now?: () => number;
+}
+
+/**
+ * Provider generating OHLCV history and live trades with geometric Brownian motion
+ *
+ * The same seed and clock always produce the same bars.
+ *
+ * @example
+ * const provider = new SimulatedDataProvider({ seed: 42 });
+ * await provider.initialize();
+ * chart.setDataProvider(provider);
+ */
+export declare class SimulatedDataProvider implements OakViewDataProvider {
+  constructor(options?: SimulatedDataProviderOptions);
+
+  /** Predefined sessions (UTC, daylight saving time is ignored) */
+  static readonly SESSIONS: {
+    readonly ALWAYS: null;
+    readonly US_EQUITIES: SimulatedSession;
+    readonly WEEKDAYS: SimulatedSession;
+  };
+
+  initialize(config?: SimulatedDataProviderOptions): Promise<void>;
+  fetchHistorical(symbol: string, interval: string, from?: number | null, to?: number | null, options?: FetchHistoricalOptions): Promise<OHLCVBar[]>;
+  subscribe(symbol: string, interval: string, callback: SubscriptionCallback): UnsubscribeFunction;
+  subscribeTicks(symbol: string, callback: TickCallback): UnsubscribeFunction;
+  searchSymbols(query: string): Promise<SymbolInfo[]>;
+  getAvailableIntervals(symbol: string): string[];
+  getBaseInterval(symbol: string): string | null;
+  hasData(symbol: string, interval: string): boolean;
+  getSymbolInfo(symbol: string): SymbolInfo | null | Promise<SymbolInfo | null>;
+  onStatusChange(listener: (event: ConnectionStatusEvent) => void): UnsubscribeFunction;
+  getStatus(symbol?: string): ConnectionStatus | null;
+  disconnect(): void;
+}
+
+/** Unit of a time value: auto-detected from its magnitude, or explicit */
+export type RestTimeUnit = 'auto' | 's' | 'ms' | 'us' | 'ns' | 'iso';
+
+/**
+ * Where a value lives in a JSON item: JSONPath-style path ('$.data.t',
+ * 'ohlc[0]'), array index, or a function of the item
+ */
+export type RestFieldMapping = string | number | ((item: any) => any);
+
+/**
+ * Pagination rules of a REST history endpoint
+ */
+export interface RestPagination {
+  /** Page size, sent as {limit}; a full page means more bars may follow */
+  limit?: number;
+
+  /** Path to the next page's URL (or to a cursor when cursorParam is set) */
+  next?: RestFieldMapping;
+
+  /** Query parameter the cursor is sent in */
+  cursorParam?: string;
+
+  /** Whether a page holds the newest ('backward', default) or oldest bars of the range */
+  direction?: 'backward' | 'forward';
+
+  /** Most requests per fetchHistorical() (default: 10) */
+  maxPages?: number;
+}
+
+/**
+ * History endpoint of RestDataProvider
+ */
+export interface RestHistoryConfig {
+  /** URL template with {symbol}, {interval}, {from}, {to} and {limit}; empty query parameters are dropped */
+  url: string;
+
+  /** Path to the bar array, or to an object of column arrays (default: the response) */
+  bars?: RestFieldMapping;
+
+  /** Where time, open, high, low, close and volume are in a bar (default: same names) */
+  fields?: Partial<Record<'time' | 'open' | 'high' | 'low' | 'close' | 'volume', RestFieldMapping>>;
+
+  /** Unit of response times (default: 'auto') */
+  timeUnit?: RestTimeUnit;
+
+  /** Unit of {from} and {to} in the URL (default: 's') */
+  paramTimeUnit?: Exclude<RestTimeUnit, 'auto'>;
+
+  /** Chart interval -> API interval, e.g. { '60': '1h', '1D': 'day' } */
+  intervalMap?: Record<string, string>;
+
+  /** Value of {limit} without pagination (also reported as maxBarsPerRequest) */
+  limit?: number;
+
+  /** How to request further pages */
+  pagination?: RestPagination;
+}
+
+/**
+ * Configuration of RestDataProvider
+ */
+export interface RestDataProviderConfig {
+  history: RestHistoryConfig;
+
+  /** Symbol search endpoint ({query}) */
+  search?: {
+    url: string;
+    results?: RestFieldMapping;
+    fields?: Record<string, RestFieldMapping>;
+  };
+
+  /** Available intervals: a fixed list, or an endpoint (with {symbol} for per-symbol lists) */
+  intervals?: string[] | { url: string; path?: RestFieldMapping };
+
+  /** Prefix of relative URL templates */
+  baseUrl?: string;
+
+  /** Request headers, or a function returning them */
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+
+  /** fetch implementation (default: global fetch) */
+  fetch?: typeof fetch;
+
+  /** Interval reported by getBaseInterval() */
+  baseInterval?: string | null;
+}
+
+/**
+ * Provider for JSON HTTP APIs configured by URL templates and field mappings
+ *
+ * @example
+ * const provider = new RestDataProvider({
+ *   baseUrl: 'https://api.example.com',
+ *   history: {
+ *     url: '/bars/{symbol}?tf={interval}&start={from}&end={to}',
+ *     bars: '$.data',
+ *     fields: { time: 'ts', open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v' },
+ *     timeUnit: 'ms'
+ *   }
+ * });
+ */
+export declare class RestDataProvider implements OakViewDataProvider {
+  constructor(config: RestDataProviderConfig);
+
+  /** Convert a time value to Unix seconds (NaN if it is not a time) */
+  static toSeconds(value: number | string, unit?: RestTimeUnit): number;
+
+  initialize(config?: Partial<RestDataProviderConfig>): Promise<void>;
+  fetchHistorical(symbol: string, interval: string, from?: number | null, to?: number | null, options?: FetchHistoricalOptions): Promise<OHLCVBar[]>;
+  /** Turn a history response into sorted, de-duplicated bars */
+  parseBars(data: any): OHLCVBar[];
+  searchSymbols(query: string): Promise<SymbolInfo[]>;
+  getAvailableIntervals(symbol: string): string[] | null;
+  getBaseInterval(symbol: string): string | null;
+  /** Request the intervals endpoint and remember the result */
+  loadIntervals(symbol?: string): Promise<string[] | null>;
+  getCapabilities(): ProviderCapabilities;
+  onStatusChange(listener: (event: ConnectionStatusEvent) => void): UnsubscribeFunction;
+  getStatus(symbol?: string): ConnectionStatus | null;
+  disconnect(): void;
+}
+
+/**
+ * Encodes outgoing and decodes incoming WebSocket messages
+ */
+export interface WebSocketCodec {
+  encode(message: any): string | ArrayBuffer | Blob | ArrayBufferView;
+  /** One message or an array of messages per frame */
+  decode(data: string | ArrayBuffer): any;
+  /** binaryType of the socket (default: 'arraybuffer') */
+  binaryType?: BinaryType;
+}
+
+/**
+ * Configuration of WebSocketDataProvider
+ */
+export interface WebSocketDataProviderConfig {
+  /** WebSocket URL, or a function returning it (called on every connect) */
+  url: string | (() => string);
+  protocols?: string | string[];
+
+  /** Message codec (default: WebSocketDataProvider.JSON_CODEC) */
+  codec?: WebSocketCodec;
+
+  /** Provider for history, search and symbol metadata */
+  history?: OakViewDataProvider;
+
+  /** Server channel of a symbol's bars (interval) or trades (interval null); default `${symbol}@${interval ?? 'trades'}` */
+  channel?: (symbol: string, interval: string | null) => string;
+
+  /** Message subscribing a channel (default: { op: 'subscribe', channel }) */
+  subscribeMessage?: (channel: string, target: { symbol: string; interval: string | null }) => any;
+
+  /** Message unsubscribing a channel (default: { op: 'unsubscribe', channel }) */
+  unsubscribeMessage?: (channel: string, target: { symbol: string; interval: string | null }) => any;
+
+  /** Channel a decoded message belongs to (default: message.channel); null ignores it */
+  route?: (message: any) => string | null | undefined;
+
+  /** Bar in a message (default: message.bar ?? message); times may be in any unit */
+  parseBar?: (message: any, subscription: { channel: string; symbol: string; interval: string | null }) => any;
+
+  /** Trade in a message (default: message.trade ?? message) */
+  parseTick?: (message: any, subscription: { channel: string; symbol: string; interval: null }) => any;
+
+  /** Runs on every open before channels are re-subscribed (e.g. authentication) */
+  onOpen?: (send: (message: any) => boolean) => void | Promise<void>;
+
+  /** Pings and stale detection; false disables them */
+  heartbeat?: false | {
+    /** Milliseconds between pings (default: 15000) */
+    interval?: number;
+    /** Reconnect when nothing arrived for this long (default: 45000) */
+    timeout?: number;
+    /** Ping message, null to only watch for traffic (default: { op: 'ping' }) */
+    message?: any;
+    /** Recognizes pong messages so they are not routed */
+    isPong?: (message: any) => boolean;
+  };
+
+  /** Exponential backoff (defaults: 1000, 30000, 2, 0.5, Infinity) */
+  reconnect?: {
+    initialDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    /** Fraction the delay is randomly spread by either way */
+    jitter?: number;
+    maxAttempts?: number;
+  };
+
+  /** Milliseconds to wait for the socket to open (default: 10000) */
+  connectTimeout?: number;
+
+  /** WebSocket implementation (default: global WebSocket) */
+  WebSocket?: typeof WebSocket;
+}
+
+/**
+ * Live bars and trades over a WebSocket with heartbeats, backoff reconnects
+ * and re-subscription of every active channel
+ *
+ * @example
+ * const provider = new WebSocketDataProvider({
+ *   url: 'wss://stream.example.com',
+ *   history: restProvider,
+ *   route: (message) => message.stream
+ * });
+ */
+export declare class WebSocketDataProvider implements OakViewDataProvider {
+  constructor(config: WebSocketDataProviderConfig);
+
+  static readonly JSON_CODEC: WebSocketCodec;
+
+  /** Reconnect delay in milliseconds for an attempt (starting at 0) */
+  static backoffDelay(attempt: number, options?: WebSocketDataProviderConfig['reconnect'], random?: () => number): number;
+
+  /** Active channels and their subscribers */
+  readonly channels: Map<string, { channel: string; symbol: string; interval: string | null; callbacks: Set<Function> }>;
+
+  initialize(config?: DataProviderConfig): Promise<void>;
+  fetchHistorical(symbol: string, interval: string, from?: number | null, to?: number | null, options?: FetchHistoricalOptions): Promise<OHLCVBar[]>;
+  subscribe(symbol: string, interval: string, callback: SubscriptionCallback): UnsubscribeFunction;
+  subscribeTicks(symbol: string, callback: TickCallback): UnsubscribeFunction;
+  searchSymbols(query: string): Promise<SymbolInfo[]>;
+  getAvailableIntervals(symbol: string): string[] | null;
+  getBaseInterval(symbol: string): string | null;
+  getSymbolInfo(symbol: string): SymbolInfo | null | Promise<SymbolInfo | null>;
+  getCapabilities(): ProviderCapabilities;
+  /** Encode and send a message; false while disconnected */
+  send(message: any): boolean;
+  onStatusChange(listener: (event: ConnectionStatusEvent) => void): UnsubscribeFunction;
+  getStatus(symbol?: string): ConnectionStatus | null;
+  /** Close the connection and stop reconnecting (subscriptions are kept) */
+  disconnect(): void;
+}
+
+/** Error types the chart distinguishes when a load fails */
+export type DataErrorType = 'not-found' | 'rate-limited' | 'network' | 'unknown';
+
+export interface DataProviderErrorOptions {
+  type?: DataErrorType;
+  /** HTTP status, if any */
+  status?: number | null;
+  /** Milliseconds before retrying makes sense */
+  retryAfter?: number | null;
+  cause?: unknown;
+}
+
+/**
+ * Typed error thrown by fetchHistorical() so the chart can offer the right retry
+ */
+export declare class DataProviderError extends Error {
+  constructor(message: string, options?: DataProviderErrorOptions);
+
+  static readonly TYPES: Readonly<{ NOT_FOUND: 'not-found'; RATE_LIMITED: 'rate-limited'; NETWORK: 'network'; UNKNOWN: 'unknown' }>;
+
+  /** Wrap any thrown value, typed from its HTTP status or as a network error */
+  static classify(error: unknown): DataProviderError;
+  /** Retry-After header (seconds or date) in milliseconds */
+  static parseRetryAfter(value: string | null): number | null;
+
+  readonly type: DataErrorType;
+  readonly status: number | null;
+  readonly retryAfter: number | null;
+  /** False for not-found errors */
+  readonly retryable: boolean;
+}
+
+export declare class SymbolNotFoundError extends DataProviderError {
+  constructor(symbol: string | null, options?: DataProviderErrorOptions & { message?: string });
+  readonly symbol: string | null;
+}
+
+export declare class RateLimitError extends DataProviderError {
+  constructor(message?: string, options?: DataProviderErrorOptions);
+}
+
+export declare class NetworkError extends DataProviderError {
+  constructor(message?: string, options?: DataProviderErrorOptions);
+}
+
+/**
+ * Detail of the cancelable 'data-error' event fired by a chart pane
+ */
+export interface DataErrorEventDetail {
+  symbol: string;
+  interval: string;
+  error: DataProviderError;
+  type: DataErrorType;
+  retryable: boolean;
+  retryAfter: number | null;
+  /** Load the same symbol and interval again */
+  retry(): Promise<void>;
+}
+
+/**
+ * Options for TickAggregator
+ */
+export interface TickAggregatorOptions {
+  /** Bar type: fixed duration, N trades, N volume or N traded value */
+  type: 'time' | 'tick' | 'volume' | 'dollar';
+
+  /** Trades, volume or value per bar (tick/volume/dollar bars) */
+  size?: number;
+
+  /** Bar duration for time bars (e.g. '1S', '5', '1D') */
+  interval?: string;
+}
+
+/**
+ * Builds OHLCV bars from individual trades
+ *
+ * @example
+ * const aggregator = TickAggregator.fromInterval('100T');
+ * const bars = new TickAggregator({ type: 'dollar', size: 1e6 }).aggregate(trades);
+ */
+export declare class TickAggregator {
+  constructor(options: TickAggregatorOptions);
+
+  /** Aggregator for a chart interval: 'NT' → tick bars, anything else → time bars */
+  static fromInterval(interval: string): TickAggregator;
+
+  /** True for trade-count intervals such as '100T' */
+  static isTickInterval(interval: string): boolean;
+
+  /** Add a trade; returns the bar it completed, if any */
+  addTick(tick: TickData): OHLCVBar | null;
+
+  /** Aggregate a batch of trades (optionally including the still forming bar) */
+  aggregate(ticks: TickData[], includePartial?: boolean): OHLCVBar[];
+
+  /** Start non-time bars strictly after this time (e.g. after loaded history) */
+  setLastBarTime(time: number): void;
+
+  getCurrentBar(): OHLCVBar | null;
+  flush(): OHLCVBar | null;
+  reset(): void;
+}
+
+/**
+ * OHLCV bars as one Float64Array per field (missing values are NaN)
+ *
+ * Accepted by chart.setData() and as a fetchHistorical() result. Times may be
+ * Unix seconds or milliseconds; volume may be left out.
+ */
+export interface BarColumnsData {
+  length: number;
+  time: Float64Array;
+  open: Float64Array;
+  high: Float64Array;
+  low: Float64Array;
+  close: Float64Array;
+  volume?: Float64Array;
+}
+
+/**
+ * Conversion between bars and transferable column buffers
+ */
+export declare class BarColumns {
+  static readonly FIELDS: ReadonlyArray<'time' | 'open' | 'high' | 'low' | 'close' | 'volume'>;
+  static create(length: number): BarColumnsData;
+  static fromBars(bars: OHLCVBar[]): BarColumnsData;
+  /** NaN volumes are left out */
+  static toBars(columns: BarColumnsData): OHLCVBar[];
+  static isColumns(value: unknown): value is BarColumnsData;
+  /** Columns are converted, bars returned as they are */
+  static asBars<T>(data: T | BarColumnsData): T | OHLCVBar[];
+  /** The same bar object is refilled for every bar - copy it to keep it */
+  static forEach(columns: BarColumnsData, callback: (bar: OHLCVBar, index: number) => void): void;
+  /** Times in seconds and a volume column (NaN-filled if missing) */
+  static normalize(columns: BarColumnsData): BarColumnsData & { volume: Float64Array };
+  static filter(columns: BarColumnsData, predicate: (time: number, index: number) => boolean): BarColumnsData;
+  static concat(...parts: BarColumnsData[]): BarColumnsData;
+  /** Buffers to list as transferables in postMessage() */
+  static transferables(columns: object): ArrayBuffer[];
+}
+
+export interface ComputePipelineOptions {
+  /** Use a Web Worker when available (default: true) */
+  worker?: boolean;
+  /** Inputs with fewer bars are computed in-thread (default: 20000) */
+  minBars?: number;
+  /** Start the worker yourself, e.g. from a self-hosted script */
+  createWorker?: () => Worker;
+}
+
+/**
+ * Resampling and indicator calculation in a Web Worker, with an in-thread fallback
+ *
+ * @example
+ * const pipeline = new ComputePipeline();
+ * const minuteBars = await pipeline.resample(secondBars, '1S', '1');
+ */
+export declare class ComputePipeline {
+  constructor(options?: ComputePipelineOptions);
+
+  static isSupported(): boolean;
+  static createDefaultWorker(): Worker;
+
+  minBars: number;
+  /** Whether tasks are (still) sent to a worker */
+  readonly usingWorker: boolean;
+
+  resample(
+    source: OHLCVBar[] | BarColumnsData,
+    sourceInterval: string,
+    targetInterval: string,
+    options?: { session?: TradingSession | null; extendedHours?: boolean; transfer?: boolean }
+  ): Promise<OHLCVBar[]>;
+
+  /** Run a calculation module's createIndicator(options).calculate(bars) in the worker */
+  calculateIndicator(moduleUrl: string, bars: OHLCVBar[] | BarColumnsData, options?: Record<string, unknown>): Promise<Array<{ time: number; value?: number }> | Array<{ data: Array<{ time: number; value?: number }> }>>;
+
+  /** Stop the worker; tasks in flight finish in-thread */
+  terminate(): void;
+}
+
+/** Unit of Arrow temporal types; 'day' for date32 */
+export type ArrowTimeUnit = 's' | 'ms' | 'us' | 'ns' | 'day';
+
+export interface ArrowField {
+  name: string;
+  nullable: boolean;
+  type: {
+    kind: string;
+    bitWidth?: number;
+    signed?: boolean;
+    unit?: ArrowTimeUnit;
+    timezone?: string | null;
+  };
+}
+
+export interface ArrowTable {
+  fields: ArrowField[];
+  length: number;
+  /** Float64Array for numeric and temporal columns (nulls are NaN), arrays otherwise; null for skipped types */
+  columns: Record<string, Float64Array | Array<string | boolean | null> | null>;
+}
+
+/**
+ * Dependency-free reader for Arrow IPC files (Feather v2) and streams
+ */
+export declare class ArrowReader {
+  static isArrow(data: ArrayBuffer | ArrayBufferView): boolean;
+  static read(data: ArrayBuffer | ArrayBufferView): ArrowTable;
+}
+
+export type ArrowSource = string | Blob | ArrayBuffer | ArrayBufferView;
+
+export interface ArrowDataProviderOptions {
+  /** URL (may contain {symbol} and {interval}), File/Blob, bytes, or a function of symbol and interval */
+  source?: ArrowSource | ((symbol: string, interval: string) => ArrowSource) | null;
+  /** Column names (defaults: time, open, high, low, close, volume; symbol: none) */
+  columns?: Partial<Record<'time' | 'open' | 'high' | 'low' | 'close' | 'volume' | 'symbol', string | null>>;
+  /** Unit of the time column (default: from the column type, else guessed) */
+  timeUnit?: 'auto' | ArrowTimeUnit | null;
+  /** Interval of the bars */
+  baseInterval?: string | null;
+  intervals?: string[] | null;
+  /** Symbols for search with per-symbol files */
+  symbols?: string[] | null;
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  fetch?: typeof fetch;
+}
+
+/**
+ * Historical bars from Arrow IPC / Feather data, returned as BarColumns
+ *
+ * @example
+ * const provider = new ArrowDataProvider({
+ *   source: '/data/bars.arrow',
+ *   columns: { time: 'ts', symbol: 'ticker' },
+ *   baseInterval: '1'
+ * });
+ */
+export declare class ArrowDataProvider implements OakViewDataProvider {
+  constructor(options?: ArrowDataProviderOptions);
+
+  /** Symbol -> bars of a table ('' without a symbol column) */
+  static toPartitions(table: ArrowTable, options?: Pick<ArrowDataProviderOptions, 'columns' | 'timeUnit'>): Map<string, BarColumnsData>;
+  /** Copy of the bars with from <= time <= to */
+  static sliceColumns(columns: BarColumnsData, from?: number | null, to?: number | null): BarColumnsData;
+
+  initialize(config?: ArrowDataProviderOptions): Promise<void>;
+  /** Replace the data (tables read so far are dropped) */
+  setSource(source: ArrowDataProviderOptions['source']): void;
+  fetchHistorical(symbol: string, interval: string, from?: number | null, to?: number | null, options?: FetchHistoricalOptions): Promise<BarColumnsData>;
+  searchSymbols(query: string): Promise<SymbolInfo[]>;
+  getAvailableIntervals(symbol: string): string[] | null;
+  getBaseInterval(symbol: string): string | null;
+  getCapabilities(): ProviderCapabilities;
+}
+
 /**
  * Validation result for a data provider
  */
@@ -530,6 +1595,65 @@ export interface ValidationWarning {
   severity: 'warning';
 }
 
+/**
+ * Options for runConformanceSuite() (from 'oakview/conformance')
+ */
+export interface ConformanceOptions {
+  /** Symbol to request (default: 'TEST') */
+  testSymbol?: string;
+
+  /** Interval to request (default: '1D') */
+  testInterval?: string;
+
+  /** Observe subscribe()/subscribeTicks() streams (default: false) */
+  testRealtime?: boolean;
+
+  /** Milliseconds to wait for a live update (default: 5000) */
+  realtimeTimeout?: number;
+
+  /** Milliseconds without callbacks expected after unsubscribe/disconnect (default: 1000) */
+  quietPeriod?: number;
+
+  /** Log each check as it completes (default: false) */
+  debug?: boolean;
+}
+
+export interface ConformanceCheck {
+  /** Stable identifier, e.g. 'history.ascending' */
+  id: string;
+  title: string;
+  status: 'pass' | 'fail' | 'warn' | 'skip';
+  /** Explanation for anything but a plain pass */
+  message: string | null;
+  /** Extra data, e.g. offending bar indexes */
+  details: Record<string, unknown> | null;
+}
+
+/**
+ * Machine-readable conformance report
+ */
+export interface ConformanceReport {
+  provider: string;
+  symbol: string;
+  interval: string;
+  /** True when no check failed */
+  passed: boolean;
+  summary: {
+    total: number;
+    passed: number;
+    failed: number;
+    warnings: number;
+    skipped: number;
+  };
+  checks: ConformanceCheck[];
+  /** ISO timestamp */
+  startedAt: string;
+  durationMs: number;
+}
+
+export declare function runConformanceSuite(provider: OakViewDataProvider, options?: ConformanceOptions): Promise<ConformanceReport>;
+export declare function formatConformanceReport(report: ConformanceReport): string;
+
 /**
  * Interval format used by OakView
  * 
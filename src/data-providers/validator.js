@@ -15,6 +15,19 @@
  * }
  */
 
+import OakViewDataProvider from './base.js';
+import BarColumns from '../utils/BarColumns.js';
+
+/**
+ * Feature flags in the capability descriptor and the method each one requires
+ * @private
+ */
+const CAPABILITY_METHODS = {
+  realtime: 'subscribe',
+  search: 'searchSymbols',
+  ticks: 'subscribeTicks'
+};
+
 /**
  * Validate a data provider implementation
  * 
@@ -91,12 +104,13 @@ export async function validateProvider(provider, options = {}) {
     });
   } else {
     try {
-      const result = await provider.fetchHistorical(testSymbol, testInterval);
+      // BarColumns are checked as the bars they hold
+      const result = BarColumns.asBars(await provider.fetchHistorical(testSymbol, testInterval));
       
       if (!Array.isArray(result)) {
         errors.push({
           method: 'fetchHistorical',
-          message: `fetchHistorical() must return an array, got ${typeof result}`,
+          message: `fetchHistorical() must return an array or BarColumns, got ${typeof result}`,
           severity: 'error'
         });
       } else if (result.length > 0) {
@@ -241,6 +255,45 @@ export async function validateProvider(provider, options = {}) {
     log('  ℹ subscribe() not implemented (optional - real-time updates disabled)');
   }
 
+  // 3b. Check subscribeTicks() - OPTIONAL
+  log('\nChecking subscribeTicks()...');
+  if (OakViewDataProvider.defaultCapabilities(provider).ticks) {
+    if (testRealtime) {
+      try {
+        const unsubscribe = provider.subscribeTicks(testSymbol, (tick) => {
+          if (typeof tick.time !== 'number' || typeof tick.price !== 'number') {
+            warnings.push({
+              method: 'subscribeTicks',
+              message: 'Tick callback must receive numeric time (Unix seconds) and price',
+              severity: 'warning'
+            });
+          }
+        });
+
+        if (typeof unsubscribe !== 'function') {
+          warnings.push({
+            method: 'subscribeTicks',
+            message: 'subscribeTicks() should return an unsubscribe function',
+            severity: 'warning'
+          });
+        } else {
+          unsubscribe();
+          log('  ✓ subscribeTicks() and unsubscribe work correctly');
+        }
+      } catch (error) {
+        warnings.push({
+          method: 'subscribeTicks',
+          message: `subscribeTicks() threw error: ${error.message}`,
+          severity: 'warning'
+        });
+      }
+    } else {
+      log('  ℹ subscribeTicks() implemented (use testRealtime: true to test)');
+    }
+  } else {
+    log('  ℹ subscribeTicks() not implemented (optional - tick intervals disabled)');
+  }
+
   // 4. Check searchSymbols() - OPTIONAL
   log('\nChecking searchSymbols()...');
   if (typeof provider.searchSymbols === 'function') {
@@ -375,7 +428,81 @@ export async function validateProvider(provider, options = {}) {
     log('  ℹ hasData() not implemented (optional - all intervals assumed available)');
   }
 
-  // 8. Check disconnect() - OPTIONAL
+  // 8. Check getSymbolInfo() - OPTIONAL
+  log('\nChecking getSymbolInfo()...');
+  if (typeof provider.getSymbolInfo === 'function') {
+    try {
+      const info = await provider.getSymbolInfo(testSymbol);
+
+      if (info !== null && info !== undefined && (typeof info !== 'object' || Array.isArray(info))) {
+        warnings.push({
+          method: 'getSymbolInfo',
+          message: `getSymbolInfo() must return an object or null, got ${typeof info}`,
+          severity: 'warning'
+        });
+      } else if (info && info.precision !== undefined && !(Number.isInteger(info.precision) && info.precision >= 0)) {
+        warnings.push({
+          method: 'getSymbolInfo',
+          message: `precision must be a non-negative integer (decimals), got ${info.precision}`,
+          severity: 'warning'
+        });
+      } else if (info && info.minMove !== undefined && !(typeof info.minMove === 'number' && info.minMove > 0)) {
+        warnings.push({
+          method: 'getSymbolInfo',
+          message: `minMove must be a positive number (tick size), got ${info.minMove}`,
+          severity: 'warning'
+        });
+      } else {
+        log(`  ✓ getSymbolInfo() returned: ${info ? JSON.stringify(info) : 'null'}`);
+      }
+    } catch (error) {
+      warnings.push({
+        method: 'getSymbolInfo',
+        message: `getSymbolInfo() threw error: ${error.message}`,
+        severity: 'warning'
+      });
+    }
+  } else {
+    log('  ℹ getSymbolInfo() not implemented (optional - prices shown with 2 decimals)');
+  }
+
+  // 9. Check getCorporateActions() - OPTIONAL
+  log('\nChecking getCorporateActions()...');
+  if (typeof provider.getCorporateActions === 'function') {
+    try {
+      const actions = await provider.getCorporateActions(testSymbol, null, null);
+
+      if (!Array.isArray(actions)) {
+        warnings.push({
+          method: 'getCorporateActions',
+          message: `getCorporateActions() must return an array, got ${typeof actions}`,
+          severity: 'warning'
+        });
+      } else {
+        const invalid = actions.find(action =>
+          !(action?.type === 'split' && action.ratio > 0) && !(action?.type === 'dividend' && action.amount > 0));
+        if (invalid) {
+          warnings.push({
+            method: 'getCorporateActions',
+            message: `Each action needs type 'split' with a positive ratio or 'dividend' with a positive amount, got ${JSON.stringify(invalid)}`,
+            severity: 'warning'
+          });
+        } else {
+          log(`  ✓ getCorporateActions() returned ${actions.length} actions`);
+        }
+      }
+    } catch (error) {
+      warnings.push({
+        method: 'getCorporateActions',
+        message: `getCorporateActions() threw error: ${error.message}`,
+        severity: 'warning'
+      });
+    }
+  } else {
+    log('  ℹ getCorporateActions() not implemented (optional - prices are not adjusted)');
+  }
+
+  // 10. Check disconnect() - OPTIONAL
   log('\nChecking disconnect()...');
   if (typeof provider.disconnect === 'function') {
     log('  ✓ disconnect() implemented');
@@ -383,6 +510,81 @@ export async function validateProvider(provider, options = {}) {
     log('  ℹ disconnect() not implemented (optional - no cleanup performed)');
   }
 
+  // 11. Check getCapabilities() - OPTIONAL
+  log('\nChecking getCapabilities()...');
+  if (typeof provider.getCapabilities === 'function') {
+    let declared = null;
+    try {
+      declared = provider.getCapabilities();
+    } catch (error) {
+      errors.push({
+        method: 'getCapabilities',
+        message: `getCapabilities() threw error: ${error.message}`,
+        severity: 'error'
+      });
+    }
+
+    if (declared !== null && (typeof declared !== 'object' || Array.isArray(declared))) {
+      errors.push({
+        method: 'getCapabilities',
+        message: `getCapabilities() must return an object, got ${typeof declared}`,
+        severity: 'error'
+      });
+    } else if (declared) {
+      const derived = OakViewDataProvider.defaultCapabilities(provider);
+      const capabilityErrors = errors.length;
+
+      // Declared features must be backed by an actual implementation
+      for (const [feature, method] of Object.entries(CAPABILITY_METHODS)) {
+        if (declared[feature] === true && !derived[feature]) {
+          errors.push({
+            method: 'getCapabilities',
+            message: `Declares ${feature}: true but ${method}() is not implemented`,
+            severity: 'error'
+          });
+        } else if (declared[feature] === false && derived[feature]) {
+          warnings.push({
+            method: 'getCapabilities',
+            message: `${method}() is implemented but ${feature} is declared false - the chart will not use it`,
+            severity: 'warning'
+          });
+        }
+      }
+
+      if ('intervals' in declared && declared.intervals !== null &&
+          !(Array.isArray(declared.intervals) && declared.intervals.every(i => typeof i === 'string'))) {
+        errors.push({
+          method: 'getCapabilities',
+          message: 'intervals must be an array of interval strings or null',
+          severity: 'error'
+        });
+      }
+
+      if ('maxBarsPerRequest' in declared && declared.maxBarsPerRequest !== null &&
+          !(Number.isInteger(declared.maxBarsPerRequest) && declared.maxBarsPerRequest > 0)) {
+        errors.push({
+          method: 'getCapabilities',
+          message: 'maxBarsPerRequest must be a positive integer or null',
+          severity: 'error'
+        });
+      }
+
+      if ('rangedHistory' in declared && typeof declared.rangedHistory !== 'boolean') {
+        errors.push({
+          method: 'getCapabilities',
+          message: 'rangedHistory must be a boolean',
+          severity: 'error'
+        });
+      }
+
+      if (errors.length === capabilityErrors) {
+        log('  ✓ getCapabilities() matches the implemented methods');
+      }
+    }
+  } else {
+    log('  ℹ getCapabilities() not implemented (optional - capabilities derived from methods)');
+  }
+
   // Summary
   log('\n=====================================');
   log('Validation Summary:');
@@ -0,0 +1,442 @@
+/**
+ * WebSocket Data Provider for OakView
+ *
+ * Live bars and trades over a WebSocket, with the connection handling every
+ * streaming provider needs: heartbeats, stale-connection detection,
+ * reconnection with exponential backoff and jitter, and re-subscription of
+ * every active channel after a reconnect.
+ *
+ * Features:
+ * - Pluggable codec: JSON by default, or any encode/decode pair (binary frames)
+ * - Channels: each (symbol, interval) pair maps to one server channel, shared
+ *   by all chart subscriptions; subscribe/unsubscribe messages are only sent
+ *   for the first and last subscriber
+ * - Messages routed to subscriptions by channel; batches (arrays) supported
+ * - History, search and symbol metadata delegated to another provider
+ *   (e.g. a RestDataProvider)
+ *
+ * @example
+ * import { WebSocketDataProvider, RestDataProvider } from 'oakview';
+ *
+ * const provider = new WebSocketDataProvider({
+ *   url: 'wss://stream.example.com/v1',
+ *   history: new RestDataProvider({ history: { url: 'https://api.example.com/bars/{symbol}?tf={interval}' } }),
+ *   channel: (symbol, interval) => (interval ? `bars.${interval}.${symbol}` : `trades.${symbol}`),
+ *   subscribeMessage: (channel) => ({ action: 'sub', params: [channel] }),
+ *   unsubscribeMessage: (channel) => ({ action: 'unsub', params: [channel] }),
+ *   route: (message) => message.stream,
+ *   heartbeat: { interval: 20000, timeout: 60000, message: { action: 'ping' } }
+ * });
+ *
+ * await provider.initialize();
+ * chart.setDataProvider(provider);
+ */
+
+import OakViewDataProvider from './base.js';
+import RestDataProvider from './rest.js';
+
+const DEFAULT_RECONNECT = { initialDelay: 1000, maxDelay: 30000, factor: 2, jitter: 0.5, maxAttempts: Infinity };
+const DEFAULT_HEARTBEAT = { interval: 15000, timeout: 45000, message: { op: 'ping' }, isPong: null };
+const NORMAL_CLOSURE = 1000;
+
+class WebSocketDataProvider extends OakViewDataProvider {
+  /**
+   * Text frames as JSON
+   * @type {Readonly<WebSocketCodec>}
+   */
+  static JSON_CODEC = Object.freeze({
+    binaryType: 'arraybuffer',
+    encode: (message) => JSON.stringify(message),
+    decode: (data) => JSON.parse(typeof data === 'string' ? data : new TextDecoder().decode(data))
+  });
+
+  /**
+   * @param {Object} config
+   * @param {string|Function} config.url - WebSocket URL, or () => URL (e.g. with a fresh token)
+   * @param {string|Array<string>} [config.protocols] - WebSocket sub-protocols
+   * @param {WebSocketCodec} [config.codec] - Message codec (default: JSON)
+   * @param {OakViewDataProvider} [config.history] - Provider for history, search and symbol metadata
+   * @param {Function} [config.channel] - (symbol, interval|null) => channel; interval is null for trades
+   * @param {Function} [config.subscribeMessage] - (channel, { symbol, interval }) => message
+   * @param {Function} [config.unsubscribeMessage] - (channel, { symbol, interval }) => message
+   * @param {Function} [config.route] - (message) => channel of a decoded message, null to ignore it
+   * @param {Function} [config.parseBar] - (message, subscription) => OHLCV bar
+   * @param {Function} [config.parseTick] - (message, subscription) => trade
+   * @param {Function} [config.onOpen] - (send) => void|Promise, runs before re-subscribing (authentication)
+   * @param {Object|false} [config.heartbeat] - { interval, timeout, message, isPong }; false disables it
+   * @param {Object} [config.reconnect] - { initialDelay, maxDelay, factor, jitter, maxAttempts }
+   * @param {number} [config.connectTimeout=10000] - Milliseconds to wait for the socket to open
+   * @param {Function} [config.WebSocket] - WebSocket implementation (defaults to the global one)
+   */
+  constructor(config = {}) {
+    super();
+    if (!config.url) {
+      throw new Error('WebSocketDataProvider needs a url');
+    }
+
+    this.config = {
+      protocols: undefined,
+      codec: WebSocketDataProvider.JSON_CODEC,
+      history: null,
+      channel: (symbol, interval) => `${symbol}@${interval ?? 'trades'}`,
+      subscribeMessage: (channel) => ({ op: 'subscribe', channel }),
+      unsubscribeMessage: (channel) => ({ op: 'unsubscribe', channel }),
+      route: (message) => message?.channel ?? null,
+      parseBar: (message) => message.bar ?? message,
+      parseTick: (message) => message.trade ?? message,
+      onOpen: null,
+      connectTimeout: 10000,
+      WebSocket: null,
+      ...config
+    };
+    this.heartbeat = config.heartbeat === false ? null : { ...DEFAULT_HEARTBEAT, ...config.heartbeat };
+    this.reconnect = { ...DEFAULT_RECONNECT, ...config.reconnect };
+
+    this.ws = null;
+    this.channels = new Map(); // channel -> { symbol, interval, callbacks }
+    this._attempt = 0; // Reconnect attempts since the last successful open
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._lastMessageAt = 0;
+    this._ready = false; // Open and channels re-subscribed
+    this._closed = true; // Set by disconnect(), stops reconnecting
+  }
+
+  /**
+   * Delay before a reconnect attempt
+   *
+   * Grows by `factor` per attempt up to `maxDelay`; `jitter` spreads it by up
+   * to that fraction either way, so clients dropped together do not all
+   * reconnect at the same moment.
+   *
+   * @param {number} attempt - Attempt number, starting at 0
+   * @param {Object} [options] - Reconnect options (defaults as in the constructor)
+   * @param {Function} [random=Math.random] - Random number source in [0, 1)
+   * @returns {number} Milliseconds
+   */
+  static backoffDelay(attempt, options = {}, random = Math.random) {
+    const { initialDelay, maxDelay, factor, jitter } = { ...DEFAULT_RECONNECT, ...options };
+    const delay = Math.min(maxDelay, initialDelay * factor ** attempt);
+    return Math.round(delay * (1 + jitter * (random() * 2 - 1)));
+  }
+
+  /**
+   * Initialize the history provider and open the connection
+   *
+   * Resolves once the socket is open. If the first attempt fails the promise
+   * rejects, but the provider keeps reconnecting in the background.
+   */
+  async initialize(config) {
+    await this.config.history?.initialize(config);
+
+    this._closed = false;
+    await this._connect();
+  }
+
+  async fetchHistorical(symbol, interval, from = null, to = null, options = {}) {
+    if (!this.config.history) return [];
+    return this.config.history.fetchHistorical(symbol, interval, from, to, options);
+  }
+
+  /**
+   * Subscribe to live bars on the (symbol, interval) channel
+   */
+  subscribe(symbol, interval, callback) {
+    return this._addSubscriber(symbol, interval, 'bar', callback);
+  }
+
+  /**
+   * Subscribe to trades on the (symbol, null) channel
+   */
+  subscribeTicks(symbol, callback) {
+    return this._addSubscriber(symbol, null, 'tick', callback);
+  }
+
+  async searchSymbols(query) {
+    return this.config.history?.searchSymbols?.(query) ?? [];
+  }
+
+  getAvailableIntervals(symbol) {
+    return this.config.history?.getAvailableIntervals?.(symbol) ?? null;
+  }
+
+  getBaseInterval(symbol) {
+    return this.config.history?.getBaseInterval?.(symbol) ?? null;
+  }
+
+  getSymbolInfo(symbol) {
+    return this.config.history?.getSymbolInfo?.(symbol) ?? null;
+  }
+
+  getCapabilities() {
+    const history = this.config.history ? OakViewDataProvider.resolveCapabilities(this.config.history) : {};
+    return {
+      ...OakViewDataProvider.defaultCapabilities(this),
+      search: Boolean(history.search),
+      rangedHistory: history.rangedHistory ?? false,
+      maxBarsPerRequest: history.maxBarsPerRequest ?? null,
+      intervals: history.intervals ?? null
+    };
+  }
+
+  /**
+   * Encode and send a message; dropped (false) while disconnected
+   * @param {*} message - Message for the codec
+   * @returns {boolean} Whether the message was sent
+   */
+  send(message) {
+    if (!this.ws || this.ws.readyState !== 1) return false; // 1 = OPEN
+    this.ws.send(this.config.codec.encode(message));
+    return true;
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   *
+   * Subscriptions are kept: calling initialize() again re-subscribes them.
+   */
+  disconnect() {
+    this._closed = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._stopHeartbeat();
+    this._ready = false;
+
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.close(NORMAL_CLOSURE, 'Client disconnect');
+    }
+    this.config.history?.disconnect?.();
+  }
+
+  /**
+   * Register a callback on a channel, subscribing on the server for the first one
+   * @private
+   */
+  _addSubscriber(symbol, interval, type, callback) {
+    const channel = this.config.channel(symbol, interval);
+    let entry = this.channels.get(channel);
+    if (!entry) {
+      entry = { channel, symbol, interval, type, callbacks: new Set() };
+      this.channels.set(channel, entry);
+      // Before the connection is ready, channels are subscribed on open
+      if (this._ready) this.send(this.config.subscribeMessage(channel, { symbol, interval }));
+    }
+    entry.callbacks.add(callback);
+
+    return () => {
+      if (!entry.callbacks.delete(callback) || entry.callbacks.size > 0) return;
+      this.channels.delete(channel);
+      if (this._ready) this.send(this.config.unsubscribeMessage(channel, { symbol, interval }));
+    };
+  }
+
+  /**
+   * Open a socket and wire it up
+   * @private
+   */
+  _connect() {
+    const SocketImpl = this.config.WebSocket || globalThis.WebSocket;
+    const url = typeof this.config.url === 'function' ? this.config.url() : this.config.url;
+    this.emitStatus(this._attempt > 0 ? OakViewDataProvider.STATUS.RECONNECTING : OakViewDataProvider.STATUS.CONNECTING,
+      this._attempt > 0 ? `Attempt ${this._attempt}` : null);
+
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      let ws;
+      try {
+        ws = new SocketImpl(url, this.config.protocols);
+      } catch (error) {
+        this._scheduleReconnect(error.message);
+        reject(error);
+        return;
+      }
+      ws.binaryType = this.config.codec.binaryType || 'arraybuffer';
+      this.ws = ws;
+
+      const timeout = setTimeout(() => {
+        if (opened || this.ws !== ws) return;
+        ws.close();
+        // Some implementations never fire close for a socket that never opened
+        handleClose({ code: 4000, reason: 'Connection timeout' });
+      }, this.config.connectTimeout);
+
+      ws.onopen = async () => {
+        if (this.ws !== ws) return;
+        clearTimeout(timeout);
+        opened = true;
+        this._attempt = 0;
+        this._lastMessageAt = Date.now();
+
+        try {
+          await this.config.onOpen?.((message) => this.send(message));
+        } catch (error) {
+          console.error('WebSocketDataProvider onOpen failed:', error);
+        }
+        if (this.ws !== ws) return;
+
+        // Re-subscribe every active channel (all of them after a reconnect)
+        for (const entry of this.channels.values()) {
+          this.send(this.config.subscribeMessage(entry.channel, { symbol: entry.symbol, interval: entry.interval }));
+        }
+        this._ready = true;
+        this._startHeartbeat(ws);
+        this.emitStatus(OakViewDataProvider.STATUS.LIVE);
+        resolve();
+      };
+
+      ws.onmessage = (event) => {
+        if (this.ws !== ws) return;
+        this._lastMessageAt = Date.now();
+        this._handleData(event.data);
+      };
+
+      ws.onerror = () => {
+        // Followed by close, which handles reconnecting
+      };
+
+      const handleClose = (event) => {
+        if (this.ws !== ws) return;
+        clearTimeout(timeout);
+        this.ws = null;
+        this._ready = false;
+        this._stopHeartbeat();
+
+        const reason = event.reason || `Connection closed (${event.code})`;
+        if (!opened) reject(new Error(`WebSocket connection failed: ${reason}`));
+        if (!this._closed) this._scheduleReconnect(reason);
+      };
+      ws.onclose = handleClose;
+    });
+  }
+
+  /**
+   * Reconnect after the backoff delay, unless attempts are exhausted
+   * @private
+   */
+  _scheduleReconnect(reason) {
+    if (this._closed || this._reconnectTimer) return;
+
+    if (this._attempt >= this.reconnect.maxAttempts) {
+      this.emitStatus(OakViewDataProvider.STATUS.ERROR, `Gave up reconnecting: ${reason}`);
+      return;
+    }
+
+    const delay = WebSocketDataProvider.backoffDelay(this._attempt, this.reconnect);
+    this._attempt++;
+    this.emitStatus(OakViewDataProvider.STATUS.RECONNECTING, `${reason} - retry ${this._attempt} in ${Math.ceil(delay / 1000)}s`);
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._connect().catch(() => {
+        // Reported through the status, the next attempt is already scheduled
+      });
+    }, delay);
+  }
+
+  /**
+   * Send pings and drop the connection when nothing arrived within the timeout
+   * @private
+   */
+  _startHeartbeat(ws) {
+    this._stopHeartbeat();
+    if (!this.heartbeat) return;
+
+    const { interval, timeout, message } = this.heartbeat;
+    this._heartbeatTimer = setInterval(() => {
+      if (Date.now() - this._lastMessageAt > timeout) {
+        // Stale: the socket may look open but nothing gets through
+        this._stopHeartbeat();
+        this.emitStatus(OakViewDataProvider.STATUS.STALE, `No message for ${Math.round(timeout / 1000)}s`);
+        ws.close(4000, 'Heartbeat timeout');
+        ws.onclose?.({ code: 4000, reason: 'Heartbeat timeout' });
+        return;
+      }
+      if (message != null) {
+        this.send(typeof message === 'function' ? message() : message);
+      }
+    }, interval);
+  }
+
+  /** @private */
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+  }
+
+  /**
+   * Decode a frame and deliver each message to its channel's subscribers
+   * @private
+   */
+  _handleData(data) {
+    let decoded;
+    try {
+      decoded = this.config.codec.decode(data);
+    } catch (error) {
+      console.warn('WebSocketDataProvider could not decode a message:', error);
+      return;
+    }
+
+    const messages = Array.isArray(decoded) ? decoded : [decoded];
+    for (const message of messages) {
+      if (message == null || this.heartbeat?.isPong?.(message)) continue;
+
+      const entry = this.channels.get(this.config.route(message));
+      if (!entry) continue;
+
+      const value = entry.type === 'tick'
+        ? this._normalizeTick(this.config.parseTick(message, entry))
+        : this._normalizeBar(this.config.parseBar(message, entry));
+      if (!value) continue;
+
+      for (const callback of entry.callbacks) {
+        try {
+          callback(value);
+        } catch (error) {
+          console.error(`WebSocketDataProvider subscriber of ${entry.channel} threw:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Bar with Unix-seconds time and numeric prices, null if incomplete
+   * @private
+   */
+  _normalizeBar(bar) {
+    if (!bar) return null;
+    const time = RestDataProvider.toSeconds(bar.time);
+    const prices = ['open', 'high', 'low', 'close'].map(field => Number(bar[field]));
+    if (!Number.isFinite(time) || !prices.every(Number.isFinite)) return null;
+
+    const [open, high, low, close] = prices;
+    const normalized = { time, open, high, low, close };
+    if (bar.volume != null && Number.isFinite(Number(bar.volume))) normalized.volume = Number(bar.volume);
+    return normalized;
+  }
+
+  /**
+   * Trade with Unix-seconds time and numeric price/size, null if incomplete
+   * @private
+   */
+  _normalizeTick(tick) {
+    if (!tick) return null;
+    const time = RestDataProvider.toSeconds(tick.time);
+    const price = Number(tick.price);
+    if (!Number.isFinite(time) || !Number.isFinite(price)) return null;
+
+    const normalized = { time, price };
+    if (tick.size != null && Number.isFinite(Number(tick.size))) normalized.size = Number(tick.size);
+    return normalized;
+  }
+}
+
+/**
+ * @typedef {Object} WebSocketCodec
+ * @property {Function} encode - (message) => string | ArrayBuffer | Blob
+ * @property {Function} decode - (data: string | ArrayBuffer) => message or array of messages
+ * @property {string} [binaryType='arraybuffer'] - WebSocket binaryType for binary frames
+ */
+
+export default WebSocketDataProvider;
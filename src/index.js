@@ -19,5 +19,31 @@ export { default as OakViewChartLayout } from './oak-view-layout.js'; // Alias f
 // Base data provider class for implementing custom providers
 export { OakViewDataProvider } from './data-providers/index.js';
 
+// Typed provider errors (the pane's error overlay offers a Retry that fits the type)
+export { DataProviderError, SymbolNotFoundError, RateLimitError, NetworkError } from './data-providers/index.js';
+
+// Provider decorators
+export { CachingDataProvider, CompositeDataProvider } from './data-providers/index.js';
+
+// Declarative provider for JSON HTTP APIs (URL templates and field mappings)
+export { RestDataProvider } from './data-providers/index.js';
+
+// Live bars and trades over a WebSocket with pluggable codecs and reconnects
+export { WebSocketDataProvider } from './data-providers/index.js';
+
+// Generated market data for demos and tests (no backend needed)
+export { SimulatedDataProvider } from './data-providers/index.js';
+
+// Historical bars from Apache Arrow IPC / Feather files (URL or local File)
+export { ArrowDataProvider } from './data-providers/index.js';
+export { default as ArrowReader } from './utils/ArrowReader.js';
+
+// Client-side bar building from trades (tick, volume and dollar bars)
+export { default as TickAggregator } from './utils/TickAggregator.js';
+
+// Resampling and indicator calculation in a Web Worker, on columnar bars
+export { default as ComputePipeline } from './utils/ComputePipeline.js';
+export { default as BarColumns } from './utils/BarColumns.js';
+
 // Re-export lightweight-charts for advanced usage
 export { createChart, ColorType, LineStyle, CrosshairMode } from 'lightweight-charts';
@@ -5,10 +5,52 @@ import {
   LineSeries,
   AreaSeries,
   BaselineSeries,
-  HistogramSeries
+  HistogramSeries,
+  createSeriesMarkers
 } from 'lightweight-charts';
 import cssVariables from './oakview-variables.css?inline';
 import BarResampler from './utils/BarResampler.js';
+import HistoryRequestPool from './utils/HistoryRequestPool.js';
+import ComputePipeline from './utils/ComputePipeline.js';
+import BarColumns from './utils/BarColumns.js';
+import TickAggregator from './utils/TickAggregator.js';
+import SessionShading from './utils/SessionShading.js';
+import CorporateActions from './utils/CorporateActions.js';
+import TimezoneFormatter from './utils/TimezoneFormatter.js';
+import OakViewDataProvider from './data-providers/base.js';
+import DataProviderError from './data-providers/errors.js';
+
+// Shared by all chart instances so identical requests from several panes are merged
+const historyRequests = new HistoryRequestPool();
+
+// Shared worker for resampling and indicator calculation (in-thread where workers are unavailable)
+const computePipeline = new ComputePipeline();
+
+// Status badge labels, keyed by OakViewDataProvider.STATUS values
+const STATUS_LABELS = {
+  connecting: 'Connecting',
+  live: 'Live',
+  delayed: 'Delayed',
+  stale: 'Stale',
+  reconnecting: 'Reconnecting',
+  error: 'Error'
+};
+
+// Error overlay titles, keyed by DataProviderError.TYPES values
+const DATA_ERROR_TITLES = {
+  'not-found': 'Symbol not found',
+  'rate-limited': 'Too many requests',
+  network: 'Connection problem',
+  unknown: 'Could not load data'
+};
+
+const DEFAULT_STALE_THRESHOLD = 30000; // ms without updates before live data is marked stale
+
+// Values of the adjustment attribute
+const ADJUSTMENTS = ['splits', 'dividends', 'none'];
+
+// Used until the provider describes the symbol through getSymbolInfo()
+const DEFAULT_PRICE_FORMAT = { type: 'price', precision: 2, minMove: 0.01 };
 
 /**
  * OakView Chart Web Component with Built-in UI
@@ -33,10 +75,53 @@ class OakViewChart extends HTMLElement {
     this._data = [];
     this._dataProvider = null;
     this._subscriptionUnsubscribe = null;
+
+    // Scroll-back history loading
+    this._historyContext = null; // { symbol, interval, fetchInterval, signal, baseData, exhausted }
+    this._historyLoading = null; // Pending loadMoreHistory() promise
+    this._historyPageSize = 500; // Bars requested per page (in fetch interval units)
+    this._historyThreshold = 10; // Load when fewer than this many bars remain on the left
+
+    // Live bars held while bars skipped by the stream are fetched: { queue, promise }
+    this._gapFill = null;
+
+    // Aborted when a newer symbol/interval load supersedes the current one
+    this._loadController = null;
+
+    // Connection status
+    this._connectionStatus = null; // Status shown on the badge
+    this._providerStatus = null; // Last status reported by the provider
+    this._statusUnsubscribe = null;
+    this._staleTimer = null;
+
+    // Failed load shown on the error overlay: { error, symbol, interval, retry }
+    this._dataError = null;
+    this._dataErrorTimer = null;
+
+    // Active BarReplay (see utils/BarReplay.js) - live updates are ignored while set
+    this._replay = null;
+
+    // Normalized getSymbolInfo() result for the current symbol
+    this._symbolInfo = null;
+    this._symbolInfoLoading = null; // Promise of the pending getSymbolInfo() answer
+
+    // Formatter for time labels, rebuilt when the timezone changes
+    this._timezoneFormatter = null;
+    this._dateFormatter = null;
+
+    // Extended hours: shading of pre/post-market bars and the session they are classified by
+    this._sessionShading = new SessionShading();
+    this._sessionResampler = null; // { info, resampler } for the current symbol's session
+
+    // Splits and dividends of the loaded symbol, for back-adjustment and markers
+    this._corporateActions = new CorporateActions();
+    this._corporateActionsSymbol = null;
+    this._actionMarkers = null; // Series markers plugin of the current series
+    this._lastAdjustment = 'splits'; // Restored by the legend toggle after 'none'
   }
 
   static get observedAttributes() {
-    return ['width', 'height', 'theme', 'symbol', 'interval', 'show-toolbar', 'hide-sidebar'];
+    return ['width', 'height', 'theme', 'symbol', 'interval', 'show-toolbar', 'hide-sidebar', 'timezone', 'extended-hours', 'adjustment'];
   }
 
   async connectedCallback() {
@@ -60,50 +145,799 @@ class OakViewChart extends HTMLElement {
    */
   setDataProvider(provider) {
     this._dataProvider = provider;
+    this._applyCapabilities();
+    this._updateAdjustmentToggle();
+    this._watchConnectionStatus();
     // Update available intervals for current symbol
     const symbol = this.getAttribute('symbol');
     if (symbol) {
       this.updateAvailableIntervals(symbol);
     }
+    this._symbolInfoLoading = this._loadSymbolInfo(symbol);
+  }
+
+  /**
+   * Get the metadata of the current symbol
+   * @returns {SymbolInfo|null} Normalized getSymbolInfo() result, null if the provider has none
+   * @public
+   */
+  getSymbolInfo() {
+    return this._symbolInfo;
+  }
+
+  /**
+   * Ask the provider to describe a symbol and apply the answer
+   *
+   * Answers that arrive after the symbol or provider changed are dropped.
+   * @param {string|null} symbol - Symbol to describe
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadSymbolInfo(symbol) {
+    const provider = this._dataProvider;
+    if (!symbol || typeof provider?.getSymbolInfo !== 'function') {
+      this._setSymbolInfo(null);
+      return;
+    }
+
+    let info = null;
+    try {
+      info = OakViewDataProvider.normalizeSymbolInfo(await provider.getSymbolInfo(symbol), symbol);
+    } catch (error) {
+      console.warn(`⚠️ getSymbolInfo(${symbol}) failed:`, error);
+    }
+
+    if (provider !== this._dataProvider || symbol !== this.getAttribute('symbol')) return;
+    this._setSymbolInfo(info);
+  }
+
+  /**
+   * Store symbol metadata, reformat prices and notify listeners
+   * @param {SymbolInfo|null} info - Normalized metadata
+   * @private
+   */
+  _setSymbolInfo(info) {
+    this._symbolInfo = info;
+    this._applyPriceFormat();
+    this._applyTimezone();
+    this._updateSessionShading();
+
+    const symbol = this.getAttribute('symbol');
+    if (symbol) {
+      this.updateLegend(symbol, this.getAttribute('interval') || '1D');
+    }
+
+    this.dispatchEvent(new CustomEvent('symbol-info', {
+      detail: { symbol, info },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Trading session of the current symbol, used to align resampled bars
+   *
+   * Built from the symbol's timezone and session; a symbol with a timezone
+   * but no session trades the whole local day.
+   * @returns {TradingSession|null} null when the provider describes neither
+   * @private
+   */
+  _getSession() {
+    const info = this._symbolInfo;
+    if (!info?.timezone && !info?.session) return null;
+    return { timezone: info.timezone || 'UTC', ...info.session };
+  }
+
+  /**
+   * Whether pre- and post-market bars are shown
+   *
+   * Set by the extended-hours attribute ('false' hides them) or the ETH
+   * toolbar button. Only matters for symbols whose session has extended hours.
+   * @returns {boolean}
+   * @public
+   */
+  getExtendedHours() {
+    return this.getAttribute('extended-hours') !== 'false';
+  }
+
+  /**
+   * Show or hide pre- and post-market bars
+   *
+   * Hiding them reloads the data so resampled bars only contain the regular session.
+   * @param {boolean} show - Show extended hours
+   * @public
+   */
+  setExtendedHours(show) {
+    this.setAttribute('extended-hours', String(Boolean(show)));
+  }
+
+  /**
+   * Resampler holding the current symbol's session, used to classify bar times
+   * @returns {BarResampler|null} null when the symbol has no session
+   * @private
+   */
+  _getSessionResampler() {
+    const session = this._getSession();
+    if (!session) return null;
+
+    if (this._sessionResampler?.info !== this._symbolInfo) {
+      let resampler = null;
+      try {
+        resampler = new BarResampler('1', '1', { session });
+      } catch (error) {
+        console.warn('⚠️ Invalid trading session:', error.message);
+      }
+      this._sessionResampler = { info: this._symbolInfo, resampler };
+    }
+    return this._sessionResampler.resampler;
   }
 
-  /**
-   * Get the current data provider
-   * @returns {OakViewDataProvider|null}
-   * @public
-   */
-  getDataProvider() {
-    return this._dataProvider;
+  /**
+   * Whether bars of an interval have a time of day (and so a session part)
+   * @private
+   */
+  _isIntradayInterval(interval) {
+    if (!interval || TickAggregator.isTickInterval(interval)) return false;
+    try {
+      return this.parseIntervalToMs(interval) < 24 * 60 * 60 * 1000;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a bar is outside the regular session while extended hours are hidden
+   * @param {number} time - Bar time (Unix seconds)
+   * @param {string} [interval] - Bar interval (default: the interval attribute)
+   * @private
+   */
+  _isHiddenExtendedBar(time, interval = this.getAttribute('interval')) {
+    if (this.getExtendedHours() || !this._isIntradayInterval(interval)) return false;
+    const resampler = this._getSessionResampler();
+    return resampler ? resampler.getSessionPart(time) !== 'regular' : false;
+  }
+
+  /**
+   * Drop pre- and post-market bars while extended hours are hidden
+   * @param {Array|Object} bars - Provider bars, or BarColumns
+   * @param {string} interval - Interval of the bars
+   * @returns {Array|Object} Bars, or columns for columns
+   * @private
+   */
+  _filterExtendedHours(bars, interval) {
+    if (!bars || this.getExtendedHours() || !this._getSessionResampler()) return bars;
+    if (BarColumns.isColumns(bars)) {
+      return BarColumns.filter(BarColumns.normalize(bars), time => !this._isHiddenExtendedBar(time, interval));
+    }
+    return bars.filter(bar => !this._isHiddenExtendedBar(this._normalizeTime(bar.time), interval));
+  }
+
+  /**
+   * Shade pre- and post-market bars of intraday intervals
+   * @private
+   */
+  _updateSessionShading() {
+    const resampler = this._getSessionResampler();
+    const shaded = resampler?.session.extended && this._isIntradayInterval(this.getAttribute('interval'));
+    this._sessionShading.setClassifier(shaded ? (time) => resampler.getSessionPart(time) : null);
+  }
+
+  /**
+   * Sync the ETH button and reload the data after extended hours were toggled
+   * @private
+   */
+  _applyExtendedHours() {
+    const shown = this.getExtendedHours();
+    const button = this.shadowRoot?.querySelector('.extended-hours-button');
+    if (button) {
+      button.classList.toggle('active', shown);
+      button.setAttribute('aria-pressed', String(shown));
+    }
+
+    // Only symbols with a session have bars to hide; a replay keeps its data
+    // and the layout's toolbar-only chart has none
+    const symbol = this.getAttribute('symbol');
+    const interval = this.getAttribute('interval');
+    const isControlChart = this.classList.contains('control-chart');
+    if (this._dataProvider && symbol && interval && !this._replay && !isControlChart && this._getSessionResampler()) {
+      this.loadSymbolData(symbol, interval).catch(error => {
+        console.error('Failed to reload after toggling extended hours:', error);
+      });
+    }
+  }
+
+  /**
+   * Get how history is adjusted for corporate actions
+   *
+   * Set by the adjustment attribute: 'splits' (the default), 'dividends'
+   * (splits and dividends) or 'none' for raw prices. Only applies when the
+   * provider implements getCorporateActions().
+   * @returns {'splits'|'dividends'|'none'}
+   * @public
+   */
+  getAdjustment() {
+    const value = this.getAttribute('adjustment');
+    return ADJUSTMENTS.includes(value) ? value : 'splits';
+  }
+
+  /**
+   * Adjust history for splits, splits and dividends, or show raw prices
+   * @param {'splits'|'dividends'|'none'} adjustment - Adjustment mode
+   * @throws {RangeError} If the mode is unknown
+   * @public
+   */
+  setAdjustment(adjustment) {
+    if (!ADJUSTMENTS.includes(adjustment)) {
+      throw new RangeError(`Unknown adjustment: ${adjustment} (expected ${ADJUSTMENTS.join(', ')})`);
+    }
+    this.setAttribute('adjustment', adjustment);
+  }
+
+  /**
+   * Get the splits and dividends known for the loaded history
+   * @returns {Array<CorporateAction>} Normalized actions, ascending by time
+   * @public
+   */
+  getCorporateActions() {
+    return this._corporateActions.actions.slice();
+  }
+
+  /**
+   * Load the corporate actions covering provider bars and back-adjust them
+   *
+   * @param {string} symbol - Symbol of the bars
+   * @param {Array} bars - Provider bars, ascending
+   * @param {AbortSignal|null} signal - Signal of the current load
+   * @param {number|null} [to=null] - End of the range (null = up to now)
+   * @returns {Promise<Array>} Bars adjusted for the current adjustment mode
+   * @private
+   */
+  async _adjustHistory(symbol, bars, signal, to = null) {
+    if (this._corporateActionsSymbol !== symbol) {
+      this._corporateActions = new CorporateActions();
+      this._corporateActionsSymbol = symbol;
+    }
+    if (!this._getCapabilities().corporateActions || !bars || bars.length === 0) return bars;
+
+    // Adjusting rewrites prices bar by bar - columns become bars here
+    const normalized = BarColumns.asBars(bars).map(bar => ({ ...bar, time: this._normalizeTime(bar.time) }));
+    try {
+      const actions = await this._dataProvider.getCorporateActions(symbol, normalized[0].time, to);
+      // A newer load owns the actions now
+      if (signal?.aborted || this._corporateActionsSymbol !== symbol) return bars;
+      this._corporateActions.add(actions);
+    } catch (error) {
+      console.warn(`⚠️ getCorporateActions(${symbol}) failed, showing raw prices:`, error);
+      return bars;
+    }
+
+    const adjustment = this.getAdjustment();
+    if (adjustment === 'none') return normalized;
+    return this._corporateActions.adjust(normalized, { dividends: adjustment === 'dividends' });
+  }
+
+  /**
+   * Show each split and dividend as a marker below its bar
+   * @private
+   */
+  _updateCorporateActionMarkers() {
+    if (!this._actionMarkers) return;
+
+    const symbol = this.getAttribute('symbol');
+    const markers = this._corporateActionsSymbol === symbol
+      ? this._corporateActions.toMarkers(this._data, {
+        intraday: this._isIntradayInterval(this.getAttribute('interval')),
+        formatPrice: (price) => this._formatPrice(price)
+      })
+      : [];
+    this._actionMarkers.setMarkers(markers);
+  }
+
+  /**
+   * Sync the legend toggle and reload the data after the adjustment changed
+   * @private
+   */
+  _applyAdjustment() {
+    const adjustment = this.getAdjustment();
+    if (adjustment !== 'none') {
+      this._lastAdjustment = adjustment;
+    }
+    this._updateAdjustmentToggle();
+
+    const symbol = this.getAttribute('symbol');
+    const interval = this.getAttribute('interval');
+    if (this._dataProvider && symbol && interval && !this._replay && this._getCapabilities().corporateActions) {
+      this.loadSymbolData(symbol, interval).catch(error => {
+        console.error('Failed to reload after changing the adjustment:', error);
+      });
+    }
+  }
+
+  /**
+   * Show the adjusted/raw toggle for providers with corporate actions
+   * @private
+   */
+  _updateAdjustmentToggle() {
+    const toggle = this.shadowRoot?.querySelector('.legend-adjustment');
+    if (!toggle) return;
+
+    const adjustment = this.getAdjustment();
+    toggle.hidden = !this._dataProvider || !this._getCapabilities().corporateActions;
+    toggle.textContent = adjustment === 'none' ? 'RAW' : 'ADJ';
+    toggle.title = {
+      splits: 'Prices adjusted for splits - click for raw prices',
+      dividends: 'Prices adjusted for splits and dividends - click for raw prices',
+      none: 'Raw prices - click for adjusted prices'
+    }[adjustment];
+    toggle.setAttribute('aria-pressed', String(adjustment !== 'none'));
+  }
+
+  /**
+   * Series priceFormat for the current symbol
+   * @returns {{type: string, precision: number, minMove: number}}
+   * @private
+   */
+  _getPriceFormat() {
+    const info = this._symbolInfo;
+    if (!info || info.precision === null) return DEFAULT_PRICE_FORMAT;
+    return { type: 'price', precision: info.precision, minMove: info.minMove };
+  }
+
+  /**
+   * Apply the symbol's precision and tick size to the main series
+   *
+   * The price scale and the last price label follow the series priceFormat.
+   * @private
+   */
+  _applyPriceFormat() {
+    if (this.currentSeries) {
+      this.currentSeries.applyOptions({ priceFormat: this._getPriceFormat() });
+    }
+  }
+
+  /**
+   * Format a price with the current symbol's precision
+   * @param {number|null|undefined} price - Price to format
+   * @returns {string} Formatted price, '—' when missing
+   * @private
+   */
+  _formatPrice(price) {
+    if (price === null || price === undefined) return '—';
+    return price.toFixed(this._getPriceFormat().precision);
+  }
+
+  /**
+   * Follow the connection status channel of the current data provider
+   * @private
+   */
+  _watchConnectionStatus() {
+    if (this._statusUnsubscribe) {
+      this._statusUnsubscribe();
+      this._statusUnsubscribe = null;
+    }
+
+    const provider = this._dataProvider;
+    if (provider && typeof provider.onStatusChange === 'function') {
+      this._statusUnsubscribe = provider.onStatusChange((event) => {
+        // Routed providers report per child - ignore children serving other symbols
+        const symbol = this.getAttribute('symbol');
+        if (event.appliesTo && symbol && !event.appliesTo(symbol)) return;
+
+        this._providerStatus = event.status;
+        this._setConnectionStatus(event.status, event.message);
+      });
+    }
+
+    this._refreshConnectionStatus();
+  }
+
+  /**
+   * Show the provider's current status for the current symbol
+   * @private
+   */
+  _refreshConnectionStatus() {
+    this._providerStatus = this._dataProvider?.getStatus?.(this.getAttribute('symbol')) ?? null;
+    this._setConnectionStatus(this._providerStatus);
+  }
+
+  /**
+   * Update the status badge and fire 'connection-status'
+   * @param {string|null} status - New status (null hides the badge)
+   * @param {string|null} [message] - Optional detail from the provider
+   * @private
+   */
+  _setConnectionStatus(status, message = null) {
+    // Live data is expected to keep flowing - watch for silence
+    if (status === 'live' || status === 'delayed') {
+      this._armStaleTimer();
+    } else {
+      this._clearStaleTimer();
+    }
+
+    if (status === this._connectionStatus) return;
+
+    const previous = this._connectionStatus;
+    this._connectionStatus = status;
+
+    const badge = this.shadowRoot.querySelector('.legend-status');
+    if (badge) {
+      badge.hidden = !status;
+      badge.dataset.status = status || '';
+      badge.querySelector('.legend-status-label').textContent = STATUS_LABELS[status] || '';
+    }
+
+    this.dispatchEvent(new CustomEvent('connection-status', {
+      detail: { status, previous, message, symbol: this.getAttribute('symbol') },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Record that a live update arrived
+   * @private
+   */
+  _markDataReceived() {
+    if (this._connectionStatus === null || this._connectionStatus === 'stale') {
+      // Data is flowing again - fall back to what the provider says, or live
+      const next = this._providerStatus === 'delayed' ? 'delayed' : 'live';
+      this._setConnectionStatus(next);
+    } else if (this._connectionStatus === 'live' || this._connectionStatus === 'delayed') {
+      this._armStaleTimer();
+    }
+  }
+
+  /**
+   * Restart the countdown after which live data is considered stale
+   *
+   * The threshold is read from the 'stale-threshold' attribute (milliseconds).
+   * @private
+   */
+  _armStaleTimer() {
+    this._clearStaleTimer();
+
+    const threshold = parseInt(this.getAttribute('stale-threshold')) || DEFAULT_STALE_THRESHOLD;
+    this._staleTimer = setTimeout(() => {
+      this._staleTimer = null;
+      this._setConnectionStatus('stale', `No updates for ${Math.round(threshold / 1000)}s`);
+    }, threshold);
+  }
+
+  /**
+   * @private
+   */
+  _clearStaleTimer() {
+    if (this._staleTimer) {
+      clearTimeout(this._staleTimer);
+      this._staleTimer = null;
+    }
+  }
+
+  /**
+   * Report a failed load: fire 'data-error' and show the error overlay
+   *
+   * The event is cancelable - calling preventDefault() keeps the overlay
+   * hidden so the application can present the failure itself. Its detail
+   * carries a retry() function that loads the same symbol and interval again.
+   * @private
+   */
+  _handleLoadError(error, symbol, interval) {
+    const classified = DataProviderError.classify(error);
+    const retry = () => this.loadSymbolData(symbol, interval).catch(() => {});
+
+    const event = new CustomEvent('data-error', {
+      detail: {
+        symbol,
+        interval,
+        error: classified,
+        type: classified.type,
+        retryable: classified.retryable,
+        retryAfter: classified.retryAfter,
+        retry
+      },
+      bubbles: true,
+      composed: true,
+      cancelable: true
+    });
+    this.dispatchEvent(event);
+
+    // The previous symbol's bars are still drawn - name the one that failed
+    this.updateLegend(symbol, interval);
+    if (event.defaultPrevented) return;
+
+    this._dataError = { error: classified, symbol, interval, retry };
+    this._showDataError(classified);
+  }
+
+  /**
+   * Show the error overlay with a Retry button that fits the error type
+   *
+   * Not-found errors get no Retry; rate-limited errors count down to their
+   * retryAfter before Retry is enabled.
+   * @private
+   */
+  _showDataError(error) {
+    const overlay = this.shadowRoot?.querySelector('.data-error');
+    if (!overlay) return;
+
+    this._clearDataErrorTimer();
+    overlay.dataset.type = error.type;
+    overlay.querySelector('.data-error-title').textContent = DATA_ERROR_TITLES[error.type] || DATA_ERROR_TITLES.unknown;
+    overlay.querySelector('.data-error-message').textContent = error.message;
+
+    const retryBtn = overlay.querySelector('.data-error-retry');
+    retryBtn.hidden = !error.retryable;
+    retryBtn.disabled = false;
+    retryBtn.textContent = 'Retry';
+
+    if (error.type === DataProviderError.TYPES.RATE_LIMITED && error.retryAfter > 0) {
+      const retryAt = Date.now() + error.retryAfter;
+      const tick = () => {
+        const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+        if (seconds > 0) {
+          retryBtn.disabled = true;
+          retryBtn.textContent = `Retry in ${seconds}s`;
+          return;
+        }
+        this._clearDataErrorTimer();
+        retryBtn.disabled = false;
+        retryBtn.textContent = 'Retry';
+      };
+      tick();
+      this._dataErrorTimer = setInterval(tick, 1000);
+    }
+
+    overlay.hidden = false;
+  }
+
+  /**
+   * @private
+   */
+  _hideDataError() {
+    this._clearDataErrorTimer();
+    this._dataError = null;
+    const overlay = this.shadowRoot?.querySelector('.data-error');
+    if (overlay) overlay.hidden = true;
+  }
+
+  /**
+   * @private
+   */
+  _clearDataErrorTimer() {
+    if (this._dataErrorTimer) {
+      clearInterval(this._dataErrorTimer);
+      this._dataErrorTimer = null;
+    }
+  }
+
+  /**
+   * Get the error shown on this pane's overlay
+   * @returns {DataProviderError|null} Error of the failed load, or null
+   * @public
+   */
+  getDataError() {
+    return this._dataError?.error ?? null;
+  }
+
+  /**
+   * Get the connection status shown on this pane
+   * @returns {string|null} One of OakViewDataProvider.STATUS, or null
+   * @public
+   */
+  getConnectionStatus() {
+    return this._connectionStatus;
+  }
+
+  /**
+   * Get the capability descriptor of the current data provider
+   * @returns {ProviderCapabilities}
+   * @private
+   */
+  _getCapabilities() {
+    return OakViewDataProvider.resolveCapabilities(this._dataProvider);
+  }
+
+  /**
+   * Enable or disable toolbar features according to provider capabilities
+   * @private
+   */
+  _applyCapabilities() {
+    const symbolBtn = this.shadowRoot.querySelector('.symbol-button');
+    if (!symbolBtn) return;
+
+    const searchable = !this._dataProvider || this._getCapabilities().search;
+    symbolBtn.classList.toggle('disabled', !searchable);
+    symbolBtn.setAttribute('aria-disabled', String(!searchable));
+  }
+
+  /**
+   * Get the current data provider
+   * @returns {OakViewDataProvider|null}
+   * @public
+   */
+  getDataProvider() {
+    return this._dataProvider;
+  }
+
+  /**
+   * Update chart with real-time data (efficient single-point update)
+   * @param {Object} data - OHLCV data point
+   * @public
+   */
+  updateRealtime(data) {
+    if (!this.currentSeries) return;
+
+    // Replayed bars are history, not a sign of a live connection
+    if (!this._replay) {
+      this._markDataReceived();
+    }
+
+    try {
+      // Normalize time to Unix timestamp in seconds
+      const normalizedData = { ...data };
+      normalizedData.time = this._normalizeTime(data.time);
+
+      // Pre- and post-market bars stay off the chart while extended hours are hidden
+      if (this._isHiddenExtendedBar(normalizedData.time)) return;
+      
+      console.log('🔧 OakView updateRealtime:', {
+        inputTime: data.time,
+        normalizedTime: normalizedData.time,
+        normalizedTimeType: typeof normalizedData.time,
+        fullData: normalizedData
+      });
+
+      // Bars were skipped (e.g. while the stream reconnected) - fetch them first
+      if (!this._replay && (this._gapFill || this._hasGapBefore(normalizedData))) {
+        this._queueGapFill(normalizedData);
+        return;
+      }
+
+      this._paintRealtimeBar(normalizedData);
+    } catch (error) {
+      console.error('Failed to update realtime data:', error);
+    }
+  }
+
+  /**
+   * Merge a normalized live bar and update the series and legend
+   * @param {Object} bar - Normalized OHLCV bar
+   * @private
+   */
+  _paintRealtimeBar(bar) {
+    // Indicators recalculate from this._data when the series changes
+    this._mergeBar(bar);
+
+    // Convert data format for line series
+    if (this._currentChartType === 'line') {
+      this.currentSeries.update({ time: bar.time, value: bar.close });
+    } else {
+      this.currentSeries.update(bar);
+    }
+
+    this.updateLegendValues(bar);
+  }
+
+  /**
+   * Whether at least one whole interval is missing between the last loaded bar
+   * and a live bar
+   *
+   * Only loads with a history context are checked - filling the gap needs
+   * fetchHistorical(from, to). Session breaks (nights, weekends) also look like
+   * gaps; the request for them simply comes back empty.
+   * @param {Object} bar - Normalized OHLCV bar
+   * @returns {boolean}
+   * @private
+   */
+  _hasGapBefore(bar) {
+    const context = this._historyContext;
+    const last = this._data[this._data.length - 1];
+    if (!context || !last || TickAggregator.isTickInterval(context.interval)) return false;
+
+    const seconds = this.parseIntervalToMs(context.interval) / 1000;
+    return seconds > 0 && bar.time - last.time >= 2 * seconds;
+  }
+
+  /**
+   * Hold a live bar until the gap before it has been filled
+   *
+   * The first bar starts the fetch; bars arriving meanwhile are queued and
+   * painted in order afterwards, on top of the merged history. A failed fetch
+   * leaves the gap and paints the queued bars anyway.
+   * @param {Object} bar - Normalized OHLCV bar
+   * @private
+   */
+  _queueGapFill(bar) {
+    if (this._gapFill) {
+      this._gapFill.queue.push(bar);
+      return;
+    }
+
+    const context = this._historyContext;
+    const from = this._data[this._data.length - 1].time;
+    const gapFill = { queue: [bar], promise: null };
+    this._gapFill = gapFill;
+
+    gapFill.promise = this._fillGap(context, from, bar.time)
+      .catch(error => {
+        if (!HistoryRequestPool.isAbortError(error)) {
+          console.warn(`⚠️ Could not fill the gap in ${context.symbol} @ ${context.interval}:`, error);
+        }
+        return 0;
+      })
+      .then(filled => {
+        // Superseded by a new load - its bars belong to another symbol or interval
+        if (this._gapFill !== gapFill) return filled;
+        this._gapFill = null;
+
+        if (this.currentSeries) {
+          gapFill.queue.forEach(queued => this._paintRealtimeBar(queued));
+        }
+        return filled;
+      });
+  }
+
+  /**
+   * Fetch the bars between the last loaded bar and a live bar and merge them
+   *
+   * The last loaded bar is fetched again, since it may have been incomplete
+   * when the stream dropped. The series is reset with the merged data so
+   * indicators recalculate before the held live bars are applied.
+   *
+   * @param {Object} context - History context of the current load
+   * @param {number} from - Time of the last loaded bar (Unix seconds)
+   * @param {number} to - Time of the live bar that revealed the gap (excluded)
+   * @returns {Promise<number>} Number of bars merged
+   * @private
+   */
+  async _fillGap(context, from, to) {
+    const page = await this._fetchHistory(context.symbol, context.fetchInterval, from, to, context.signal);
+    if (this._historyContext !== context) return 0;
+
+    let bars = (BarColumns.asBars(page) || [])
+      .map(bar => ({ ...bar, time: this._normalizeTime(bar.time) }))
+      .filter(bar => bar.time >= from && bar.time < to);
+    if (bars.length === 0) return 0;
+
+    bars = await this._adjustHistory(context.symbol, bars, context.signal, to);
+    if (this._historyContext !== context) return 0;
+
+    bars = context.fetchInterval === context.interval
+      ? this._filterExtendedHours(bars, context.interval)
+      : this.resampleHistoricalData(bars, context.interval, { sourceInterval: context.fetchInterval });
+    if (bars.length === 0) return 0;
+
+    const first = bars[0].time;
+    this._replaceData(this._data.filter(bar => bar.time < first).concat(bars));
+
+    if (this.currentSeries) {
+      this.currentSeries.setData(this._toSeriesData(this._data));
+      this._updateCorporateActionMarkers();
+    }
+
+    console.log(`🩹 Filled gap in ${context.symbol} @ ${context.interval} with ${bars.length} bars`);
+
+    this.dispatchEvent(new CustomEvent('gap-filled', {
+      detail: { symbol: context.symbol, interval: context.interval, from, to, bars: bars.length },
+      bubbles: true,
+      composed: true
+    }));
+
+    return bars.length;
   }
 
   /**
-   * Update chart with real-time data (efficient single-point update)
-   * @param {Object} data - OHLCV data point
-   * @public
+   * Merge a live bar into this._data: replace the last bar if it has the same
+   * time, append it if newer. Older bars are left for the series to reject.
+   * @param {Object} bar - Normalized OHLCV bar
+   * @private
    */
-  updateRealtime(data) {
-    if (!this.currentSeries) return;
-
-    try {
-      // Normalize time to Unix timestamp in seconds
-      const normalizedData = { ...data };
-      normalizedData.time = this._normalizeTime(data.time);
-      
-      console.log('🔧 OakView updateRealtime:', {
-        inputTime: data.time,
-        normalizedTime: normalizedData.time,
-        normalizedTimeType: typeof normalizedData.time,
-        fullData: normalizedData
-      });
-      
-      // Convert data format for line series
-      if (this._currentChartType === 'line') {
-        this.currentSeries.update({ time: normalizedData.time, value: normalizedData.close });
-      } else {
-        this.currentSeries.update(normalizedData);
-      }
-    } catch (error) {
-      console.error('Failed to update realtime data:', error);
+  _mergeBar(bar) {
+    const last = this._data[this._data.length - 1];
+    if (last && last.time === bar.time) {
+      this._data[this._data.length - 1] = bar;
+    } else if (!last || bar.time > last.time) {
+      this._data.push(bar);
     }
   }
   
@@ -157,8 +991,16 @@ class OakViewChart extends HTMLElement {
   /**
    * Resample historical OHLCV data from finer to coarser interval
    * 
-   * @param {Array} sourceBars - Source OHLCV bars (fine granularity)
+   * Buckets follow the current symbol's trading session when the provider's
+   * getSymbolInfo() describes one, and UTC epoch multiples otherwise.
+   * 
+   * @param {Array|Object} sourceBars - Source OHLCV bars (fine granularity), or BarColumns
    * @param {string} targetInterval - Target interval (e.g., '10S', '1', '1D')
+   * @param {Object} [options]
+   * @param {TradingSession|null} [options.session] - Session to align to (default: the symbol's)
+   * @param {boolean} [options.extendedHours] - Include pre/post-market bars (default: getExtendedHours())
+   * @param {string} [options.sourceInterval] - Interval of sourceBars; daily and longer bars are never
+   *   treated as extended hours
    * @returns {Array} Resampled OHLCV bars (coarse granularity)
    * @public
    * @example
@@ -167,19 +1009,31 @@ class OakViewChart extends HTMLElement {
    * const tenSecondBars = chart.resampleHistoricalData(secondBars, '10S');
    * chart.setData(tenSecondBars);
    */
-  resampleHistoricalData(sourceBars, targetInterval) {
+  resampleHistoricalData(sourceBars, targetInterval, options = {}) {
+    const {
+      session = this._getSession(),
+      extendedHours = this.getExtendedHours(),
+      sourceInterval = 'source'
+    } = options;
+
     if (!sourceBars || sourceBars.length === 0) {
       return [];
     }
     
-    const resampler = new BarResampler('source', targetInterval);
+    const resampler = new BarResampler(sourceInterval, targetInterval, { session, extendedHours });
     const resampledBars = [];
-    
-    for (const bar of sourceBars) {
+    const addBar = (bar) => {
       const resampledBar = resampler.addBar(bar);
       if (resampledBar) {
         resampledBars.push(resampledBar);
       }
+    };
+
+    // Columns are walked without creating an object per source bar
+    if (BarColumns.isColumns(sourceBars)) {
+      BarColumns.forEach(BarColumns.normalize(sourceBars), addBar);
+    } else {
+      sourceBars.forEach(addBar);
     }
     
     // Flush the last incomplete bar
@@ -191,6 +1045,35 @@ class OakViewChart extends HTMLElement {
     return resampledBars;
   }
 
+  /**
+   * Resample historical OHLCV data like resampleHistoricalData(), in a Web Worker
+   *
+   * Large inputs are sent to the shared compute worker as transferable column
+   * buffers, so the page stays responsive; small inputs, and environments
+   * without workers, are resampled in-thread with the same results.
+   *
+   * @param {Array|Object} sourceBars - Source OHLCV bars (fine granularity), or BarColumns
+   * @param {string} targetInterval - Target interval (e.g., '10S', '1', '1D')
+   * @param {Object} [options] - As resampleHistoricalData()
+   * @returns {Promise<Array>} Resampled OHLCV bars
+   * @public
+   * @example
+   * const minuteBars = await chart.resampleHistoricalDataAsync(secondBars, '1', { sourceInterval: '1S' });
+   */
+  resampleHistoricalDataAsync(sourceBars, targetInterval, options = {}) {
+    const {
+      session = this._getSession(),
+      extendedHours = this.getExtendedHours(),
+      sourceInterval = 'source'
+    } = options;
+
+    if (!sourceBars || sourceBars.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    return computePipeline.resample(sourceBars, sourceInterval, targetInterval, { session, extendedHours });
+  }
+
   /**
    * Configure timescale based on interval
    * @param {string} interval - Interval string (e.g., '1', '60', '1D')
@@ -199,117 +1082,535 @@ class OakViewChart extends HTMLElement {
   _configureTimescale(interval) {
     if (!this.chart) return;
     
-    const intervalMs = this.parseIntervalToMs(interval);
+    // Tick bars can close several times per second - format like sub-second bars
+    const intervalMs = TickAggregator.isTickInterval(interval) ? 0 : this.parseIntervalToMs(interval);
     
     // Determine timescale settings based on interval
+    const milliseconds = intervalMs < 1000; // Sub-second bars
     let timeVisible = true;
     let secondsVisible = false;
-    let localization = undefined;
-    
-    if (intervalMs < 1000) {
-      // Sub-second: show milliseconds with custom formatter
-      timeVisible = true;
-      secondsVisible = true;
-      localization = {
-        timeFormatter: (time) => {
-          const date = new Date(time * 1000);
-          const hours = String(date.getHours()).padStart(2, '0');
-          const minutes = String(date.getMinutes()).padStart(2, '0');
-          const seconds = String(date.getSeconds()).padStart(2, '0');
-          const ms = String(date.getMilliseconds()).padStart(3, '0');
-          return `${hours}:${minutes}:${seconds}.${ms}`;
-        }
-      };
-    } else if (intervalMs < 60000) {
-      // Sub-minute: show seconds
-      timeVisible = true;
+
+    if (intervalMs < 60000) {
+      // Sub-minute: show seconds (and milliseconds for sub-second bars)
       secondsVisible = true;
-    } else if (intervalMs < 86400000) {
-      // Intraday (minutes/hours): show time without seconds
-      timeVisible = true;
-      secondsVisible = false;
-    } else {
+    } else if (intervalMs >= 86400000) {
       // Daily or longer: hide time, show only date
       timeVisible = false;
-      secondsVisible = false;
     }
-    
-    this.chart.applyOptions({
-      timeScale: {
-        timeVisible,
-        secondsVisible,
-      },
-      localization
-    });
+
+    // Every label is formatted in the chart's timezone, not the browser's.
+    // Daily and longer bars are stamped 00:00 UTC of their trading date, so
+    // their dates are read in UTC whatever the timezone.
+    const formatter = timeVisible ? this._getTimezoneFormatter() : this._getDateFormatter();
+    this.chart.applyOptions({
+      timeScale: {
+        timeVisible,
+        secondsVisible,
+        tickMarkFormatter: (time, tickMarkType) => formatter.formatTickMark(time, tickMarkType, { milliseconds })
+      },
+      localization: {
+        timeFormatter: (time) => formatter.formatCrosshair(time, { timeVisible, secondsVisible, milliseconds })
+      }
+    });
+  }
+
+  /**
+   * Get the timezone used for time labels
+   *
+   * Set by the timezone attribute: an IANA name (e.g. 'America/Chicago'),
+   * 'UTC', 'local' for the browser's timezone, or 'exchange' (the default)
+   * for the symbol's timezone from getSymbolInfo(), falling back to the
+   * browser's timezone (as charts without symbol timezones always were).
+   *
+   * @returns {string} IANA timezone
+   * @public
+   */
+  getTimezone() {
+    return this._getTimezoneFormatter().timeZone;
+  }
+
+  /**
+   * @returns {TimezoneFormatter} Formatter for the current timezone setting
+   * @private
+   */
+  _getTimezoneFormatter() {
+    const setting = this.getAttribute('timezone') || 'exchange';
+    let timeZone = setting;
+    if (setting === 'exchange') {
+      timeZone = this._symbolInfo?.timezone || TimezoneFormatter.localTimezone();
+    } else if (setting === 'local') {
+      timeZone = TimezoneFormatter.localTimezone();
+    }
+
+    if (!TimezoneFormatter.isValid(timeZone)) {
+      console.warn(`⚠️ Unknown timezone "${timeZone}", using the browser's timezone`);
+      timeZone = TimezoneFormatter.localTimezone();
+    }
+
+    if (this._timezoneFormatter?.timeZone !== timeZone) {
+      this._timezoneFormatter = new TimezoneFormatter(timeZone);
+    }
+    return this._timezoneFormatter;
+  }
+
+  /**
+   * @returns {TimezoneFormatter} UTC formatter for date-only bars
+   * @private
+   */
+  _getDateFormatter() {
+    if (!this._dateFormatter) {
+      this._dateFormatter = new TimezoneFormatter('UTC');
+    }
+    return this._dateFormatter;
+  }
+
+  /**
+   * Re-format the time scale and crosshair after a timezone change
+   * @private
+   */
+  _applyTimezone() {
+    if (this.chart) {
+      this._configureTimescale(this.getAttribute('interval') || '1D');
+    }
+  }
+
+  /**
+   * Load symbol data with optional client-side resampling
+   * 
+   * If the data provider declares a base interval and the requested interval
+   * is coarser, this will fetch base interval data and resample client-side.
+   * 
+   * @param {string} symbol - Symbol to load
+   * @param {string} interval - Requested interval
+   * @returns {Promise<void>}
+   * @public
+   */
+  async loadSymbolData(symbol, interval) {
+    if (!this._dataProvider) {
+      console.warn('No data provider set');
+      return;
+    }
+    
+    // Supersede any load still in flight - its result must never be painted
+    const signal = this._beginLoad();
+    this._hideDataError();
+
+    try {
+      // Update symbol and interval attributes
+      this.setAttribute('symbol', symbol);
+      this.setAttribute('interval', interval);
+      
+      // Configure timescale for this interval
+      this._configureTimescale(interval);
+      
+      const baseInterval = this._dataProvider.getBaseInterval?.(symbol);
+      
+      // If no interval specified, use base interval from provider
+      if (!interval) {
+        interval = baseInterval || '1D';
+      }
+      
+      // Reset scroll-back state - a new symbol/interval starts a new history
+      this._historyContext = null;
+
+      // Tick intervals are built client-side from the provider's trade stream
+      if (TickAggregator.isTickInterval(interval)) {
+        await this._loadTickBars(symbol, interval, signal);
+        return;
+      }
+
+      // If no base interval or requesting base interval, fetch directly
+      if (!baseInterval || interval === baseInterval) {
+        const data = await this._adjustHistory(symbol, await this._fetchHistory(symbol, interval, null, null, signal), signal);
+        // Hiding extended hours needs the symbol's session
+        if (!this.getExtendedHours()) await this._symbolInfoLoading;
+        if (signal.aborted) return;
+        this.setData(this._filterExtendedHours(data, interval));
+        this.setAttribute('interval', interval);
+        this.updateLegend(symbol, interval);
+        this._startHistoryContext(symbol, interval, interval, null);
+        return;
+      }
+      
+      // Check if we need to resample
+      const baseMs = this.parseIntervalToMs(baseInterval);
+      const targetMs = this.parseIntervalToMs(interval);
+      
+      if (targetMs > baseMs) {
+        // Fetch base interval data and resample to target
+        console.log(`📊 Fetching ${symbol} @ ${baseInterval} (base) → resampling to ${interval}`);
+        
+        const baseData = await this._adjustHistory(symbol, await this._fetchHistory(symbol, baseInterval, null, null, signal), signal);
+        // Buckets follow the symbol's session - wait for its metadata
+        await this._symbolInfoLoading;
+        if (signal.aborted) return;
+        const resampledData = await this.resampleHistoricalDataAsync(baseData, interval, { sourceInterval: baseInterval });
+        if (signal.aborted) return;
+        
+        console.log(`✅ Resampled ${baseData.length} bars → ${resampledData.length} bars`);
+        this.setData(resampledData);
+        this.setAttribute('interval', interval);
+        this.updateLegend(symbol, interval);
+        this._startHistoryContext(symbol, interval, baseInterval, baseData);
+      } else {
+        // Target interval is finer than base - must request from provider
+        const data = await this._adjustHistory(symbol, await this._fetchHistory(symbol, interval, null, null, signal), signal);
+        // Hiding extended hours needs the symbol's session
+        if (!this.getExtendedHours()) await this._symbolInfoLoading;
+        if (signal.aborted) return;
+        this.setData(this._filterExtendedHours(data, interval));
+        this.setAttribute('interval', interval);
+        this.updateLegend(symbol, interval);
+        this._startHistoryContext(symbol, interval, interval, null);
+      }
+    } catch (error) {
+      // Superseded by a newer load - not a failure
+      if (HistoryRequestPool.isAbortError(error) || signal.aborted) return;
+
+      console.error('Failed to load symbol data:', error);
+      this._handleLoadError(error, symbol, interval);
+      throw error;
+    }
+  }
+
+  /**
+   * Abort the load in flight and start a new one
+   * @returns {AbortSignal} Signal of the new load
+   * @private
+   */
+  _beginLoad() {
+    if (this._loadController) {
+      this._loadController.abort();
+    }
+    this._stopLiveStream();
+    this._replay?.stop(false);
+    this._loadController = new AbortController();
+    return this._loadController.signal;
+  }
+
+  /**
+   * Load a tick interval: optional provider history, then live bars from trades
+   *
+   * History is only requested when the provider lists the tick interval in
+   * getAvailableIntervals(); otherwise the chart starts empty and fills as
+   * trades arrive through subscribeTicks().
+   *
+   * @param {string} symbol - Symbol to load
+   * @param {string} interval - Tick interval (e.g. '100T')
+   * @param {AbortSignal} signal - Signal of the current load
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadTickBars(symbol, interval, signal) {
+    if (!this._getCapabilities().ticks) {
+      throw new Error(`Data provider does not support tick intervals (${interval})`);
+    }
+
+    let history = [];
+    const available = this._dataProvider.getAvailableIntervals?.(symbol);
+    if (Array.isArray(available) && available.includes(interval)) {
+      history = await this._fetchHistory(symbol, interval, null, null, signal);
+    }
+
+    this.setData(history);
+    this.setAttribute('interval', interval);
+    this.updateLegend(symbol, interval);
+
+    const aggregator = TickAggregator.fromInterval(interval);
+    if (this._data.length > 0) {
+      aggregator.setLastBarTime(this._normalizeTime(this._data[this._data.length - 1].time));
+    }
+
+    const unsubscribe = this._dataProvider.subscribeTicks(symbol, (tick) => {
+      const completed = aggregator.addTick(tick);
+      if (completed) {
+        this._applyLiveBar(completed);
+      }
+
+      const forming = aggregator.getCurrentBar();
+      if (forming) {
+        this._applyLiveBar({ ...forming });
+      }
+    });
+
+    this._subscriptionUnsubscribe = typeof unsubscribe === 'function' ? unsubscribe : null;
+    console.log(`📊 Building ${interval} bars for ${symbol} from live trades`);
+  }
+
+  /**
+   * Paint a live bar: update the last bar if it has the same time, else append
+   * @param {Object} bar - OHLCV bar
+   * @private
+   */
+  _applyLiveBar(bar) {
+    if (this._replay) return;
+
+    this._markDataReceived();
+    this._mergeBar(bar);
+
+    if (this.currentSeries) {
+      this.currentSeries.update(this._toSeriesData([bar])[0]);
+    }
+  }
+
+  /**
+   * Stop the live trade stream started by a tick interval load
+   * @private
+   */
+  _stopLiveStream() {
+    if (this._subscriptionUnsubscribe) {
+      this._subscriptionUnsubscribe();
+      this._subscriptionUnsubscribe = null;
+    }
+  }
+
+  /**
+   * Fetch history through the shared request pool
+   *
+   * Identical requests in flight from other panes are merged. Rejects with an
+   * AbortError when the signal is aborted, even if the provider ignores it.
+   *
+   * @param {string} symbol - Symbol to fetch
+   * @param {string} interval - Interval to fetch
+   * @param {number|null} from - Start Unix timestamp in seconds
+   * @param {number|null} to - End Unix timestamp in seconds
+   * @param {AbortSignal} signal - Signal of the load this request belongs to
+   * @returns {Promise<Array>} Bars from the provider
+   * @private
+   */
+  _fetchHistory(symbol, interval, from, to, signal) {
+    return historyRequests.fetch(this._dataProvider, symbol, interval, from, to, signal);
+  }
+
+  /**
+   * Remember what was loaded so older pages can be requested on scroll-back
+   * @param {string} symbol - Loaded symbol
+   * @param {string} interval - Displayed interval
+   * @param {string} fetchInterval - Interval requested from the provider
+   * @param {Array|Object|null} baseData - Unresampled provider bars or BarColumns (when resampling)
+   * @private
+   */
+  _startHistoryContext(symbol, interval, fetchInterval, baseData) {
+    // Providers that cannot serve ranges never get scroll-back requests
+    if (!this._getCapabilities().rangedHistory) return;
+
+    this._historyContext = {
+      symbol,
+      interval,
+      fetchInterval,
+      signal: this._loadController?.signal ?? null,
+      baseData: !baseData ? null
+        : BarColumns.isColumns(baseData) ? BarColumns.normalize(baseData)
+          : baseData.map(bar => ({ ...bar, time: this._normalizeTime(bar.time) })),
+      exhausted: false
+    };
+  }
+
+  /**
+   * Watch the visible logical range and load older bars near the left edge
+   * @param {LogicalRange|null} range - Visible logical range
+   * @private
+   */
+  _onVisibleLogicalRangeChange(range) {
+    if (!range || !this._historyContext || this._historyContext.exhausted) return;
+    if (this._historyLoading) return;
+
+    if (range.from < this._historyThreshold) {
+      this.loadMoreHistory().catch(error => {
+        console.error('Failed to load older history:', error);
+      });
+    }
+  }
+
+  /**
+   * Load the page of history preceding the oldest loaded bar and prepend it
+   *
+   * Uses the from/to parameters of fetchHistorical(). If a page comes back empty
+   * (weekend, holiday), the window is widened a few times before giving up.
+   * A provider that ignores from/to is detected when it returns no bar older
+   * than what is already loaded, and scroll-back is then disabled.
+   *
+   * Indicators keep working because the bars are prepended to the same array
+   * they were created with, and the main series is updated in place.
+   *
+   * @returns {Promise<number>} Number of bars prepended to the chart
+   * @public
+   */
+  loadMoreHistory() {
+    if (this._historyLoading) return this._historyLoading;
+
+    this._historyLoading = this._loadOlderPage().finally(() => {
+      this._historyLoading = null;
+    });
+    return this._historyLoading;
+  }
+
+  /**
+   * @returns {Promise<number>} Number of bars prepended
+   * @private
+   */
+  async _loadOlderPage() {
+    const context = this._historyContext;
+    if (!context || context.exhausted || !this._dataProvider) return 0;
+
+    const source = context.baseData || this._data;
+    if (!source || source.length === 0) return 0;
+
+    const oldestTime = BarColumns.isColumns(source) ? source.time[0] : source[0].time;
+    const { maxBarsPerRequest } = this._getCapabilities();
+    const pageSize = maxBarsPerRequest ? Math.min(this._historyPageSize, maxBarsPerRequest) : this._historyPageSize;
+    const pageSeconds = this.parseIntervalToMs(context.fetchInterval) / 1000 * pageSize;
+
+    let older = [];
+    let span = pageSeconds;
+    for (let attempt = 0; attempt < 5 && older.length === 0; attempt++) {
+      const to = oldestTime;
+      const from = oldestTime - span;
+      let page;
+      try {
+        page = await this._fetchHistory(context.symbol, context.fetchInterval, from, to, context.signal);
+      } catch (error) {
+        if (HistoryRequestPool.isAbortError(error)) return 0;
+        throw error;
+      }
+
+      // Symbol/interval changed while the request was in flight
+      if (this._historyContext !== context) return 0;
+
+      if (page && page.length > 0) {
+        older = BarColumns.asBars(page)
+          .map(bar => ({ ...bar, time: this._normalizeTime(bar.time) }))
+          .filter(bar => bar.time < oldestTime);
+
+        if (older.length === 0) {
+          // Provider returned data but nothing older - it ignores from/to or has no more history
+          context.exhausted = true;
+          return 0;
+        }
+      } else {
+        span *= 2;
+      }
+    }
+
+    if (older.length === 0) {
+      context.exhausted = true;
+      return 0;
+    }
+
+    older = await this._adjustHistory(context.symbol, older, context.signal, oldestTime);
+    if (this._historyContext !== context) return 0;
+
+    return this._prependBars(older, context);
+  }
+
+  /**
+   * Prepend older bars while keeping the viewport, indicators and legend intact
+   * @param {Array} older - Normalized bars older than the loaded data (ascending)
+   * @param {Object} context - Current history context
+   * @returns {number} Number of bars added to the chart
+   * @private
+   */
+  _prependBars(older, context) {
+    let bars;
+    let added;
+
+    if (context.baseData) {
+      context.baseData = BarColumns.isColumns(context.baseData)
+        ? BarColumns.concat(BarColumns.fromBars(older), context.baseData)
+        : older.concat(context.baseData);
+
+      // Only the older bars are resampled: live and gap-filled bars are in
+      // this._data but not in the base data
+      bars = this.resampleHistoricalData(older, context.interval, { sourceInterval: context.fetchInterval });
+      const oldest = this._data[0];
+      const boundary = bars[bars.length - 1];
+      if (oldest && boundary && boundary.time === oldest.time) {
+        // The oldest loaded bucket started before the loaded bars - complete it
+        bars[bars.length - 1] = this._combineBars(boundary, oldest);
+        this._replaceData(bars.concat(this._data.slice(1)));
+        added = bars.length - 1;
+      } else {
+        this._replaceData(bars.concat(this._data));
+        added = bars.length;
+      }
+    } else {
+      bars = this._filterExtendedHours(older, context.interval);
+      added = bars.length;
+      this._replaceData(bars.concat(this._data));
+    }
+
+    // Nothing changed
+    if (!this.currentSeries || bars.length === 0) return added;
+
+    const timeScale = this.chart.timeScale();
+    const range = timeScale.getVisibleLogicalRange();
+
+    // Repaint even without new bars: the boundary bucket may have changed
+    this.currentSeries.setData(this._toSeriesData(this._data));
+    this._updateCorporateActionMarkers();
+    if (added === 0) return 0;
+
+    // Keep the same bars on screen after the logical indices shift
+    if (range) {
+      timeScale.setVisibleLogicalRange({ from: range.from + added, to: range.to + added });
+    }
+
+    console.log(`📜 Prepended ${added} older bars for ${context.symbol} @ ${context.interval}`);
+
+    this.dispatchEvent(new CustomEvent('history-loaded', {
+      detail: { symbol: context.symbol, interval: context.interval, bars: added },
+      bubbles: true,
+      composed: true
+    }));
+
+    return added;
+  }
+
+  /**
+   * Combine two consecutive parts of one bucket
+   * @param {Object} earlier - Bar of the earlier part
+   * @param {Object} later - Bar of the later part
+   * @returns {Object} Bar of the whole bucket, at the earlier part's time
+   * @private
+   */
+  _combineBars(earlier, later) {
+    const bar = {
+      ...later,
+      time: earlier.time,
+      open: earlier.open,
+      high: Math.max(earlier.high, later.high),
+      low: Math.min(earlier.low, later.low)
+    };
+    if (earlier.volume !== undefined || later.volume !== undefined) {
+      bar.volume = (earlier.volume || 0) + (later.volume || 0);
+    }
+    return bar;
   }
 
   /**
-   * Load symbol data with optional client-side resampling
-   * 
-   * If the data provider declares a base interval and the requested interval
-   * is coarser, this will fetch base interval data and resample client-side.
-   * 
-   * @param {string} symbol - Symbol to load
-   * @param {string} interval - Requested interval
-   * @returns {Promise<void>}
-   * @public
+   * Replace the contents of this._data in place
+   * Indicators hold a reference to this array, so it must not be reassigned.
+   * @param {Array} bars - New bars
+   * @private
    */
-  async loadSymbolData(symbol, interval) {
-    if (!this._dataProvider) {
-      console.warn('No data provider set');
-      return;
+  _replaceData(bars) {
+    this._data.length = 0;
+    for (const bar of bars) {
+      this._data.push(bar);
     }
-    
-    try {
-      // Update symbol and interval attributes
-      this.setAttribute('symbol', symbol);
-      this.setAttribute('interval', interval);
-      
-      // Configure timescale for this interval
-      this._configureTimescale(interval);
-      
-      const baseInterval = this._dataProvider.getBaseInterval?.(symbol);
-      
-      // If no interval specified, use base interval from provider
-      if (!interval) {
-        interval = baseInterval || '1D';
-      }
-      
-      // If no base interval or requesting base interval, fetch directly
-      if (!baseInterval || interval === baseInterval) {
-        const data = await this._dataProvider.fetchHistorical(symbol, interval);
-        this.setData(data);
-        this.setAttribute('interval', interval);
-        this.updateLegend(symbol, interval);
-        return;
-      }
-      
-      // Check if we need to resample
-      const baseMs = this.parseIntervalToMs(baseInterval);
-      const targetMs = this.parseIntervalToMs(interval);
-      
-      if (targetMs > baseMs) {
-        // Fetch base interval data and resample to target
-        console.log(`📊 Fetching ${symbol} @ ${baseInterval} (base) → resampling to ${interval}`);
-        
-        const baseData = await this._dataProvider.fetchHistorical(symbol, baseInterval);
-        const resampledData = this.resampleHistoricalData(baseData, interval);
-        
-        console.log(`✅ Resampled ${baseData.length} bars → ${resampledData.length} bars`);
-        this.setData(resampledData);
-        this.setAttribute('interval', interval);
-        this.updateLegend(symbol, interval);
-      } else {
-        // Target interval is finer than base - must request from provider
-        const data = await this._dataProvider.fetchHistorical(symbol, interval);
-        this.setData(data);
-        this.setAttribute('interval', interval);
-        this.updateLegend(symbol, interval);
-      }
-    } catch (error) {
-      console.error('Failed to load symbol data:', error);
-      throw error;
+  }
+
+  /**
+   * Convert OHLCV bars to the data format of the current chart type
+   * @param {Array} bars - OHLCV bars
+   * @returns {Array} Series data
+   * @private
+   */
+  _toSeriesData(bars) {
+    if (['line', 'area', 'baseline'].includes(this._currentChartType)) {
+      return bars.map(d => ({ time: d.time, value: d.close }));
     }
+    return bars;
   }
 
   /**
@@ -491,11 +1792,17 @@ class OakViewChart extends HTMLElement {
 
       // Create the indicator instance
       console.log(`Creating indicator with ${chartData.length} bars`);
-      const indicator = createFn(targetChart.chart, mainSeries, {}, chartData);
+      // With the calculation module known, the plots are calculated in the compute
+      // worker: the indicator gets no bars, so it only creates its series
+      let indicator = calcModulePath
+        ? await this._createComputedIndicator(createFn, targetChart, mainSeries, calcModulePath)
+        : null;
+      if (!indicator) {
+        indicator = createFn(targetChart.chart, mainSeries, {}, chartData);
+        indicator.attach();
+      }
       console.log('Indicator created:', indicator);
 
-      // Attach the indicator to the chart
-      indicator.attach();
       console.log(`✓ Indicator ${indicatorId} attached successfully`);
 
       // Store indicator reference for later removal
@@ -540,6 +1847,86 @@ class OakViewChart extends HTMLElement {
     }
   }
 
+  /**
+   * Create an indicator whose plots are calculated by the compute pipeline
+   *
+   * The indicator is created without bars, so it only manages its series. The
+   * plots are recalculated from the chart's bars whenever the main series
+   * changes (live bars, scroll-back, replay, reloads). A change during a
+   * calculation schedules one more run instead of painting a stale result.
+   *
+   * @param {Function} createFn - Indicator create function
+   * @param {OakViewChart} targetChart - Chart the indicator is added to
+   * @param {ISeriesApi} mainSeries - Main price series
+   * @param {string} calcModulePath - URL of the indicator's calculation module
+   * @returns {Promise<Object|null>} The attached indicator, or null if the first calculation failed
+   * @private
+   */
+  async _createComputedIndicator(createFn, targetChart, mainSeries, calcModulePath) {
+    const chart = targetChart.chart;
+    // The plot series, in the order the indicator creates them
+    const plotSeries = [];
+    const recordingChart = new Proxy(chart, {
+      get(target, property) {
+        if (property === 'addSeries') {
+          return (...args) => {
+            const series = target.addSeries(...args);
+            plotSeries.push(series);
+            return series;
+          };
+        }
+        const value = Reflect.get(target, property, target);
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    });
+
+    const indicator = createFn(recordingChart, mainSeries, {}, []);
+    indicator.attach();
+
+    let attached = true;
+    let calculating = false;
+    let stale = false;
+    const calculate = async () => {
+      if (calculating) {
+        stale = true;
+        return;
+      }
+      calculating = true;
+      try {
+        do {
+          stale = false;
+          const result = await computePipeline.calculateIndicator(calcModulePath, targetChart._data);
+          if (!attached || stale) continue;
+          const plots = Array.isArray(result) && result[0]?.data ? result.map(plot => plot.data) : [result];
+          plots.forEach((data, index) => plotSeries[index]?.setData(data));
+        } while (stale && attached);
+      } finally {
+        calculating = false;
+      }
+    };
+
+    try {
+      await calculate();
+    } catch (error) {
+      console.warn('Indicator compute failed, calculating on the main thread:', error);
+      indicator.detach();
+      return null;
+    }
+
+    const onDataChanged = () => {
+      calculate().catch(error => console.error('Indicator compute failed:', error));
+    };
+    mainSeries.subscribeDataChanged(onDataChanged);
+
+    const detach = indicator.detach;
+    indicator.detach = () => {
+      attached = false;
+      mainSeries.unsubscribeDataChanged(onDataChanged);
+      detach();
+    };
+    return indicator;
+  }
+
   /**
    * Get the expected create function name for an indicator
    * Converts "average-day-range" to "createAverageDayRangeIndicator"
@@ -555,11 +1942,23 @@ class OakViewChart extends HTMLElement {
   }
 
   disconnectedCallback() {
+    // Abort history requests still in flight
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+    }
+
     // Cleanup subscription if exists
-    if (this._subscriptionUnsubscribe) {
-      this._subscriptionUnsubscribe();
-      this._subscriptionUnsubscribe = null;
+    this._stopLiveStream();
+    this._replay?.stop(false);
+
+    // Stop following the provider's connection status
+    if (this._statusUnsubscribe) {
+      this._statusUnsubscribe();
+      this._statusUnsubscribe = null;
     }
+    this._clearStaleTimer();
+    this._hideDataError();
 
     if (this.chart) {
       this.chart.remove();
@@ -577,10 +1976,33 @@ class OakViewChart extends HTMLElement {
     if (name === 'symbol') {
       const symbolBtn = this.shadowRoot.querySelector('.symbol-button');
       if (symbolBtn) symbolBtn.textContent = newValue || 'SYMBOL';
+
+      // The previous symbol's metadata no longer applies
+      this._symbolInfo = null;
+      if (this._dataProvider) {
+        this._symbolInfoLoading = this._loadSymbolInfo(newValue);
+      }
       
       // Update legend when symbol changes
       const interval = this.getAttribute('interval') || '1D';
       this.updateLegend(newValue, interval);
+
+      // Routed providers may have a different connection per symbol
+      if (this._dataProvider) {
+        this._refreshConnectionStatus();
+      }
+    }
+
+    if (name === 'timezone') {
+      this._applyTimezone();
+    }
+
+    if (name === 'extended-hours') {
+      this._applyExtendedHours();
+    }
+
+    if (name === 'adjustment') {
+      this._applyAdjustment();
     }
 
     if (name === 'interval') {
@@ -589,6 +2011,7 @@ class OakViewChart extends HTMLElement {
       if (symbol) {
         this.updateLegend(symbol, newValue);
       }
+      this._updateSessionShading();
     }
   }
 
@@ -716,9 +2139,142 @@ class OakViewChart extends HTMLElement {
       }
 
       .legend-timeframe,
-      .legend-exchange {
+      .legend-exchange,
+      .legend-currency {
+        color: var(--text-secondary);
+        font-size: 12px;
+      }
+
+      .legend-status {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        padding: 1px 6px;
+        border-radius: 3px;
+        font-size: 11px;
+        color: var(--text-secondary);
+        background: rgba(120, 123, 134, 0.15);
+      }
+
+      .legend-status[hidden] {
+        display: none;
+      }
+
+      .legend-adjustment {
+        pointer-events: auto;
+        cursor: pointer;
+        padding: 1px 6px;
+        border: 1px solid var(--border-secondary);
+        border-radius: 3px;
+        background: transparent;
+        color: var(--text-secondary);
+        font: inherit;
+        font-size: 11px;
+      }
+
+      .legend-adjustment:hover {
+        color: var(--text-primary);
+      }
+
+      .legend-adjustment[aria-pressed="true"] {
+        color: #2962ff;
+        border-color: #2962ff;
+      }
+
+      .legend-adjustment[hidden] {
+        display: none;
+      }
+
+      .data-error {
+        position: absolute;
+        inset: 0;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: 8px;
+        z-index: 20;
+        padding: 24px;
+        text-align: center;
+        background: var(--bg-primary);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+
+      .data-error[hidden] {
+        display: none;
+      }
+
+      .data-error-title {
+        font-size: 14px;
+        font-weight: 600;
+        color: var(--text-primary);
+      }
+
+      .data-error-message {
+        max-width: 360px;
+        font-size: 12px;
         color: var(--text-secondary);
+        overflow-wrap: anywhere;
+      }
+
+      .data-error-retry {
+        margin-top: 4px;
+        padding: 6px 16px;
+        border: 1px solid var(--border-secondary);
+        border-radius: 4px;
+        background: transparent;
+        color: var(--text-primary);
+        font: inherit;
         font-size: 12px;
+        cursor: pointer;
+      }
+
+      .data-error-retry:hover:not(:disabled) {
+        border-color: #2962ff;
+        color: #2962ff;
+      }
+
+      .data-error-retry:disabled {
+        cursor: default;
+        opacity: 0.6;
+      }
+
+      .data-error-retry[hidden] {
+        display: none;
+      }
+
+      .legend-status-dot {
+        width: 6px;
+        height: 6px;
+        border-radius: 50%;
+        background: currentColor;
+      }
+
+      .legend-status[data-status="live"] {
+        color: #26a69a;
+      }
+
+      .legend-status[data-status="delayed"],
+      .legend-status[data-status="stale"] {
+        color: #ff9800;
+      }
+
+      .legend-status[data-status="connecting"],
+      .legend-status[data-status="reconnecting"] {
+        color: #2962ff;
+      }
+
+      .legend-status[data-status="connecting"] .legend-status-dot,
+      .legend-status[data-status="reconnecting"] .legend-status-dot {
+        animation: legend-status-pulse 1s ease-in-out infinite;
+      }
+
+      .legend-status[data-status="error"] {
+        color: #ef5350;
+      }
+
+      @keyframes legend-status-pulse {
+        50% { opacity: 0.3; }
       }
 
       .legend-values {
@@ -828,6 +2384,15 @@ class OakViewChart extends HTMLElement {
         color: #1e53e5;
       }
 
+      .toolbar-button.disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .toolbar-button.disabled:hover {
+        background: transparent;
+      }
+
       .toolbar-button svg {
         flex-shrink: 0;
       }
@@ -2189,6 +3754,22 @@ class OakViewChart extends HTMLElement {
             </svg>
           </button>
         </div>
+
+        <div class="separator"></div>
+
+        <div class="toolbar-group">
+          <button class="toolbar-button replay-button" aria-label="Bar Replay" aria-pressed="false">
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 28 28" width="28" height="28" fill="none">
+              <path stroke="currentColor" d="M5.5 14a8.5 8.5 0 1 0 2.5-6"></path>
+              <path fill="currentColor" d="M8.5 4v5h-5l5-5z"></path>
+              <path fill="currentColor" d="M12 10.5v7l6-3.5-6-3.5z"></path>
+            </svg>
+            <span>Replay</span>
+          </button>
+          <button class="toolbar-button extended-hours-button" aria-label="Extended trading hours" title="Extended trading hours" aria-pressed="true">
+            <span>ETH</span>
+          </button>
+        </div>
       </div>
 
       <div class="indicator-modal">
@@ -2329,9 +3910,16 @@ class OakViewChart extends HTMLElement {
                 <span class="legend-symbol">${this.symbol || 'AAPL'}</span>
                 <span class="legend-separator">•</span>
                 <span class="legend-timeframe">1D</span>
-                <span class="legend-separator">•</span>
-                <span class="legend-exchange">NASDAQ</span>
+                <span class="legend-separator" hidden>•</span>
+                <span class="legend-exchange" hidden></span>
+                <span class="legend-separator" hidden>•</span>
+                <span class="legend-currency" hidden></span>
               </div>
+              <span class="legend-status" hidden>
+                <span class="legend-status-dot"></span>
+                <span class="legend-status-label"></span>
+              </span>
+              <button class="legend-adjustment" aria-label="Adjusted prices" aria-pressed="true" hidden>ADJ</button>
               <div class="legend-values">
                 <span class="legend-value-item">
                   <span class="legend-value-title">O</span>
@@ -2352,6 +3940,11 @@ class OakViewChart extends HTMLElement {
               </div>
             </div>
             <div class="indicators-legend"></div>
+            <div class="data-error" role="alert" hidden>
+              <div class="data-error-title"></div>
+              <div class="data-error-message"></div>
+              <button class="data-error-retry">Retry</button>
+            </div>
           </div>
           <div class="bottom-bar"></div>
         </div>
@@ -2453,7 +4046,7 @@ class OakViewChart extends HTMLElement {
    * @private
    */
   updateAvailableIntervals(symbol) {
-    if (!this._dataProvider || typeof this._dataProvider.getAvailableIntervals !== 'function') {
+    if (!this._dataProvider) {
       return;
     }
 
@@ -2461,14 +4054,16 @@ class OakViewChart extends HTMLElement {
     if (!intervalMenu) return;
 
     try {
-      const availableIntervals = this._dataProvider.getAvailableIntervals(symbol);
-      const baseInterval = this._dataProvider.getBaseInterval(symbol);
+      const capabilities = this._getCapabilities();
+      // Per-symbol intervals win; fall back to the provider-wide declaration
+      const availableIntervals = this._dataProvider.getAvailableIntervals?.(symbol) || capabilities.intervals;
+      const baseInterval = this._dataProvider.getBaseInterval?.(symbol) || null;
 
       console.log(`Available intervals for ${symbol}:`, availableIntervals);
       console.log(`Base interval: ${baseInterval}`);
 
       // Auto-update interval to base interval when symbol changes
-      if (baseInterval && availableIntervals.includes(baseInterval)) {
+      if (baseInterval && availableIntervals && availableIntervals.includes(baseInterval)) {
         const currentInterval = this.getAttribute('interval');
         if (currentInterval !== baseInterval) {
           this.setAttribute('interval', baseInterval);
@@ -2500,7 +4095,8 @@ class OakViewChart extends HTMLElement {
       ];
 
       // Get intervals that can be displayed (available + all superior intervals)
-      const canDisplay = new Set([...availableIntervals]);
+      // null means the provider serves every standard interval
+      const canDisplay = new Set(availableIntervals || intervalHierarchy);
 
       if (baseInterval) {
         const baseIndex = intervalHierarchy.indexOf(baseInterval);
@@ -2531,9 +4127,9 @@ class OakViewChart extends HTMLElement {
       intervalMenu.querySelectorAll('.dropdown-item[data-interval]').forEach(item => {
         const interval = item.dataset.interval;
 
-        // Skip tick intervals (most data providers don't support them)
+        // Tick intervals require a provider that declares tick support
         if (interval.endsWith('T')) {
-          item.style.display = 'none';
+          item.style.display = capabilities.ticks ? '' : 'none';
           return;
         }
 
@@ -2708,17 +4304,10 @@ class OakViewChart extends HTMLElement {
           // Fetch data with new interval (with resampling if needed)
           const symbol = this.getAttribute('symbol');
           if (this._dataProvider && symbol) {
-            this._dataProvider.fetchHistorical(symbol, interval)
-              .then(data => {
-                this._data = data;
-                this.updateChartType();
-                
-                // Update legend with the selected interval
-                this.updateLegend();
-              })
-              .catch(error => {
-                console.error('Failed to load interval data:', error);
-              });
+            // Supersedes any load in flight; aborted loads resolve quietly
+            this.loadSymbolData(symbol, interval).catch(error => {
+              console.error('Failed to load interval data:', error);
+            });
           }
 
           this.dispatchEvent(new CustomEvent('interval-change', {
@@ -2842,6 +4431,55 @@ class OakViewChart extends HTMLElement {
       });
     }
 
+    // Replay button - the layout starts or stops replay on the selected pane
+    const replayBtn = this.shadowRoot.querySelector('.replay-button');
+    if (replayBtn) {
+      replayBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('replay-toggle', {
+          detail: {},
+          bubbles: true,
+          composed: true
+        }));
+      });
+    }
+
+    // Legend toggle - adjusted or raw prices
+    const adjustmentToggle = this.shadowRoot.querySelector('.legend-adjustment');
+    if (adjustmentToggle) {
+      this._updateAdjustmentToggle();
+      adjustmentToggle.addEventListener('click', () => {
+        this.setAdjustment(this.getAdjustment() === 'none' ? this._lastAdjustment : 'none');
+        this.dispatchEvent(new CustomEvent('adjustment-change', {
+          detail: { adjustment: this.getAdjustment() },
+          bubbles: true,
+          composed: true
+        }));
+      });
+    }
+
+    // Error overlay - load the failed symbol again
+    const retryBtn = this.shadowRoot.querySelector('.data-error-retry');
+    if (retryBtn) {
+      retryBtn.addEventListener('click', () => this._dataError?.retry());
+    }
+
+    // ETH button - shows or hides pre- and post-market bars
+    const extendedHoursBtn = this.shadowRoot.querySelector('.extended-hours-button');
+    if (extendedHoursBtn) {
+      const shown = this.getExtendedHours();
+      extendedHoursBtn.classList.toggle('active', shown);
+      extendedHoursBtn.setAttribute('aria-pressed', String(shown));
+
+      extendedHoursBtn.addEventListener('click', () => {
+        this.setExtendedHours(!this.getExtendedHours());
+        this.dispatchEvent(new CustomEvent('extended-hours-change', {
+          detail: { extendedHours: this.getExtendedHours() },
+          bubbles: true,
+          composed: true
+        }));
+      });
+    }
+
     // Indicators button - opens modal
     const indicatorsBtn = this.shadowRoot.querySelector('.indicators-button');
     const indicatorModal = this.shadowRoot.querySelector('.indicator-modal');
@@ -2945,6 +4583,9 @@ class OakViewChart extends HTMLElement {
 
     // Open modal when clicking symbol button
     symbolBtn.addEventListener('click', () => {
+      // Provider declared it cannot search symbols
+      if (this._dataProvider && !this._getCapabilities().search) return;
+
       modal.classList.add('show');
       setTimeout(() => searchInput.focus(), 100);
       renderSymbols();
@@ -3034,13 +4675,10 @@ class OakViewChart extends HTMLElement {
 
       // If event not prevented and we have a data provider, use it
       if (!dataRequestEvent.defaultPrevented && this._dataProvider) {
-        this._dataProvider.fetchHistorical(symbol, '1D')
-          .then(data => {
-            this.setData(data);
-          })
-          .catch(error => {
-            console.error('Failed to load symbol data:', error);
-          });
+        // Supersedes any load in flight; aborted loads resolve quietly
+        this.loadSymbolData(symbol, targetInterval).catch(error => {
+          console.error('Failed to load symbol data:', error);
+        });
       }
 
       closeModal();
@@ -3089,6 +4727,7 @@ class OakViewChart extends HTMLElement {
           const isActive = currentSymbol === item.symbol;
           const name = item.description || item.name || item.symbol;
           const exchange = item.primaryExchange || item.exchange || '';
+          const currency = item.currency || '';
           return `
             <button class="symbol-item ${isActive ? 'active' : ''}" data-symbol="${item.symbol}">
               <div class="symbol-item-info">
@@ -3101,6 +4740,7 @@ class OakViewChart extends HTMLElement {
                   <div class="symbol-item-name">
                     <span>${name}</span>
                     ${exchange ? `<span>•</span><span>${exchange}</span>` : ''}
+                    ${currency ? `<span>•</span><span class="symbol-item-currency">${currency}</span>` : ''}
                   </div>
                 </div>
               </div>
@@ -3155,6 +4795,12 @@ class OakViewChart extends HTMLElement {
     };
 
     this.chart = createChart(container, chartOptions);
+    this._applyTimezone();
+
+    // Load older history when the user scrolls near the left edge
+    this.chart.timeScale().subscribeVisibleLogicalRangeChange((range) => {
+      this._onVisibleLogicalRangeChange(range);
+    });
 
     // Subscribe to crosshair move to update legend
     this.chart.subscribeCrosshairMove((param) => {
@@ -3290,10 +4936,23 @@ class OakViewChart extends HTMLElement {
         this.currentSeries.setData(this._data);
     }
 
+    this._applyPriceFormat();
+    if (this.currentSeries) {
+      this.currentSeries.attachPrimitive(this._sessionShading);
+      this._actionMarkers = createSeriesMarkers(this.currentSeries, []);
+      this._updateCorporateActionMarkers();
+    }
     this.fitContent();
   }
 
-  updateLegend(symbol, interval, exchange = 'NASDAQ') {
+  /**
+   * Update the legend titles and values
+   * @param {string} symbol - Symbol shown in the legend
+   * @param {string} interval - Interval shown in the legend
+   * @param {string} [exchange] - Exchange to show (default: from getSymbolInfo())
+   * @public
+   */
+  updateLegend(symbol, interval, exchange = this._symbolInfo?.exchange) {
     const legendElement = this.shadowRoot?.querySelector('.chart-legend');
     if (!legendElement) {
       console.warn('[OakView] Legend element not found, cannot update');
@@ -3304,6 +4963,7 @@ class OakViewChart extends HTMLElement {
     const symbolEl = legendElement.querySelector('.legend-symbol');
     const timeframeEl = legendElement.querySelector('.legend-timeframe');
     const exchangeEl = legendElement.querySelector('.legend-exchange');
+    const currencyEl = legendElement.querySelector('.legend-currency');
 
     if (symbolEl && symbol) {
       console.log(`[OakView] Updating legend symbol: ${symbol}`);
@@ -3314,7 +4974,9 @@ class OakViewChart extends HTMLElement {
       console.log(`[OakView] Updating legend interval: ${interval} -> ${formattedInterval}`);
       timeframeEl.textContent = formattedInterval;
     }
-    if (exchangeEl) exchangeEl.textContent = exchange;
+    if (symbolEl) symbolEl.title = this._symbolInfo?.description || '';
+    this._setLegendTitle(exchangeEl, exchange);
+    this._setLegendTitle(currencyEl, this._symbolInfo?.currency);
 
     // Update OHLC values with the last bar
     if (this._data && this._data.length > 0) {
@@ -3323,14 +4985,24 @@ class OakViewChart extends HTMLElement {
     }
   }
 
+  /**
+   * Show an optional legend title together with its separator
+   * @private
+   */
+  _setLegendTitle(element, text) {
+    if (!element) return;
+    element.textContent = text || '';
+    element.hidden = !text;
+    if (element.previousElementSibling?.classList.contains('legend-separator')) {
+      element.previousElementSibling.hidden = !text;
+    }
+  }
+
   updateLegendValues(bar) {
     const legendElement = this.shadowRoot.querySelector('.chart-legend');
     if (!legendElement || !bar) return;
 
-    const formatPrice = (price) => {
-      if (price === null || price === undefined) return '—';
-      return price.toFixed(2);
-    };
+    const formatPrice = (price) => this._formatPrice(price);
 
     const openEl = legendElement.querySelector('[data-field="open"]');
     const highEl = legendElement.querySelector('[data-field="high"]');
@@ -3577,7 +5249,9 @@ class OakViewChart extends HTMLElement {
         for (const legendContainer of legendContainers) {
           const valueEl = legendContainer.querySelector(`[data-indicator-value="${indicator.id}"]`);
           if (valueEl) {
-            valueEl.textContent = data.value.toFixed(2);
+            // Overlays are in price units; oscillators keep two decimals
+            const isOverlay = indicator.instance?.metadata?.overlay !== false;
+            valueEl.textContent = isOverlay ? this._formatPrice(data.value) : data.value.toFixed(2);
             break; // Found it, no need to search other containers
           }
         }
@@ -3635,12 +5309,26 @@ class OakViewChart extends HTMLElement {
    * Set data for the main series (controlled by chart type UI)
    * This updates the current series based on the selected chart type.
    * For advanced use cases, get the chart instance with getChart() and manage series directly.
-   * @param {Array} data - Array of OHLCV data
+   * @param {Array|Object} data - Array of OHLCV data, or BarColumns (Float64Array per field)
    * @public
    */
   setData(data) {
-    this._data = data;
-    
+    // Own a copy - scroll-back prepends older bars into this array.
+    // The series needs one object per bar, so columns are converted once here.
+    this._data = BarColumns.isColumns(data)
+      ? BarColumns.toBars(BarColumns.normalize(data))
+      : data.slice();
+
+    // Externally supplied data has no known history context for scroll-back
+    this._historyContext = null;
+    this._gapFill = null;
+
+    // ...and replaces whatever a live trade stream was building
+    this._stopLiveStream();
+
+    // ...or a replay was revealing
+    this._replay?.stop(false);
+
     // Configure timescale based on current interval
     const interval = this.getAttribute('interval');
     if (interval) {
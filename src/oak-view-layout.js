@@ -2,6 +2,31 @@ import { createChart } from 'lightweight-charts';
 import './oak-view-chart.js';    // Individual chart component
 import cssVariables from './oakview-variables.css?inline';
 import BarResampler from './utils/BarResampler.js';
+import TickAggregator from './utils/TickAggregator.js';
+import OakViewDataProvider from './data-providers/base.js';
+import BarReplay from './utils/BarReplay.js';
+import TimezoneFormatter from './utils/TimezoneFormatter.js';
+import { providerRegistry } from './data-providers/registry.js';
+
+const DEFAULT_REPLAY_BARS = 100; // Bars left to replay when started from the toolbar
+
+// Offered by the timezone picker, besides 'exchange', 'local' and 'UTC'
+const TIMEZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Berlin',
+  'Europe/Zurich',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Hong_Kong',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Sydney'
+];
 
 /**
  * OakView - Multi-pane chart layout component
@@ -9,6 +34,7 @@ import BarResampler from './utils/BarResampler.js';
  *
  * Usage:
  *   <oak-view layout="single" symbol="SPX" theme="dark"></oak-view>
+ *   <oak-view symbol="SIM" data-source="simulated:seed=42"></oak-view>
  *
  * Supported layouts:
  *   - single: 1 chart
@@ -24,19 +50,56 @@ class OakViewChartLayout extends HTMLElement {
     this._selectedPane = 0;
     this._layoutMode = 'single';
     this._dataProvider = null;
+    this._dataSourceProvider = null; // Provider created from the data-source attribute
+    this._dataSourceLoad = 0; // Increments per data-source resolution, drops stale ones
     this._expandedPane = null; // Track which pane is expanded
     this._previousLayout = null; // Store layout before expansion
     this._paneSettings = new Map(); // Store per-pane settings (symbol, interval, etc.)
     this._storageKey = 'oakview-layout-config'; // localStorage key
+    this._timezone = null; // Timezone restored from the saved configuration
+    this._extendedHours = null; // Extended-hours setting restored from the saved configuration
     
-    // Resampling support
-    this._baseSubscription = null; // Single subscription to base interval
-    this._baseInterval = null; // Finest interval across all panes
-    this._resamplers = new Map(); // paneId -> BarResampler
+    // Live bars: one subscription per symbol, at the finest interval of the panes showing it
+    this._subscriptions = new Map(); // symbol -> { symbol, baseInterval, unsubscribe, panes: Map<paneId, interval> }
+    this._resamplers = new Map(); // `${paneId}:${interval}` -> BarResampler
+
+    // Bar Replay
+    this._replay = null; // Active BarReplay
+    this._replayPane = null; // Index of the pane being replayed
+    this._replaySpeed = 1; // Bars per second, kept between replays
+  }
+
+  /**
+   * Register a provider factory for the data-source attribute
+   *
+   * data-source="name" or "name:options" creates the provider with
+   * factory(options), initializes it and loads every pane. Options are JSON or
+   * key=value pairs separated by & or , ('simulated:seed=42,historyBars=1000').
+   * 'simulated' is registered by default.
+   *
+   * @param {string} name - Name used in data-source
+   * @param {Function} factory - (options, { name, source }) => provider or Promise<provider>
+   * @public
+   * @example
+   * OakView.registerProvider('my-api', (options) => new MyApiProvider(options));
+   * // <oak-view symbol="AAPL" data-source="my-api:region=eu"></oak-view>
+   */
+  static registerProvider(name, factory) {
+    providerRegistry.register(name, factory);
+  }
+
+  /**
+   * Remove a provider factory registered with registerProvider()
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether a factory was removed
+   * @public
+   */
+  static unregisterProvider(name) {
+    return providerRegistry.unregister(name);
   }
 
   static get observedAttributes() {
-    return ['layout', 'symbol', 'theme', 'data-source'];
+    return ['layout', 'symbol', 'theme', 'data-source', 'timezone', 'extended-hours', 'realtime'];
   }
 
   connectedCallback() {
@@ -48,9 +111,19 @@ class OakViewChartLayout extends HTMLElement {
       // Set the layout attribute (this will be picked up by setupPanes)
       this.setAttribute('layout', this._layoutMode);
     }
+    if (hadSavedConfig && this._timezone) {
+      this.setAttribute('timezone', this._timezone);
+    }
+    if (hadSavedConfig && this._extendedHours !== null) {
+      this.setAttribute('extended-hours', String(this._extendedHours));
+    }
 
     this.setupPanes();
 
+    if (this.getAttribute('data-source')) {
+      this._resolveDataSource();
+    }
+
     // Dispatch event so external app knows to load data for restored config
     if (hadSavedConfig) {
       // Use setTimeout to ensure panes are created first
@@ -73,6 +146,7 @@ class OakViewChartLayout extends HTMLElement {
     this.saveConfiguration();
     // Clean up panes
     this._panes = [];
+    this._syncSubscriptions();
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -96,6 +170,10 @@ class OakViewChartLayout extends HTMLElement {
       if (controlChart) {
         controlChart.setAttribute('data-source', newValue);
       }
+
+      if (newValue) {
+        this._resolveDataSource();
+      }
     }
 
     if (name === 'symbol' && this._panes.length > 0) {
@@ -113,6 +191,31 @@ class OakViewChartLayout extends HTMLElement {
       }
     }
 
+    if (name === 'timezone') {
+      this._panes.forEach(pane => {
+        if (pane.chart) {
+          if (newValue) pane.chart.setAttribute('timezone', newValue);
+          else pane.chart.removeAttribute('timezone');
+        }
+      });
+      this._updateTimezonePicker();
+    }
+
+    if (name === 'extended-hours') {
+      const controlChart = this.shadowRoot?.querySelector('.control-chart');
+      [controlChart, ...this._panes.map(pane => pane.chart)].forEach(chart => {
+        if (!chart) return;
+        if (newValue !== null) chart.setAttribute('extended-hours', newValue);
+        else chart.removeAttribute('extended-hours');
+      });
+      // Live buckets are rebuilt with the new setting
+      this._resamplers.clear();
+    }
+
+    if (name === 'realtime') {
+      this._syncSubscriptions();
+    }
+
     if (name === 'theme' && this._panes.length > 0) {
       // Update theme on all pane charts
       this._panes.forEach(pane => {
@@ -208,11 +311,107 @@ class OakViewChartLayout extends HTMLElement {
 
       .bottom-bar {
         height: var(--bottom-bar-height);
+        display: flex;
+        align-items: center;
         background: var(--bg-primary);
         border-top: 1px solid var(--border-primary);
         flex-shrink: 0;
       }
 
+      .timezone-picker {
+        height: 22px;
+        margin-left: auto;
+        margin-right: var(--space-2);
+        background: transparent;
+        border: 1px solid transparent;
+        border-radius: var(--radius-sm);
+        color: var(--text-secondary);
+        font-family: var(--font-primary);
+        font-size: var(--font-size-12);
+        cursor: pointer;
+        color-scheme: dark;
+      }
+
+      .timezone-picker:hover {
+        border-color: var(--border-primary);
+        color: var(--text-primary);
+      }
+
+      .replay-transport {
+        flex: 1;
+        height: 100%;
+        display: flex;
+        align-items: center;
+        gap: var(--space-1);
+        padding: 0 var(--space-2);
+        font-family: var(--font-primary);
+        font-size: var(--font-size-12);
+        color: var(--text-secondary);
+      }
+
+      .replay-transport[hidden] {
+        display: none;
+      }
+
+      .replay-title {
+        color: var(--blue-primary);
+        font-weight: var(--font-weight-semibold);
+        margin-right: var(--space-2);
+      }
+
+      .replay-control {
+        width: 24px;
+        height: 24px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: transparent;
+        border: none;
+        border-radius: var(--radius-sm);
+        color: var(--text-primary);
+        cursor: pointer;
+        padding: 0;
+      }
+
+      .replay-control:hover {
+        background: var(--hover-bg-dark);
+      }
+
+      .replay-control:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .replay-control .replay-pause-icon,
+      .replay-control.playing .replay-play-icon {
+        display: none;
+      }
+
+      .replay-control.playing .replay-pause-icon {
+        display: block;
+      }
+
+      .replay-speed,
+      .replay-date {
+        height: 22px;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-primary);
+        border-radius: var(--radius-sm);
+        color: var(--text-primary);
+        font-family: inherit;
+        font-size: var(--font-size-12);
+        color-scheme: dark;
+      }
+
+      .replay-position {
+        margin-left: var(--space-2);
+        font-family: var(--font-mono);
+      }
+
+      .replay-exit {
+        margin-left: auto;
+      }
+
       .sidebar-right {
         width: var(--toolbar-width);
         background: var(--bg-primary);
@@ -313,6 +512,34 @@ class OakViewChartLayout extends HTMLElement {
     controlChart.setAttribute('show-toolbar', 'true');
     controlChart.setAttribute('symbol', this.getAttribute('symbol') || 'SYMBOL');
     controlChart.setAttribute('hide-sidebar', 'true');
+    if (this.hasAttribute('extended-hours')) {
+      controlChart.setAttribute('extended-hours', this.getAttribute('extended-hours'));
+    }
+
+    // Registered once here: setupControlChartListeners() runs on every layout change
+    controlChart.addEventListener('replay-toggle', () => {
+      try {
+        this.toggleReplay();
+      } catch (error) {
+        console.warn('⚠️ Cannot start replay:', error.message);
+      }
+    });
+
+    // Panes of a data-source provider are loaded here, there is no app to do it
+    controlChart.addEventListener('symbol-change', (e) => {
+      const settings = this.getPaneSettings(this._selectedPane);
+      if (settings) this._loadDataSourcePane(this._selectedPane, e.detail.symbol, settings.interval);
+    });
+    controlChart.addEventListener('interval-change', (e) => {
+      const settings = this.getPaneSettings(this._selectedPane);
+      if (settings) this._loadDataSourcePane(this._selectedPane, settings.symbol, e.detail.interval);
+    });
+
+    // The ETH button applies to every pane; the layout fires the event instead
+    controlChart.addEventListener('extended-hours-change', (e) => {
+      e.stopPropagation();
+      this.setExtendedHours(e.detail.extendedHours);
+    });
 
     toolbarContainer.appendChild(controlChart);
 
@@ -333,6 +560,8 @@ class OakViewChartLayout extends HTMLElement {
 
     const bottomBar = document.createElement('div');
     bottomBar.className = 'bottom-bar';
+    bottomBar.appendChild(this._createReplayTransport());
+    bottomBar.appendChild(this._createTimezonePicker());
 
     centerArea.appendChild(layoutContainer);
     centerArea.appendChild(bottomBar);
@@ -399,6 +628,29 @@ class OakViewChartLayout extends HTMLElement {
         chart.setAttribute('data-source', dataSource);
       }
 
+      const staleThreshold = this.getAttribute('stale-threshold');
+      if (staleThreshold) {
+        chart.setAttribute('stale-threshold', staleThreshold);
+      }
+
+      const timezone = this.getAttribute('timezone');
+      if (timezone) {
+        chart.setAttribute('timezone', timezone);
+      }
+      if (this.hasAttribute('extended-hours')) {
+        chart.setAttribute('extended-hours', this.getAttribute('extended-hours'));
+      }
+
+      // The exchange timezone follows the pane's symbol
+      chart.addEventListener('symbol-info', () => {
+        if (this._panes[this._selectedPane]?.chart === chart) {
+          this._updateTimezonePicker();
+        }
+
+        // Live buckets must follow the new session from the next bar on
+        this._clearResamplers(paneId);
+      });
+
       // Configure chart scales
       chart.addEventListener('chart-ready', () => {
         const lwChart = chart.getChart();
@@ -445,6 +697,18 @@ class OakViewChartLayout extends HTMLElement {
 
     // Setup control chart listeners
     this.setupControlChartListeners();
+
+    // Panes that were removed release their live subscriptions
+    this._syncSubscriptions();
+
+    // New panes of a data-source provider load by themselves
+    if (this._dataSourceProvider && this._dataSourceProvider === this._dataProvider) {
+      this._panes.forEach((pane, index) => {
+        pane.chart.setDataProvider(this._dataProvider);
+        const settings = this._paneSettings.get(pane.id);
+        this._loadDataSourcePane(index, settings.symbol, settings.interval);
+      });
+    }
   }
 
   setupControlChartListeners() {
@@ -463,6 +727,7 @@ class OakViewChartLayout extends HTMLElement {
           settings.symbol = e.detail.symbol;
           // Save configuration after symbol change
           this.saveConfiguration();
+          this._syncSubscriptions();
         }
 
         // Update the chart's symbol attribute
@@ -491,6 +756,7 @@ class OakViewChartLayout extends HTMLElement {
           settings.interval = e.detail.interval;
           // Save configuration after interval change
           this.saveConfiguration();
+          this._syncSubscriptions();
         }
 
         // Dispatch event for external app to load new data
@@ -556,6 +822,8 @@ class OakViewChartLayout extends HTMLElement {
       controlChart.setAttribute('interval', settings.interval || '1D');
     }
 
+    this._updateTimezonePicker();
+
     // Dispatch event
     this.dispatchEvent(new CustomEvent('pane-selected', {
       detail: {
@@ -696,6 +964,20 @@ class OakViewChartLayout extends HTMLElement {
    * @public
    */
   setDataProvider(provider) {
+    // An explicit provider wins over data-source, also over one still resolving
+    this._dataSourceLoad++;
+    this._releaseDataSourceProvider(provider);
+    this._applyDataProvider(provider);
+  }
+
+  /**
+   * Use a provider on the control chart and every pane
+   * @param {OakViewDataProvider} provider - Data provider instance
+   * @private
+   */
+  _applyDataProvider(provider) {
+    // Subscriptions belong to the previous provider
+    this._unsubscribeAll();
     this._dataProvider = provider;
 
     // Propagate to control chart
@@ -710,6 +992,8 @@ class OakViewChartLayout extends HTMLElement {
         pane.chart.setDataProvider(provider);
       }
     });
+
+    this._syncSubscriptions();
   }
 
   /**
@@ -721,6 +1005,80 @@ class OakViewChartLayout extends HTMLElement {
     return this._dataProvider;
   }
 
+  /**
+   * Create the provider named by the data-source attribute and load the panes
+   *
+   * Fires 'data-source-change' with { dataSource, provider } once the provider
+   * is initialized and in use, or 'data-source-error' with { dataSource, error }.
+   * A resolution overtaken by another data-source or setDataProvider() call is
+   * discarded and its provider disconnected.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _resolveDataSource() {
+    const source = this.getAttribute('data-source');
+    const load = ++this._dataSourceLoad;
+
+    let provider;
+    try {
+      provider = await providerRegistry.create(source);
+    } catch (error) {
+      if (load !== this._dataSourceLoad) return;
+      console.error(`❌ Failed to create data source "${source}":`, error);
+      this.dispatchEvent(new CustomEvent('data-source-error', {
+        detail: { dataSource: source, error }
+      }));
+      return;
+    }
+
+    if (load !== this._dataSourceLoad) {
+      provider.disconnect?.();
+      return;
+    }
+
+    this._releaseDataSourceProvider(provider);
+    this._dataSourceProvider = provider;
+    this._applyDataProvider(provider);
+
+    this.dispatchEvent(new CustomEvent('data-source-change', {
+      detail: { dataSource: source, provider }
+    }));
+
+    this._panes.forEach((pane, index) => {
+      const settings = this._paneSettings.get(pane.id);
+      this._loadDataSourcePane(index, settings.symbol, settings.interval);
+    });
+  }
+
+  /**
+   * Disconnect the provider created from data-source when it is replaced
+   * @param {OakViewDataProvider|null} next - Provider taking over
+   * @private
+   */
+  _releaseDataSourceProvider(next) {
+    if (this._dataSourceProvider && this._dataSourceProvider !== next) {
+      if (this._dataProvider === this._dataSourceProvider) this._unsubscribeAll();
+      this._dataSourceProvider.disconnect?.();
+      this._dataSourceProvider = null;
+    }
+  }
+
+  /**
+   * Load a pane's data when the layout's provider came from data-source
+   * @param {number} index - Pane index
+   * @param {string} symbol - Symbol to load
+   * @param {string} interval - Interval to load
+   * @private
+   */
+  _loadDataSourcePane(index, symbol, interval) {
+    const chart = this.getChartAt(index);
+    if (!chart || !this._dataSourceProvider || this._dataSourceProvider !== this._dataProvider) return;
+
+    chart.loadSymbolData(symbol, interval).catch(error => {
+      console.error(`❌ Failed to load ${symbol} @ ${interval} from data source:`, error);
+    });
+  }
+
   // ============================================================================
   // Client-Side Resampling
   // ============================================================================
@@ -750,21 +1108,25 @@ class OakViewChartLayout extends HTMLElement {
   }
 
   /**
-   * Distribute incoming bar to all panes (with resampling)
-   * @param {Object} sourceBar - OHLCV bar from base interval subscription
+   * Distribute a bar to the panes of its subscription (with resampling)
+   * @param {Object} subscription - Entry of this._subscriptions
+   * @param {Object} sourceBar - OHLCV bar at the subscription's base interval
    * @private
    */
-  _distributeBar(sourceBar) {
-    this._paneSettings.forEach((settings, paneId) => {
+  _distributeBar(subscription, sourceBar) {
+    const { baseInterval } = subscription;
+
+    subscription.panes.forEach((targetInterval, paneId) => {
       const paneIndex = this._getPaneIndexById(paneId);
       if (paneIndex === -1) return;
       
       const chart = this.getChartAt(paneIndex);
       if (!chart) return;
+
+      // A replayed pane shows history until the replay ends
+      if (chart._replay) return;
       
-      const targetInterval = settings.interval;
-      
-      if (targetInterval === this._baseInterval) {
+      if (targetInterval === baseInterval) {
         // Direct pass - no resampling needed
         chart.updateRealtime(sourceBar);
       } else {
@@ -774,9 +1136,12 @@ class OakViewChartLayout extends HTMLElement {
         if (!this._resamplers.has(resamplerKey)) {
           this._resamplers.set(
             resamplerKey,
-            new BarResampler(this._baseInterval, targetInterval)
+            new BarResampler(baseInterval, targetInterval, {
+              session: chart._getSession(),
+              extendedHours: chart.getExtendedHours()
+            })
           );
-          console.log(`📊 Created resampler ${this._baseInterval} → ${targetInterval} for pane ${paneIndex}`);
+          console.log(`📊 Created resampler ${baseInterval} → ${targetInterval} for pane ${paneIndex}`);
         }
         
         const resampler = this._resamplers.get(resamplerKey);
@@ -803,42 +1168,433 @@ class OakViewChartLayout extends HTMLElement {
   }
 
   /**
-   * Subscribe to symbol with automatic resampling for multi-interval support
-   * Subscribes to finest interval once, resamples for coarser intervals
-   * @param {string} symbol - Symbol to subscribe to
+   * Whether the layout streams live bars to its panes itself
+   *
+   * On with the realtime attribute, and for providers created from
+   * data-source unless realtime="false".
+   * @returns {boolean}
    * @private
    */
-  _subscribeToSymbol(symbol) {
-    // Collect intervals from all panes
-    const intervals = Array.from(this._paneSettings.values())
-      .map(s => s.interval)
-      .filter(i => i);
-      
-    if (intervals.length === 0) return;
-    
-    // Determine finest interval
-    const baseInterval = this._findFinestInterval(intervals);
-    this._baseInterval = baseInterval;
-    
-    console.log(`📊 Subscribing to ${symbol} @ ${baseInterval} (base interval)`);
-    console.log(`   Pane intervals: ${intervals.join(', ')}`);
-    
-    // Unsubscribe from previous
-    if (this._baseSubscription) {
-      this._baseSubscription();
-      this._baseSubscription = null;
+  _isStreaming() {
+    const realtime = this.getAttribute('realtime');
+    if (realtime === 'false') return false;
+    return realtime !== null || (this._dataSourceProvider !== null && this._dataSourceProvider === this._dataProvider);
+  }
+
+  /**
+   * Bring the live subscriptions in line with the panes
+   *
+   * Panes showing the same symbol share one provider subscription at the finest
+   * of their intervals; coarser panes get resampled bars. A subscription lives
+   * as long as a pane references it: it is dropped when the last of its panes
+   * changes symbol or is removed, and replaced when its base interval changes.
+   * Tick panes are left out - they build bars from their own trade stream.
+   * @private
+   */
+  _syncSubscriptions() {
+    // symbol -> Map<paneId, interval>
+    const wanted = new Map();
+    const canStream = this.isConnected && this._isStreaming() && this._dataProvider &&
+      OakViewDataProvider.resolveCapabilities(this._dataProvider).realtime;
+
+    if (canStream) {
+      this._panes.forEach(pane => {
+        const settings = this._paneSettings.get(pane.id);
+        if (!settings?.symbol || !settings.interval || TickAggregator.isTickInterval(settings.interval)) return;
+        if (!wanted.has(settings.symbol)) wanted.set(settings.symbol, new Map());
+        wanted.get(settings.symbol).set(pane.id, settings.interval);
+      });
     }
-    
-    // Clear resamplers
-    this._resamplers.clear();
-    
-    // Subscribe once to base interval
-    if (this._dataProvider && typeof this._dataProvider.subscribe === 'function') {
-      this._baseSubscription = this._dataProvider.subscribe(
-        symbol,
-        baseInterval,
-        (bar) => this._distributeBar(bar)
-      );
+
+    // Release subscriptions no pane references any more, or at another base interval
+    for (const [symbol, subscription] of this._subscriptions) {
+      const panes = wanted.get(symbol);
+      if (panes && this._findFinestInterval(Array.from(panes.values())) === subscription.baseInterval) continue;
+
+      this._unsubscribe(subscription);
+    }
+
+    for (const [symbol, panes] of wanted) {
+      let subscription = this._subscriptions.get(symbol);
+
+      if (!subscription) {
+        const baseInterval = this._findFinestInterval(Array.from(panes.values()));
+        subscription = { symbol, baseInterval, unsubscribe: null, panes: new Map() };
+        this._subscriptions.set(symbol, subscription);
+
+        console.log(`📊 Subscribing to ${symbol} @ ${baseInterval} (base interval)`);
+        const unsubscribe = this._dataProvider.subscribe(symbol, baseInterval, (bar) => this._distributeBar(subscription, bar));
+        subscription.unsubscribe = typeof unsubscribe === 'function' ? unsubscribe : null;
+      }
+
+      // Panes that joined, left or changed interval restart their live buckets
+      for (const paneId of new Set([...subscription.panes.keys(), ...panes.keys()])) {
+        if (subscription.panes.get(paneId) !== panes.get(paneId)) this._clearResamplers(paneId);
+      }
+      subscription.panes = panes;
+    }
+  }
+
+  /**
+   * End a live subscription and forget its panes' live buckets
+   * @param {Object} subscription - Entry of this._subscriptions
+   * @private
+   */
+  _unsubscribe(subscription) {
+    console.log(`📊 Unsubscribing from ${subscription.symbol} @ ${subscription.baseInterval}`);
+    subscription.unsubscribe?.();
+    subscription.panes.forEach((interval, paneId) => this._clearResamplers(paneId));
+    this._subscriptions.delete(subscription.symbol);
+  }
+
+  /**
+   * @private
+   */
+  _unsubscribeAll() {
+    for (const subscription of Array.from(this._subscriptions.values())) {
+      this._unsubscribe(subscription);
+    }
+  }
+
+  /**
+   * @param {number} paneId - Pane ID
+   * @private
+   */
+  _clearResamplers(paneId) {
+    for (const key of this._resamplers.keys()) {
+      if (key.startsWith(`${paneId}:`)) this._resamplers.delete(key);
+    }
+  }
+
+  /**
+   * Get the live subscriptions the layout holds
+   * @returns {Array<{symbol: string, interval: string, panes: Array<number>}>}
+   *   One entry per symbol: its base interval and the IDs of the panes it feeds
+   * @public
+   */
+  getSubscriptions() {
+    return Array.from(this._subscriptions.values()).map(subscription => ({
+      symbol: subscription.symbol,
+      interval: subscription.baseInterval,
+      panes: Array.from(subscription.panes.keys())
+    }));
+  }
+
+  // ============================================================================
+  // Bar Replay
+  // ============================================================================
+
+  /**
+   * Replay the selected pane from a date
+   *
+   * Bars from the date onwards are hidden and then revealed through the pane's
+   * updateRealtime() by the transport bar (or the returned BarReplay).
+   *
+   * @param {number|Date|string|null} [from] - First bar to replay; defaults to the last 100 bars
+   * @param {Object} [options]
+   * @param {number} [options.speed] - Bars per second (default: speed of the previous replay)
+   * @param {boolean} [options.autoplay=false] - Start playing immediately
+   * @returns {BarReplay|null} The replay, or null if no pane is selected
+   * @throws {Error} If the selected pane has no data
+   * @public
+   * @example
+   * const replay = layout.startReplay('2024-01-15', { speed: 5, autoplay: true });
+   */
+  startReplay(from = null, options = {}) {
+    const chart = this.getSelectedChart();
+    if (!chart) return null;
+
+    this.stopReplay();
+
+    const replay = new BarReplay(chart, {
+      speed: options.speed ?? this._replaySpeed,
+      onChange: (state) => this._onReplayChange(replay, state)
+    });
+    this._replay = replay;
+    this._replayPane = this._selectedPane;
+
+    try {
+      replay.start(from ?? this._defaultReplayStart(chart));
+    } catch (error) {
+      this._replay = null;
+      this._replayPane = null;
+      throw error;
+    }
+
+    if (options.autoplay) {
+      replay.play();
+    }
+    return replay;
+  }
+
+  /**
+   * Leave replay mode and restore the replayed pane
+   * @public
+   */
+  stopReplay() {
+    if (this._replay) {
+      this._replay.stop();
+    }
+  }
+
+  /**
+   * Start replay on the selected pane, or stop the active replay
+   * @public
+   */
+  toggleReplay() {
+    if (this._replay) {
+      this.stopReplay();
+    } else {
+      this.startReplay();
+    }
+  }
+
+  /**
+   * Get the active replay
+   * @returns {BarReplay|null}
+   * @public
+   */
+  getReplay() {
+    return this._replay;
+  }
+
+  /**
+   * @private
+   */
+  _defaultReplayStart(chart) {
+    const data = chart._data || [];
+    if (data.length === 0) return null;
+    return data[Math.max(1, data.length - DEFAULT_REPLAY_BARS)]?.time ?? data[0].time;
+  }
+
+  /**
+   * Sync the transport bar and toolbar with the replay, and fire 'replay-change'
+   * @private
+   */
+  _onReplayChange(replay, state) {
+    if (replay !== this._replay) return;
+
+    const paneIndex = this._replayPane;
+    if (!state.active) {
+      this._replay = null;
+      this._replayPane = null;
+    }
+    this._replaySpeed = state.speed;
+
+    this._updateReplayTransport(state);
+
+    const replayBtn = this.shadowRoot.querySelector('.control-chart')?.shadowRoot?.querySelector('.replay-button');
+    if (replayBtn) {
+      replayBtn.classList.toggle('active', state.active);
+      replayBtn.setAttribute('aria-pressed', String(state.active));
+    }
+
+    this.dispatchEvent(new CustomEvent('replay-change', {
+      detail: { ...state, paneIndex }
+    }));
+  }
+
+  /**
+   * Build the transport bar shown in the bottom bar during replay
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createReplayTransport() {
+    const transport = document.createElement('div');
+    transport.className = 'replay-transport';
+    transport.hidden = true;
+    transport.innerHTML = `
+      <span class="replay-title">Replay</span>
+      <button class="replay-control" data-action="step-back" title="Step back" aria-label="Step back">
+        <svg viewBox="0 0 16 16" width="16" height="16"><path fill="currentColor" d="M4 3h1.5v10H4zM13 3v10L6 8z"></path></svg>
+      </button>
+      <button class="replay-control" data-action="play" title="Play" aria-label="Play">
+        <svg class="replay-play-icon" viewBox="0 0 16 16" width="16" height="16"><path fill="currentColor" d="M4 2.5v11L13 8z"></path></svg>
+        <svg class="replay-pause-icon" viewBox="0 0 16 16" width="16" height="16"><path fill="currentColor" d="M4 3h3v10H4zM9 3h3v10H9z"></path></svg>
+      </button>
+      <button class="replay-control" data-action="step-forward" title="Step forward" aria-label="Step forward">
+        <svg viewBox="0 0 16 16" width="16" height="16"><path fill="currentColor" d="M3 3v10l7-5zM10.5 3H12v10h-1.5z"></path></svg>
+      </button>
+      <select class="replay-speed" title="Speed (bars per second)" aria-label="Replay speed">
+        ${BarReplay.SPEEDS.map(speed => `<option value="${speed}">${speed}x</option>`).join('')}
+      </select>
+      <input class="replay-date" type="date" title="Jump to date" aria-label="Jump to date">
+      <span class="replay-position"></span>
+      <button class="replay-control replay-exit" data-action="exit" title="Exit replay" aria-label="Exit replay">
+        <svg viewBox="0 0 16 16" width="16" height="16"><path stroke="currentColor" stroke-width="1.5" d="m3 3 10 10m0-10L3 13"></path></svg>
+      </button>
+    `;
+
+    transport.addEventListener('click', (e) => {
+      // Keep the click from selecting panes or reaching the page
+      e.stopPropagation();
+
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      const replay = this._replay;
+      if (!action || !replay) return;
+
+      switch (action) {
+        case 'play':
+          replay.isPlaying() ? replay.pause() : replay.play();
+          break;
+        case 'step-forward':
+          replay.pause();
+          replay.stepForward();
+          break;
+        case 'step-back':
+          replay.pause();
+          replay.stepBack();
+          break;
+        case 'exit':
+          this.stopReplay();
+          break;
+      }
+    });
+
+    transport.querySelector('.replay-speed').addEventListener('change', (e) => {
+      this._replay?.setSpeed(parseFloat(e.target.value));
+    });
+
+    transport.querySelector('.replay-date').addEventListener('change', (e) => {
+      if (e.target.value) {
+        this._replay?.jumpTo(e.target.value);
+      }
+    });
+
+    return transport;
+  }
+
+  /**
+   * @private
+   */
+  _updateReplayTransport(state) {
+    const transport = this.shadowRoot.querySelector('.replay-transport');
+    if (!transport) return;
+
+    transport.hidden = !state.active;
+    if (!state.active) return;
+
+    const playBtn = transport.querySelector('[data-action="play"]');
+    playBtn.classList.toggle('playing', state.playing);
+    playBtn.title = state.playing ? 'Pause' : 'Play';
+    playBtn.setAttribute('aria-label', playBtn.title);
+    playBtn.disabled = !state.playing && state.index >= state.total;
+
+    transport.querySelector('[data-action="step-forward"]').disabled = state.index >= state.total;
+    transport.querySelector('[data-action="step-back"]').disabled = state.index <= 1;
+
+    const speedSelect = transport.querySelector('.replay-speed');
+    if (!BarReplay.SPEEDS.includes(state.speed)) {
+      speedSelect.add(new Option(`${state.speed}x`, String(state.speed)));
+    }
+    speedSelect.value = String(state.speed);
+
+    const date = state.time !== null ? new Date(state.time * 1000).toISOString() : '';
+    const dateInput = transport.querySelector('.replay-date');
+    if (this.shadowRoot.activeElement !== dateInput) {
+      dateInput.value = date.slice(0, 10);
+    }
+
+    transport.querySelector('.replay-position').textContent =
+      `${date.slice(0, 16).replace('T', ' ')}  ${state.index}/${state.total}`;
+  }
+
+  /**
+   * Build the timezone picker shown at the right of the bottom bar
+   * @returns {HTMLSelectElement}
+   * @private
+   */
+  _createTimezonePicker() {
+    const picker = document.createElement('select');
+    picker.className = 'timezone-picker';
+    picker.title = 'Timezone of the time axis';
+    picker.setAttribute('aria-label', 'Timezone');
+    picker.innerHTML = `
+      <option value="exchange">Exchange</option>
+      <option value="local">Local</option>
+      <option value="UTC">UTC</option>
+      ${TIMEZONES.map(zone => `<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`).join('')}
+    `;
+
+    picker.addEventListener('change', () => {
+      this.setTimezone(picker.value);
+    });
+
+    // Set the current value once the picker is in the shadow root
+    queueMicrotask(() => this._updateTimezonePicker());
+    return picker;
+  }
+
+  /**
+   * Show the current setting in the picker; 'Exchange' names the zone it resolves to
+   * @private
+   */
+  _updateTimezonePicker() {
+    const picker = this.shadowRoot?.querySelector('.timezone-picker');
+    if (!picker) return;
+
+    const setting = this.getAttribute('timezone') || 'exchange';
+    if (!Array.from(picker.options).some(option => option.value === setting)) {
+      picker.add(new Option(setting.replace(/_/g, ' '), setting));
+    }
+    picker.value = setting;
+
+    const exchangeOption = picker.querySelector('option[value="exchange"]');
+    const resolved = this.getSelectedChart()?.getTimezone?.();
+    exchangeOption.textContent = setting === 'exchange' && resolved ? `Exchange (${resolved.replace(/_/g, ' ')})` : 'Exchange';
+  }
+
+  /**
+   * Set the timezone of every pane's time axis and crosshair
+   *
+   * @param {string} timezone - IANA timezone (e.g. 'Europe/Berlin'), 'UTC',
+   *   'local' for the browser's timezone or 'exchange' for each symbol's own timezone
+   * @throws {RangeError} If the timezone is unknown
+   * @public
+   * @example
+   * layout.setTimezone('America/Chicago');
+   */
+  setTimezone(timezone) {
+    if (!['exchange', 'local'].includes(timezone) && !TimezoneFormatter.isValid(timezone)) {
+      throw new RangeError(`Unknown timezone: ${timezone}`);
+    }
+
+    const previous = this.getAttribute('timezone') || 'exchange';
+    this.setAttribute('timezone', timezone);
+    this.saveConfiguration();
+
+    if (previous !== timezone) {
+      this.dispatchEvent(new CustomEvent('timezone-change', {
+        detail: { timezone, previous },
+        bubbles: true,
+        composed: true
+      }));
+    }
+  }
+
+  /**
+   * Show or hide pre- and post-market bars in every pane
+   *
+   * Panes whose symbol has a session reload; hidden extended hours are also
+   * left out of resampled and live bars. The choice is saved with the layout
+   * configuration.
+   *
+   * @param {boolean} show - Show extended hours
+   * @public
+   * @example
+   * layout.setExtendedHours(false); // regular session only
+   */
+  setExtendedHours(show) {
+    const previous = this.getAttribute('extended-hours') !== 'false';
+    this.setAttribute('extended-hours', String(Boolean(show)));
+    this.saveConfiguration();
+
+    if (previous !== Boolean(show)) {
+      this.dispatchEvent(new CustomEvent('extended-hours-change', {
+        detail: { extendedHours: Boolean(show) },
+        bubbles: true,
+        composed: true
+      }));
     }
   }
 
@@ -864,6 +1620,14 @@ class OakViewChartLayout extends HTMLElement {
         this._layoutMode = config.layout;
       }
 
+      // Restore the timezone picked by the user
+      if (config.timezone) {
+        this._timezone = config.timezone;
+      }
+      if (typeof config.extendedHours === 'boolean') {
+        this._extendedHours = config.extendedHours;
+      }
+
       // Restore pane settings
       if (config.panes) {
         config.panes.forEach(paneConfig => {
@@ -892,6 +1656,8 @@ class OakViewChartLayout extends HTMLElement {
     try {
       const config = {
         layout: this._layoutMode,
+        timezone: this.getAttribute('timezone'),
+        extendedHours: this.getAttribute('extended-hours') !== 'false',
         panes: []
       };
 
@@ -924,6 +1690,7 @@ class OakViewChartLayout extends HTMLElement {
     if (settings) {
       Object.assign(settings, updates);
       this.saveConfiguration();
+      this._syncSubscriptions();
     }
   }
 
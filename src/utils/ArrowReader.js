@@ -0,0 +1,659 @@
+/**
+ * ArrowReader - Read Apache Arrow IPC data (Feather v2 files and streams)
+ *
+ * A dependency-free reader for the columns bar data is made of: integers,
+ * floats, timestamps, dates, times, durations, booleans and strings, plain or
+ * dictionary-encoded. Columns of other types (lists, structs, decimals,
+ * binary) are skipped and read as null. Record batches may be uncompressed
+ * or LZ4-compressed (the Feather default); ZSTD-compressed and big-endian
+ * data are not supported.
+ *
+ * Numeric columns are read as Float64Array (nulls become NaN; 64-bit integers
+ * lose precision beyond 2^53), so they can be used as BarColumns directly.
+ * Boolean and string columns are read as arrays with null for nulls.
+ * Temporal columns keep the unit of their type, see field.type.unit.
+ *
+ * @example
+ * const response = await fetch('/data/bars.arrow');
+ * const table = ArrowReader.read(await response.arrayBuffer());
+ *
+ * table.length;             // 52000
+ * table.fields[0];          // { name: 'time', nullable: false, type: { kind: 'timestamp', unit: 'ms', timezone: 'UTC' } }
+ * table.columns.close;      // Float64Array(52000)
+ */
+
+const FILE_MAGIC = 'ARROW1';
+const CONTINUATION = -1;
+
+// Message.header union (Message.fbs)
+const MESSAGE_SCHEMA = 1;
+const MESSAGE_DICTIONARY_BATCH = 2;
+const MESSAGE_RECORD_BATCH = 3;
+
+// Type union (Schema.fbs)
+const TYPE_KINDS = [
+  'none', 'null', 'int', 'float', 'binary', 'utf8', 'bool', 'decimal', 'date', 'time',
+  'timestamp', 'interval', 'list', 'struct', 'union', 'fixed-size-binary', 'fixed-size-list',
+  'map', 'duration', 'large-binary', 'large-utf8', 'large-list', 'run-end-encoded',
+  'binary-view', 'utf8-view', 'list-view', 'large-list-view'
+];
+const TIME_UNITS = ['s', 'ms', 'us', 'ns'];
+
+// BodyCompression.codec (Message.fbs)
+const COMPRESSION_CODECS = ['LZ4_FRAME', 'ZSTD'];
+const LZ4_FRAME_MAGIC = 0x184d2204;
+
+// Buffers per array of each layout (validity included); others have two
+const BUFFER_COUNTS = {
+  null: 0,
+  struct: 1,
+  'fixed-size-list': 1,
+  binary: 3,
+  utf8: 3,
+  'large-binary': 3,
+  'large-utf8': 3
+};
+const NUMERIC_KINDS = new Set(['int', 'float', 'date', 'time', 'timestamp', 'duration']);
+const UNSUPPORTED_KINDS = new Set(['union', 'run-end-encoded', 'binary-view', 'utf8-view', 'list-view', 'large-list-view']);
+
+const textDecoder = new TextDecoder();
+
+/**
+ * A FlatBuffers table: the Arrow metadata format
+ * @private
+ */
+class FlatTable {
+  constructor(view, position) {
+    this.view = view;
+    this.position = position;
+    this.vtable = position - view.getInt32(position, true);
+    this.vtableSize = view.getUint16(this.vtable, true);
+  }
+
+  /**
+   * Absolute position of a field, 0 if absent
+   */
+  field(index) {
+    const entry = 4 + index * 2;
+    const offset = entry < this.vtableSize ? this.view.getUint16(this.vtable + entry, true) : 0;
+    return offset ? this.position + offset : 0;
+  }
+
+  uint8(index, fallback) {
+    const at = this.field(index);
+    return at ? this.view.getUint8(at) : fallback;
+  }
+
+  bool(index, fallback = false) {
+    const at = this.field(index);
+    return at ? this.view.getUint8(at) !== 0 : fallback;
+  }
+
+  int16(index, fallback) {
+    const at = this.field(index);
+    return at ? this.view.getInt16(at, true) : fallback;
+  }
+
+  int32(index, fallback) {
+    const at = this.field(index);
+    return at ? this.view.getInt32(at, true) : fallback;
+  }
+
+  int64(index, fallback) {
+    const at = this.field(index);
+    return at ? Number(this.view.getBigInt64(at, true)) : fallback;
+  }
+
+  /**
+   * Position a field's offset points to, 0 if absent
+   */
+  target(index) {
+    const at = this.field(index);
+    return at ? at + this.view.getUint32(at, true) : 0;
+  }
+
+  table(index) {
+    const at = this.target(index);
+    return at ? new FlatTable(this.view, at) : null;
+  }
+
+  string(index) {
+    const at = this.target(index);
+    if (!at) return null;
+    const length = this.view.getUint32(at, true);
+    return textDecoder.decode(new Uint8Array(this.view.buffer, this.view.byteOffset + at + 4, length));
+  }
+
+  /**
+   * Vector position and length ({ start: 0, length: 0 } if absent)
+   */
+  vector(index) {
+    const at = this.target(index);
+    return at ? { start: at + 4, length: this.view.getUint32(at, true) } : { start: 0, length: 0 };
+  }
+
+  tables(index) {
+    const { start, length } = this.vector(index);
+    return Array.from({ length }, (_, i) => {
+      const at = start + i * 4;
+      return new FlatTable(this.view, at + this.view.getUint32(at, true));
+    });
+  }
+}
+
+/**
+ * Describe a Type union member
+ * @private
+ */
+function readType(typeId, table) {
+  const kind = TYPE_KINDS[typeId] || `type-${typeId}`;
+  switch (kind) {
+    case 'int':
+      return { kind, bitWidth: table?.int32(0, 0) ?? 0, signed: table?.bool(1) ?? false };
+    case 'float':
+      return { kind, bitWidth: [16, 32, 64][table?.int16(0, 0) ?? 0] };
+    case 'date':
+      return { kind, unit: (table?.int16(0, 1) ?? 1) === 0 ? 'day' : 'ms' };
+    case 'time':
+      return { kind, unit: TIME_UNITS[table?.int16(0, 1) ?? 1], bitWidth: table?.int32(1, 32) ?? 32 };
+    case 'timestamp':
+      return { kind, unit: TIME_UNITS[table?.int16(0, 0) ?? 0], timezone: table?.string(1) ?? null };
+    case 'duration':
+      return { kind, unit: TIME_UNITS[table?.int16(0, 1) ?? 1] };
+    default:
+      return { kind };
+  }
+}
+
+/**
+ * Describe a schema Field
+ * @private
+ */
+function readField(table) {
+  const dictionary = table.table(4);
+  return {
+    name: table.string(0) ?? '',
+    nullable: table.bool(1),
+    type: readType(table.uint8(2, 0), table.table(3)),
+    dictionary: dictionary ? {
+      id: dictionary.int64(0, 0),
+      indexType: dictionary.table(1)
+        ? readType(2, dictionary.table(1))
+        : { kind: 'int', bitWidth: 32, signed: true }
+    } : null,
+    children: table.tables(5).map(readField)
+  };
+}
+
+/**
+ * Read one integer or float of a data buffer
+ * @private
+ */
+function numberReader(view, type) {
+  const width = type.kind === 'float' ? type.bitWidth
+    : type.kind === 'date' ? (type.unit === 'day' ? 32 : 64)
+      : type.kind === 'time' ? type.bitWidth
+        : type.kind === 'int' ? type.bitWidth : 64;
+  const signed = type.kind !== 'int' || type.signed;
+
+  if (type.kind === 'float') {
+    if (width === 64) return (at, i) => view.getFloat64(at + i * 8, true);
+    if (width === 32) return (at, i) => view.getFloat32(at + i * 4, true);
+    return (at, i) => halfToNumber(view.getUint16(at + i * 2, true));
+  }
+  switch (width) {
+    case 8: return signed ? (at, i) => view.getInt8(at + i) : (at, i) => view.getUint8(at + i);
+    case 16: return signed ? (at, i) => view.getInt16(at + i * 2, true) : (at, i) => view.getUint16(at + i * 2, true);
+    case 32: return signed ? (at, i) => view.getInt32(at + i * 4, true) : (at, i) => view.getUint32(at + i * 4, true);
+    default: return signed
+      ? (at, i) => Number(view.getBigInt64(at + i * 8, true))
+      : (at, i) => Number(view.getBigUint64(at + i * 8, true));
+  }
+}
+
+/**
+ * Decode an IEEE 754 half-precision float
+ * @private
+ */
+function halfToNumber(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Decode LZ4 frames (https://github.com/lz4/lz4/blob/dev/doc/lz4_Frame_format.md)
+ * @param {Uint8Array} input - Frames
+ * @param {number} size - Decoded length
+ * @returns {Uint8Array}
+ * @private
+ */
+function decodeLz4Frames(input, size) {
+  const output = new Uint8Array(size);
+  const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+  let i = 0;
+  let o = 0;
+
+  while (i < input.length) {
+    const magic = view.getUint32(i, true);
+    i += 4;
+    // Skippable frames
+    if ((magic & 0xfffffff0) === 0x184d2a50) {
+      i += 4 + view.getUint32(i, true);
+      continue;
+    }
+    if (magic !== LZ4_FRAME_MAGIC) {
+      throw new Error('ArrowReader: invalid LZ4 frame');
+    }
+
+    const flags = input[i];
+    const blockChecksum = (flags & 0x10) !== 0;
+    // FLG, BD, content size, dictionary id and header checksum
+    i += 2 + (flags & 0x08 ? 8 : 0) + (flags & 0x01 ? 4 : 0) + 1;
+
+    for (;;) {
+      const blockSize = view.getUint32(i, true);
+      i += 4;
+      if (blockSize === 0) break;
+
+      const length = blockSize & 0x7fffffff;
+      const end = i + length;
+      if (end > input.length) {
+        throw new Error('ArrowReader: truncated LZ4 data');
+      }
+      if (blockSize & 0x80000000) {
+        // Stored uncompressed
+        if (o + length > size) throw new Error('ArrowReader: LZ4 data exceeds its uncompressed length');
+        output.set(input.subarray(i, end), o);
+        o += length;
+      } else {
+        o = decodeLz4Block(input, i, end, output, o);
+      }
+      i = end + (blockChecksum ? 4 : 0);
+    }
+    // Content checksum
+    if (flags & 0x04) i += 4;
+  }
+
+  if (o !== size) {
+    throw new Error('ArrowReader: LZ4 data does not match its uncompressed length');
+  }
+  return output;
+}
+
+/**
+ * Decode one LZ4 block into output at o; matches may reach into earlier blocks
+ * @returns {number} Output position after the block
+ * @private
+ */
+function decodeLz4Block(input, i, end, output, o) {
+  while (i < end) {
+    const token = input[i++];
+
+    let literals = token >> 4;
+    if (literals === 15) {
+      let byte;
+      do {
+        byte = input[i++];
+        literals += byte;
+      } while (byte === 255);
+    }
+    if (o + literals > output.length) {
+      throw new Error('ArrowReader: LZ4 data exceeds its uncompressed length');
+    }
+    output.set(input.subarray(i, i + literals), o);
+    i += literals;
+    o += literals;
+    // The last sequence has literals only
+    if (i >= end) break;
+
+    const distance = input[i] | (input[i + 1] << 8);
+    i += 2;
+    let match = token & 15;
+    if (match === 15) {
+      let byte;
+      do {
+        byte = input[i++];
+        match += byte;
+      } while (byte === 255);
+    }
+    match += 4;
+
+    let from = o - distance;
+    if (distance === 0 || from < 0 || o + match > output.length) {
+      throw new Error('ArrowReader: invalid LZ4 data');
+    }
+    // Byte by byte: a match may overlap the bytes it produces
+    while (match-- > 0) {
+      output[o++] = output[from++];
+    }
+  }
+  return o;
+}
+
+/**
+ * Reads the arrays of record batches against a schema
+ * @private
+ */
+class BatchReader {
+  constructor(view, batch, body) {
+    this.metadata = view;
+    this.view = view; // Buffer data - decompressed into its own view if compressed
+    this.body = body;
+    this.length = batch.int64(0, 0);
+    this.nodes = batch.vector(1);
+    this.buffers = batch.vector(2);
+    this.nodeIndex = 0;
+    this.bufferIndex = 0;
+    this.decompressed = null;
+
+    const compression = batch.table(3);
+    if (compression) {
+      const codec = COMPRESSION_CODECS[compression.uint8(0, 0)] ?? 'unknown';
+      if (codec !== 'LZ4_FRAME') {
+        throw new Error(
+          `ArrowReader: ${codec} compressed record batches are not supported - save the data uncompressed ` +
+          "or LZ4-compressed, e.g. pyarrow.feather.write_feather(table, path, compression='lz4')"
+        );
+      }
+      this._decompress();
+    }
+  }
+
+  nextNode() {
+    const at = this.nodes.start + 16 * this.nodeIndex++;
+    return { length: Number(this.metadata.getBigInt64(at, true)), nullCount: Number(this.metadata.getBigInt64(at + 8, true)) };
+  }
+
+  nextBuffer() {
+    if (this.decompressed) return this.decompressed[this.bufferIndex++];
+    const at = this.buffers.start + 16 * this.bufferIndex++;
+    return { offset: this.body + Number(this.metadata.getBigInt64(at, true)), length: Number(this.metadata.getBigInt64(at + 8, true)) };
+  }
+
+  /**
+   * Decompress all buffers of the batch into one view
+   *
+   * Each compressed buffer starts with its uncompressed length as an int64,
+   * -1 if the buffer was left uncompressed.
+   * @private
+   */
+  _decompress() {
+    const bytes = new Uint8Array(this.metadata.buffer, this.metadata.byteOffset, this.metadata.byteLength);
+    const buffers = [];
+    for (let i = 0; i < this.buffers.length; i++) {
+      buffers.push(this.nextBuffer());
+    }
+
+    const decoded = buffers.map(({ offset, length }) => {
+      if (length === 0) return new Uint8Array(0);
+      const size = Number(this.metadata.getBigInt64(offset, true));
+      const data = bytes.subarray(offset + 8, offset + length);
+      return size === -1 ? data : decodeLz4Frames(data, size);
+    });
+
+    // Keep each buffer 8-byte aligned, as in the IPC body
+    const offsets = [];
+    let total = 0;
+    for (const data of decoded) {
+      offsets.push(total);
+      total += Math.ceil(data.length / 8) * 8;
+    }
+    const body = new Uint8Array(total);
+    decoded.forEach((data, i) => body.set(data, offsets[i]));
+
+    this.view = new DataView(body.buffer);
+    this.decompressed = decoded.map((data, i) => ({ offset: offsets[i], length: data.length }));
+    this.bufferIndex = 0;
+  }
+
+  /**
+   * Read the array of a field, or skip it (returning null) if its type is not read
+   * @param {Object} field - Schema field
+   * @param {Map} dictionaries - Dictionary id -> values
+   */
+  read(field, dictionaries) {
+    const node = this.nextNode();
+    const type = field.dictionary ? field.dictionary.indexType : field.type;
+
+    if (UNSUPPORTED_KINDS.has(type.kind)) {
+      throw new Error(`ArrowReader: column "${field.name}" has unsupported type ${type.kind}`);
+    }
+
+    const buffers = Array.from({ length: BUFFER_COUNTS[type.kind] ?? 2 }, () => this.nextBuffer());
+    // Nested arrays are skipped, but their children's nodes and buffers must be consumed.
+    // Dictionary-encoded arrays only hold indices - the values are in dictionary batches.
+    if (!field.dictionary) {
+      for (const child of field.children) {
+        this.read(child, dictionaries);
+      }
+    }
+
+    const validity = node.nullCount > 0 && buffers[0]?.length > 0 ? buffers[0].offset : null;
+    const isValid = validity === null
+      ? () => true
+      : (i) => (this.view.getUint8(validity + (i >> 3)) & (1 << (i & 7))) !== 0;
+
+    if (field.dictionary) {
+      const dictionary = dictionaries.get(field.dictionary.id) || [];
+      const index = numberReader(this.view, type);
+      const values = dictionary instanceof Float64Array ? new Float64Array(node.length) : new Array(node.length);
+      for (let i = 0; i < node.length; i++) {
+        const value = isValid(i) ? dictionary[index(buffers[1].offset, i)] : undefined;
+        values[i] = value ?? (dictionary instanceof Float64Array ? NaN : null);
+      }
+      return values;
+    }
+
+    if (NUMERIC_KINDS.has(type.kind)) {
+      const number = numberReader(this.view, type);
+      const values = new Float64Array(node.length);
+      for (let i = 0; i < node.length; i++) {
+        values[i] = isValid(i) ? number(buffers[1].offset, i) : NaN;
+      }
+      return values;
+    }
+
+    switch (type.kind) {
+      case 'null':
+        return new Array(node.length).fill(null);
+      case 'bool': {
+        const values = new Array(node.length);
+        for (let i = 0; i < node.length; i++) {
+          values[i] = isValid(i) ? (this.view.getUint8(buffers[1].offset + (i >> 3)) & (1 << (i & 7))) !== 0 : null;
+        }
+        return values;
+      }
+      case 'utf8':
+      case 'large-utf8': {
+        const large = type.kind === 'large-utf8';
+        const offsetAt = (i) => large
+          ? Number(this.view.getBigInt64(buffers[1].offset + i * 8, true))
+          : this.view.getInt32(buffers[1].offset + i * 4, true);
+        const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset, this.view.byteLength);
+        const values = new Array(node.length);
+        for (let i = 0; i < node.length; i++) {
+          values[i] = isValid(i)
+            ? textDecoder.decode(bytes.subarray(buffers[2].offset + offsetAt(i), buffers[2].offset + offsetAt(i + 1)))
+            : null;
+        }
+        return values;
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+/**
+ * Join the arrays a column was read as, batch by batch
+ * @private
+ */
+function concatArrays(parts) {
+  if (parts.length === 1) return parts[0];
+  if (parts.some(part => part === null)) return null;
+  if (parts.every(part => part instanceof Float64Array)) {
+    const joined = new Float64Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      joined.set(part, offset);
+      offset += part.length;
+    }
+    return joined;
+  }
+  return parts.flatMap(part => Array.from(part));
+}
+
+class ArrowReader {
+  /**
+   * Whether bytes start like an Arrow IPC file or stream
+   * @param {ArrayBuffer|ArrayBufferView} data - Bytes
+   * @returns {boolean}
+   */
+  static isArrow(data) {
+    const bytes = ArrowReader._bytes(data);
+    if (bytes.length < 8) return false;
+    if (textDecoder.decode(bytes.subarray(0, 6)) === FILE_MAGIC) return true;
+    return new DataView(bytes.buffer, bytes.byteOffset, 4).getInt32(0, true) === CONTINUATION;
+  }
+
+  /**
+   * Read an Arrow IPC file (Feather v2) or stream
+   *
+   * @param {ArrayBuffer|ArrayBufferView} data - Bytes of the file or stream
+   * @returns {{fields: Array<ArrowField>, length: number, columns: Object<string, Float64Array|Array|null>}}
+   *   Schema fields, row count and one array per column (null for skipped columns)
+   * @throws {Error} If the data is not Arrow IPC, is truncated, or uses an unsupported feature
+   */
+  static read(data) {
+    const bytes = ArrowReader._bytes(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let start = 0;
+    let end = bytes.length;
+    if (bytes.length >= 6 && textDecoder.decode(bytes.subarray(0, 6)) === FILE_MAGIC) {
+      // File: magic, padding, stream, footer, footer length, magic
+      if (bytes.length < 18 || textDecoder.decode(bytes.subarray(bytes.length - 6)) !== FILE_MAGIC) {
+        throw new Error('ArrowReader: truncated Arrow file');
+      }
+      start = 8;
+      end = bytes.length - 10 - view.getInt32(bytes.length - 10, true);
+    } else if (bytes.length >= 4 && textDecoder.decode(bytes.subarray(0, 4)) === 'FEA1') {
+      throw new Error('ArrowReader: Feather v1 files are not supported - write Feather v2 (Arrow IPC)');
+    }
+
+    let fields = null;
+    const dictionaries = new Map(); // id -> values
+    const parts = []; // per record batch: arrays in field order
+    let length = 0;
+
+    for (const { message, body } of ArrowReader._messages(view, start, end)) {
+      const headerType = message.uint8(1, 0);
+      const header = message.table(2);
+
+      if (headerType === MESSAGE_SCHEMA) {
+        if (header.int16(0, 0) !== 0) {
+          throw new Error('ArrowReader: big-endian data is not supported');
+        }
+        fields = header.tables(1).map(readField);
+      } else if (headerType === MESSAGE_DICTIONARY_BATCH) {
+        const id = header.int64(0, 0);
+        const field = ArrowReader._findDictionaryField(fields, id);
+        if (!field) throw new Error(`ArrowReader: dictionary ${id} is not used by the schema`);
+
+        const reader = new BatchReader(view, header.table(1), body);
+        const values = reader.read({ ...field, dictionary: null }, dictionaries);
+        const previous = dictionaries.get(id);
+        dictionaries.set(id, header.bool(2) && previous ? concatArrays([previous, values]) : values);
+      } else if (headerType === MESSAGE_RECORD_BATCH) {
+        if (!fields) throw new Error('ArrowReader: record batch before the schema');
+        const reader = new BatchReader(view, header, body);
+        parts.push(fields.map(field => reader.read(field, dictionaries)));
+        length += reader.length;
+      }
+    }
+
+    if (!fields) {
+      throw new Error('ArrowReader: no schema found - not Arrow IPC data');
+    }
+
+    const columns = {};
+    fields.forEach((field, i) => {
+      columns[field.name] = parts.length === 0
+        ? (NUMERIC_KINDS.has(field.type.kind) ? new Float64Array(0) : [])
+        : concatArrays(parts.map(batch => batch[i]));
+    });
+
+    return {
+      fields: fields.map(({ name, nullable, type }) => ({ name, nullable, type })),
+      length,
+      columns
+    };
+  }
+
+  /**
+   * Iterate the encapsulated messages of a stream
+   * @private
+   */
+  static *_messages(view, offset, end) {
+    while (offset + 4 <= end) {
+      let metadataLength = view.getInt32(offset, true);
+      offset += 4;
+      if (metadataLength === CONTINUATION) {
+        if (offset + 4 > end) return;
+        metadataLength = view.getInt32(offset, true);
+        offset += 4;
+      }
+      // End-of-stream marker
+      if (metadataLength === 0) return;
+      if (offset + metadataLength > end) {
+        throw new Error('ArrowReader: truncated Arrow message');
+      }
+
+      const message = new FlatTable(view, offset + view.getUint32(offset, true));
+      const body = offset + metadataLength;
+      const bodyLength = message.int64(3, 0);
+      if (body + bodyLength > view.byteLength) {
+        throw new Error('ArrowReader: truncated Arrow message body');
+      }
+
+      yield { message, body };
+      offset = body + bodyLength;
+    }
+  }
+
+  /**
+   * Field (at any depth) encoded with a dictionary
+   * @private
+   */
+  static _findDictionaryField(fields, id) {
+    for (const field of fields || []) {
+      if (field.dictionary?.id === id) return field;
+      const child = ArrowReader._findDictionaryField(field.children, id);
+      if (child) return child;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static _bytes(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    throw new TypeError('ArrowReader: expected an ArrayBuffer or typed array');
+  }
+}
+
+/**
+ * @typedef {Object} ArrowField
+ * @property {string} name - Column name
+ * @property {boolean} nullable - Whether the column may hold nulls
+ * @property {Object} type - { kind, bitWidth?, signed?, unit?, timezone? }; unit is 's', 'ms', 'us',
+ *   'ns' or (dates) 'day'
+ */
+
+export default ArrowReader;
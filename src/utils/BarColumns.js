@@ -0,0 +1,194 @@
+/**
+ * BarColumns - OHLCV bars as one Float64Array per field
+ *
+ * Columns hold large histories in six flat buffers instead of one object per
+ * bar, and the buffers can be transferred to a Web Worker without copying.
+ * A missing field (e.g. a bar without volume) is stored as NaN.
+ *
+ * fetchHistorical() may return columns instead of bars, and chart.setData()
+ * accepts them: they are resampled without creating an object per source bar.
+ *
+ * @example
+ * const columns = BarColumns.fromBars(bars);
+ * worker.postMessage({ columns }, BarColumns.transferables(columns));
+ *
+ * const back = BarColumns.toBars(columns); // [{ time, open, high, low, close, volume }, ...]
+ */
+class BarColumns {
+  /**
+   * Fields stored per bar, in column order
+   * @type {ReadonlyArray<string>}
+   */
+  static FIELDS = Object.freeze(['time', 'open', 'high', 'low', 'close', 'volume']);
+
+  /**
+   * Allocate empty columns
+   * @param {number} length - Number of bars
+   * @returns {Object} { length, time, open, high, low, close, volume }
+   */
+  static create(length) {
+    const columns = { length };
+    for (const field of BarColumns.FIELDS) {
+      columns[field] = new Float64Array(length);
+    }
+    return columns;
+  }
+
+  /**
+   * Convert bars to columns
+   * @param {Array<Object>} bars - OHLCV bars (time in Unix seconds)
+   * @returns {Object} Columns
+   */
+  static fromBars(bars) {
+    const columns = BarColumns.create(bars.length);
+    for (let i = 0; i < bars.length; i++) {
+      const bar = bars[i];
+      for (const field of BarColumns.FIELDS) {
+        const value = bar[field];
+        columns[field][i] = typeof value === 'number' ? value : NaN;
+      }
+    }
+    return columns;
+  }
+
+  /**
+   * Convert columns back to bars; NaN volumes are left out
+   * @param {Object} columns - Columns
+   * @returns {Array<Object>} OHLCV bars
+   */
+  static toBars(columns) {
+    const { time, open, high, low, close, volume } = columns;
+    const bars = new Array(columns.length);
+    for (let i = 0; i < columns.length; i++) {
+      const bar = { time: time[i], open: open[i], high: high[i], low: low[i], close: close[i] };
+      if (!Number.isNaN(volume[i])) bar.volume = volume[i];
+      bars[i] = bar;
+    }
+    return bars;
+  }
+
+  /**
+   * Bars for code that needs objects: columns are converted, anything else is returned as is
+   * @param {Array<Object>|Object|null} data - Bars or columns
+   * @returns {Array<Object>|null}
+   */
+  static asBars(data) {
+    return BarColumns.isColumns(data) ? BarColumns.toBars(BarColumns.normalize(data)) : data;
+  }
+
+  /**
+   * Call back once per bar without allocating: the same object is refilled for
+   * every bar, so copy it to keep it
+   * @param {Object} columns - Columns
+   * @param {Function} callback - (bar, index) => void
+   */
+  static forEach(columns, callback) {
+    const { time, open, high, low, close, volume } = columns;
+    const bar = { time: 0, open: 0, high: 0, low: 0, close: 0, volume: 0 };
+    for (let i = 0; i < columns.length; i++) {
+      bar.time = time[i];
+      bar.open = open[i];
+      bar.high = high[i];
+      bar.low = low[i];
+      bar.close = close[i];
+      bar.volume = volume[i];
+      callback(bar, i);
+    }
+  }
+
+  /**
+   * Columns with times in Unix seconds and a volume column
+   *
+   * Times that look like milliseconds (as in _normalizeTime()) are converted
+   * into a new time column, and a missing volume column is filled with NaN;
+   * the other columns are shared, not copied.
+   * @param {Object} columns - Columns (volume optional)
+   * @returns {Object} The same columns if nothing needed converting, else new columns
+   */
+  static normalize(columns) {
+    const { time, length } = columns;
+    let milliseconds = false;
+    for (let i = 0; i < length && !milliseconds; i++) {
+      milliseconds = time[i] > 10000000000;
+    }
+    if (!milliseconds && columns.volume instanceof Float64Array) return columns;
+
+    const normalized = { ...columns };
+    if (milliseconds) {
+      normalized.time = new Float64Array(length);
+      for (let i = 0; i < length; i++) {
+        normalized.time[i] = time[i] > 10000000000 ? time[i] / 1000 : time[i];
+      }
+    }
+    if (!(columns.volume instanceof Float64Array)) {
+      normalized.volume = new Float64Array(length).fill(NaN);
+    }
+    return normalized;
+  }
+
+  /**
+   * Keep the bars a predicate accepts
+   * @param {Object} columns - Columns
+   * @param {Function} predicate - (time, index) => boolean
+   * @returns {Object} New columns (the same columns if every bar is kept)
+   */
+  static filter(columns, predicate) {
+    const keep = [];
+    for (let i = 0; i < columns.length; i++) {
+      if (predicate(columns.time[i], i)) keep.push(i);
+    }
+    if (keep.length === columns.length) return columns;
+
+    const filtered = BarColumns.create(keep.length);
+    for (const field of BarColumns.FIELDS) {
+      const source = columns[field];
+      const target = filtered[field];
+      for (let j = 0; j < keep.length; j++) {
+        target[j] = source[keep[j]];
+      }
+    }
+    return filtered;
+  }
+
+  /**
+   * Join columns end to end
+   * @param {...Object} parts - Columns, in order
+   * @returns {Object} New columns
+   */
+  static concat(...parts) {
+    const joined = BarColumns.create(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      for (const field of BarColumns.FIELDS) {
+        joined[field].set(part[field].subarray(0, part.length), offset);
+      }
+      offset += part.length;
+    }
+    return joined;
+  }
+
+  /**
+   * Whether a value is a columns object (volume may be missing, see normalize())
+   * @param {*} value - Anything
+   * @returns {boolean}
+   */
+  static isColumns(value) {
+    return !!value && !Array.isArray(value) && typeof value.length === 'number' &&
+      BarColumns.FIELDS.every(field => field === 'volume' || value[field] instanceof Float64Array);
+  }
+
+  /**
+   * Distinct buffers to list as transferables in postMessage()
+   * @param {Object} columns - Columns (or any object of Float64Arrays)
+   * @returns {Array<ArrayBuffer>}
+   */
+  static transferables(columns) {
+    const buffers = new Set();
+    for (const value of Object.values(columns)) {
+      if (ArrayBuffer.isView(value)) buffers.add(value.buffer);
+    }
+    return Array.from(buffers);
+  }
+}
+
+export default BarColumns;
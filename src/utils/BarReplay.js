@@ -0,0 +1,288 @@
+/**
+ * BarReplay - Replays loaded history on a chart pane bar by bar
+ *
+ * Starting a replay hides every bar from the chosen time onwards. The hidden
+ * bars are then revealed one at a time through the pane's updateRealtime(),
+ * so indicators and the legend follow exactly as they would with live data.
+ *
+ * While a replay is active the pane ignores live updates and scroll-back.
+ * Stopping the replay restores the bars that were loaded when it started.
+ *
+ * @example
+ * const replay = new BarReplay(chartElement, {
+ *   onChange: (state) => console.log(state.index, '/', state.total)
+ * });
+ * replay.start('2024-01-15');
+ * replay.setSpeed(5);
+ * replay.play();
+ */
+
+const BASE_STEP_MS = 1000; // One bar per second at 1x
+const SPEEDS = [0.5, 1, 2, 5, 10, 20];
+
+class BarReplay {
+  /**
+   * @param {HTMLElement} chart - Pane chart element (oakview-internal-chart)
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] - Bars per second
+   * @param {Function} [options.onChange] - Called with getState() after every change
+   */
+  constructor(chart, options = {}) {
+    const { speed = 1, onChange = null } = options;
+
+    this.chart = chart;
+    this.speed = speed;
+    this.onChange = onChange;
+
+    this._bars = null; // Bars loaded when the replay started
+    this._index = 0; // Number of bars currently shown
+    this._playing = false;
+    this._timer = null;
+    this._historyContext = null;
+  }
+
+  /**
+   * Playback speeds offered by the transport bar (bars per second)
+   * @returns {Array<number>}
+   */
+  static get SPEEDS() {
+    return SPEEDS;
+  }
+
+  /**
+   * Enter replay mode, showing only the bars before a time
+   *
+   * @param {number|Date|string} time - First bar to replay (Unix seconds, Date or date string)
+   * @throws {Error} If the pane has no data
+   */
+  start(time) {
+    const data = this.chart._data;
+    if (!data || data.length === 0) {
+      throw new Error('Cannot start replay: the chart has no data');
+    }
+
+    // Another replay on the same pane is replaced
+    if (this.chart._replay && this.chart._replay !== this) {
+      this.chart._replay.stop();
+    }
+
+    this._bars = data.slice();
+    this._historyContext = this.chart._historyContext;
+
+    // Scroll-back would prepend into the truncated data
+    this.chart._historyContext = null;
+    this.chart._replay = this;
+
+    this._index = this._indexAt(time);
+    this._render();
+    this.chart.chart?.timeScale().scrollToRealTime();
+    this._notify();
+  }
+
+  /**
+   * Leave replay mode
+   *
+   * @param {boolean} [restore=true] - Put back the bars loaded when the replay
+   *   started. Pass false when the pane is about to load new data anyway.
+   */
+  stop(restore = true) {
+    if (!this.isActive()) return;
+
+    this._halt();
+
+    if (restore) {
+      this._index = this._bars.length;
+      this._render();
+      this.chart._historyContext = this._historyContext;
+    }
+
+    this.chart._replay = null;
+    this._bars = null;
+    this._historyContext = null;
+    this._notify();
+  }
+
+  /**
+   * Reveal bars automatically at the current speed
+   */
+  play() {
+    if (!this.isActive() || this._playing) return;
+    if (this._index >= this._bars.length) return;
+
+    this._playing = true;
+    this._scheduleStep();
+    this._notify();
+  }
+
+  /**
+   * Stop automatic playback
+   */
+  pause() {
+    if (!this._playing) return;
+
+    this._halt();
+    this._notify();
+  }
+
+  /**
+   * Reveal the next bar
+   * @returns {boolean} False when every bar is already shown
+   */
+  stepForward() {
+    if (!this.isActive() || this._index >= this._bars.length) return false;
+
+    this.chart.updateRealtime(this._bars[this._index]);
+    this._index++;
+
+    if (this._index >= this._bars.length) {
+      this._halt();
+    }
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Hide the last revealed bar
+   * @returns {boolean} False when only the first bar is shown
+   */
+  stepBack() {
+    if (!this.isActive() || this._index <= 1) return false;
+
+    this._index--;
+    this._render();
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Show the bars before a time, keeping the playback state
+   *
+   * @param {number|Date|string} time - Unix seconds, Date or date string
+   */
+  jumpTo(time) {
+    if (!this.isActive()) return;
+
+    this._index = this._indexAt(time);
+    this._render();
+    this.chart.chart?.timeScale().scrollToRealTime();
+
+    if (this._index >= this._bars.length) {
+      this._halt();
+    }
+    this._notify();
+  }
+
+  /**
+   * @param {number} speed - Bars per second
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) return;
+
+    this.speed = speed;
+
+    // Apply the new pace from the next bar on
+    if (this._playing) {
+      clearTimeout(this._timer);
+      this._scheduleStep();
+    }
+    this._notify();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._bars !== null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isPlaying() {
+    return this._playing;
+  }
+
+  /**
+   * Get the replay position
+   *
+   * @returns {{active: boolean, playing: boolean, speed: number, index: number, total: number, time: number|null}}
+   *   index is the number of bars shown, time the time of the last shown bar
+   */
+  getState() {
+    const active = this.isActive();
+    return {
+      active,
+      playing: this.isPlaying(),
+      speed: this.speed,
+      index: active ? this._index : 0,
+      total: active ? this._bars.length : 0,
+      time: active && this._index > 0 ? this._bars[this._index - 1].time : null
+    };
+  }
+
+  /**
+   * Number of bars before a time (at least one, so the chart is never empty)
+   * @private
+   */
+  _indexAt(time) {
+    const seconds = this.chart._normalizeTime(time);
+    let index = 0;
+    while (index < this._bars.length && this._bars[index].time < seconds) {
+      index++;
+    }
+    return Math.max(index, 1);
+  }
+
+  /**
+   * Show the first this._index bars in one go
+   * @private
+   */
+  _render() {
+    const chart = this.chart;
+    chart._replaceData(this._bars.slice(0, this._index));
+
+    if (chart.currentSeries) {
+      chart.currentSeries.setData(chart._toSeriesData(chart._data));
+    }
+    chart.updateLegendValues(chart._data[chart._data.length - 1]);
+  }
+
+  /**
+   * @private
+   */
+  _scheduleStep() {
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.stepForward();
+      if (this._playing) {
+        this._scheduleStep();
+      }
+    }, BASE_STEP_MS / this.speed);
+  }
+
+  /**
+   * Stop automatic playback without notifying
+   * @private
+   */
+  _halt() {
+    this._playing = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    if (!this.onChange) return;
+    try {
+      this.onChange(this.getState());
+    } catch (error) {
+      console.error('BarReplay onChange handler threw:', error);
+    }
+  }
+}
+
+export default BarReplay;
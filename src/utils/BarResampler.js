@@ -3,6 +3,22 @@
  * 
  * Example: 100ms bars → 1-second bars, ticks → 1-minute bars
  * 
+ * Without a session, buckets are multiples of the interval since the Unix
+ * epoch (UTC), except weekly buckets, which start on Monday. With a session,
+ * buckets follow the exchange: intraday buckets start at the session open,
+ * daily buckets hold one trading day and weekly buckets start on the
+ * session's first weekday. Daily and weekly bars are stamped with 00:00 UTC
+ * of their (first) trading date - which is also how daily and longer source
+ * bars are read, whatever the session's timezone.
+ * 
+ * A session may add extended hours (pre-market before the open, post-market
+ * after the close). With `extendedHours: false`, intraday source bars outside
+ * the regular session are left out of every bucket.
+ * 
+ * Monthly and yearly intervals (1M, 3M, 6M, 12M, 1Y) follow the calendar:
+ * buckets start on the first of January, April, July, ... whatever the
+ * month lengths, and are stamped with 00:00 UTC of that date.
+ * 
  * @example
  * const resampler = new BarResampler('100ms', '1S');
  * 
@@ -12,17 +28,125 @@
  * 
  * const bar10 = resampler.addBar({ time: 1000.900, ... });
  * // Returns completed 1-second bar aggregated from 10 100ms bars
+ * 
+ * @example
+ * // CME equity futures: 17:00-16:00 Chicago, Sunday evening belongs to Monday
+ * const daily = new BarResampler('1', '1D', {
+ *   session: { timezone: 'America/Chicago', open: '17:00', close: '16:00' }
+ * });
  */
+
+import TimezoneFormatter from './TimezoneFormatter.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
 class BarResampler {
   /**
    * @param {string} sourceInterval - Source interval (e.g., '1S', '1', '1D')
    * @param {string} targetInterval - Target interval (must be >= source)
+   * @param {Object} [options]
+   * @param {TradingSession|null} [options.session=null] - Align buckets to this session
+   * @param {boolean} [options.extendedHours=true] - Include bars outside the regular session
    */
-  constructor(sourceInterval, targetInterval) {
+  constructor(sourceInterval, targetInterval, options = {}) {
+    const { session = null, extendedHours = true } = options;
+
     this.sourceInterval = sourceInterval;
     this.targetInterval = targetInterval;
     this.targetMs = this.parseIntervalToMs(targetInterval);
+    this.calendarMonths = BarResampler.getCalendarMonths(targetInterval);
     this.currentBar = null;
+
+    this.session = BarResampler.normalizeSession(session);
+    this._zone = this.session ? new TimezoneFormatter(this.session.timezone) : null;
+    this._lastOpen = null; // { date, time } - session open of the last trading date seen
+
+    // Daily and longer source bars have no time of day to filter on
+    let sourceMs = null;
+    try {
+      sourceMs = this.parseIntervalToMs(sourceInterval);
+    } catch (error) {
+      // Unknown source interval - treated as intraday
+    }
+    this._dailySource = sourceMs >= DAY_MS;
+    this.extendedHours = extendedHours;
+    this._filterExtended = !extendedHours && this.session !== null && !this._dailySource;
+  }
+
+  /**
+   * Length of a calendar interval in months
+   * 
+   * @param {string} interval - Interval string
+   * @returns {number|null} Months for M and Y intervals ('3M' → 3, '1Y' → 12), null otherwise
+   */
+  static getCalendarMonths(interval) {
+    const match = /^(\d+)(M|[Yy])$/.exec(String(interval).trim());
+    if (!match) return null;
+    return Number(match[1]) * (match[2] === 'M' ? 1 : 12);
+  }
+
+  /**
+   * Validate a session definition and fill in defaults
+   * 
+   * @param {TradingSession|null} session - Session definition
+   * @returns {{timezone: string, open: number, close: number, weekStart: number,
+   *   extended: {open: number, close: number}|null}|null}
+   *   Times in minutes after midnight, or null without a session
+   * @throws {Error} If a field is invalid
+   */
+  static normalizeSession(session) {
+    if (!session) return null;
+
+    const toMinutes = (hhmm, field) => {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm));
+      const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+      if (!(minutes >= 0 && minutes <= 24 * 60)) {
+        throw new Error(`Invalid session ${field} "${hhmm}", expected HH:MM`);
+      }
+      return minutes;
+    };
+
+    const { timezone = 'UTC', open = '00:00', close = '24:00', weekStart = 1 } = session;
+    if (!TimezoneFormatter.isValid(timezone)) {
+      throw new Error(`Invalid session timezone "${timezone}"`);
+    }
+    if (!(Number.isInteger(weekStart) && weekStart >= 0 && weekStart <= 6)) {
+      throw new Error(`Invalid session weekStart ${weekStart}, expected 0 (Sunday) to 6`);
+    }
+
+    const { extended = null } = session;
+    return {
+      timezone,
+      open: toMinutes(open, 'open'),
+      close: toMinutes(close, 'close'),
+      weekStart,
+      extended: extended ? {
+        open: toMinutes(extended.open ?? open, 'extended open'),
+        close: toMinutes(extended.close ?? close, 'extended close')
+      } : null
+    };
+  }
+
+  /**
+   * Which part of the trading day a time falls in
+   * 
+   * @param {number} sourceTime - Unix timestamp in seconds
+   * @returns {'regular'|'pre'|'post'|'closed'} Always 'regular' without a session
+   */
+  getSessionPart(sourceTime) {
+    if (!this.session) return 'regular';
+
+    const { open, close, extended } = this.session;
+    const local = this._zone.getParts(sourceTime);
+    const minute = local.hour * 60 + local.minute;
+    // Ranges wrap past midnight when they end before they start
+    const within = (from, to) => (from < to ? minute >= from && minute < to : minute >= from || minute < to);
+
+    if (within(open, close)) return 'regular';
+    if (extended && extended.open !== open && within(extended.open, open)) return 'pre';
+    if (extended && extended.close !== close && within(close, extended.close)) return 'post';
+    return 'closed';
   }
   
   /**
@@ -38,6 +162,11 @@ class BarResampler {
    * @returns {Object|null} Completed target bar or null if not ready
    */
   addBar(sourceBar) {
+    // Pre- and post-market bars are skipped while extended hours are hidden
+    if (this._filterExtended && this.getSessionPart(sourceBar.time) !== 'regular') {
+      return null;
+    }
+
     const targetTime = this.getTargetBarTime(sourceBar.time);
     
     // Starting a new target bar?
@@ -75,26 +204,124 @@ class BarResampler {
    * @returns {number} Aligned timestamp in seconds (with decimal precision preserved)
    */
   getTargetBarTime(sourceTime) {
+    if (this.calendarMonths) {
+      return this._getCalendarBarTime(sourceTime);
+    }
+
+    if (this.session) {
+      return this._getSessionBarTime(sourceTime);
+    }
+
+    if (this.targetMs >= WEEK_MS) {
+      return this._getWeekBarTime(this._getTradingDate(sourceTime), 1);
+    }
+
     const timeMs = sourceTime * 1000;
     return Math.floor(timeMs / this.targetMs) * this.targetMs / 1000;
   }
+
+  /**
+   * Trading date of a time, as 00:00 UTC of that date
+   * 
+   * Without a session this is the UTC date. With one it is the exchange's
+   * local date, where a session crossing midnight (e.g. 17:00-16:00) trades
+   * for the next day once open. Daily and longer source bars are stamped
+   * 00:00 UTC of their date, so they always use the UTC date.
+   * @private
+   */
+  _getTradingDate(sourceTime) {
+    if (!this.session || this._dailySource) {
+      return Math.floor(sourceTime * 1000 / DAY_MS) * DAY_MS;
+    }
+
+    const { open, close } = this.session;
+    const local = this._zone.getParts(sourceTime);
+    const minute = local.hour * 60 + local.minute;
+    const nextDay = open >= close && minute >= open ? 1 : 0;
+    return Date.UTC(local.year, local.month - 1, local.day + nextDay);
+  }
+
+  /**
+   * Calendar bucket (month, quarter, half-year, year) of a time
+   * @private
+   */
+  _getCalendarBarTime(sourceTime) {
+    const date = new Date(this._getTradingDate(sourceTime));
+    // Months since January of year 0, floored to the interval so buckets start in January
+    const months = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const bucket = months - (months % this.calendarMonths);
+    return Date.UTC(Math.floor(bucket / 12), bucket % 12, 1) / 1000;
+  }
+
+  /**
+   * Weekly bucket of a trading date
+   * @param {number} tradingDate - 00:00 UTC of the date, in milliseconds
+   * @param {number} weekStart - First weekday of the bucket, 0 = Sunday
+   * @private
+   */
+  _getWeekBarTime(tradingDate, weekStart) {
+    const weeks = Math.round(this.targetMs / WEEK_MS);
+    const weekday = new Date(tradingDate).getUTCDay();
+    const weekStartDate = tradingDate - ((weekday - weekStart + 7) % 7) * DAY_MS;
+    // Count multi-week buckets from the first week start after the epoch (4 Jan 1970 was a Sunday)
+    const anchor = Date.UTC(1970, 0, 4 + weekStart);
+    const span = weeks * WEEK_MS;
+    return (anchor + Math.floor((weekStartDate - anchor) / span) * span) / 1000;
+  }
+
+  /**
+   * Bucket of a time within the exchange session
+   * @private
+   */
+  _getSessionBarTime(sourceTime) {
+    const { open, close, weekStart } = this.session;
+    const timeMs = sourceTime * 1000;
+    const overnight = open >= close;
+    const tradingDate = this._getTradingDate(sourceTime);
+
+    if (this.targetMs >= WEEK_MS) {
+      return this._getWeekBarTime(tradingDate, weekStart);
+    }
+
+    if (this.targetMs >= DAY_MS) {
+      const span = Math.round(this.targetMs / DAY_MS) * DAY_MS;
+      return Math.floor(tradingDate / span) * span / 1000;
+    }
+
+    // Intraday buckets count from the session open (on the previous day for overnight sessions)
+    const openDate = overnight ? tradingDate - DAY_MS : tradingDate;
+    if (this._lastOpen?.date !== openDate) {
+      const date = new Date(openDate);
+      this._lastOpen = {
+        date: openDate,
+        time: this._zone.toUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), open)
+      };
+    }
+    const sessionOpen = this._lastOpen.time;
+    return (sessionOpen + Math.floor((timeMs - sessionOpen) / this.targetMs) * this.targetMs) / 1000;
+  }
   
   /**
    * Parse interval string to milliseconds
    * 
    * Supported formats:
    * - Milliseconds: 1ms, 10ms, 100ms, 1000ms
-   * - Ticks: 1T, 10T, 100T, 1000T (not time-based, treated as count)
    * - Seconds: 1S, 5S, 10S, 15S, 30S, 45S
    * - Minutes: 1, 5, 15, 30, 45 (plain numbers)
    * - Hours: 1H, 2H, 4H, 12H
    * - Days: 1D, 2D
    * - Weeks: 1W
-   * - Months: 1M, 3M, 6M, 12M
+   * - Months: 1M, 3M, 6M, 12M (30 days each - buckets follow the calendar, see getCalendarMonths)
+   * - Years: 1Y (365 days)
+   * 
+   * Units are case-insensitive except M (months) and m (minutes).
+   * 
+   * Tick intervals (1T, 10T, 100T, 1000T) count trades and have no duration;
+   * they throw - build them with TickAggregator.
    * 
    * @param {string} interval - Interval string
    * @returns {number} Milliseconds
-   * @throws {Error} If interval format is invalid
+   * @throws {Error} If interval format is invalid or is a tick interval
    */
   parseIntervalToMs(interval) {
     // Normalize interval string
@@ -107,12 +334,9 @@ class BarResampler {
       return ms;
     }
     
-    // Handle tick intervals (special case - not time-based)
+    // Tick intervals count trades - they have no duration (see TickAggregator)
     if (interval.toUpperCase().endsWith('T')) {
-      const tickCount = parseInt(interval);
-      if (isNaN(tickCount)) throw new Error(`Invalid tick interval: ${interval}`);
-      // Treat ticks as milliseconds for bucketing purposes
-      return tickCount;
+      throw new Error(`Tick interval ${interval} is not time-based; build it with TickAggregator`);
     }
     
     // Handle second intervals explicitly (both 's' and 'S')
@@ -129,7 +353,8 @@ class BarResampler {
     const [, num, unit] = match;
     const value = parseInt(num);
     
-    switch(unit.toLowerCase()) {
+    // 'M' is months, 'm' minutes - only the other units ignore case
+    switch(unit === 'M' ? unit : unit.toLowerCase()) {
       case '': // Plain number = minutes
       case 'm':
         return value * 60 * 1000;
@@ -139,10 +364,10 @@ class BarResampler {
         return value * 24 * 60 * 60 * 1000;
       case 'w':
         return value * 7 * 24 * 60 * 60 * 1000;
-      case 'm':
-        return value * 30 * 24 * 60 * 60 * 1000; // Approximate
-      case 'Y':
-        return value * 365 * 24 * 60 * 60 * 1000; // Approximate
+      case 'M':
+        return value * 30 * 24 * 60 * 60 * 1000; // Approximate - buckets use the calendar
+      case 'y':
+        return value * 365 * 24 * 60 * 60 * 1000; // Approximate - buckets use the calendar
       default:
         throw new Error(`Unknown interval unit: ${unit}`);
     }
@@ -178,4 +403,15 @@ class BarResampler {
   }
 }
 
+/**
+ * @typedef {Object} TradingSession
+ * @property {string} [timezone='UTC'] - IANA timezone of the open/close times
+ * @property {string} [open='00:00'] - Session open, 'HH:MM' local time
+ * @property {string} [close='24:00'] - Session close, 'HH:MM' local time; earlier than
+ *   open for sessions crossing midnight, which count towards the next day
+ * @property {number} [weekStart=1] - First weekday of weekly bars, 0 = Sunday
+ * @property {{open?: string, close?: string}} [extended] - Extended hours, 'HH:MM' local
+ *   time: pre-market from extended.open to open, post-market from close to extended.close
+ */
+
 export default BarResampler;
@@ -0,0 +1,208 @@
+/**
+ * ComputePipeline - Resampling and indicator calculation off the main thread
+ *
+ * Bars are converted to BarColumns and their buffers transferred to a module
+ * Web Worker (utils/ComputeWorker.js), which sends the resampled bars or plot
+ * data back the same way. The main thread stays responsive while, say, 500k
+ * one-second bars are resampled on a symbol switch.
+ *
+ * Falls back to computing in-thread, with the same code and the same results:
+ * - where Web Workers are not available (or with { worker: false })
+ * - for inputs below minBars, where posting costs more than it saves
+ * - when the worker cannot be started or crashes (pending tasks are re-run)
+ *
+ * The synchronous APIs stay available: chart.resampleHistoricalData() and each
+ * indicator's calculate().
+ *
+ * @example
+ * const pipeline = new ComputePipeline();
+ * const hourly = await pipeline.resample(secondBars, '1S', '60');
+ * const plots = await pipeline.calculateIndicator('/indicators/balance-of-power-calculation.js', hourly);
+ */
+
+import BarColumns from './BarColumns.js';
+import { runComputeTask, decodePlots } from './ComputeWorker.js';
+
+const DEFAULT_MIN_BARS = 20000;
+
+class ComputePipeline {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.worker=true] - Use a Web Worker when available
+   * @param {number} [options.minBars=20000] - Inputs with fewer bars are computed in-thread
+   * @param {Function} [options.createWorker] - () => Worker, e.g. for a self-hosted worker script
+   */
+  constructor(options = {}) {
+    this.minBars = options.minBars ?? DEFAULT_MIN_BARS;
+    this._workerEnabled = options.worker !== false && ComputePipeline.isSupported();
+    this._createWorker = options.createWorker || ComputePipeline.createDefaultWorker;
+    this._worker = null;
+    this._nextId = 0;
+    this._pending = new Map(); // id -> { resolve, reject, buildTask }
+  }
+
+  /**
+   * Whether Web Workers exist in this environment
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Start the bundled compute worker
+   * @returns {Worker}
+   */
+  static createDefaultWorker() {
+    return new Worker(new URL('./ComputeWorker.js', import.meta.url), { type: 'module' });
+  }
+
+  /**
+   * Whether tasks are (still) sent to a worker
+   * @returns {boolean}
+   */
+  get usingWorker() {
+    return this._workerEnabled;
+  }
+
+  /**
+   * Resample bars to a coarser interval (see BarResampler)
+   *
+   * @param {Array<Object>|Object} source - Bars, or BarColumns
+   * @param {string} sourceInterval - Interval of the source bars
+   * @param {string} targetInterval - Interval to build
+   * @param {Object} [options]
+   * @param {TradingSession|null} [options.session=null] - Align buckets to this session
+   * @param {boolean} [options.extendedHours=true] - Include bars outside the regular session
+   * @param {boolean} [options.transfer=false] - Transfer the buffers of BarColumns passed as source
+   *   (they are unusable afterwards); columns built from bars are always transferred
+   * @returns {Promise<Array<Object>>} Resampled bars
+   */
+  resample(source, sourceInterval, targetInterval, options = {}) {
+    const { session = null, extendedHours = true, transfer = false } = options;
+    const isColumns = BarColumns.isColumns(source);
+
+    const buildTask = () => ({
+      type: 'resample',
+      columns: isColumns ? BarColumns.normalize(source) : BarColumns.fromBars(source),
+      options: { sourceInterval, targetInterval, session, extendedHours }
+    });
+
+    return this._run(source.length, buildTask, !isColumns || transfer).then(BarColumns.toBars);
+  }
+
+  /**
+   * Run an indicator calculation module on bars
+   *
+   * The module is imported inside the worker, so it must be importable from
+   * there: default-export createIndicator(options) returning { calculate(bars) }.
+   *
+   * @param {string} moduleUrl - URL of the calculation module (resolved against the page)
+   * @param {Array<Object>|Object} bars - Bars, or BarColumns (copied, not transferred)
+   * @param {Object} [options] - Indicator inputs passed to createIndicator()
+   * @returns {Promise<Array>} What calculate() returns: time/value pairs, or [{ data }] per plot;
+   *   NaN values become whitespace points
+   */
+  calculateIndicator(moduleUrl, bars, options = {}) {
+    const isColumns = BarColumns.isColumns(bars);
+    const base = globalThis.document?.baseURI ?? globalThis.location?.href;
+    const url = base ? new URL(moduleUrl, base).href : moduleUrl;
+
+    const buildTask = () => ({
+      type: 'indicator',
+      moduleUrl: url,
+      columns: isColumns ? BarColumns.normalize(bars) : BarColumns.fromBars(bars),
+      options
+    });
+
+    return this._run(bars.length, buildTask, !isColumns).then(decodePlots);
+  }
+
+  /**
+   * Stop the worker; tasks in flight are finished in-thread
+   */
+  terminate() {
+    this._stopWorker();
+  }
+
+  /**
+   * Run a task in the worker, or in-thread
+   * @param {number} length - Number of input bars
+   * @param {Function} buildTask - Builds the task (again, if the worker fails)
+   * @param {boolean} transfer - Transfer the input buffers
+   * @returns {Promise<Object>} Task result
+   * @private
+   */
+  _run(length, buildTask, transfer) {
+    const worker = length >= this.minBars ? this._getWorker() : null;
+    if (!worker) return runComputeTask(buildTask());
+
+    const id = ++this._nextId;
+    const task = buildTask();
+
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject, buildTask });
+      worker.postMessage({ id, task }, transfer ? BarColumns.transferables(task.columns) : []);
+    });
+  }
+
+  /**
+   * @returns {Worker|null} Running worker, started on first use
+   * @private
+   */
+  _getWorker() {
+    if (!this._workerEnabled) return null;
+    if (this._worker) return this._worker;
+
+    try {
+      this._worker = this._createWorker();
+    } catch (error) {
+      console.warn('⚠️ Compute worker unavailable, computing on the main thread:', error);
+      this._workerEnabled = false;
+      return null;
+    }
+
+    this._worker.onmessage = (event) => this._onMessage(event.data);
+    this._worker.onerror = (event) => {
+      event.preventDefault?.();
+      console.warn('⚠️ Compute worker failed, computing on the main thread:', event.message || event);
+      this._workerEnabled = false;
+      this._stopWorker();
+    };
+    return this._worker;
+  }
+
+  /**
+   * @private
+   */
+  _onMessage({ id, result, error }) {
+    const pending = this._pending.get(id);
+    if (!pending) return;
+    this._pending.delete(id);
+
+    if (error) {
+      pending.reject(Object.assign(new Error(error.message), { name: error.name || 'Error' }));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Terminate the worker and re-run its pending tasks in-thread
+   * @private
+   */
+  _stopWorker() {
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+
+    const pending = Array.from(this._pending.values());
+    this._pending.clear();
+    for (const { resolve, reject, buildTask } of pending) {
+      runComputeTask(buildTask()).then(resolve, reject);
+    }
+  }
+}
+
+export default ComputePipeline;
@@ -0,0 +1,145 @@
+/**
+ * ComputeWorker - Resampling and indicator tasks for ComputePipeline
+ *
+ * Loaded as a module Web Worker, it answers { id, task } messages with
+ * { id, result } or { id, error }. The same runComputeTask() runs in-thread
+ * when no worker is available, so both paths return identical results.
+ *
+ * Tasks take bars as BarColumns and return columns, so every buffer can be
+ * transferred instead of copied:
+ *
+ * - { type: 'resample', columns, options: { sourceInterval, targetInterval, session, extendedHours } }
+ *   → resampled bars as columns
+ * - { type: 'indicator', moduleUrl, columns, options }
+ *   → plot data of the calculation module's createIndicator(options).calculate(bars)
+ */
+
+import BarResampler from './BarResampler.js';
+import BarColumns from './BarColumns.js';
+
+// Calculation modules imported so far: url -> Promise<module>
+const indicatorModules = new Map();
+
+/**
+ * Resample bars with BarResampler, flushing the last incomplete bar
+ * @private
+ */
+function resampleColumns(columns, options) {
+  const { sourceInterval, targetInterval, session = null, extendedHours = true } = options;
+  const resampler = new BarResampler(sourceInterval, targetInterval, { session, extendedHours });
+  const bars = [];
+
+  BarColumns.forEach(columns, (bar) => {
+    const completed = resampler.addBar(bar);
+    if (completed) bars.push(completed);
+  });
+
+  const last = resampler.flush();
+  if (last) bars.push(last);
+
+  return BarColumns.fromBars(bars);
+}
+
+/**
+ * Encode calculate() output - time/value pairs, or [{ data }] per plot - as columns
+ * @private
+ */
+function encodePlots(result) {
+  const multiple = Array.isArray(result) && result.length > 0 && Array.isArray(result[0]?.data);
+  const plots = (multiple ? result.map(plot => plot.data) : [result || []]).map(data => {
+    const time = new Float64Array(data.length);
+    const value = new Float64Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      time[i] = data[i].time;
+      value[i] = typeof data[i].value === 'number' ? data[i].value : NaN;
+    }
+    return { time, value };
+  });
+  return { multiple, plots };
+}
+
+/**
+ * Run calculate() of an indicator calculation module
+ * @private
+ */
+async function calculateIndicator(moduleUrl, columns, options) {
+  if (!indicatorModules.has(moduleUrl)) {
+    indicatorModules.set(moduleUrl, import(/* @vite-ignore */ moduleUrl));
+  }
+
+  let module;
+  try {
+    module = await indicatorModules.get(moduleUrl);
+  } catch (error) {
+    // Let a later task try again (e.g. after a network error)
+    indicatorModules.delete(moduleUrl);
+    throw error;
+  }
+
+  const createIndicator = module.default || module.createIndicator;
+  if (typeof createIndicator !== 'function') {
+    throw new Error(`Indicator module ${moduleUrl} has no createIndicator export`);
+  }
+  return encodePlots(createIndicator(options).calculate(BarColumns.toBars(columns)));
+}
+
+/**
+ * Decode indicator plot columns to what calculate() returned
+ *
+ * NaN values become whitespace points ({ time } without value).
+ *
+ * @param {{multiple: boolean, plots: Array<{time: Float64Array, value: Float64Array}>}} encoded - Task result
+ * @returns {Array} Time/value pairs, or [{ data }] per plot for multi-plot indicators
+ */
+export function decodePlots(encoded) {
+  const plots = encoded.plots.map(({ time, value }) => {
+    const data = new Array(time.length);
+    for (let i = 0; i < time.length; i++) {
+      data[i] = Number.isNaN(value[i]) ? { time: time[i] } : { time: time[i], value: value[i] };
+    }
+    return data;
+  });
+  return encoded.multiple ? plots.map(data => ({ data })) : plots[0];
+}
+
+/**
+ * Buffers of a task result, to transfer back to the caller
+ * @param {Object} result - Columns or encoded plots
+ * @returns {Array<ArrayBuffer>}
+ */
+export function resultTransferables(result) {
+  if (Array.isArray(result.plots)) {
+    return result.plots.flatMap(plot => BarColumns.transferables(plot));
+  }
+  return BarColumns.transferables(result);
+}
+
+/**
+ * Run a compute task
+ * @param {Object} task - { type: 'resample' | 'indicator', columns, options, moduleUrl? }
+ * @returns {Promise<Object>} Columns (resample) or encoded plots (indicator)
+ * @throws {Error} For unknown task types, or errors of the calculation
+ */
+export async function runComputeTask(task) {
+  switch (task.type) {
+    case 'resample':
+      return resampleColumns(task.columns, task.options);
+    case 'indicator':
+      return calculateIndicator(task.moduleUrl, task.columns, task.options);
+    default:
+      throw new Error(`Unknown compute task "${task.type}"`);
+  }
+}
+
+// Worker entry point - inert when imported on the main thread
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = async (event) => {
+    const { id, task } = event.data;
+    try {
+      const result = await runComputeTask(task);
+      self.postMessage({ id, result }, resultTransferables(result));
+    } catch (error) {
+      self.postMessage({ id, error: { name: error?.name, message: error?.message || String(error) } });
+    }
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * CorporateActions - Back-adjusts OHLCV history for splits and dividends
+ *
+ * Bars before a split are divided by the split ratio (volume multiplied), so
+ * prices stay continuous across the split. Bars before a dividend's ex-date
+ * are multiplied by (1 - amount / close of the last bar before the ex-date),
+ * the usual total-return adjustment. Bars on or after an action's date are
+ * never changed, so live bars need no adjustment.
+ *
+ * @example
+ * const actions = new CorporateActions([
+ *   { time: 1598832000, type: 'split', ratio: 4 },          // AAPL 4:1 on 2020-08-31
+ *   { time: 1604620800, type: 'dividend', amount: 0.205 }
+ * ]);
+ * const adjusted = actions.adjust(bars, { dividends: true });
+ */
+
+class CorporateActions {
+  /**
+   * @param {Array<CorporateAction>} [actions=[]] - Actions in any order
+   */
+  constructor(actions = []) {
+    this.actions = [];
+    // Dividend ex-date -> price factor, fixed by the first bar seen before the ex-date,
+    // so older pages adjusted later use the same factor
+    this._dividendFactors = new Map();
+    this.add(actions);
+  }
+
+  /**
+   * Validate a provider's corporate actions
+   *
+   * Drops entries without a usable time, type, ratio or amount and converts
+   * 'YYYY-MM-DD' dates to Unix seconds (00:00 UTC).
+   *
+   * @param {Array} actions - getCorporateActions() result
+   * @returns {Array<CorporateAction>} Valid actions, ascending by time
+   */
+  static normalize(actions) {
+    if (!Array.isArray(actions)) return [];
+
+    return actions
+      .map(action => {
+        if (!action || typeof action !== 'object') return null;
+
+        let time = action.time;
+        if (typeof time === 'string') time = Date.parse(`${time.slice(0, 10)}T00:00:00Z`) / 1000;
+        else if (typeof time === 'number' && time > 1e12) time = Math.floor(time / 1000); // milliseconds
+        if (!Number.isFinite(time)) return null;
+
+        if (action.type === 'split' && action.ratio > 0 && action.ratio !== 1) {
+          return { ...action, time, ratio: Number(action.ratio) };
+        }
+        if (action.type === 'dividend' && action.amount > 0) {
+          return { ...action, time, amount: Number(action.amount) };
+        }
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Add actions, ignoring ones already known (same time and type)
+   * @param {Array} actions - getCorporateActions() result
+   * @returns {number} Number of actions added
+   */
+  add(actions) {
+    const known = new Set(this.actions.map(action => `${action.time}:${action.type}`));
+    const added = CorporateActions.normalize(actions).filter(action => !known.has(`${action.time}:${action.type}`));
+    if (added.length > 0) {
+      this.actions = this.actions.concat(added).sort((a, b) => a.time - b.time);
+    }
+    return added.length;
+  }
+
+  /**
+   * Back-adjust bars for the known actions
+   *
+   * @param {Array} bars - OHLCV bars, ascending, time in Unix seconds
+   * @param {Object} [options]
+   * @param {boolean} [options.splits=true] - Adjust for splits
+   * @param {boolean} [options.dividends=false] - Adjust for dividends
+   * @returns {Array} New adjusted bars (the input is not modified)
+   */
+  adjust(bars, options = {}) {
+    const { splits = true, dividends = false } = options;
+    const actions = this.actions.filter(action => (action.type === 'split' ? splits : dividends));
+    if (!bars || bars.length === 0 || actions.length === 0) return bars;
+
+    const adjusted = new Array(bars.length);
+    let priceFactor = 1;
+    let volumeFactor = 1;
+    let next = actions.length - 1; // Newest action not yet applied
+
+    // Walk back in time, applying each action to every bar before its date
+    for (let i = bars.length - 1; i >= 0; i--) {
+      const bar = bars[i];
+      while (next >= 0 && actions[next].time > bar.time) {
+        const action = actions[next--];
+        if (action.type === 'split') {
+          priceFactor /= action.ratio;
+          volumeFactor *= action.ratio;
+        } else {
+          let factor = this._dividendFactors.get(action.time);
+          if (factor === undefined && bar.close > action.amount) {
+            // This is the last bar before the ex-date
+            factor = 1 - action.amount / bar.close;
+            this._dividendFactors.set(action.time, factor);
+          }
+          priceFactor *= factor ?? 1;
+        }
+      }
+
+      adjusted[i] = priceFactor === 1 && volumeFactor === 1 ? bar : {
+        ...bar,
+        open: bar.open * priceFactor,
+        high: bar.high * priceFactor,
+        low: bar.low * priceFactor,
+        close: bar.close * priceFactor,
+        ...(bar.volume !== undefined && { volume: bar.volume * volumeFactor })
+      };
+    }
+    return adjusted;
+  }
+
+  /**
+   * Series markers for the actions within the bars' time range
+   *
+   * An action is placed on the bar containing its date, or on the first bar
+   * after it for intraday bars (which start after midnight).
+   *
+   * @param {Array} bars - Displayed bars, ascending
+   * @param {Object} [options]
+   * @param {boolean} [options.intraday=false] - Bars are shorter than a day
+   * @param {Function} [options.formatPrice] - Formats dividend amounts
+   * @returns {Array<Object>} lightweight-charts series markers, ascending
+   */
+  toMarkers(bars, options = {}) {
+    const { intraday = false, formatPrice = (price) => String(price) } = options;
+    if (!bars || bars.length === 0) return [];
+
+    const last = bars.length - 1;
+    // Span of the newest bar, so actions after the data are not put on it
+    const lastSpan = last > 0 ? bars[last].time - bars[last - 1].time : 0;
+
+    const markers = [];
+    for (const action of this.actions) {
+      let index;
+      if (intraday) {
+        index = bars.findIndex(bar => bar.time >= action.time);
+      } else {
+        index = bars.findIndex(bar => bar.time > action.time) - 1;
+        if (index === -2) index = action.time < bars[last].time + lastSpan ? last : -1;
+      }
+      if (index < 0) continue;
+
+      const split = action.type === 'split';
+      markers.push({
+        time: bars[index].time,
+        position: 'belowBar',
+        shape: 'circle',
+        color: split ? '#2962ff' : '#26a69a',
+        text: split ? `S ${formatRatio(action.ratio)}` : `D ${formatPrice(action.amount)}`,
+        id: `${action.type}:${action.time}`
+      });
+    }
+    return markers;
+  }
+}
+
+/**
+ * 4 → '4:1', 0.5 → '1:2', 1.5 → '3:2'
+ * @private
+ */
+function formatRatio(ratio) {
+  if (ratio >= 1 && Number.isInteger(ratio)) return `${ratio}:1`;
+  if (ratio < 1 && Number.isInteger(1 / ratio)) return `1:${1 / ratio}`;
+  for (let to = 2; to <= 10; to++) {
+    const from = ratio * to;
+    if (Math.abs(from - Math.round(from)) < 1e-9) return `${Math.round(from)}:${to}`;
+  }
+  return `${ratio}:1`;
+}
+
+/**
+ * @typedef {Object} CorporateAction
+ * @property {number|string} time - Effective (ex-)date, Unix seconds or 'YYYY-MM-DD'
+ * @property {'split'|'dividend'} type - Action type
+ * @property {number} [ratio] - Split: new shares per old share (4 for a 4:1 split, 0.1 for 1:10)
+ * @property {number} [amount] - Dividend: cash amount per share
+ * @property {string} [description] - Free text
+ */
+
+export default CorporateActions;
@@ -0,0 +1,124 @@
+/**
+ * HistoryRequestPool - Cancellable, de-duplicated fetchHistorical() calls
+ *
+ * Identical requests (same provider, symbol, interval and range) that are in
+ * flight at the same time share one provider call. Every caller passes its own
+ * AbortSignal: aborting rejects only that caller, and the provider request is
+ * aborted once no caller is waiting for it anymore.
+ *
+ * @example
+ * const pool = new HistoryRequestPool();
+ * const controller = new AbortController();
+ *
+ * const bars = await pool.fetch(provider, 'AAPL', '1D', null, null, controller.signal);
+ *
+ * // Superseded by a newer request
+ * controller.abort(); // fetch() rejects with an AbortError
+ */
+class HistoryRequestPool {
+  constructor() {
+    // provider -> Map<requestKey, { promise, controller, waiting }>
+    this._inFlight = new WeakMap();
+  }
+
+  /**
+   * Fetch historical bars, joining an identical in-flight request if any
+   *
+   * @param {Object} provider - Data provider
+   * @param {string} symbol - Symbol to fetch
+   * @param {string} interval - Interval to fetch
+   * @param {number|null} from - Start Unix timestamp in seconds
+   * @param {number|null} to - End Unix timestamp in seconds
+   * @param {AbortSignal} [signal] - Aborts this caller's interest in the result
+   * @returns {Promise<Array>} Bars from the provider
+   * @throws {DOMException} AbortError when the signal is aborted
+   */
+  fetch(provider, symbol, interval, from = null, to = null, signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(HistoryRequestPool.abortError());
+    }
+
+    if (!this._inFlight.has(provider)) {
+      this._inFlight.set(provider, new Map());
+    }
+    const requests = this._inFlight.get(provider);
+    const key = `${symbol}|${interval}|${from ?? ''}|${to ?? ''}`;
+
+    let request = requests.get(key);
+    if (!request) {
+      const controller = new AbortController();
+      request = { controller, waiting: 0, promise: null };
+      request.promise = Promise.resolve()
+        .then(() => {
+          // Every caller gave up before the provider was even asked
+          if (controller.signal.aborted) throw HistoryRequestPool.abortError();
+          return provider.fetchHistorical(symbol, interval, from, to, { signal: controller.signal });
+        })
+        .finally(() => {
+          if (requests.get(key) === request) {
+            requests.delete(key);
+          }
+        });
+      requests.set(key, request);
+    }
+
+    request.waiting++;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const onAbort = () => {
+        if (settled) return;
+        settled = true;
+        reject(HistoryRequestPool.abortError());
+
+        // Last interested caller gone - cancel the provider request
+        request.waiting--;
+        if (request.waiting === 0) {
+          if (requests.get(key) === request) {
+            requests.delete(key);
+          }
+          request.controller.abort();
+        }
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      request.promise.then(
+        (bars) => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          resolve(bars);
+        },
+        (error) => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Create the error used to reject aborted requests
+   *
+   * @returns {DOMException} Error with name 'AbortError'
+   */
+  static abortError() {
+    return new DOMException('History request aborted', 'AbortError');
+  }
+
+  /**
+   * Check whether an error comes from an aborted request
+   *
+   * @param {*} error - Caught error
+   * @returns {boolean} True for AbortError
+   */
+  static isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+}
+
+export default HistoryRequestPool;
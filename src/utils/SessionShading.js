@@ -0,0 +1,138 @@
+/**
+ * SessionShading - Series primitive that shades pre-market and post-market bars
+ *
+ * Draws a background band behind every visible bar outside the regular
+ * session, so extended-hours price action stands apart from the regular
+ * session. Which part of the day a bar belongs to comes from a classifier,
+ * usually BarResampler#getSessionPart for the symbol's session.
+ *
+ * @example
+ * const resampler = new BarResampler('1', '1', { session });
+ * const shading = new SessionShading();
+ * series.attachPrimitive(shading);
+ * shading.setClassifier((time) => resampler.getSessionPart(time));
+ */
+
+const DEFAULT_COLORS = {
+  pre: 'rgba(255, 152, 0, 0.08)',
+  post: 'rgba(41, 98, 255, 0.08)'
+};
+
+class SessionShading {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.preColor] - Fill of pre-market bars
+   * @param {string} [options.postColor] - Fill of post-market bars
+   */
+  constructor(options = {}) {
+    this._colors = {
+      pre: options.preColor || DEFAULT_COLORS.pre,
+      post: options.postColor || DEFAULT_COLORS.post
+    };
+    this._classify = null;
+    this._parts = new Map(); // time -> session part, classifying is not free
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+
+    const renderer = { draw: () => {}, drawBackground: (target) => this._draw(target) };
+    this._paneViews = [{ zOrder: () => 'bottom', renderer: () => (this._classify ? renderer : null) }];
+  }
+
+  /**
+   * Set how bars are classified
+   * @param {Function|null} classify - (time) => 'regular'|'pre'|'post'|'closed', null to stop shading
+   */
+  setClassifier(classify) {
+    this._classify = classify;
+    this._parts.clear();
+    this._requestUpdate?.();
+  }
+
+  /**
+   * Set the fill colors (e.g. on theme change)
+   * @param {{pre?: string, post?: string}} colors
+   */
+  setColors(colors) {
+    Object.assign(this._colors, colors);
+    this._requestUpdate?.();
+  }
+
+  /**
+   * Session part of a bar time
+   * @param {number} time - Bar time (Unix seconds)
+   * @returns {string}
+   */
+  getPart(time) {
+    let part = this._parts.get(time);
+    if (part === undefined) {
+      part = this._classify ? this._classify(time) : 'regular';
+      this._parts.set(time, part);
+    }
+    return part;
+  }
+
+  // ISeriesPrimitive
+
+  attached({ chart, series, requestUpdate }) {
+    this._chart = chart;
+    this._series = series;
+    this._requestUpdate = requestUpdate;
+  }
+
+  detached() {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+  }
+
+  paneViews() {
+    return this._paneViews;
+  }
+
+  /**
+   * Fill one band per run of consecutive extended-hours bars
+   * @private
+   */
+  _draw(target) {
+    if (!this._chart || !this._series) return;
+
+    const timeScale = this._chart.timeScale();
+    const range = timeScale.getVisibleLogicalRange();
+    if (!range) return;
+
+    const halfBar = timeScale.options().barSpacing / 2;
+    const bands = [];
+    for (let index = Math.max(0, Math.floor(range.from)); index <= Math.ceil(range.to); index++) {
+      const bar = this._series.dataByIndex(index);
+      if (!bar || typeof bar.time !== 'number') continue;
+
+      const part = this.getPart(bar.time);
+      if (part !== 'pre' && part !== 'post') continue;
+
+      const x = timeScale.logicalToCoordinate(index);
+      if (x === null) continue;
+
+      const last = bands[bands.length - 1];
+      if (last && last.part === part && last.index === index - 1) {
+        last.right = x + halfBar;
+        last.index = index;
+      } else {
+        bands.push({ part, index, left: x - halfBar, right: x + halfBar });
+      }
+    }
+
+    if (bands.length === 0) return;
+
+    target.useBitmapCoordinateSpace(({ context, bitmapSize, horizontalPixelRatio }) => {
+      for (const band of bands) {
+        const left = Math.round(band.left * horizontalPixelRatio);
+        const right = Math.round(band.right * horizontalPixelRatio);
+        context.fillStyle = this._colors[band.part];
+        context.fillRect(left, 0, right - left, bitmapSize.height);
+      }
+    });
+  }
+}
+
+export default SessionShading;
@@ -0,0 +1,227 @@
+/**
+ * TickAggregator - Builds OHLCV bars from individual trades
+ *
+ * Supported bar types:
+ * - 'time':   bars of a fixed duration (e.g. 1S, 1, 60)
+ * - 'tick':   a bar every N trades (e.g. 100T)
+ * - 'volume': a bar every N units of traded volume
+ * - 'dollar': a bar every N units of traded value (price × size)
+ *
+ * Bars that are not time-based start at the time of their first trade. When
+ * several bars start within the same timestamp their times are nudged forward
+ * by 1ms so they stay strictly ascending for the chart.
+ *
+ * @example
+ * const aggregator = TickAggregator.fromInterval('100T');
+ *
+ * provider.subscribeTicks('AAPL', (tick) => {
+ *   const completed = aggregator.addTick(tick);
+ *   if (completed) console.log('Bar closed', completed);
+ *   console.log('Forming bar', aggregator.getCurrentBar());
+ * });
+ *
+ * // Volume bars, every 10,000 shares
+ * const volumeBars = new TickAggregator({ type: 'volume', size: 10000 });
+ */
+import BarResampler from './BarResampler.js';
+
+const TIME_EPSILON = 0.001; // 1ms, in seconds
+
+class TickAggregator {
+  /**
+   * @param {Object} options
+   * @param {'time'|'tick'|'volume'|'dollar'} options.type - Bar type
+   * @param {number} [options.size] - Trades, volume or value per bar (tick/volume/dollar)
+   * @param {string} [options.interval] - Bar duration for 'time' bars (e.g. '1S', '5')
+   */
+  constructor(options = {}) {
+    const { type = 'tick', size, interval } = options;
+
+    if (!['time', 'tick', 'volume', 'dollar'].includes(type)) {
+      throw new Error(`Unknown bar type: ${type}`);
+    }
+
+    if (type === 'time') {
+      if (!interval) throw new Error('Time bars require an interval');
+      this.intervalMs = new BarResampler(interval, interval).parseIntervalToMs(interval);
+    } else if (!(size > 0)) {
+      throw new Error(`${type} bars require a positive size`);
+    }
+
+    this.type = type;
+    this.size = size;
+    this.interval = interval || null;
+    this.currentBar = null;
+    this._filled = 0; // Trades, volume or value accumulated in the current bar
+    this._lastTime = -Infinity; // Start time of the last emitted bar
+  }
+
+  /**
+   * Create an aggregator for a chart interval
+   *
+   * @param {string} interval - Tick interval ('100T') or time interval ('1S', '5', '1D')
+   * @returns {TickAggregator}
+   */
+  static fromInterval(interval) {
+    if (TickAggregator.isTickInterval(interval)) {
+      return new TickAggregator({ type: 'tick', size: parseInt(interval) });
+    }
+    return new TickAggregator({ type: 'time', interval });
+  }
+
+  /**
+   * Check whether an interval counts trades rather than time
+   *
+   * @param {string} interval - Interval string
+   * @returns {boolean} True for 'NT' intervals (e.g. '1T', '100T')
+   */
+  static isTickInterval(interval) {
+    return /^\d+T$/i.test(String(interval).trim());
+  }
+
+  /**
+   * Add a trade and potentially get a completed bar
+   *
+   * @param {Object} tick - Trade from subscribeTicks()
+   * @param {number} tick.time - Unix timestamp in seconds (sub-second precision as decimal)
+   * @param {number} tick.price - Trade price
+   * @param {number} [tick.size=0] - Trade size
+   * @returns {Object|null} Completed bar, or null if the current bar is still forming
+   */
+  addTick(tick) {
+    const size = tick.size ?? tick.volume ?? 0;
+
+    if (this.type === 'time') {
+      const bucketTime = Math.floor((tick.time * 1000) / this.intervalMs) * this.intervalMs / 1000;
+      let completed = null;
+
+      if (this.currentBar && this.currentBar.time !== bucketTime) {
+        completed = this.currentBar;
+        this.currentBar = null;
+      }
+      if (!this.currentBar) {
+        this._openBar(bucketTime, tick.price, size);
+      } else {
+        this._extendBar(tick.price, size);
+      }
+      return completed;
+    }
+
+    if (!this.currentBar) {
+      this._openBar(tick.time, tick.price, size);
+    } else {
+      this._extendBar(tick.price, size);
+    }
+
+    switch (this.type) {
+      case 'tick':
+        this._filled += 1;
+        break;
+      case 'volume':
+        this._filled += size;
+        break;
+      case 'dollar':
+        this._filled += tick.price * size;
+        break;
+    }
+
+    // Threshold reached - the trade that crosses it closes the bar
+    if (this._filled >= this.size) {
+      return this.flush();
+    }
+    return null;
+  }
+
+  /**
+   * Continue after existing bars (e.g. loaded history)
+   *
+   * Trade-count, volume and dollar bars will start strictly after this time.
+   *
+   * @param {number} time - Time of the last existing bar (Unix seconds)
+   */
+  setLastBarTime(time) {
+    this._lastTime = time;
+  }
+
+  /**
+   * Aggregate a batch of trades
+   *
+   * @param {Array<Object>} ticks - Trades sorted ascending by time
+   * @param {boolean} [includePartial=true] - Append the last, still forming bar
+   * @returns {Array<Object>} OHLCV bars
+   */
+  aggregate(ticks, includePartial = true) {
+    const bars = [];
+    for (const tick of ticks) {
+      const completed = this.addTick(tick);
+      if (completed) bars.push(completed);
+    }
+    if (includePartial && this.currentBar) {
+      bars.push({ ...this.currentBar });
+    }
+    return bars;
+  }
+
+  /**
+   * Get current incomplete bar (useful for displaying partial updates)
+   *
+   * @returns {Object|null} Current bar being built, or null
+   */
+  getCurrentBar() {
+    return this.currentBar;
+  }
+
+  /**
+   * Force flush current bar (e.g., on unsubscribe or end of data)
+   *
+   * @returns {Object|null} Flushed bar, or null if no bar exists
+   */
+  flush() {
+    const bar = this.currentBar;
+    this.currentBar = null;
+    this._filled = 0;
+    return bar;
+  }
+
+  /**
+   * Reset aggregator state
+   */
+  reset() {
+    this.currentBar = null;
+    this._filled = 0;
+    this._lastTime = -Infinity;
+  }
+
+  /**
+   * @private
+   */
+  _openBar(time, price, size) {
+    // Keep bar times strictly ascending even when trades share a timestamp
+    const barTime = this.type === 'time'
+      ? time
+      : Math.round(Math.max(time, this._lastTime + TIME_EPSILON) * 1000) / 1000;
+    this._lastTime = barTime;
+
+    this.currentBar = {
+      time: barTime,
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      volume: size
+    };
+  }
+
+  /**
+   * @private
+   */
+  _extendBar(price, size) {
+    const bar = this.currentBar;
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    bar.close = price;
+    bar.volume += size;
+  }
+}
+
+export default TickAggregator;
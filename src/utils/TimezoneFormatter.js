@@ -0,0 +1,205 @@
+/**
+ * TimezoneFormatter - Formats chart times as wall-clock times of a timezone
+ *
+ * Lightweight Charts works in UTC seconds and leaves formatting to the host.
+ * This class produces the time-axis tick marks and the crosshair label in any
+ * IANA timezone ('America/Chicago', 'Europe/Berlin', 'UTC', ...) instead of
+ * the browser's local timezone.
+ *
+ * @example
+ * const formatter = new TimezoneFormatter('Europe/Berlin');
+ * chart.applyOptions({
+ *   timeScale: { tickMarkFormatter: (time, type) => formatter.formatTickMark(time, type) },
+ *   localization: { timeFormatter: (time) => formatter.formatCrosshair(time) }
+ * });
+ */
+
+// lightweight-charts TickMarkType values
+const TICK_MARK = {
+  YEAR: 0,
+  MONTH: 1,
+  DAY_OF_MONTH: 2,
+  TIME: 3,
+  TIME_WITH_SECONDS: 4
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+class TimezoneFormatter {
+  /**
+   * @param {string|null} [timeZone=null] - IANA timezone, null for the browser's timezone
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Locale for month and weekday names (default: browser locale)
+   * @throws {RangeError} If the timezone is unknown
+   */
+  constructor(timeZone = null, options = {}) {
+    const { locale = undefined } = options;
+
+    this._parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+    this.timeZone = this._parts.resolvedOptions().timeZone;
+
+    // Names in the requested locale (the fields themselves come from _parts)
+    const monthFormat = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+    const weekdayFormat = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' });
+    this._months = Array.from({ length: 12 }, (_, month) => monthFormat.format(Date.UTC(2024, month, 15)));
+    this._weekdays = WEEKDAYS.map((_, day) => weekdayFormat.format(Date.UTC(2024, 0, 7 + day))); // 7 Jan 2024 was a Sunday
+  }
+
+  /**
+   * Whether a timezone name is known to the browser
+   * @param {string} timeZone - IANA timezone
+   * @returns {boolean}
+   */
+  static isValid(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The browser's timezone
+   * @returns {string} IANA timezone
+   */
+  static localTimezone() {
+    return new Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  /**
+   * Wall-clock fields of a time in this timezone
+   *
+   * @param {number|Object|string} time - Unix seconds, BusinessDay or 'YYYY-MM-DD'
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number,
+   *   second: number, millisecond: number, weekday: number}} month is 1-12, weekday 0 (Sunday) to 6
+   */
+  getParts(time) {
+    // Dates without a time of day are the same everywhere
+    if (typeof time === 'string') {
+      const [year, month, day] = time.split('-').map(Number);
+      time = { year, month, day };
+    }
+    if (typeof time === 'object' && time !== null) {
+      const weekday = new Date(Date.UTC(time.year, time.month - 1, time.day)).getUTCDay();
+      return { year: time.year, month: time.month, day: time.day, hour: 0, minute: 0, second: 0, millisecond: 0, weekday };
+    }
+
+    const ms = Math.round(time * 1000);
+    const parts = {};
+    for (const { type, value } of this._parts.formatToParts(ms)) {
+      parts[type] = value;
+    }
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      millisecond: ((ms % 1000) + 1000) % 1000,
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  /**
+   * Offset of this timezone from UTC at an instant
+   *
+   * @param {number} ms - Unix time in milliseconds
+   * @returns {number} Offset in milliseconds (e.g. -18000000 for New York in winter)
+   */
+  getOffsetMs(ms) {
+    const p = this.getParts(Math.floor(ms / 1000));
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClock - Math.floor(ms / 1000) * 1000;
+  }
+
+  /**
+   * UTC instant of a wall-clock time in this timezone
+   *
+   * Wall-clock times skipped by a daylight saving change resolve to an instant
+   * one offset away; sessions do not open in that hour in practice.
+   *
+   * @param {number} year - Full year
+   * @param {number} month - Month, 1-12
+   * @param {number} day - Day of month (may overflow, e.g. 32 = next month)
+   * @param {number} [minutes=0] - Minutes after midnight
+   * @returns {number} Unix time in milliseconds
+   */
+  toUtc(year, month, day, minutes = 0) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const guess = wallClock - this.getOffsetMs(wallClock);
+    // The offset at the guess may differ near a transition - one correction suffices
+    return wallClock - this.getOffsetMs(guess);
+  }
+
+  /**
+   * Label for a time-axis tick mark
+   *
+   * @param {number|Object|string} time - Chart time
+   * @param {number} tickMarkType - lightweight-charts TickMarkType
+   * @param {Object} [options]
+   * @param {boolean} [options.milliseconds=false] - Append milliseconds to times with seconds
+   * @returns {string}
+   */
+  formatTickMark(time, tickMarkType, options = {}) {
+    const { milliseconds = false } = options;
+    const p = this.getParts(time);
+
+    switch (tickMarkType) {
+      case TICK_MARK.YEAR:
+        return String(p.year);
+      case TICK_MARK.MONTH:
+        return this._months[p.month - 1];
+      case TICK_MARK.DAY_OF_MONTH:
+        return String(p.day);
+      case TICK_MARK.TIME:
+        return `${pad(p.hour)}:${pad(p.minute)}`;
+      case TICK_MARK.TIME_WITH_SECONDS:
+        return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` + (milliseconds ? `.${pad(p.millisecond, 3)}` : '');
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Crosshair label, e.g. "Tue 16 Jan '24 09:30"
+   *
+   * @param {number|Object|string} time - Chart time
+   * @param {Object} [options]
+   * @param {boolean} [options.timeVisible=true] - Include the time of day
+   * @param {boolean} [options.secondsVisible=false] - Include seconds
+   * @param {boolean} [options.milliseconds=false] - Include milliseconds (time only, for sub-second bars)
+   * @returns {string}
+   */
+  formatCrosshair(time, options = {}) {
+    const { timeVisible = true, secondsVisible = false, milliseconds = false } = options;
+    const p = this.getParts(time);
+    const clock = `${pad(p.hour)}:${pad(p.minute)}`;
+
+    if (milliseconds) {
+      return `${clock}:${pad(p.second)}.${pad(p.millisecond, 3)}`;
+    }
+
+    const date = `${this._weekdays[p.weekday]} ${p.day} ${this._months[p.month - 1]} '${pad(p.year % 100)}`;
+    if (!timeVisible || typeof time !== 'number') {
+      return date;
+    }
+    return `${date} ${clock}${secondsVisible ? `:${pad(p.second)}` : ''}`;
+  }
+}
+
+export default TimezoneFormatter;
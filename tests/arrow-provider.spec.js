@@ -0,0 +1,126 @@
+import { test, expect } from '@playwright/test';
+
+// Fixtures are written by tests/fixtures/make-arrow-fixtures.py (pyarrow)
+const START = 1704067200; // 2024-01-01 00:00 UTC
+
+test.describe('ArrowDataProvider', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should read a Feather file and split it by symbol', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: ArrowReader } = await import('/src/utils/ArrowReader.js');
+      const { default: ArrowDataProvider } = await import('/src/data-providers/arrow.js');
+
+      const bytes = await (await fetch('/tests/fixtures/minute-bars.arrow')).arrayBuffer();
+      const table = ArrowReader.read(bytes);
+
+      const provider = new ArrowDataProvider({
+        source: '/tests/fixtures/minute-bars.arrow',
+        columns: { time: 'ts', open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v', symbol: 'ticker' },
+        baseInterval: '1'
+      });
+      await provider.initialize();
+      const aaa = await provider.fetchHistorical('AAA', '1');
+      const bbb = await provider.fetchHistorical('BBB', '1', 1704067200 + 600, 1704067200 + 1200);
+
+      return {
+        rows: table.length,
+        ts: table.fields.find(field => field.name === 'ts').type,
+        skipped: table.columns.tags,
+        aaa: { length: aaa.length, first: aaa.time[0], sorted: aaa.time.every((t, i) => i === 0 || t > aaa.time[i - 1]), lastVolume: aaa.volume[119] },
+        bbb: { length: bbb.length, first: bbb.time[0], close: bbb.close[0] },
+        symbols: (await provider.searchSymbols('')).map(result => result.symbol)
+      };
+    });
+
+    expect(result.rows).toBe(240);
+    expect(result.ts).toEqual({ kind: 'timestamp', unit: 'ms', timezone: 'UTC' });
+    expect(result.skipped).toBeNull();
+    // Written newest first - served ascending, in seconds; the null volume is NaN
+    expect(result.aaa).toEqual({ length: 120, first: START, sorted: true, lastVolume: NaN });
+    expect(result.bbb).toEqual({ length: 11, first: START + 600, close: 60.5 });
+    expect(result.symbols).toEqual(['AAA', 'BBB']);
+  });
+
+  test('should read LZ4-compressed Feather files and reject ZSTD', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: ArrowReader } = await import('/src/utils/ArrowReader.js');
+      const read = async (url) => ArrowReader.read(await (await fetch(url)).arrayBuffer());
+
+      const plain = await read('/tests/fixtures/minute-bars.arrow');
+      const lz4 = await read('/tests/fixtures/minute-bars-lz4.arrow');
+      const zstd = await read('/tests/fixtures/daily-bars-zstd.arrow').then(() => null, error => error.message);
+
+      return {
+        length: lz4.length,
+        same: ['ticker', 'ts', 'o', 'h', 'l', 'c', 'v'].every(name =>
+          JSON.stringify(Array.from(lz4.columns[name])) === JSON.stringify(Array.from(plain.columns[name]))),
+        zstd
+      };
+    });
+
+    expect(result.length).toBe(240);
+    expect(result.same).toBe(true);
+    expect(result.zstd).toContain("compression='lz4'");
+  });
+
+  test('should load a local file and resample it in the chart', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: ArrowDataProvider } = await import('/src/data-providers/arrow.js');
+      const chart = document.querySelector('oak-view').getChartAt(0);
+
+      const minutes = await (await fetch('/tests/fixtures/minute-bars.arrow')).blob();
+      const days = await (await fetch('/tests/fixtures/daily-bars.arrows')).blob();
+
+      const provider = new ArrowDataProvider({
+        source: new File([minutes], 'minute-bars.arrow'),
+        columns: { time: 'ts', open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v', symbol: 'ticker' },
+        baseInterval: '1'
+      });
+      chart.setDataProvider(provider);
+      await chart.loadSymbolData('BBB', '5');
+      const resampled = { bars: chart._data.length, firstClose: chart._data[0].close };
+
+      // A stream with default column names and date32 times
+      provider.setSource(new File([days], 'daily-bars.arrows'));
+      provider.options.columns = { time: 'time', open: 'open', high: 'high', low: 'low', close: 'close', volume: 'volume', symbol: null };
+      provider.options.baseInterval = null;
+      await chart.loadSymbolData('ANY', '1D');
+
+      return { resampled, daily: chart._data.map(bar => bar.time) };
+    });
+
+    expect(result.resampled).toEqual({ bars: 24, firstClose: 54.5 });
+    expect(result.daily).toEqual([0, 1, 2, 3, 4].map(i => START + i * 86400));
+  });
+
+  test('should report missing symbols and files as not found', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: ArrowDataProvider } = await import('/src/data-providers/arrow.js');
+
+      const partitioned = new ArrowDataProvider({
+        source: '/tests/fixtures/minute-bars.arrow',
+        columns: { time: 'ts', open: 'o', high: 'h', low: 'l', close: 'c', symbol: 'ticker' }
+      });
+      const perSymbol = new ArrowDataProvider({
+        source: '/bars/{symbol}.arrow',
+        fetch: async () => new Response('', { status: 404, statusText: 'Not Found' })
+      });
+
+      const errorOf = (promise) => promise.then(() => null, error => ({ name: error.name, type: error.type }));
+      return {
+        partition: await errorOf(partitioned.fetchHistorical('ZZZ', '1')),
+        file: await errorOf(perSymbol.fetchHistorical('QQQ', '1')),
+        unit: await errorOf(Promise.resolve().then(() => new ArrowDataProvider({ timeUnit: 'minutes' })))
+      };
+    });
+
+    expect(result.partition).toEqual({ name: 'SymbolNotFoundError', type: 'not-found' });
+    expect(result.file).toEqual({ name: 'SymbolNotFoundError', type: 'not-found' });
+    expect(result.unit.name).toBe('Error');
+  });
+});
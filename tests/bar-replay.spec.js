@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Bar Replay', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should truncate the selected pane and reveal bars step by step', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const layout = document.querySelector('oak-view');
+      const chart = layout.getChartAt(0);
+      const total = chart._data.length;
+      const from = chart._data[total - 10].time;
+
+      const states = [];
+      layout.addEventListener('replay-change', (e) => states.push(e.detail.index));
+
+      const replay = layout.startReplay(from);
+      const shown = chart._data.length;
+      replay.stepForward();
+      replay.stepForward();
+      replay.stepBack();
+      const afterSteps = chart._data.length;
+      const lastTime = chart._data[chart._data.length - 1].time;
+
+      const transportVisible = !layout.shadowRoot.querySelector('.replay-transport').hidden;
+      layout.stopReplay();
+
+      return {
+        total,
+        shown,
+        afterSteps,
+        lastIsNext: lastTime === from,
+        transportVisible,
+        restored: chart._data.length,
+        states
+      };
+    });
+
+    expect(result.shown).toBe(result.total - 10);
+    expect(result.afterSteps).toBe(result.total - 9);
+    expect(result.lastIsNext).toBe(true);
+    expect(result.transportVisible).toBe(true);
+    expect(result.restored).toBe(result.total);
+    expect(result.states).toEqual([
+      result.total - 10, result.total - 9, result.total - 8, result.total - 9, 0
+    ]);
+  });
+
+  test('should play at the chosen speed until paused', async ({ page }) => {
+    const revealed = await page.evaluate(async () => {
+      const layout = document.querySelector('oak-view');
+      const chart = layout.getChartAt(0);
+      const from = chart._data[chart._data.length - 20].time;
+
+      const replay = layout.startReplay(from, { speed: 20, autoplay: true });
+      const start = chart._data.length;
+      await new Promise(resolve => setTimeout(resolve, 300));
+      replay.pause();
+      const revealed = chart._data.length - start;
+      layout.stopReplay();
+      return revealed;
+    });
+
+    expect(revealed).toBeGreaterThan(0);
+    expect(revealed).toBeLessThan(20);
+  });
+});
@@ -0,0 +1,156 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('CachingDataProvider', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+  });
+
+  test('should serve repeated and overlapping ranges from the cache', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: CachingDataProvider } = await import('/src/data-providers/caching.js');
+
+      const requests = [];
+      const inner = {
+        async initialize() {},
+        async fetchHistorical(symbol, interval, from, to) {
+          requests.push([from, to]);
+          const bars = [];
+          for (let t = Math.ceil(from / 60) * 60; t <= to; t += 60) {
+            bars.push({ time: t, open: 1, high: 2, low: 0.5, close: 1.5 });
+          }
+          return bars;
+        }
+      };
+
+      const provider = new CachingDataProvider(inner, { dbName: `oakview-test-${Date.now()}` });
+      const first = await provider.fetchHistorical('TEST', '1', 6000, 12000);
+      const repeated = await provider.fetchHistorical('TEST', '1', 6000, 12000);
+      const widened = await provider.fetchHistorical('TEST', '1', 3000, 12000);
+      await provider.clear();
+
+      return { requests, first: first.length, repeated: repeated.length, widened: widened.length };
+    });
+
+    expect(result.first).toBe(101);
+    expect(result.repeated).toBe(101);
+    expect(result.widened).toBe(151);
+    // Second call fully cached, third only asks for the missing head
+    expect(result.requests).toEqual([[6000, 12000], [3000, 6000]]);
+  });
+
+  test('should expire entries after the TTL and support invalidation', async ({ page }) => {
+    const requestCount = await page.evaluate(async () => {
+      const { default: CachingDataProvider } = await import('/src/data-providers/caching.js');
+
+      let count = 0;
+      const inner = {
+        async initialize() {},
+        async fetchHistorical() {
+          count++;
+          return [{ time: 1000, open: 1, high: 1, low: 1, close: 1 }];
+        }
+      };
+
+      const provider = new CachingDataProvider(inner, { persistent: false, ttl: 50 });
+      await provider.fetchHistorical('AAA', '1D');
+      await provider.fetchHistorical('AAA', '1D'); // cached
+      await new Promise(resolve => setTimeout(resolve, 80));
+      await provider.fetchHistorical('AAA', '1D'); // expired
+      await provider.invalidate('AAA');
+      await provider.fetchHistorical('AAA', '1D'); // invalidated
+
+      return count;
+    });
+
+    expect(requestCount).toBe(3);
+  });
+
+  test('should refresh latest data and only cache ranges that were served', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: CachingDataProvider } = await import('/src/data-providers/caching.js');
+
+      const requests = [];
+      const inner = {
+        async initialize() {},
+        getCapabilities: () => ({ maxBarsPerRequest: 50 }),
+        async fetchHistorical(symbol, interval, from, to) {
+          requests.push([from, to]);
+          if (from === null) return [{ time: 1000, open: 1, high: 1, low: 1, close: requests.length }];
+          // Newest page of at most 50 bars, none after now
+          const bars = [];
+          const end = Math.min(to, Math.floor(Date.now() / 60000) * 60);
+          for (let t = Math.floor(end / 60) * 60; t >= from && bars.length < 50; t -= 60) {
+            bars.unshift({ time: t, open: 1, high: 2, low: 0.5, close: 1.5 });
+          }
+          return bars;
+        }
+      };
+
+      const provider = new CachingDataProvider(inner, { persistent: false, latestTtl: 50 });
+      const latest = [await provider.fetchHistorical('AAA', '1')];
+      latest.push(await provider.fetchHistorical('AAA', '1'));
+      await new Promise(resolve => setTimeout(resolve, 80));
+      latest.push(await provider.fetchHistorical('AAA', '1'));
+
+      // 90 minutes asked for, 50 served: the older ones are still missing
+      const now = Math.floor(Date.now() / 60000) * 60;
+      requests.length = 0;
+      const capped = await provider.fetchHistorical('BBB', '1', now - 89 * 60, now);
+      const rest = await provider.fetchHistorical('BBB', '1', now - 89 * 60, now);
+      const cached = await provider.fetchHistorical('BBB', '1', now - 89 * 60, now);
+
+      // A range reaching into the future is only covered up to now
+      const future = await provider.fetchHistorical('CCC', '1', now - 60, now + 3600);
+
+      return {
+        closes: latest.map(bars => bars[0].close),
+        capped: capped.length,
+        rest: rest.length,
+        cached: cached.length,
+        requests: requests.map(([from, to]) => [from - now, to - now]),
+        future: future.length
+      };
+    });
+
+    // Cached within latestTtl, fetched again after it
+    expect(result.closes).toEqual([1, 1, 2]);
+    expect(result.capped).toBe(50);
+    expect(result.rest).toBe(90);
+    expect(result.cached).toBe(90);
+    expect(result.requests).toEqual([[-89 * 60, 0], [-89 * 60, -49 * 60], [-60, 3600]]);
+    expect(result.future).toBe(2);
+  });
+
+  test('should only cover the bars served for an open-ended range', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: CachingDataProvider } = await import('/src/data-providers/caching.js');
+
+      const requests = [];
+      const inner = {
+        async initialize() {},
+        async fetchHistorical(symbol, interval, from, to) {
+          requests.push([from, to]);
+          // Without from, the provider serves its default window of 10 bars
+          const start = from ?? to - 9 * 60;
+          const bars = [];
+          for (let t = start; t <= to; t += 60) {
+            bars.push({ time: t, open: 1, high: 2, low: 0.5, close: 1.5 });
+          }
+          return bars;
+        }
+      };
+
+      const provider = new CachingDataProvider(inner, { persistent: false });
+      const window = await provider.fetchHistorical('AAA', '1', null, 60000);
+      const older = await provider.fetchHistorical('AAA', '1', 50000, 55000);
+
+      return { window: window.length, older: older.length, requests };
+    });
+
+    expect(result.window).toBe(10);
+    // (-Infinity, 60000] was not all served: the older range is fetched
+    expect(result.older).toBe(84);
+    expect(result.requests).toEqual([[null, 60000], [50000, 55000]]);
+  });
+});
@@ -0,0 +1,99 @@
+import { test, expect } from '@playwright/test';
+
+const START = 1704067200; // 2024-01-01 00:00 UTC
+
+test.describe('Columnar data', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should accept columns in setData with millisecond times and no volume', async ({ page }) => {
+    const result = await page.evaluate(async (start) => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const length = 5;
+      const close = Float64Array.from({ length }, (_, i) => 100 + i);
+
+      chart.setData({
+        length,
+        time: Float64Array.from({ length }, (_, i) => (start + i * 60) * 1000),
+        open: close,
+        high: close.map(v => v + 1),
+        low: close.map(v => v - 1),
+        close
+      });
+
+      return chart._data;
+    }, START);
+
+    expect(result).toHaveLength(5);
+    expect(result[0]).toEqual({ time: START, open: 100, high: 101, low: 99, close: 100 });
+    expect(result[4].time).toBe(START + 240);
+  });
+
+  test('should load and resample columns returned by fetchHistorical', async ({ page }) => {
+    const result = await page.evaluate(async (start) => {
+      const { default: BarColumns } = await import('/src/utils/BarColumns.js');
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const bars = Array.from({ length: 120 }, (_, i) => ({
+        time: start + i * 60, open: i, high: i + 2, low: i - 1, close: i + 1, volume: 10
+      }));
+
+      chart.setDataProvider({
+        async initialize() {},
+        getBaseInterval: () => '1',
+        async fetchHistorical() {
+          return BarColumns.fromBars(bars);
+        }
+      });
+
+      await chart.loadSymbolData('COLS', '1');
+      const direct = chart._data.length;
+
+      await chart.loadSymbolData('COLS', '60');
+      const hourly = chart._data.slice();
+      const expected = chart.resampleHistoricalData(bars, '60', { sourceInterval: '1' });
+
+      return {
+        direct,
+        hourly: hourly.length,
+        same: JSON.stringify(hourly) === JSON.stringify(expected),
+        // Scroll-back keeps the base data as columns
+        baseIsColumns: BarColumns.isColumns(chart._historyContext?.baseData)
+      };
+    }, START);
+
+    expect(result).toEqual({ direct: 120, hourly: 2, same: true, baseIsColumns: true });
+  });
+
+  test('should filter, join and normalize columns', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: BarColumns } = await import('/src/utils/BarColumns.js');
+      const columns = BarColumns.fromBars(Array.from({ length: 6 }, (_, i) => ({
+        time: i, open: i, high: i, low: i, close: i
+      })));
+
+      const even = BarColumns.filter(columns, time => time % 2 === 0);
+      const joined = BarColumns.concat(even, columns);
+      const normalized = BarColumns.normalize({ ...columns, time: columns.time.map(t => (t + 1700000000) * 1000) });
+
+      return {
+        even: Array.from(even.time),
+        joined: Array.from(joined.time),
+        kept: BarColumns.filter(columns, () => true) === columns,
+        seconds: normalized.time[2],
+        // NaN volumes are left out of bars
+        volume: 'volume' in BarColumns.toBars(even)[0]
+      };
+    });
+
+    expect(result).toEqual({
+      even: [0, 2, 4],
+      joined: [0, 2, 4, 0, 1, 2, 3, 4, 5],
+      kept: true,
+      seconds: 1700000002,
+      volume: false
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('CompositeDataProvider', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+  });
+
+  test('should route requests by prefix and pattern', async ({ page }) => {
+    const routed = await page.evaluate(async () => {
+      const { default: CompositeDataProvider } = await import('/src/data-providers/composite.js');
+
+      const calls = [];
+      const child = (name) => ({
+        async initialize() {},
+        async fetchHistorical(symbol) {
+          calls.push(`${name}:${symbol}`);
+          return [];
+        }
+      });
+
+      const provider = new CompositeDataProvider({
+        routes: [
+          { prefix: 'CRYPTO:', provider: child('crypto'), stripPrefix: true },
+          { pattern: /^[A-Z]{6}$/, provider: child('fx') }
+        ],
+        fallback: child('equities')
+      });
+
+      await provider.initialize();
+      await provider.fetchHistorical('CRYPTO:BTCUSDT', '1');
+      await provider.fetchHistorical('EURUSD', '1');
+      await provider.fetchHistorical('AAPL', '1D');
+
+      return calls;
+    });
+
+    expect(routed).toEqual(['crypto:BTCUSDT', 'fx:EURUSD', 'equities:AAPL']);
+  });
+
+  test('should merge search results and isolate a failing child', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: CompositeDataProvider } = await import('/src/data-providers/composite.js');
+
+      const failures = [];
+      const provider = new CompositeDataProvider({
+        routes: [
+          {
+            name: 'crypto',
+            prefix: 'CRYPTO:',
+            stripPrefix: true,
+            provider: {
+              async initialize() {},
+              async fetchHistorical() { return []; },
+              async searchSymbols() { return [{ symbol: 'BTCUSDT', name: 'Bitcoin' }]; }
+            }
+          },
+          {
+            name: 'broken',
+            prefix: 'BROKEN:',
+            provider: {
+              async initialize() {},
+              async fetchHistorical() { return []; },
+              async searchSymbols() { throw new Error('backend down'); }
+            }
+          }
+        ],
+        fallback: {
+          async initialize() {},
+          async fetchHistorical() { return []; },
+          async searchSymbols() { return [{ symbol: 'AAPL', name: 'Apple' }]; }
+        },
+        onError: (error, { route, method }) => failures.push(`${route}.${method}: ${error.message}`)
+      });
+
+      const symbols = (await provider.searchSymbols('')).map(s => s.symbol);
+      return { symbols, failures };
+    });
+
+    expect(result.symbols).toEqual(['CRYPTO:BTCUSDT', 'AAPL']);
+    expect(result.failures).toEqual(['broken.searchSymbols: backend down']);
+  });
+});
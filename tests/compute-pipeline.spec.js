@@ -0,0 +1,133 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Compute pipeline', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should resample in a worker exactly like the synchronous API', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: ComputePipeline } = await import('/src/utils/ComputePipeline.js');
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const bars = Array.from({ length: 7200 }, (_, i) => ({
+        time: 1704067200 + i, open: i, high: i + 2, low: i - 1, close: i + 1, volume: 3
+      }));
+
+      const pipeline = new ComputePipeline({ minBars: 0 });
+      const viaWorker = await pipeline.resample(bars, '1S', '1');
+      const inThread = await new ComputePipeline({ worker: false }).resample(bars, '1S', '1');
+      const viaChart = await chart.resampleHistoricalDataAsync(bars, '1', { sourceInterval: '1S', session: null });
+      const expected = chart.resampleHistoricalData(bars, '1', { sourceInterval: '1S', session: null });
+      const usingWorker = pipeline.usingWorker;
+      pipeline.terminate();
+
+      return {
+        usingWorker,
+        bars: viaWorker.length,
+        worker: JSON.stringify(viaWorker) === JSON.stringify(expected),
+        inThread: JSON.stringify(inThread) === JSON.stringify(expected),
+        chart: JSON.stringify(viaChart) === JSON.stringify(expected),
+        // Bars passed in are converted to columns, never transferred away
+        sourceIntact: bars.length === 7200 && bars[0].close === 1
+      };
+    });
+
+    expect(result).toEqual({ usingWorker: true, bars: 120, worker: true, inThread: true, chart: true, sourceIntact: true });
+  });
+
+  test('should run indicator calculation modules and fall back when the worker fails', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: ComputePipeline } = await import('/src/utils/ComputePipeline.js');
+      const { default: BarColumns } = await import('/src/utils/BarColumns.js');
+      const moduleUrl = 'data:text/javascript,' + encodeURIComponent(`
+        export default function createIndicator({ factor = 1 } = {}) {
+          return { calculate: (bars) => bars.map((bar, i) => ({ time: bar.time, value: i === 0 ? NaN : bar.close * factor })) };
+        }
+      `);
+      const bars = [1, 2, 3].map(i => ({ time: 1704067200 + i * 60, open: i, high: i, low: i, close: i }));
+
+      const plot = await new ComputePipeline({ minBars: 0 }).calculateIndicator(moduleUrl, bars, { factor: 10 });
+
+      const broken = new ComputePipeline({
+        minBars: 0,
+        createWorker: () => { throw new Error('Blocked by CSP'); }
+      });
+      const fallback = await broken.resample(BarColumns.fromBars(bars), '1', '5');
+
+      return { plot, fallback, usingWorker: broken.usingWorker };
+    });
+
+    expect(result.plot).toEqual([
+      { time: 1704067260 },
+      { time: 1704067320, value: 20 },
+      { time: 1704067380, value: 30 }
+    ]);
+    expect(result.fallback).toEqual([{ time: 1704067200, open: 1, high: 3, low: 1, close: 3 }]);
+    expect(result.usingWorker).toBe(false);
+  });
+
+  test('should set indicator plots calculated by the pipeline on the indicator series', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: createIndicator } = await import('/tests/fixtures/close-change-calculation.js');
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const allSeries = () => chart.chart.panes().flatMap(pane => pane.getSeries());
+      const values = (data) => data.filter(point => Number.isFinite(point.value)).map(point => [point.time, point.value]);
+
+      const expected = values(createIndicator().calculate(chart._data));
+      const before = allSeries().length;
+
+      await chart.loadIndicatorOnChart('close-change', '/tests/fixtures/close-change.js',
+        '/tests/fixtures/close-change-calculation.js');
+      const computed = allSeries().at(-1).data();
+
+      // A calculation module that cannot be loaded falls back to the indicator's own calculation
+      await chart.loadIndicatorOnChart('close-change', '/tests/fixtures/close-change.js',
+        '/tests/fixtures/missing-calculation.js');
+      const fallback = allSeries().at(-1).data();
+
+      return {
+        added: allSeries().length - before,
+        points: expected.length,
+        computed: JSON.stringify(values(computed)) === JSON.stringify(expected),
+        // NaN values are set as whitespace points
+        whitespace: !('value' in computed[0]),
+        fallback: JSON.stringify(values(fallback)) === JSON.stringify(expected)
+      };
+    });
+
+    expect(result.added).toBe(2);
+    expect(result.points).toBeGreaterThan(0);
+    expect(result.computed).toBe(true);
+    expect(result.whitespace).toBe(true);
+    expect(result.fallback).toBe(true);
+  });
+
+  test('should recalculate pipeline plots when the chart data changes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const allSeries = () => chart.chart.panes().flatMap(pane => pane.getSeries());
+
+      await chart.loadIndicatorOnChart('close-change', '/tests/fixtures/close-change.js',
+        '/tests/fixtures/close-change-calculation.js');
+      const plot = allSeries().at(-1);
+      const before = plot.data().length;
+
+      const last = chart._data.at(-1);
+      const time = last.time + (last.time - chart._data.at(-2).time);
+      chart.updateRealtime({ time, open: last.close, high: last.close + 6, low: last.close, close: last.close + 5 });
+
+      // The calculation runs asynchronously after the series changes
+      for (let i = 0; i < 50 && plot.data().length === before; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      return { before, after: plot.data().length, point: plot.data().at(-1), time };
+    });
+
+    expect(result.after).toBe(result.before + 1);
+    expect(result.point.time).toBe(result.time);
+    expect(result.point.value).toBeCloseTo(5);
+  });
+});
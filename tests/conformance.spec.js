@@ -0,0 +1,79 @@
+import { test, expect } from '@playwright/test';
+import { execFileSync } from 'node:child_process';
+
+test.describe('Provider Conformance Suite', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+  });
+
+  test('should pass SimulatedDataProvider including live streams', async ({ page }) => {
+    const report = await page.evaluate(async () => {
+      const { runConformanceSuite } = await import('/src/data-providers/conformance.js');
+      const { default: SimulatedDataProvider } = await import('/src/data-providers/simulated.js');
+
+      const provider = new SimulatedDataProvider({ tickInterval: 100 });
+      return runConformanceSuite(provider, {
+        testSymbol: 'SIM',
+        testInterval: '5',
+        testRealtime: true,
+        realtimeTimeout: 2000,
+        quietPeriod: 300
+      });
+    });
+
+    expect(report.passed).toBe(true);
+    expect(report.summary.failed).toBe(0);
+    expect(report.checks.find(check => check.id === 'realtime.unsubscribe').status).toBe('pass');
+    expect(report.checks.find(check => check.id === 'disconnect').status).toBe('pass');
+  });
+
+  test('should report every whole-response and stream violation', async ({ page }) => {
+    const report = await page.evaluate(async () => {
+      const { runConformanceSuite } = await import('/src/data-providers/conformance.js');
+
+      const bar = (time, high = 2) => ({ time, open: 1, high, low: 0.5, close: 1.5, volume: 10 });
+      const provider = {
+        async initialize() {},
+        // Unsorted, duplicated, inconsistent, and ignores from/to
+        async fetchHistorical() {
+          return [bar(1700006400), bar(1700000000), bar(1700000000, 1), bar(1700086400), bar(1700172800)];
+        },
+        subscribe(symbol, interval, callback) {
+          setInterval(() => callback(bar(1700172800)), 50);
+          return () => {};
+        },
+        disconnect() {}
+      };
+
+      return runConformanceSuite(provider, { testRealtime: true, realtimeTimeout: 1000, quietPeriod: 300 });
+    });
+
+    const status = (id) => report.checks.find(check => check.id === id)?.status;
+
+    expect(report.passed).toBe(false);
+    expect(status('history.ascending')).toBe('fail');
+    expect(status('history.duplicates')).toBe('fail');
+    expect(status('history.ohlc')).toBe('fail');
+    expect(status('range.bounds')).toBe('fail');
+    expect(status('realtime.unsubscribe')).toBe('fail');
+    expect(status('disconnect')).toBe('fail');
+    expect(status('ticks')).toBe('skip');
+  });
+
+  test('should exit non-zero from the command line on failure', async () => {
+    const run = (...args) => {
+      try {
+        return { code: 0, output: execFileSync('node', ['bin/oakview-validate.js', ...args], { encoding: 'utf8' }) };
+      } catch (error) {
+        return { code: error.status, output: error.stdout };
+      }
+    };
+
+    const passing = run('src/data-providers/simulated.js', '--symbol', 'SIM', '--json');
+    expect(passing.code).toBe(0);
+    expect(JSON.parse(passing.output).passed).toBe(true);
+
+    expect(run('src/data-providers/simulated.js', '--symbol', 'SIM', '--export', 'missing').code).toBe(2);
+  });
+});
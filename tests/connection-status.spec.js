@@ -0,0 +1,54 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Connection Status', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should show provider status and fire connection-status', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: OakViewDataProvider } = await import('/src/data-providers/base.js');
+
+      class StreamProvider extends OakViewDataProvider {
+        async initialize() {}
+        async fetchHistorical() { return []; }
+      }
+
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const events = [];
+      chart.addEventListener('connection-status', (e) => events.push(e.detail.status));
+
+      const provider = new StreamProvider();
+      chart.setDataProvider(provider);
+      provider.emitStatus('connecting');
+      provider.emitStatus('live');
+
+      const badge = chart.shadowRoot.querySelector('.legend-status');
+      return { events, hidden: badge.hidden, label: badge.textContent.trim() };
+    });
+
+    expect(result.events).toEqual(['connecting', 'live']);
+    expect(result.hidden).toBe(false);
+    expect(result.label).toBe('Live');
+  });
+
+  test('should mark a silent live pane stale and recover on the next update', async ({ page }) => {
+    const statuses = await page.evaluate(async () => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      chart.setAttribute('stale-threshold', '50');
+
+      const seen = [];
+      chart.addEventListener('connection-status', (e) => seen.push(e.detail.status));
+
+      chart.updateRealtime({ time: 4102444800, open: 1, high: 1, low: 1, close: 1 });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      chart.updateRealtime({ time: 4102444800, open: 1, high: 2, low: 1, close: 2 });
+
+      return seen;
+    });
+
+    expect(statuses).toEqual(['live', 'stale', 'live']);
+  });
+});
@@ -0,0 +1,89 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Corporate Actions', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should back-adjust bars for splits and dividends', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: CorporateActions } = await import('/src/utils/CorporateActions.js');
+      const day = (date) => Date.parse(`${date}T00:00:00Z`) / 1000;
+      const bars = ['2024-01-08', '2024-01-09', '2024-01-10', '2024-01-11'].map((date, i) => ({
+        time: day(date), open: 100, high: 110, low: 90, close: 100, volume: 10 * (i + 1)
+      }));
+      const actions = new CorporateActions([
+        { time: '2024-01-10', type: 'split', ratio: 4 },
+        { time: day('2024-01-11'), type: 'dividend', amount: 2 },
+        { time: day('2024-01-11'), type: 'split', ratio: 0 } // Invalid, dropped
+      ]);
+
+      return {
+        count: actions.actions.length,
+        splits: actions.adjust(bars).map(bar => [bar.close, bar.volume]),
+        dividends: actions.adjust(bars, { dividends: true }).map(bar => bar.close),
+        markers: actions.toMarkers(bars).map(marker => [marker.time, marker.text])
+      };
+    });
+
+    expect(result.count).toBe(2);
+    expect(result.splits).toEqual([[25, 40], [25, 80], [100, 30], [100, 40]]);
+    // 2 on a close of 100 before the ex-date: factor 0.98
+    expect(result.dividends.map(close => Number(close.toFixed(4)))).toEqual([24.5, 24.5, 98, 100]);
+    expect(result.markers).toEqual([
+      [Date.UTC(2024, 0, 10) / 1000, 'S 4:1'],
+      [Date.UTC(2024, 0, 11) / 1000, 'D 2']
+    ]);
+  });
+
+  test('should show adjusted history with markers and switch to raw prices', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const wait = () => new Promise(resolve => setTimeout(resolve, 100));
+
+      const bars = [];
+      for (let i = 0; i < 10; i++) {
+        const time = Date.UTC(2024, 0, 1 + i) / 1000;
+        const close = i < 5 ? 400 : 100;
+        bars.push({ time, open: close, high: close, low: close, close, volume: 1 });
+      }
+
+      chart.setDataProvider({
+        async initialize() {},
+        async fetchHistorical() { return bars; },
+        getCorporateActions: () => [{ time: bars[5].time, type: 'split', ratio: 4 }]
+      });
+      await chart.loadSymbolData('SPLT', '1D');
+      await wait();
+
+      const toggle = chart.shadowRoot.querySelector('.legend-adjustment');
+      const adjusted = {
+        closes: new Set(chart._data.map(bar => bar.close)).size,
+        markers: chart._actionMarkers.markers().map(marker => marker.text),
+        toggle: toggle.textContent,
+        hidden: toggle.hidden
+      };
+
+      let changed = null;
+      chart.addEventListener('adjustment-change', (e) => { changed = e.detail; }, { once: true });
+      toggle.click();
+      await wait();
+
+      return {
+        adjusted,
+        rawFirst: chart._data[0].close,
+        rawToggle: toggle.textContent,
+        adjustment: chart.getAdjustment(),
+        changed
+      };
+    });
+
+    expect(result.adjusted).toEqual({ closes: 1, markers: ['S 4:1'], toggle: 'ADJ', hidden: false });
+    expect(result.rawFirst).toBe(400);
+    expect(result.rawToggle).toBe('RAW');
+    expect(result.adjustment).toBe('none');
+    expect(result.changed).toEqual({ adjustment: 'none' });
+  });
+});
@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Data errors', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should classify errors by HTTP status and fetch failures', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: DataProviderError, RateLimitError } = await import('/src/data-providers/errors.js');
+      const withStatus = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+      return {
+        notFound: DataProviderError.classify(withStatus(404)).type,
+        rateLimited: DataProviderError.classify(withStatus(429)).type,
+        server: DataProviderError.classify(withStatus(503)).type,
+        offline: DataProviderError.classify(new TypeError('Failed to fetch')).type,
+        other: DataProviderError.classify(new Error('boom')).type,
+        kept: DataProviderError.classify(new RateLimitError('slow down', { retryAfter: 5000 })).retryAfter,
+        retryAfter: DataProviderError.parseRetryAfter('2'),
+        notRetryable: DataProviderError.classify(withStatus(404)).retryable
+      };
+    });
+
+    expect(result).toEqual({
+      notFound: 'not-found',
+      rateLimited: 'rate-limited',
+      server: 'network',
+      offline: 'network',
+      other: 'unknown',
+      kept: 5000,
+      retryAfter: 2000,
+      notRetryable: false
+    });
+  });
+
+  test('should show the overlay and reload on Retry', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { NetworkError, SymbolNotFoundError } = await import('/src/data-providers/errors.js');
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      let failures = 1;
+
+      chart.setDataProvider({
+        async initialize() {},
+        async fetchHistorical(symbol) {
+          if (symbol === 'MISSING') throw new SymbolNotFoundError(symbol);
+          if (failures-- > 0) throw new NetworkError('Server unreachable');
+          return Array.from({ length: 20 }, (_, i) => ({ time: 1704067200 + i * 86400, open: 1, high: 2, low: 0.5, close: 1.5 }));
+        }
+      });
+
+      const overlay = chart.shadowRoot.querySelector('.data-error');
+      const retryBtn = chart.shadowRoot.querySelector('.data-error-retry');
+      const events = [];
+      chart.addEventListener('data-error', (e) => events.push(e.detail.type));
+
+      await chart.loadSymbolData('NET', '1D').catch(() => {});
+      const failed = {
+        visible: !overlay.hidden,
+        message: overlay.querySelector('.data-error-message').textContent,
+        retryHidden: retryBtn.hidden,
+        error: chart.getDataError()?.type
+      };
+
+      retryBtn.click();
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const retried = { visible: !overlay.hidden, bars: chart._data.length, error: chart.getDataError() };
+
+      await chart.loadSymbolData('MISSING', '1D').catch(() => {});
+      const notFound = { visible: !overlay.hidden, retryHidden: retryBtn.hidden };
+
+      return { failed, retried, notFound, events };
+    });
+
+    expect(result.failed).toEqual({ visible: true, message: 'Server unreachable', retryHidden: false, error: 'network' });
+    expect(result.retried).toEqual({ visible: false, bars: 20, error: null });
+    expect(result.notFound).toEqual({ visible: true, retryHidden: true });
+    expect(result.events).toEqual(['network', 'not-found']);
+  });
+
+  test('should count down rate limits and let the app cancel the overlay', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { RateLimitError } = await import('/src/data-providers/errors.js');
+      const chart = document.querySelector('oak-view').getChartAt(0);
+
+      chart.setDataProvider({
+        async initialize() {},
+        async fetchHistorical() { throw new RateLimitError('Too many requests', { retryAfter: 3000 }); }
+      });
+
+      const overlay = chart.shadowRoot.querySelector('.data-error');
+      const retryBtn = chart.shadowRoot.querySelector('.data-error-retry');
+
+      await chart.loadSymbolData('RATE', '1D').catch(() => {});
+      const limited = { visible: !overlay.hidden, disabled: retryBtn.disabled, label: retryBtn.textContent };
+
+      const handled = (e) => e.preventDefault();
+      chart.addEventListener('data-error', handled);
+      await chart.loadSymbolData('RATE', '1D').catch(() => {});
+      chart.removeEventListener('data-error', handled);
+
+      return { limited, cancelled: { visible: !overlay.hidden, error: chart.getDataError() } };
+    });
+
+    expect(result.limited).toEqual({ visible: true, disabled: true, label: 'Retry in 3s' });
+    expect(result.cancelled).toEqual({ visible: false, error: null });
+  });
+});
@@ -0,0 +1,107 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('data-source attribute', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should parse provider names and options', async ({ page }) => {
+    const parsed = await page.evaluate(async () => {
+      const { default: ProviderRegistry } = await import('/src/data-providers/registry.js');
+      return [
+        ProviderRegistry.parse('simulated'),
+        ProviderRegistry.parse('simulated:seed=42,historyBars=100&live'),
+        ProviderRegistry.parse('rest:{"history":{"url":"https://api.test/{symbol}"}}'),
+        ProviderRegistry.parse('api:baseUrl=https://api.test/v1&debug=false'),
+        ProviderRegistry.parse('api:symbol=0700&key=1e5')
+      ];
+    });
+
+    expect(parsed).toEqual([
+      { name: 'simulated', options: {} },
+      { name: 'simulated', options: { seed: '42', historyBars: '100', live: true } },
+      { name: 'rest', options: { history: { url: 'https://api.test/{symbol}' } } },
+      { name: 'api', options: { baseUrl: 'https://api.test/v1', debug: false } },
+      // Number-like text is left for the provider to convert
+      { name: 'api', options: { symbol: '0700', key: '1e5' } }
+    ]);
+  });
+
+  test('should load built-in providers on demand and convert their numeric options', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { providerRegistry } = await import('/src/data-providers/registry.js');
+      const provider = await providerRegistry.create('simulated:seed=7&historyBars=20');
+      const bars = await provider.fetchHistorical('SIM', '1D');
+      provider.disconnect();
+      return { name: provider.constructor.name, seed: provider.options.seed, bars: bars.length };
+    });
+
+    expect(result).toEqual({ name: 'SimulatedDataProvider', seed: 7, bars: 20 });
+  });
+
+  test('should create the built-in arrow provider from key=value options', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { providerRegistry } = await import('/src/data-providers/registry.js');
+      const provider = await providerRegistry.create('arrow:source=/tests/fixtures/daily-bars.arrows&baseInterval=1');
+      const bars = await provider.fetchHistorical('ANY', '1');
+      return { baseInterval: provider.getBaseInterval(), bars: bars.length, columns: provider.options.columns.close };
+    });
+
+    // 'baseInterval=1' parses as a number, and initialize() gets the same options
+    expect(result).toEqual({ baseInterval: '1', bars: 5, columns: 'close' });
+  });
+
+  test('should create the registered provider and load the panes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const layout = document.querySelector('oak-view');
+      const OakView = customElements.get('oak-view');
+      const calls = [];
+
+      OakView.registerProvider('test-feed', (options) => ({
+        async initialize(config) { calls.push(['initialize', config.bars]); },
+        async fetchHistorical(symbol) {
+          calls.push(['fetch', symbol]);
+          return Array.from({ length: Number(options.bars) }, (_, i) => ({
+            time: 1704067200 + i * 86400, open: 1, high: 2, low: 0.5, close: 1.5
+          }));
+        },
+        disconnect() { calls.push(['disconnect']); }
+      }));
+
+      const changed = new Promise(resolve => layout.addEventListener('data-source-change', (e) => resolve(e.detail), { once: true }));
+      layout.setAttribute('data-source', 'test-feed:bars=25');
+      const detail = await changed;
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const loaded = layout.getChartAt(0)._data.length;
+      const fromSource = layout.getDataProvider() === detail.provider;
+
+      const failed = new Promise(resolve => layout.addEventListener('data-source-error', (e) => resolve(e.detail), { once: true }));
+      layout.setAttribute('data-source', 'missing');
+      const error = await failed;
+
+      // An explicit provider replaces (and disconnects) the data-source one
+      layout.setDataProvider({ async initialize() {}, async fetchHistorical() { return []; } });
+      OakView.unregisterProvider('test-feed');
+
+      return {
+        dataSource: detail.dataSource,
+        fromSource,
+        loaded,
+        paneSymbol: layout.getPaneSettings(0).symbol,
+        calls,
+        error: error.error.message
+      };
+    });
+
+    expect(result.dataSource).toBe('test-feed:bars=25');
+    expect(result.fromSource).toBe(true);
+    expect(result.loaded).toBe(25);
+    expect(result.calls[0]).toEqual(['initialize', '25']);
+    expect(result.calls).toContainEqual(['fetch', result.paneSymbol]);
+    expect(result.calls[result.calls.length - 1]).toEqual(['disconnect']);
+    expect(result.error).toContain('No data provider registered as "missing"');
+  });
+});
@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Extended Hours', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should classify pre- and post-market times of a session', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: BarResampler } = await import('/src/utils/BarResampler.js');
+      const session = { timezone: 'America/New_York', open: '09:30', close: '16:00', extended: { open: '04:00', close: '20:00' } };
+      const at = (text) => Date.parse(text) / 1000;
+      const resampler = new BarResampler('1', '1D', { session });
+
+      // 15-minute bars across one day, 03:00 to 21:00 New York (EST = UTC-5)
+      const bars = [];
+      for (let time = at('2024-01-16T08:00:00Z'); time < at('2024-01-17T02:00:00Z'); time += 900) {
+        bars.push({ time, open: 1, high: 2, low: 0.5, close: 1.5, volume: 1 });
+      }
+      const daily = (extendedHours) => {
+        const regular = new BarResampler('15', '1D', { session, extendedHours });
+        bars.forEach(bar => regular.addBar(bar));
+        return regular.flush().volume;
+      };
+
+      return {
+        parts: ['08:45', '09:00', '14:29', '14:30', '20:59', '21:00', '00:59'].map(clock => {
+          const day = clock < '05:00' ? '17' : '16';
+          return resampler.getSessionPart(at(`2024-01-${day}T${clock}:00Z`));
+        }),
+        withExtended: daily(true),
+        regularOnly: daily(false)
+      };
+    });
+
+    expect(result.parts).toEqual(['closed', 'pre', 'pre', 'regular', 'regular', 'post', 'post']);
+    // 03:00-21:00 has 72 bars, of which 09:30-16:00 are the 26 regular ones
+    expect(result.withExtended).toBe(72);
+    expect(result.regularOnly).toBe(26);
+  });
+
+  test('should shade extended hours and hide them with the ETH button', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const layout = document.querySelector('oak-view');
+      const chart = layout.getChartAt(0);
+      const wait = () => new Promise(resolve => setTimeout(resolve, 100));
+
+      // Hourly bars 04:00 to 18:00 New York
+      const bars = [];
+      for (let hour = 9; hour <= 23; hour++) {
+        const time = Date.UTC(2024, 0, 16, hour) / 1000;
+        bars.push({ time, open: hour, high: hour + 1, low: hour - 1, close: hour, volume: 1 });
+      }
+
+      chart.setDataProvider({
+        async initialize() {},
+        async fetchHistorical() { return bars; },
+        getSymbolInfo: (symbol) => ({
+          symbol,
+          timezone: 'America/New_York',
+          session: { open: '09:30', close: '16:00', extended: { open: '04:00', close: '20:00' } }
+        })
+      });
+      await chart.loadSymbolData('AAPL', '60');
+      await wait();
+
+      const parts = chart._data.map(bar => chart._sessionShading.getPart(bar.time));
+      const shown = chart._data.length;
+
+      let changed = null;
+      layout.addEventListener('extended-hours-change', (e) => { changed = e.detail; }, { once: true });
+      layout.shadowRoot.querySelector('.control-chart').shadowRoot.querySelector('.extended-hours-button').click();
+      await wait();
+
+      return {
+        pre: parts.filter(part => part === 'pre').length,
+        post: parts.filter(part => part === 'post').length,
+        shown,
+        hidden: chart._data.length,
+        firstHidden: chart._data[0].time,
+        setting: chart.getExtendedHours(),
+        changed
+      };
+    });
+
+    expect(result.pre).toBe(6);
+    expect(result.post).toBe(3);
+    expect(result.shown).toBe(15);
+    expect(result.hidden).toBe(6);
+    expect(result.firstHidden).toBe(Date.UTC(2024, 0, 16, 15) / 1000);
+    expect(result.setting).toBe(false);
+    expect(result.changed).toEqual({ extendedHours: false });
+  });
+});
@@ -0,0 +1,17 @@
+// Calculation module of tests/fixtures/close-change.js, shaped like src/indicators/*-calculation.js
+function createIndicator(options = {}) {
+  const { factor = 1 } = options;
+  return {
+    metadata: {
+      title: "Close Change",
+      overlay: false,
+      plots: [{ title: "Change", color: "#2962FF", linewidth: 1 }]
+    },
+    calculate(bars) {
+      return bars.map((bar, i) => ({ time: bar.time, value: i === 0 ? NaN : (bar.close - bars[i - 1].close) * factor }));
+    }
+  };
+}
+export {
+  createIndicator as default
+};
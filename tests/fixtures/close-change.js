@@ -0,0 +1,31 @@
+// Indicator module shaped like the generated src/indicators/*.js wrappers
+import { LineSeries } from "lightweight-charts";
+import createIndicator from "./close-change-calculation.js";
+function createCloseChangeIndicator(chart, mainSeries, options = {}, bars) {
+  const indicator = createIndicator(options);
+  const metadata = indicator.metadata;
+  let _attached = false;
+  let _indicatorSeries = [];
+  let _bars = bars || [];
+  const calculateAndUpdate = () => {
+    if (!_attached) return;
+    if (_bars.length === 0) return;
+    _indicatorSeries[0].setData(indicator.calculate(_bars));
+  };
+  const attach = () => {
+    if (_attached) return;
+    _indicatorSeries.push(chart.addSeries(LineSeries, { title: metadata.title }, 1));
+    _attached = true;
+    calculateAndUpdate();
+  };
+  const detach = () => {
+    if (!_attached) return;
+    _indicatorSeries.forEach((series) => chart.removeSeries(series));
+    _indicatorSeries = [];
+    _attached = false;
+  };
+  return { attach, detach, update: calculateAndUpdate, metadata };
+}
+export {
+  createCloseChangeIndicator
+};
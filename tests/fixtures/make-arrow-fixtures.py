@@ -0,0 +1,42 @@
+"""Write the Arrow fixtures of tests/arrow-provider.spec.js (needs pyarrow)."""
+import os
+
+import pyarrow as pa
+import pyarrow.feather as feather
+import pyarrow.ipc as ipc
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+START = 1704067200  # 2024-01-01 00:00 UTC
+
+# Feather v2: two symbols in one table, newest first, several record batches
+rows = []
+for i in reversed(range(120)):
+    for ticker, base in (('AAA', 100.0), ('BBB', 50.0)):
+        rows.append((ticker, (START + i * 60) * 1000, base + i, base + i + 1, base + i - 1, base + i + 0.5, 1000 + i))
+ticker, ts, o, h, l, c, v = zip(*rows)
+minutes = pa.table({
+    'ticker': pa.array(ticker).dictionary_encode(),
+    'ts': pa.array(ts, pa.timestamp('ms', tz='UTC')),
+    'o': pa.array(o, pa.float64()),
+    'h': pa.array(h, pa.float64()),
+    'l': pa.array(l, pa.float32()),
+    'c': pa.array(c, pa.float64()),
+    'v': pa.array([None if i == 0 else x for i, x in enumerate(v)], pa.int64()),
+    'tags': pa.array([['x']] * len(rows), pa.list_(pa.string())),
+})
+feather.write_feather(minutes, os.path.join(HERE, 'minute-bars.arrow'), compression='uncompressed', chunksize=100)
+
+# IPC stream: one symbol, default column names, date32 days, no volume
+days = pa.table({
+    'time': pa.array([19723 + i for i in range(5)], pa.date32()),
+    'open': [10.0, 11, 12, 13, 14],
+    'high': [11.0, 12, 13, 14, 15],
+    'low': [9.0, 10, 11, 12, 13],
+    'close': [10.5, 11.5, 12.5, 13.5, 14.5],
+})
+with ipc.new_stream(os.path.join(HERE, 'daily-bars.arrows'), days.schema) as writer:
+    writer.write_table(days)
+
+# Feather's default LZ4 compression, and ZSTD (not supported)
+feather.write_feather(minutes.drop_columns(['tags']), os.path.join(HERE, 'minute-bars-lz4.arrow'), compression='lz4', chunksize=100)
+feather.write_feather(days, os.path.join(HERE, 'daily-bars-zstd.arrow'), compression='zstd')
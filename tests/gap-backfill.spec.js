@@ -0,0 +1,76 @@
+import { test, expect } from '@playwright/test';
+
+const START = 1704067200; // 2024-01-01 00:00 UTC
+
+test.describe('Gap backfill', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should fetch the bars a live stream skipped before applying new ones', async ({ page }) => {
+    const result = await page.evaluate(async (start) => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const bar = (i, close = 100 + i) => ({ time: start + i * 60, open: close, high: close + 1, low: close - 1, close });
+      const requests = [];
+
+      chart.setDataProvider({
+        async initialize() {},
+        getBaseInterval: () => '1',
+        async fetchHistorical(symbol, interval, from, to) {
+          requests.push([from, to]);
+          if (from === null) return Array.from({ length: 10 }, (_, i) => bar(i));
+          await new Promise(resolve => setTimeout(resolve, 50));
+          // The last bar was still forming when the history was loaded
+          return Array.from({ length: 6 }, (_, i) => bar(9 + i, 500 + i));
+        }
+      });
+      await chart.loadSymbolData('GAP', '1');
+
+      const filled = new Promise(resolve => chart.addEventListener('gap-filled', (e) => resolve(e.detail), { once: true }));
+      chart.updateRealtime(bar(15));
+      chart.updateRealtime(bar(16));
+      const detail = await filled;
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      // Consecutive bars do not trigger another request
+      chart.updateRealtime(bar(17));
+
+      return {
+        requests,
+        detail,
+        times: chart._data.map(b => (b.time - start) / 60),
+        replaced: chart._data[9].close
+      };
+    }, START);
+
+    expect(result.requests).toEqual([[null, null], [START + 9 * 60, START + 15 * 60]]);
+    expect(result.detail).toEqual({ symbol: 'GAP', interval: '1', from: START + 9 * 60, to: START + 15 * 60, bars: 6 });
+    expect(result.times).toEqual(Array.from({ length: 18 }, (_, i) => i));
+    expect(result.replaced).toBe(500);
+  });
+
+  test('should apply live bars when the gap cannot be filled', async ({ page }) => {
+    const times = await page.evaluate(async (start) => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const bar = (i) => ({ time: start + i * 60, open: 1, high: 2, low: 0.5, close: 1.5 });
+
+      chart.setDataProvider({
+        async initialize() {},
+        getBaseInterval: () => '1',
+        async fetchHistorical(symbol, interval, from) {
+          if (from !== null) throw new Error('Service unavailable');
+          return Array.from({ length: 5 }, (_, i) => bar(i));
+        }
+      });
+      await chart.loadSymbolData('GAP', '1');
+
+      chart.updateRealtime(bar(8));
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return chart._data.map(b => (b.time - start) / 60);
+    }, START);
+
+    expect(times).toEqual([0, 1, 2, 3, 4, 8]);
+  });
+});
@@ -0,0 +1,148 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('History request cancellation', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+  });
+
+  test('should merge identical in-flight requests', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: HistoryRequestPool } = await import('/src/utils/HistoryRequestPool.js');
+
+      let calls = 0;
+      const provider = {
+        fetchHistorical() {
+          calls++;
+          return new Promise(resolve => setTimeout(() => resolve([{ time: 1, open: 1, high: 1, low: 1, close: 1 }]), 50));
+        }
+      };
+
+      const pool = new HistoryRequestPool();
+      const [a, b] = await Promise.all([
+        pool.fetch(provider, 'AAPL', '1D'),
+        pool.fetch(provider, 'AAPL', '1D')
+      ]);
+
+      return { calls, same: a === b };
+    });
+
+    expect(result.calls).toBe(1);
+    expect(result.same).toBe(true);
+  });
+
+  test('should abort the provider request once every caller is gone', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: HistoryRequestPool } = await import('/src/utils/HistoryRequestPool.js');
+
+      let providerAborted = false;
+      const provider = {
+        fetchHistorical(symbol, interval, from, to, { signal }) {
+          return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve([]), 100);
+            signal.addEventListener('abort', () => {
+              providerAborted = true;
+              clearTimeout(timer);
+              reject(new DOMException('aborted', 'AbortError'));
+            });
+          });
+        }
+      };
+
+      const pool = new HistoryRequestPool();
+      const first = new AbortController();
+      const second = new AbortController();
+      const p1 = pool.fetch(provider, 'AAPL', '1D', null, null, first.signal);
+      const p2 = pool.fetch(provider, 'AAPL', '1D', null, null, second.signal);
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      first.abort();
+      const abortedAfterFirst = providerAborted;
+      second.abort();
+
+      const errors = await Promise.all([p1, p2].map(p => p.catch(e => e.name)));
+      return { abortedAfterFirst, providerAborted, errors };
+    });
+
+    expect(result.abortedAfterFirst).toBe(false);
+    expect(result.providerAborted).toBe(true);
+    expect(result.errors).toEqual(['AbortError', 'AbortError']);
+  });
+
+  test('should never paint the result of a superseded load', async ({ page }) => {
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+
+    const painted = await page.evaluate(async () => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const delays = { SLOW: 200, FAST: 20 };
+      const provider = {
+        async initialize() {},
+        getBaseInterval: () => null,
+        fetchHistorical(symbol) {
+          return new Promise(resolve => setTimeout(() => resolve([
+            { time: 1700000000, open: 1, high: 1, low: 1, close: delays[symbol] }
+          ]), delays[symbol]));
+        }
+      };
+
+      chart.setDataProvider(provider);
+      const slow = chart.loadSymbolData('SLOW', '1D');
+      const fast = chart.loadSymbolData('FAST', '1D');
+      await Promise.all([slow, fast]);
+
+      return chart._data.map(bar => bar.close);
+    });
+
+    expect(painted).toEqual([20]);
+  });
+
+  test('should keep live bars and complete the oldest bucket when prepending resampled history', async ({ page }) => {
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+
+    const result = await page.evaluate(async () => {
+      const start = 1704067200; // 2024-01-01 00:00 UTC
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const bar = (i) => ({ time: start + i * 60, open: 100 + i, high: 101 + i, low: 99 + i, close: 100 + i, volume: 1 });
+      const range = (first, last) => Array.from({ length: last - first + 1 }, (_, i) => bar(first + i));
+      const pages = [range(10, 11), range(0, 9)];
+
+      chart.setDataProvider({
+        async initialize() {},
+        getBaseInterval: () => '1',
+        async fetchHistorical(symbol, interval, from) {
+          return from === null ? range(12, 19) : pages.shift() || [];
+        }
+      });
+      await chart.loadSymbolData('X', '5');
+      chart.updateRealtime(bar(20));
+
+      const minutes = () => chart._data.map(b => (b.time - start) / 60);
+      const painted = () => chart.currentSeries.data().map(b => b.open);
+
+      const firstAdded = await chart.loadMoreHistory();
+      const first = { times: minutes(), open: chart._data[0].open, painted: painted() };
+      const secondAdded = await chart.loadMoreHistory();
+
+      return {
+        firstAdded,
+        first,
+        secondAdded,
+        times: minutes(),
+        bucket: { ...chart._data[2], time: (chart._data[2].time - start) / 60 },
+        painted: painted()
+      };
+    });
+
+    // The first page only completes the bucket that was already on the chart
+    expect(result.firstAdded).toBe(0);
+    expect(result.first.times).toEqual([10, 15, 20]);
+    expect(result.first.open).toBe(110);
+    expect(result.first.painted).toEqual([110, 115, 120]);
+
+    // The live bar is not part of the base data but stays on the chart
+    expect(result.secondAdded).toBe(2);
+    expect(result.times).toEqual([0, 5, 10, 15, 20]);
+    expect(result.bucket).toMatchObject({ time: 10, open: 110, high: 115, low: 109, close: 114, volume: 5 });
+    expect(result.painted).toEqual([100, 105, 110, 115, 120]);
+  });
+});
@@ -0,0 +1,74 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Layout realtime subscriptions', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should share one subscription per symbol and feed only its panes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const layout = document.querySelector('oak-view');
+      const active = new Map(); // 'symbol@interval' -> callback
+      const log = [];
+
+      layout.setDataProvider({
+        async initialize() {},
+        async fetchHistorical() { return []; },
+        subscribe(symbol, interval, callback) {
+          const key = `${symbol}@${interval}`;
+          active.set(key, callback);
+          log.push(`+${key}`);
+          return () => {
+            active.delete(key);
+            log.push(`-${key}`);
+          };
+        }
+      });
+
+      layout.setLayout('2x2');
+      [['AAPL', '1'], ['AAPL', '5'], ['MSFT', '1D'], ['TSLA', '1D']].forEach(([symbol, interval], index) => {
+        layout.updatePaneConfig(layout.getPaneId(index), { symbol, interval });
+      });
+      layout.setAttribute('realtime', '');
+
+      const received = [[], [], [], []];
+      layout.getAllCharts().forEach((chart, index) => {
+        chart.updateRealtime = (bar) => received[index].push(bar.close);
+      });
+
+      const bar = (time, close) => ({ time, open: close, high: close, low: close, close, volume: 1 });
+      const start = 1704067200;
+      active.get('AAPL@1')(bar(start, 1));
+      active.get('AAPL@1')(bar(start + 300, 2)); // Completes the first 5-minute bucket
+      active.get('MSFT@1D')(bar(start, 3));
+
+      const shared = layout.getSubscriptions();
+
+      // Pane 3 switches to MSFT: TSLA has no pane left
+      layout.updatePaneConfig(layout.getPaneId(3), { symbol: 'MSFT' });
+      const afterSwitch = layout.getSubscriptions().map(s => `${s.symbol}:${s.panes.length}`);
+
+      // Shrinking the layout releases the panes that disappeared
+      layout.setLayout('single');
+      const afterShrink = Array.from(active.keys());
+
+      layout.setAttribute('realtime', 'false');
+      const afterOff = Array.from(active.keys());
+
+      return { shared, received, afterSwitch, afterShrink, afterOff, log };
+    });
+
+    expect(result.shared).toEqual([
+      { symbol: 'AAPL', interval: '1', panes: [0, 1] },
+      { symbol: 'MSFT', interval: '1D', panes: [2] },
+      { symbol: 'TSLA', interval: '1D', panes: [3] }
+    ]);
+    expect(result.received).toEqual([[1, 2], [1], [3], []]);
+    expect(result.afterSwitch).toEqual(['AAPL:2', 'MSFT:2']);
+    expect(result.afterShrink).toEqual(['AAPL@1']);
+    expect(result.afterOff).toEqual([]);
+    expect(result.log.filter(entry => entry.startsWith('+')).sort()).toEqual(['+AAPL@1', '+MSFT@1D', '+TSLA@1D']);
+  });
+});
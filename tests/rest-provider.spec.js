@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('RestDataProvider', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+  });
+
+  test('should map fields and convert times of array and column responses', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: RestDataProvider } = await import('/src/data-providers/rest.js');
+      const json = (body) => ({ ok: true, status: 200, json: async () => body });
+
+      const rows = new RestDataProvider({
+        history: {
+          url: 'https://api.test/bars/{symbol}?tf={interval}&from={from}',
+          bars: '$.data.bars',
+          fields: { time: 'ts', open: 'o', high: 'h', low: 'l', close: 'c', volume: 'v' },
+          intervalMap: { '60': '1h' }
+        },
+        fetch: async () => json({
+          data: {
+            bars: [
+              { ts: 1704070800000, o: '2', h: '3', l: '1', c: '2.5', v: '10' },
+              { ts: 1704067200000, o: 1, h: 2, l: 0.5, c: 1.5 },
+              { ts: 'bad', o: 1, h: 1, l: 1, c: 1 }
+            ]
+          }
+        })
+      });
+
+      const columns = new RestDataProvider({
+        history: { url: 'https://api.test/history', fields: { time: 't', open: 'o', high: 'h', low: 'l', close: 'c' } },
+        fetch: async () => json({ t: ['2024-01-02', '2024-01-01'], o: [2, 1], h: [2, 1], l: [2, 1], c: [2, 1] })
+      });
+
+      return {
+        rows: await rows.fetchHistorical('AAPL', '60'),
+        url: rows._buildUrl(rows._history.url, { symbol: 'BRK B', interval: '1h', from: '' }),
+        columns: (await columns.fetchHistorical('X', '1D')).map(bar => bar.time),
+        intervals: rows.getAvailableIntervals('AAPL')
+      };
+    });
+
+    expect(result.rows).toEqual([
+      { time: 1704067200, open: 1, high: 2, low: 0.5, close: 1.5 },
+      { time: 1704070800, open: 2, high: 3, low: 1, close: 2.5, volume: 10 }
+    ]);
+    expect(result.url).toBe('https://api.test/bars/BRK%20B?tf=1h');
+    expect(result.columns).toEqual([Date.UTC(2024, 0, 1) / 1000, Date.UTC(2024, 0, 2) / 1000]);
+    expect(result.intervals).toEqual(['60']);
+  });
+
+  test('should page backwards until the requested range is covered', async ({ page }) => {
+    await page.route('https://api.test/**', async (route) => {
+      const url = new URL(route.request().url());
+      const from = Number(url.searchParams.get('from'));
+      const to = Number(url.searchParams.get('to'));
+      // Newest 3 one-minute bars of the range
+      const bars = [];
+      for (let time = to - (to % 60); time >= from && bars.length < 3; time -= 60) {
+        bars.unshift({ time, open: 1, high: 1, low: 1, close: 1 });
+      }
+      await route.fulfill({ json: { bars, next: null } });
+    });
+
+    const result = await page.evaluate(async () => {
+      const { default: RestDataProvider } = await import('/src/data-providers/rest.js');
+      const provider = new RestDataProvider({
+        history: {
+          url: 'https://api.test/bars?symbol={symbol}&from={from}&to={to}&limit={limit}',
+          bars: 'bars',
+          pagination: { limit: 3 }
+        }
+      });
+
+      const bars = await provider.fetchHistorical('X', '1', 600, 1080);
+      return { times: bars.map(bar => bar.time), capabilities: provider.getCapabilities() };
+    });
+
+    expect(result.times).toEqual([600, 660, 720, 780, 840, 900, 960, 1020, 1080]);
+    expect(result.capabilities.search).toBe(false);
+    expect(result.capabilities.maxBarsPerRequest).toBe(null);
+  });
+});
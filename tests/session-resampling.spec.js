@@ -0,0 +1,167 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Session and Calendar Resampling', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should align daily, H4 and weekly buckets to the exchange session', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: BarResampler } = await import('/src/utils/BarResampler.js');
+      const iso = (seconds) => new Date(seconds * 1000).toISOString();
+      const at = (text) => Date.parse(text) / 1000;
+
+      const nyse = { timezone: 'America/New_York', open: '09:30', close: '16:00' };
+      const cme = { timezone: 'America/Chicago', open: '17:00', close: '16:00' };
+      const bucket = (interval, session, time) =>
+        iso(new BarResampler('1', interval, { session }).getTargetBarTime(at(time)));
+
+      return {
+        // 15:55 New York is 20:55 UTC - still the 16 Jan session
+        nyseDaily: bucket('1D', nyse, '2024-01-16T20:55:00Z'),
+        nyseH4: [bucket('240', nyse, '2024-01-16T14:45:00Z'), bucket('240', nyse, '2024-01-16T19:00:00Z')],
+        nyseH4Summer: bucket('240', nyse, '2024-07-16T14:00:00Z'),
+        nyseWeekly: bucket('1W', nyse, '2024-01-18T15:00:00Z'),
+        legacyWeekly: iso(new BarResampler('1', '1W').getTargetBarTime(at('2024-01-18T15:00:00Z'))),
+        // Sunday 17:30 Chicago opens Monday's session
+        cmeSundayEvening: bucket('1D', cme, '2024-01-14T23:30:00Z'),
+        cmeWeeklySunday: bucket('1W', cme, '2024-01-14T23:30:00Z')
+      };
+    });
+
+    expect(result.nyseDaily).toBe('2024-01-16T00:00:00.000Z');
+    expect(result.nyseH4).toEqual(['2024-01-16T14:30:00.000Z', '2024-01-16T18:30:00.000Z']);
+    expect(result.nyseH4Summer).toBe('2024-07-16T13:30:00.000Z');
+    expect(result.nyseWeekly).toBe('2024-01-15T00:00:00.000Z');
+    // Without a session weeks start on Monday
+    expect(result.legacyWeekly).toBe('2024-01-15T00:00:00.000Z');
+    expect(result.cmeSundayEvening).toBe('2024-01-15T00:00:00.000Z');
+    expect(result.cmeWeeklySunday).toBe('2024-01-15T00:00:00.000Z');
+  });
+
+  test('should read daily source bars by their UTC date under a session', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: BarResampler } = await import('/src/utils/BarResampler.js');
+      const iso = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+      const day = (date) => Date.parse(`${date}T00:00:00Z`) / 1000;
+
+      const nyse = { timezone: 'America/New_York', open: '09:30', close: '16:00' };
+      const weekly = new BarResampler('1D', '1W', { session: nyse });
+      const daily = new BarResampler('1D', '1D', { session: nyse });
+
+      return {
+        // 00:00 UTC Monday is still Sunday evening in New York
+        monday: iso(weekly.getTargetBarTime(day('2024-03-11'))),
+        friday: iso(weekly.getTargetBarTime(day('2024-03-15'))),
+        daily: iso(daily.getTargetBarTime(day('2024-03-11'))),
+        noSession: [
+          iso(new BarResampler('1D', '1W').getTargetBarTime(day('2024-03-11'))),
+          iso(new BarResampler('1D', '1W').getTargetBarTime(day('2024-03-17'))),
+          iso(new BarResampler('1D', '2W').getTargetBarTime(day('2024-03-11')))
+        ]
+      };
+    });
+
+    expect(result.monday).toBe('2024-03-11');
+    expect(result.friday).toBe('2024-03-11');
+    expect(result.daily).toBe('2024-03-11');
+    expect(result.noSession).toEqual(['2024-03-11', '2024-03-11', '2024-03-04']);
+  });
+
+  test('should resample provider data with the symbol session', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+
+      // Hourly bars of two Sydney sessions, 10:00 to 15:00 local (AEDT = UTC+11),
+      // which run from 23:00 UTC on the previous day
+      const bars = [];
+      for (const day of [16, 17]) {
+        for (let hour = 0; hour < 6; hour++) {
+          const time = Date.UTC(2024, 0, day - 1, 23 + hour) / 1000;
+          bars.push({ time, open: 100 + hour, high: 101 + hour, low: 99 + hour, close: 100.5 + hour, volume: 10 });
+        }
+      }
+
+      chart.setDataProvider({
+        async initialize() {},
+        getBaseInterval: () => '60',
+        async fetchHistorical() { return bars; },
+        async getSymbolInfo(symbol) {
+          return { symbol, timezone: 'Australia/Sydney', session: { open: '10:00', close: '16:00' } };
+        }
+      });
+      await chart.loadSymbolData('ASX', '1D');
+
+      return chart._data.map(bar => ({ time: bar.time, open: bar.open, close: bar.close, volume: bar.volume }));
+    });
+
+    // Split at UTC midnight, each session would yield a one-bar and a five-bar day
+    expect(result).toEqual([
+      { time: Date.UTC(2024, 0, 16) / 1000, open: 100, close: 105.5, volume: 60 },
+      { time: Date.UTC(2024, 0, 17) / 1000, open: 100, close: 105.5, volume: 60 }
+    ]);
+  });
+
+  test('should bucket months, quarters and years on calendar boundaries', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: BarResampler } = await import('/src/utils/BarResampler.js');
+      const iso = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+
+      // Daily bars from 1 Jan to 10 Mar 2024 (leap year)
+      const resample = (interval) => {
+        const resampler = new BarResampler('1D', interval);
+        const bars = [];
+        for (let day = 0; day < 70; day++) {
+          const bar = resampler.addBar({ time: Date.UTC(2024, 0, 1 + day) / 1000, open: day, high: day, low: day, close: day, volume: 1 });
+          if (bar) bars.push(bar);
+        }
+        bars.push(resampler.flush());
+        return bars.map(bar => `${iso(bar.time)} ${bar.open}-${bar.close} x${bar.volume}`);
+      };
+
+      const bucket = (interval, date) => iso(new BarResampler('1D', interval).getTargetBarTime(Date.parse(date) / 1000));
+
+      return {
+        monthly: resample('1M'),
+        quarter: bucket('3M', '2024-05-15T00:00:00Z'),
+        half: bucket('6M', '2024-12-31T23:59:59Z'),
+        yearly: [bucket('12M', '2024-08-01T00:00:00Z'), bucket('1Y', '2024-08-01T00:00:00Z')],
+        minutes: new BarResampler('1', '1M').parseIntervalToMs('1m'),
+        months: new BarResampler('1', '1M').parseIntervalToMs('1M') / 86400000
+      };
+    });
+
+    expect(result.monthly).toEqual(['2024-01-01 0-30 x31', '2024-02-01 31-59 x29', '2024-03-01 60-69 x10']);
+    expect(result.quarter).toBe('2024-04-01');
+    expect(result.half).toBe('2024-07-01');
+    expect(result.yearly).toEqual(['2024-01-01', '2024-01-01']);
+    expect(result.minutes).toBe(60000);
+    expect(result.months).toBe(30);
+  });
+
+  test('should bucket calendar intervals by trading date under a session', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: BarResampler } = await import('/src/utils/BarResampler.js');
+      const iso = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+      const nyse = { timezone: 'America/New_York', open: '09:30', close: '16:00' };
+      const bucket = (source, interval, time) =>
+        iso(new BarResampler(source, interval, { session: nyse }).getTargetBarTime(Date.parse(time) / 1000));
+
+      return {
+        // Daily bars are stamped 00:00 UTC, which is the previous evening in New York
+        monthly: [bucket('1D', '1M', '2024-04-01T00:00:00Z'), bucket('1D', '1M', '2024-03-29T00:00:00Z')],
+        quarter: bucket('1D', '3M', '2024-04-01T00:00:00Z'),
+        yearly: bucket('1D', '1Y', '2024-01-01T00:00:00Z'),
+        // Intraday bars take the exchange's local date
+        intraday: bucket('1', '1M', '2024-04-01T01:00:00Z')
+      };
+    });
+
+    expect(result.monthly).toEqual(['2024-04-01', '2024-03-01']);
+    expect(result.quarter).toBe('2024-04-01');
+    expect(result.yearly).toBe('2024-01-01');
+    expect(result.intraday).toBe('2024-03-01');
+  });
+});
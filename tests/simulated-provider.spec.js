@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('SimulatedDataProvider', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+  });
+
+  test('should generate the same history for the same seed and clock', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: SimulatedDataProvider } = await import('/src/data-providers/simulated.js');
+
+      const now = () => Date.UTC(2024, 5, 12, 18, 0);
+      const create = async (seed) => {
+        const provider = new SimulatedDataProvider({ seed, now, symbols: ['AAA'] });
+        await provider.initialize();
+        return provider.fetchHistorical('AAA', '1D');
+      };
+
+      const [a, b, c] = await Promise.all([create(7), create(7), create(8)]);
+      return {
+        length: a.length,
+        same: JSON.stringify(a) === JSON.stringify(b),
+        differentSeed: JSON.stringify(a) !== JSON.stringify(c),
+        endsAtPrice: a[a.length - 1].close,
+        ascending: a.every((bar, i) => i === 0 || bar.time > a[i - 1].time),
+        valid: a.every(bar => bar.high >= Math.max(bar.open, bar.close) && bar.low <= Math.min(bar.open, bar.close))
+      };
+    });
+
+    expect(result.length).toBe(500);
+    expect(result.same).toBe(true);
+    expect(result.differentSeed).toBe(true);
+    expect(result.endsAtPrice).toBe(100);
+    expect(result.ascending).toBe(true);
+    expect(result.valid).toBe(true);
+  });
+
+  test('should page older history that lines up and respect sessions', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: SimulatedDataProvider } = await import('/src/data-providers/simulated.js');
+
+      const provider = new SimulatedDataProvider({
+        now: () => Date.UTC(2024, 5, 12, 18, 0),
+        symbols: [{ symbol: 'EQ', session: SimulatedDataProvider.SESSIONS.US_EQUITIES }]
+      });
+      await provider.initialize();
+
+      const latest = await provider.fetchHistorical('EQ', '60');
+      const oldest = latest[0];
+      const older = await provider.fetchHistorical('EQ', '60', oldest.time - 7 * 86400, oldest.time - 1);
+
+      const hours = latest.map(bar => new Date(bar.time * 1000).getUTCHours());
+      const days = latest.map(bar => new Date(bar.time * 1000).getUTCDay());
+
+      return {
+        joins: older[older.length - 1].close === oldest.open,
+        inSession: hours.every(h => h >= 14 && h < 21) && days.every(d => d >= 1 && d <= 5)
+      };
+    });
+
+    expect(result.joins).toBe(true);
+    expect(result.inSession).toBe(true);
+  });
+
+  test('should stream live bars to a chart', async ({ page }) => {
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+
+    const result = await page.evaluate(async () => {
+      const { default: SimulatedDataProvider } = await import('/src/data-providers/simulated.js');
+
+      const provider = new SimulatedDataProvider({ tickInterval: 20 });
+      await provider.initialize();
+
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      chart.setDataProvider(provider);
+      await chart.loadSymbolData('SIM', '1');
+      const loaded = chart._data.length;
+
+      const updates = [];
+      const unsubscribe = provider.subscribe('SIM', '1', (bar) => {
+        updates.push(bar);
+        chart.updateRealtime(bar);
+      });
+      await new Promise(resolve => setTimeout(resolve, 200));
+      unsubscribe();
+      provider.disconnect();
+
+      return { loaded, updates: updates.length, searched: (await provider.searchSymbols('coin')).map(s => s.symbol) };
+    });
+
+    expect(result.loaded).toBe(500);
+    expect(result.updates).toBeGreaterThan(0);
+    expect(result.searched).toEqual(['SIMCOIN']);
+  });
+});
@@ -0,0 +1,91 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Symbol Metadata', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should derive precision and tick size from each other', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: OakViewDataProvider } = await import('/src/data-providers/base.js');
+      const normalize = OakViewDataProvider.normalizeSymbolInfo;
+
+      return {
+        fromMinMove: normalize({ symbol: 'ES', minMove: 0.25 }),
+        fromPrecision: normalize({ symbol: 'EURUSD', name: 'Euro', precision: 5 }),
+        tiny: normalize({ symbol: 'SHIB', minMove: 1e-8 }).precision,
+        none: normalize(null)
+      };
+    });
+
+    expect(result.fromMinMove).toMatchObject({ precision: 2, minMove: 0.25, exchange: null });
+    expect(result.fromPrecision).toMatchObject({ precision: 5, minMove: 0.00001, description: 'Euro' });
+    expect(result.tiny).toBe(8);
+    expect(result.none).toBeNull();
+  });
+
+  test('should format the series, legend and search rows with the symbol metadata', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const legend = chart.shadowRoot.querySelector('.chart-legend');
+
+      const provider = {
+        async initialize() {},
+        async fetchHistorical() {
+          return [
+            { time: 1700000000, open: 1.08412, high: 1.08501, low: 1.08377, close: 1.08455 },
+            { time: 1700086400, open: 1.08455, high: 1.08632, low: 1.08401, close: 1.08598 }
+          ];
+        },
+        async getSymbolInfo(symbol) {
+          return { symbol, description: 'Euro / US Dollar', exchange: 'FX', currency: 'USD', precision: 5 };
+        }
+      };
+
+      chart.setDataProvider(provider);
+      await chart.loadSymbolData('EURUSD', '1D');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      return {
+        priceFormat: chart.currentSeries.options().priceFormat,
+        close: legend.querySelector('[data-field="close"]').textContent,
+        exchange: legend.querySelector('.legend-exchange').textContent,
+        currency: legend.querySelector('.legend-currency').textContent,
+        tooltip: legend.querySelector('.legend-symbol').title,
+        info: chart.getSymbolInfo()
+      };
+    });
+
+    expect(result.priceFormat).toMatchObject({ precision: 5, minMove: 0.00001 });
+    expect(result.close).toBe('1.08598');
+    expect(result.exchange).toBe('FX');
+    expect(result.currency).toBe('USD');
+    expect(result.tooltip).toBe('Euro / US Dollar');
+    expect(result.info.timezone).toBeNull();
+  });
+
+  test('should fall back to two decimals and no exchange without metadata', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      const legend = chart.shadowRoot.querySelector('.chart-legend');
+
+      chart.setDataProvider({
+        async initialize() {},
+        async fetchHistorical() {
+          return [{ time: 1700000000, open: 10, high: 12.5, low: 9, close: 11.125 }];
+        }
+      });
+      await chart.loadSymbolData('PLAIN', '1D');
+
+      return {
+        close: legend.querySelector('[data-field="close"]').textContent,
+        exchangeHidden: legend.querySelector('.legend-exchange').hidden
+      };
+    });
+
+    expect(result.close).toBe('11.13');
+    expect(result.exchangeHidden).toBe(true);
+  });
+});
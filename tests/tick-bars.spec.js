@@ -0,0 +1,83 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Tick Bars', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+  });
+
+  test('should build N-tick, volume and dollar bars', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: TickAggregator } = await import('/src/utils/TickAggregator.js');
+
+      // Five trades within the same second
+      const trades = [
+        { time: 1700000000, price: 10, size: 100 },
+        { time: 1700000000, price: 12, size: 300 },
+        { time: 1700000000, price: 9, size: 100 },
+        { time: 1700000000, price: 11, size: 500 },
+        { time: 1700000000, price: 10, size: 100 }
+      ];
+
+      const tickBars = TickAggregator.fromInterval('2T').aggregate(trades);
+      const volumeBars = new TickAggregator({ type: 'volume', size: 400 }).aggregate(trades);
+      const dollarBars = new TickAggregator({ type: 'dollar', size: 5000 }).aggregate(trades);
+
+      return {
+        tickBars: tickBars.map(b => [b.time, b.open, b.high, b.low, b.close, b.volume]),
+        volumeCount: volumeBars.length,
+        dollarCount: dollarBars.length
+      };
+    });
+
+    expect(result.tickBars).toEqual([
+      [1700000000, 10, 12, 10, 12, 400],
+      [1700000000.001, 9, 11, 9, 11, 600],
+      [1700000000.002, 10, 10, 10, 10, 100]
+    ]);
+    expect(result.volumeCount).toBe(3);
+    expect(result.dollarCount).toBe(3);
+  });
+
+  test('should reject tick intervals as time durations', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const { default: BarResampler } = await import('/src/utils/BarResampler.js');
+      try {
+        new BarResampler('1', '100T');
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+
+    expect(message).toContain('not time-based');
+  });
+
+  test('should paint 10T bars from a provider trade stream', async ({ page }) => {
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+
+    const bars = await page.evaluate(async () => {
+      const chart = document.querySelector('oak-view').getChartAt(0);
+      let emit = null;
+      const provider = {
+        async initialize() {},
+        async fetchHistorical() { return []; },
+        getBaseInterval: () => null,
+        subscribeTicks(symbol, callback) {
+          emit = callback;
+          return () => { emit = null; };
+        }
+      };
+
+      chart.setDataProvider(provider);
+      await chart.loadSymbolData('TICKS', '10T');
+      for (let i = 0; i < 25; i++) {
+        emit({ time: 1700000000 + i, price: 100 + i, size: 1 });
+      }
+
+      return chart._data.map(bar => bar.volume);
+    });
+
+    expect(bars).toEqual([10, 10, 5]);
+  });
+});
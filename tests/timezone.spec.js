@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Timezones', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+    await expect(page.locator('#loading')).toHaveClass(/hidden/, { timeout: 10000 });
+  });
+
+  test('should format tick marks and crosshair labels in a timezone', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: TimezoneFormatter } = await import('/src/utils/TimezoneFormatter.js');
+      const time = Date.UTC(2024, 0, 16, 14, 30, 5, 250) / 1000;
+
+      const chicago = new TimezoneFormatter('America/Chicago', { locale: 'en-US' });
+      const berlin = new TimezoneFormatter('Europe/Berlin', { locale: 'en-US' });
+
+      return {
+        chicagoTime: chicago.formatTickMark(time, 3),
+        berlinTime: berlin.formatTickMark(time, 3),
+        berlinSubSecond: berlin.formatTickMark(time, 4, { milliseconds: true }),
+        chicagoCrosshair: chicago.formatCrosshair(time),
+        // 23:30 UTC is already the next day in Berlin
+        berlinDay: berlin.formatTickMark(Date.UTC(2024, 0, 16, 23, 30) / 1000, 2),
+        invalid: TimezoneFormatter.isValid('Mars/Olympus_Mons')
+      };
+    });
+
+    expect(result.chicagoTime).toBe('08:30');
+    expect(result.berlinTime).toBe('15:30');
+    expect(result.berlinSubSecond).toBe('15:30:05.250');
+    expect(result.chicagoCrosshair).toBe("Tue 16 Jan '24 08:30");
+    expect(result.berlinDay).toBe('17');
+    expect(result.invalid).toBe(false);
+  });
+
+  test('should follow the symbol timezone unless the layout overrides it', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const layout = document.querySelector('oak-view');
+      const chart = layout.getChartAt(0);
+      const time = Date.UTC(2024, 0, 16, 14, 30) / 1000;
+      const crosshair = () => chart.getChart().options().localization.timeFormatter(time);
+
+      chart.setDataProvider({
+        async initialize() {},
+        async fetchHistorical() {
+          return [{ time, open: 1, high: 2, low: 0.5, close: 1.5 }];
+        },
+        getSymbolInfo: (symbol) => ({ symbol, name: 'DAX', timezone: 'Europe/Berlin' })
+      });
+      await chart.loadSymbolData('DAX', '60');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const exchange = { zone: chart.getTimezone(), label: crosshair() };
+
+      let changed = null;
+      layout.addEventListener('timezone-change', (e) => { changed = e.detail; }, { once: true });
+      layout.setTimezone('America/Chicago');
+      const override = { zone: chart.getTimezone(), label: crosshair() };
+
+      const picker = layout.shadowRoot.querySelector('.timezone-picker');
+      const pickerValue = picker.value;
+      picker.value = 'exchange';
+      picker.dispatchEvent(new Event('change'));
+
+      let error = null;
+      try {
+        layout.setTimezone('Nowhere/Special');
+      } catch (e) {
+        error = e.name;
+      }
+
+      return { exchange, override, changed, pickerValue, restored: chart.getTimezone(), error };
+    });
+
+    expect(result.exchange).toEqual({ zone: 'Europe/Berlin', label: expect.stringContaining('15:30') });
+    expect(result.override).toEqual({ zone: 'America/Chicago', label: expect.stringContaining('08:30') });
+    expect(result.changed).toEqual({ timezone: 'America/Chicago', previous: 'exchange' });
+    expect(result.pickerValue).toBe('America/Chicago');
+    expect(result.restored).toBe('Europe/Berlin');
+    expect(result.error).toBe('RangeError');
+  });
+
+  test('should show symbols without a timezone in the browser timezone', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const layout = document.querySelector('oak-view');
+      const chart = layout.getChartAt(0);
+      const time = Date.UTC(2024, 0, 16, 14, 30) / 1000;
+
+      chart.setDataProvider({
+        async initialize() {},
+        async fetchHistorical() {
+          return [{ time, open: 1, high: 2, low: 0.5, close: 1.5 }];
+        }
+      });
+      await chart.loadSymbolData('NOTZ', '60');
+      const exchange = chart.getTimezone();
+
+      layout.setTimezone('UTC');
+      const utc = chart.getTimezone();
+      layout.setTimezone('exchange');
+
+      return { exchange, utc, browser: Intl.DateTimeFormat().resolvedOptions().timeZone };
+    });
+
+    // Charts of providers without symbol timezones keep showing local time
+    expect(result.exchange).toBe(result.browser);
+    expect(result.utc).toBe('UTC');
+  });
+});
@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('WebSocketDataProvider', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/examples/csv-example/index.html');
+  });
+
+  test('should share channels, route messages and decode with a custom codec', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: WebSocketDataProvider } = await import('/src/data-providers/websocket.js');
+
+      const sockets = [];
+      class FakeSocket {
+        constructor(url) {
+          this.url = url;
+          this.readyState = 0;
+          this.sent = [];
+          sockets.push(this);
+          setTimeout(() => { this.readyState = 1; this.onopen(); }, 0);
+        }
+        send(data) { this.sent.push(data); }
+        close() { this.readyState = 3; }
+      }
+
+      // Frames are 'channel|time|open|high|low|close'
+      const codec = {
+        encode: (message) => `${message.op}:${message.channel}`,
+        decode: (data) => data.split('\n').map(line => {
+          const [channel, time, open, high, low, close] = line.split('|');
+          return { channel, time: Number(time), open, high, low, close };
+        })
+      };
+
+      const provider = new WebSocketDataProvider({ url: 'wss://feed.test', WebSocket: FakeSocket, codec, heartbeat: false });
+      const received = [];
+      const first = provider.subscribe('AAPL', '1', (bar) => received.push(['first', bar.time, bar.close]));
+      await provider.initialize();
+      const second = provider.subscribe('AAPL', '1', (bar) => received.push(['second', bar.time, bar.close]));
+      provider.subscribe('MSFT', '1', (bar) => received.push(['msft', bar.time, bar.close]));
+
+      sockets[0].onmessage({ data: 'AAPL@1|1700000000000|1|2|0.5|1.5\nMSFT@1|1700000000|3|4|2|3.5\nOTHER@1|1|1|1|1|1' });
+      first();
+      second();
+      provider.disconnect();
+
+      return { received, sent: sockets[0].sent, status: provider.getStatus() };
+    });
+
+    expect(result.received).toEqual([
+      ['first', 1700000000, 1.5],
+      ['second', 1700000000, 1.5],
+      ['msft', 1700000000, 3.5]
+    ]);
+    expect(result.sent).toEqual(['subscribe:AAPL@1', 'subscribe:MSFT@1', 'unsubscribe:AAPL@1']);
+    expect(result.status).toBe('live');
+  });
+
+  test('should detect a stale connection, back off and re-subscribe', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { default: WebSocketDataProvider } = await import('/src/data-providers/websocket.js');
+
+      const sockets = [];
+      class FakeSocket {
+        constructor() {
+          this.readyState = 0;
+          this.sent = [];
+          sockets.push(this);
+          setTimeout(() => { this.readyState = 1; this.onopen(); }, 0);
+        }
+        send(data) { this.sent.push(JSON.parse(data)); }
+        close() { this.readyState = 3; }
+      }
+
+      const provider = new WebSocketDataProvider({
+        url: 'wss://feed.test',
+        WebSocket: FakeSocket,
+        heartbeat: { interval: 20, timeout: 50 },
+        reconnect: { initialDelay: 30, jitter: 0 }
+      });
+      const statuses = [];
+      provider.onStatusChange(event => statuses.push(event.status));
+
+      provider.subscribe('AAPL', '5', () => {});
+      provider.subscribeTicks('AAPL', () => {});
+      await provider.initialize();
+      // The server never answers the pings
+      await new Promise(resolve => setTimeout(resolve, 120));
+      provider.disconnect();
+
+      return {
+        sockets: sockets.length,
+        firstSent: sockets[0].sent,
+        resubscribed: sockets[1].sent.filter(message => message.op === 'subscribe').map(message => message.channel),
+        statuses: statuses.slice(0, 5),
+        delays: [0, 1, 2, 10].map(attempt => WebSocketDataProvider.backoffDelay(attempt, { jitter: 0 })),
+        jittered: WebSocketDataProvider.backoffDelay(1, { jitter: 0.5 }, () => 0)
+      };
+    });
+
+    expect(result.sockets).toBe(2);
+    expect(result.firstSent[0]).toEqual({ op: 'subscribe', channel: 'AAPL@5' });
+    expect(result.firstSent).toContainEqual({ op: 'ping' });
+    expect(result.resubscribed).toEqual(['AAPL@5', 'AAPL@trades']);
+    expect(result.statuses).toEqual(['connecting', 'live', 'stale', 'reconnecting', 'live']);
+    expect(result.delays).toEqual([1000, 2000, 4000, 30000]);
+    expect(result.jittered).toBe(1000);
+  });
+});
@@ -3,6 +3,12 @@ import { resolve } from 'path';
 
 export default defineConfig({
   base: '/', // Hardcoded for tests
+  experimental: {
+    // Resolve emitted assets (the compute worker) next to the bundle, wherever dist/ is served from
+    renderBuiltUrl(filename, { hostType }) {
+      return hostType === 'js' ? { relative: true } : filename;
+    }
+  },
   build: {
     lib: {
       entry: resolve(__dirname, 'src/index.js'),